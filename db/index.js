@@ -0,0 +1,47 @@
+// ==============================================================
+// CAMADA DE ACESSO A DADOS
+// ==============================================================
+
+const path = require('path');
+
+/**
+ * Cria o repositório de dados conforme as variáveis de ambiente
+ *
+ * DB_CLIENT define o backend ('supabase' ou 'sqlite'). Sem DB_CLIENT, usa o
+ * Supabase quando SUPABASE_URL e SUPABASE_KEY estão definidas e o SQLite local
+ * caso contrário. Em produção (NODE_ENV=production ou na Vercel, onde o disco
+ * é somente leitura) DB_CLIENT é obrigatório. SQLITE_PATH define o arquivo do
+ * banco (padrão: database/mmsys.sqlite; ':memory:' para um banco temporário).
+ *
+ * Todos os repositórios expõem: connect, findAll, findOne, count, insert,
+ * update e remove. Os métodos lançam o erro do backend em caso de falha.
+ *
+ * @param {Object} env - Variáveis de ambiente
+ * @returns {Object} Repositório de dados
+ */
+function createRepository(env = process.env) {
+  if (!env.DB_CLIENT && (env.NODE_ENV === 'production' || env.VERCEL)) {
+    throw new Error('DB_CLIENT não definido: informe o backend de dados (supabase ou sqlite) em produção');
+  }
+
+  const cliente = env.DB_CLIENT || (env.SUPABASE_URL && env.SUPABASE_KEY ? 'supabase' : 'sqlite');
+
+  if (cliente === 'supabase') {
+    if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+      throw new Error('Variáveis SUPABASE_URL ou SUPABASE_KEY não encontradas');
+    }
+    const createSupabaseRepository = require('./supabase');
+    return createSupabaseRepository({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+  }
+
+  if (cliente === 'sqlite') {
+    const createSqliteRepository = require('./sqlite');
+    return createSqliteRepository({
+      filename: env.SQLITE_PATH || path.join(__dirname, '..', 'database', 'mmsys.sqlite')
+    });
+  }
+
+  throw new Error(`DB_CLIENT inválido: ${cliente}`);
+}
+
+module.exports = { createRepository };
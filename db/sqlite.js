@@ -0,0 +1,281 @@
+// ==============================================================
+// REPOSITÓRIO SQLITE
+// ==============================================================
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'supabase', 'migrations');
+const IDENTIFICADOR = /^[a-z_][a-z0-9_]*$/i;
+const OPERADORES = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Converte uma migração escrita para o Postgres em SQL aceito pelo SQLite
+ * @param {string} sql - Conteúdo da migração
+ * @returns {Array<string>} Comandos prontos para execução
+ */
+function traduzirMigracao(sql) {
+  return sql
+    .replace(/--.*$/gm, '')
+    .split(';')
+    .map(comando => comando.trim())
+    .filter(Boolean)
+    .map(comando => comando
+      .replace(/\bBIGSERIAL\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+      .replace(/\bBIGINT\b/gi, 'INTEGER')
+      .replace(/\bTIMESTAMPTZ\b/gi, 'TEXT')
+      .replace(/\bNOW\(\)/gi, 'CURRENT_TIMESTAMP'));
+}
+
+/**
+ * Valida um nome de tabela ou coluna antes de interpolá-lo no SQL
+ * @param {string} nome - Identificador
+ * @returns {string} Identificador entre aspas
+ */
+function identificador(nome) {
+  if (!IDENTIFICADOR.test(nome)) {
+    throw new Error(`Identificador inválido: ${nome}`);
+  }
+  return `"${nome}"`;
+}
+
+/**
+ * Converte valores do JavaScript para tipos aceitos pelo SQLite
+ * @param {*} valor - Valor original
+ * @returns {*} Valor convertido
+ */
+function paraSqlite(valor) {
+  if (typeof valor === 'boolean') return valor ? 1 : 0;
+  if (valor instanceof Date) return valor.toISOString();
+  return valor;
+}
+
+/**
+ * Monta a cláusula WHERE a partir dos filtros do repositório
+ * @param {Object} where - Filtros no formato { coluna: valor | [valores] | { operador: valor } }
+ * @returns {Object} { sql, params }
+ */
+function montarWhere(where = {}) {
+  const condicoes = [];
+  const params = [];
+
+  for (const [coluna, valor] of Object.entries(where)) {
+    const col = identificador(coluna);
+
+    if (valor === null) {
+      condicoes.push(`${col} IS NULL`);
+    } else if (Array.isArray(valor)) {
+      if (valor.length === 0) {
+        condicoes.push('0');
+      } else {
+        condicoes.push(`${col} IN (${valor.map(() => '?').join(', ')})`);
+        params.push(...valor.map(paraSqlite));
+      }
+    } else if (typeof valor === 'object' && !(valor instanceof Date)) {
+      for (const [operador, operando] of Object.entries(valor)) {
+        if (operador === 'in') {
+          const sub = montarWhere({ [coluna]: operando });
+          condicoes.push(sub.sql.replace(/^ WHERE /, ''));
+          params.push(...sub.params);
+        } else if (!OPERADORES[operador]) {
+          throw new Error(`Operador de filtro inválido: ${operador}`);
+        } else if (operando === null && operador === 'neq') {
+          condicoes.push(`${col} IS NOT NULL`);
+        } else {
+          condicoes.push(`${col} ${OPERADORES[operador]} ?`);
+          params.push(paraSqlite(operando));
+        }
+      }
+    } else {
+      condicoes.push(`${col} = ?`);
+      params.push(paraSqlite(valor));
+    }
+  }
+
+  return {
+    sql: condicoes.length > 0 ? ` WHERE ${condicoes.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Cria um repositório de dados sobre um arquivo SQLite local
+ * O esquema é criado a partir das migrações em supabase/migrations
+ * @param {Object} config - { filename } (use ':memory:' para um banco em memória)
+ * @returns {Object} Repositório com a interface comum de acesso a dados
+ */
+function createSqliteRepository({ filename }) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new sqlite3.Database(filename);
+  const colunasBooleanas = {};
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  /**
+   * Aplica as migrações ainda não executadas, em ordem de nome de arquivo
+   */
+  const migrar = async () => {
+    await run('PRAGMA foreign_keys = ON');
+    await run('CREATE TABLE IF NOT EXISTS schema_migrations (version TEXT PRIMARY KEY, applied_at TEXT DEFAULT CURRENT_TIMESTAMP)');
+
+    const aplicadas = new Set((await all('SELECT version FROM schema_migrations')).map(m => m.version));
+    const arquivos = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort();
+
+    for (const arquivo of arquivos) {
+      if (aplicadas.has(arquivo)) continue;
+
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, arquivo), 'utf8');
+      await run('BEGIN');
+      try {
+        for (const comando of traduzirMigracao(sql)) {
+          await run(comando);
+        }
+        await run('INSERT INTO schema_migrations (version) VALUES (?)', [arquivo]);
+        await run('COMMIT');
+      } catch (err) {
+        await run('ROLLBACK');
+        throw new Error(`Falha na migração ${arquivo}: ${err.message}`);
+      }
+    }
+  };
+
+  const ready = migrar();
+
+  /**
+   * Converte colunas BOOLEAN (armazenadas como 0/1) de volta para true/false
+   */
+  const normalizarLinhas = async (table, rows) => {
+    if (!colunasBooleanas[table]) {
+      const colunas = await all(`PRAGMA table_info(${identificador(table)})`);
+      colunasBooleanas[table] = colunas.filter(c => /^BOOL/i.test(c.type)).map(c => c.name);
+    }
+
+    const booleanas = colunasBooleanas[table];
+    if (booleanas.length === 0) return rows;
+
+    return rows.map(row => {
+      booleanas.forEach(col => {
+        if (row[col] !== null && row[col] !== undefined) row[col] = Boolean(row[col]);
+      });
+      return row;
+    });
+  };
+
+  const consultar = async (table, sql, params) => {
+    await ready;
+    return normalizarLinhas(table, await all(sql, params));
+  };
+
+  return {
+    cliente: 'sqlite',
+
+    /**
+     * Aguarda a criação do esquema
+     */
+    connect: async () => {
+      await ready;
+    },
+
+    /**
+     * Lista registros de uma tabela
+     * @param {string} table - Nome da tabela
+     * @param {Object} options - { where, order: [{ column, ascending }], limit }
+     * @returns {Promise<Array>} Registros encontrados
+     */
+    findAll: async (table, { where, order = [], limit } = {}) => {
+      const filtro = montarWhere(where);
+      let sql = `SELECT * FROM ${identificador(table)}${filtro.sql}`;
+
+      if (order.length > 0) {
+        sql += ' ORDER BY ' + order
+          .map(({ column, ascending = true }) => `${identificador(column)} ${ascending ? 'ASC' : 'DESC'}`)
+          .join(', ');
+      }
+      if (limit) sql += ` LIMIT ${parseInt(limit, 10)}`;
+
+      return consultar(table, sql, filtro.params);
+    },
+
+    /**
+     * Obtém um único registro
+     * @param {string} table - Nome da tabela
+     * @param {Object} where - Filtros
+     * @returns {Promise<Object|null>} Registro ou null se não existir
+     */
+    findOne: async (table, where) => {
+      const filtro = montarWhere(where);
+      const rows = await consultar(table, `SELECT * FROM ${identificador(table)}${filtro.sql} LIMIT 1`, filtro.params);
+      return rows[0] || null;
+    },
+
+    /**
+     * Conta registros de uma tabela
+     * @param {string} table - Nome da tabela
+     * @param {Object} where - Filtros
+     * @returns {Promise<number>} Total de registros
+     */
+    count: async (table, where) => {
+      await ready;
+      const filtro = montarWhere(where);
+      const rows = await all(`SELECT COUNT(*) AS total FROM ${identificador(table)}${filtro.sql}`, filtro.params);
+      return rows[0].total;
+    },
+
+    /**
+     * Insere um registro
+     * @param {string} table - Nome da tabela
+     * @param {Object} data - Dados a inserir
+     * @returns {Promise<Object>} Registro inserido
+     */
+    insert: async (table, data) => {
+      const colunas = Object.keys(data);
+      const sql = colunas.length > 0
+        ? `INSERT INTO ${identificador(table)} (${colunas.map(identificador).join(', ')}) VALUES (${colunas.map(() => '?').join(', ')}) RETURNING *`
+        : `INSERT INTO ${identificador(table)} DEFAULT VALUES RETURNING *`;
+
+      const rows = await consultar(table, sql, colunas.map(c => paraSqlite(data[c])));
+      return rows[0];
+    },
+
+    /**
+     * Atualiza registros
+     * @param {string} table - Nome da tabela
+     * @param {Object} where - Filtros
+     * @param {Object} data - Campos a atualizar
+     * @returns {Promise<Array>} Registros atualizados
+     */
+    update: async (table, where, data) => {
+      const colunas = Object.keys(data);
+      const filtro = montarWhere(where);
+      const sql = `UPDATE ${identificador(table)} SET ${colunas.map(c => `${identificador(c)} = ?`).join(', ')}${filtro.sql} RETURNING *`;
+
+      return consultar(table, sql, [...colunas.map(c => paraSqlite(data[c])), ...filtro.params]);
+    },
+
+    /**
+     * Remove registros
+     * @param {string} table - Nome da tabela
+     * @param {Object} where - Filtros
+     */
+    remove: async (table, where) => {
+      await ready;
+      const filtro = montarWhere(where);
+      await run(`DELETE FROM ${identificador(table)}${filtro.sql}`, filtro.params);
+    }
+  };
+}
+
+module.exports = createSqliteRepository;
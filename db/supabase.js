@@ -0,0 +1,140 @@
+// ==============================================================
+// REPOSITÓRIO SUPABASE
+// ==============================================================
+
+const { createClient } = require('@supabase/supabase-js');
+
+const OPERADORES = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in'];
+
+/**
+ * Aplica os filtros do repositório a uma query do Supabase
+ * @param {Object} query - Query builder do Supabase
+ * @param {Object} where - Filtros no formato { coluna: valor | [valores] | { operador: valor } }
+ * @returns {Object} Query com os filtros aplicados
+ */
+function aplicarFiltros(query, where = {}) {
+  for (const [coluna, valor] of Object.entries(where)) {
+    if (valor === null) {
+      query = query.is(coluna, null);
+    } else if (Array.isArray(valor)) {
+      query = query.in(coluna, valor);
+    } else if (typeof valor === 'object') {
+      for (const [operador, operando] of Object.entries(valor)) {
+        if (!OPERADORES.includes(operador)) {
+          throw new Error(`Operador de filtro inválido: ${operador}`);
+        }
+        query = operando === null && operador === 'neq'
+          ? query.not(coluna, 'is', null)
+          : query[operador](coluna, operando);
+      }
+    } else {
+      query = query.eq(coluna, valor);
+    }
+  }
+  return query;
+}
+
+/**
+ * Cria um repositório de dados sobre um projeto Supabase
+ * @param {Object} config - { url, key }
+ * @returns {Object} Repositório com a interface comum de acesso a dados
+ */
+function createSupabaseRepository({ url, key }) {
+  const supabase = createClient(url, key);
+
+  const executar = async (query) => {
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { data, count };
+  };
+
+  return {
+    cliente: 'supabase',
+
+    /**
+     * Verifica se o banco está acessível
+     */
+    connect: async () => {
+      await executar(supabase.from('professores').select('id').limit(1));
+    },
+
+    /**
+     * Lista registros de uma tabela
+     * @param {string} table - Nome da tabela
+     * @param {Object} options - { where, order: [{ column, ascending }], limit }
+     * @returns {Promise<Array>} Registros encontrados
+     */
+    findAll: async (table, { where, order = [], limit } = {}) => {
+      let query = aplicarFiltros(supabase.from(table).select('*'), where);
+      for (const { column, ascending = true } of order) {
+        query = query.order(column, { ascending });
+      }
+      if (limit) query = query.limit(limit);
+
+      const { data } = await executar(query);
+      return data;
+    },
+
+    /**
+     * Obtém um único registro
+     * @param {string} table - Nome da tabela
+     * @param {Object} where - Filtros
+     * @returns {Promise<Object|null>} Registro ou null se não existir
+     */
+    findOne: async (table, where) => {
+      const { data } = await executar(
+        aplicarFiltros(supabase.from(table).select('*'), where).limit(1).maybeSingle()
+      );
+      return data;
+    },
+
+    /**
+     * Conta registros de uma tabela
+     * @param {string} table - Nome da tabela
+     * @param {Object} where - Filtros
+     * @returns {Promise<number>} Total de registros
+     */
+    count: async (table, where) => {
+      const { count } = await executar(
+        aplicarFiltros(supabase.from(table).select('*', { count: 'exact', head: true }), where)
+      );
+      return count || 0;
+    },
+
+    /**
+     * Insere um registro
+     * @param {string} table - Nome da tabela
+     * @param {Object} data - Dados a inserir
+     * @returns {Promise<Object>} Registro inserido
+     */
+    insert: async (table, data) => {
+      const { data: result } = await executar(supabase.from(table).insert(data).select().single());
+      return result;
+    },
+
+    /**
+     * Atualiza registros
+     * @param {string} table - Nome da tabela
+     * @param {Object} where - Filtros
+     * @param {Object} data - Campos a atualizar
+     * @returns {Promise<Array>} Registros atualizados
+     */
+    update: async (table, where, data) => {
+      const { data: result } = await executar(
+        aplicarFiltros(supabase.from(table).update(data), where).select()
+      );
+      return result;
+    },
+
+    /**
+     * Remove registros
+     * @param {string} table - Nome da tabela
+     * @param {Object} where - Filtros
+     */
+    remove: async (table, where) => {
+      await executar(aplicarFiltros(supabase.from(table).delete(), where));
+    }
+  };
+}
+
+module.exports = createSupabaseRepository;
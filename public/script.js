@@ -6,8 +6,7 @@
 const AppConfig = {
   API_BASE_URL: window.location.origin.includes('localhost')
     ? 'http://localhost:3000'
-    : window.location.origin,
-  TOKEN_PREFIX: 'simulated-jwt-token-'
+    : window.location.origin
 };
 
 // Estado global da aplicação
@@ -62,6 +61,15 @@ const Utils = {
     };
   },
 
+  /**
+   * Escapa texto para ser inserido em HTML
+   * @param {*} value - Valor a ser escapado
+   * @returns {string} Texto seguro para HTML
+   */
+  escapeHtml: (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]),
+
   /**
    * Formata valor monetário em Real brasileiro
    * @param {number} value - Valor a ser formatado
@@ -84,6 +92,16 @@ const Utils = {
     return new Date(date).toLocaleDateString('pt-BR');
   },
 
+  /**
+   * Formata data e hora para o formato brasileiro
+   * @param {string|Date} date - Data e hora a serem formatadas
+   * @returns {string} Data e hora formatadas
+   */
+  formatDateTime: (date) => {
+    if (!date) return '-';
+    return new Date(String(date).replace(' ', 'T')).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+  },
+
   /**
    * Obtém o nome amigável de uma entidade
    * @param {string} entity - Nome técnico da entidade
@@ -95,7 +113,16 @@ const Utils = {
       'professores': 'Professor',
       'aulas': 'Aula',
       'financeiro': 'Pagamento',
-      'pagamentos': 'Pagamento'
+      'pagamentos': 'Pagamento',
+      'usuarios': 'Usuário',
+      'solicitacoes': 'Solicitação',
+      'salas': 'Sala',
+      'recursos': 'Recurso',
+      'feriados': 'Feriado',
+      'leads': 'Lead',
+      'planos': 'Plano',
+      'familias': 'Família',
+      'descontos': 'Desconto'
     };
     return names[entity] || 'Item';
   },
@@ -110,7 +137,8 @@ const Utils = {
       'alunos': 'alunos',
       'professores': 'professores',
       'aulas': 'aulas',
-      'financeiro': 'pagamentos'
+      'financeiro': 'pagamentos',
+      'usuarios': 'usuarios'
     };
     return mapping[section] || section;
   },
@@ -127,11 +155,37 @@ const Utils = {
       'professores': 'Professores',
       'aulas': 'Aulas',
       'financeiro': 'Financeiro',
-      'relatorios': 'Relatórios'
+      'relatorios': 'Relatórios',
+      'usuarios': 'Usuários',
+      'portalProfessor': 'Portal do Professor',
+      'portalAluno': 'Portal do Aluno',
+      'solicitacoes': 'Solicitações',
+      'salas': 'Salas',
+      'recursos': 'Recursos',
+      'feriados': 'Calendário',
+      'leads': 'Leads',
+      'planos': 'Planos de Mensalidade',
+      'familias': 'Famílias',
+      'descontos': 'Descontos e Bolsas'
     };
     return titles[section] || 'Dashboard';
   },
 
+  /**
+   * Obtém o nome amigável de um perfil de usuário
+   * @param {string} role - Perfil técnico
+   * @returns {string} Nome do perfil
+   */
+  getRoleName: (role) => {
+    const roles = {
+      'admin': 'Administrador',
+      'secretaria': 'Secretaria',
+      'professor': 'Professor',
+      'aluno': 'Aluno'
+    };
+    return roles[role] || role;
+  },
+
   /**
    * Obtém o primeiro e último dia da semana para uma data
    * @param {Date} date - Data de referência
@@ -162,6 +216,20 @@ const Utils = {
     return `${Utils.formatDate(start)} a ${Utils.formatDate(end)}`;
   },
 
+  /**
+   * Formata o horário de uma aula
+   * @param {Object} aula - Aula com hora_inicio e hora_fim (ou duracao)
+   * @returns {string} Horário formatado ou string vazia se a aula não tiver horário
+   */
+  formatTimeRange: (aula) => {
+    if (!aula.hora_inicio) return '';
+    if (aula.hora_fim) return `${aula.hora_inicio}–${aula.hora_fim}`;
+
+    const [h, m] = aula.hora_inicio.split(':').map(Number);
+    const end = new Date(0, 0, 0, h, m + (aula.duracao || 60));
+    return `${aula.hora_inicio}–${String(end.getHours()).padStart(2, '0')}:${String(end.getMinutes()).padStart(2, '0')}`;
+  },
+
   /**
    * Adiciona dias a uma data
    * @param {Date} date - Data base
@@ -381,7 +449,7 @@ const ApiService = {
    */
   testConnection: async () => {
     try {
-      const response = await fetch(`${AppConfig.API_BASE_URL}/api/alunos`);
+      const response = await fetch(`${AppConfig.API_BASE_URL}/api/health`);
       if (!response.ok) {
         throw new Error(`API não está respondendo: ${response.status}`);
       }
@@ -399,16 +467,18 @@ const ApiService = {
    * @param {string} endpoint - Endpoint da API
    * @param {string} method - Método HTTP (GET, POST, PUT, DELETE)
    * @param {Object} data - Dados a serem enviados (opcional)
+   * @param {boolean} retry - Renovar a sessão e repetir em caso de 401
    * @returns {Promise} Promise com a resposta
    */
-  request: async (endpoint, method = 'GET', data = null) => {
+  request: async (endpoint, method = 'GET', data = null, retry = true) => {
     // Garantir que o endpoint comece com /api/
     if (!endpoint.startsWith('/api/')) {
       endpoint = '/api' + (endpoint.startsWith('/') ? endpoint : '/' + endpoint);
     }
 
     const url = `${AppConfig.API_BASE_URL}${endpoint}`;
-    console.log(`API Request: ${method} ${url}`, data);
+    // O corpo não é registrado: pode conter senha ou refresh token
+    console.log(`API Request: ${method} ${url}`);
     const options = {
       method,
       headers: {
@@ -416,16 +486,37 @@ const ApiService = {
       },
     };
 
+    const token = localStorage.getItem('authToken');
+    if (token) {
+      options.headers.Authorization = `Bearer ${token}`;
+    }
+
     if (data && (method === 'POST' || method === 'PUT')) {
       options.body = JSON.stringify(data);
     }
 
     try {
       const response = await fetch(url, options);
+
+      // Sessão expirada: tentar renovar uma vez antes de desistir
+      if (response.status === 401 && retry && !endpoint.startsWith('/api/auth/')) {
+        if (await AuthSystem.refreshSession()) {
+          return ApiService.request(endpoint, method, data, false);
+        }
+        AuthSystem.handleSessionExpired();
+      }
+
       const text = await response.text();
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${text}`);
+        const error = new Error(`HTTP ${response.status}: ${text}`);
+        error.status = response.status;
+        try {
+          error.data = JSON.parse(text);
+        } catch (parseError) {
+          error.data = null;
+        }
+        throw error;
       }
 
       return text ? JSON.parse(text) : null;
@@ -435,6 +526,40 @@ const ApiService = {
     }
   },
 
+  /**
+   * Faz uma requisição que pode ser recusada por conflito de horário (409)
+   * Quem pode ignorar conflitos confirma e a requisição é repetida com ignorar_conflitos
+   * @param {string} endpoint - Endpoint da API
+   * @param {string} method - Método HTTP
+   * @param {Object} data - Dados a serem enviados
+   * @returns {Promise} Promise com a resposta
+   */
+  requestWithOverride: async (endpoint, method, data = {}) => {
+    try {
+      return await ApiService.request(endpoint, method, data);
+    } catch (error) {
+      const conflitos = error.data?.conflitos;
+      if (error.status !== 409 || !conflitos || !AuthSystem.can('conflitos:ignorar')) throw error;
+
+      const diasSemana = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+      const lista = conflitos.map(c => {
+        if (c.motivo === 'disponibilidade') return `- Professor fora da disponibilidade (${diasSemana[c.dia_semana]})`;
+        if (c.motivo === 'bloqueio') {
+          return `- Professor bloqueado em ${Utils.formatDate(`${c.data_aula}T00:00:00`)}${c.descricao ? ` (${c.descricao})` : ''}`;
+        }
+        if (c.motivo === 'feriado') return `- Feriado em ${Utils.formatDate(`${c.data_aula}T00:00:00`)} (${c.descricao})`;
+        if (c.motivo === 'especialidade') return `- ${c.descricao}`;
+
+        const quando = c.data_aula ? Utils.formatDate(`${c.data_aula}T00:00:00`) : 'grade semanal';
+        const motivo = c.motivo === 'sala' ? ' - mesma sala' : c.motivo === 'recurso' ? ` - ${c.recurso_nome}` : '';
+        return `- ${c.instrumento} (${quando}, ${c.hora_inicio ? Utils.formatTimeRange(c) : c.turno})${motivo}`;
+      }).join('\n');
+      if (!window.confirm(`${error.data.error}:\n${lista}\n\nSalvar mesmo assim?`)) throw error;
+
+      return ApiService.request(endpoint, method, { ...data, ignorar_conflitos: true });
+    }
+  },
+
   /**
    * Carrega dados de uma entidade
    * @param {string} entity - Nome da entidade
@@ -505,7 +630,41 @@ const TableSystem = {
                             <td>${item.instrumento_principal || '-'}</td>
                             <td><span class="status status-active">Ativo</span></td>
                             <td>
+                                ${AuthSystem.can('alunos:gerenciar') ? `
+                                <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
+                                <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                                ${AuthSystem.can('reposicoes:ler') ? `
+                                <button class="action-btn reposicoes-btn" data-id="${item.id}" title="Reposições"><i class="fas fa-redo"></i></button>
+                                ` : ''}
+                            </td>
+                        `;
+
+      case 'leads':
+        const experimental = (item.aulas_experimentais || []).slice(-1)[0];
+
+        return `
+                            <td>${Utils.escapeHtml(item.nome)}</td>
+                            <td>${[item.email, item.telefone].filter(Boolean).map(Utils.escapeHtml).join('<br>') || '-'}</td>
+                            <td>${Utils.escapeHtml(item.instrumento_interesse || '-')}</td>
+                            <td>${LeadsSystem.origens[item.origem] || Utils.escapeHtml(item.origem)}</td>
+                            <td><span class="status status-${LeadsSystem.statusClasses[item.status]}">${item.status}</span></td>
+                            <td>
+                                ${experimental ? `
+                                ${Utils.formatDate(`${experimental.data_aula}T00:00:00`)}${experimental.hora_inicio ? ` ${experimental.hora_inicio}` : ''} - ${Utils.escapeHtml(experimental.professor_nome)}
+                                <br><small>${experimental.resultado || 'aguardando resultado'}</small>
+                                ` : '-'}
+                            </td>
+                            <td>
+                                ${item.status !== 'convertido' ? `
                                 <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
+                                <button class="action-btn experimental-btn" data-id="${item.id}" title="Agendar aula experimental"><i class="fas fa-calendar-plus"></i></button>
+                                ${experimental && !experimental.resultado ? `
+                                <button class="action-btn resultado-experimental-btn" data-id="${item.id}" data-experimental-id="${experimental.id}" data-resultado="compareceu" title="Compareceu"><i class="fas fa-user-check"></i></button>
+                                <button class="action-btn resultado-experimental-btn" data-id="${item.id}" data-experimental-id="${experimental.id}" data-resultado="faltou" title="Faltou"><i class="fas fa-user-times"></i></button>
+                                ` : ''}
+                                <button class="action-btn converter-lead-btn" data-id="${item.id}" title="Converter em aluno"><i class="fas fa-user-graduate"></i></button>
+                                ` : ''}
                                 <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
                             </td>
                         `;
@@ -518,43 +677,183 @@ const TableSystem = {
                             <td>${item.limite_alunos}</td>
                             <td>${item.porcentagem_repassa}%</td>
                             <td>
+                                ${AuthSystem.can('professores:gerenciar') ? `
                                 <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
                                 <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                                ${AuthSystem.can('disponibilidade:gerenciar') ? `
+                                <button class="action-btn availability-btn" data-id="${item.id}" title="Disponibilidade"><i class="fas fa-calendar-times"></i></button>
+                                ` : ''}
+                                ${AuthSystem.can('repasses:ler') ? `
+                                <button class="action-btn repasses-btn" data-id="${item.id}" title="Fechamentos de repasse"><i class="fas fa-hand-holding-usd"></i></button>
+                                ` : ''}
                             </td>
                         `;
 
       case 'aulas':
         const diasSemanaMap = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
-        const diasSemana = item.dias_semana ? item.dias_semana.map(dia => diasSemanaMap[dia]).join(', ') : '';
+        const diasSemana = item.avulsa
+          ? `Avulsa (${Utils.formatDate(`${item.data_inicio}T00:00:00`)})`
+          : item.dias_semana ? item.dias_semana.map(dia => diasSemanaMap[dia]).join(', ') : '';
 
         return `
                             <td>${item.instrumento}</td>
-                            <td>${item.turno}</td>
+                            <td>${item.turno}${item.hora_inicio ? ` (${Utils.formatTimeRange(item)})` : ''}</td>
                             <td>${item.professor_nome}</td>
+                            <td>${Utils.escapeHtml(item.sala_nome || '-')}</td>
                             <td>${diasSemana}</td>
                             <td>${item.total_alunos || 0}</td>
                             <td>
+                                ${AuthSystem.can('aulas:gerenciar') ? `
                                 <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
                                 <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
                                 <button class="action-btn view-btn" data-id="${item.id}"><i class="fas fa-eye"></i></button>
                             </td>
                         `;
 
+      case 'salas':
+        return `
+                            <td>${Utils.escapeHtml(item.nome)}</td>
+                            <td>${item.capacidade}</td>
+                            <td>${Utils.escapeHtml(item.descricao || '-')}</td>
+                            <td>
+                                ${AuthSystem.can('salas:gerenciar') ? `
+                                <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
+                                <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                            </td>
+                        `;
+
+      case 'recursos':
+        return `
+                            <td>${Utils.escapeHtml(item.nome)}</td>
+                            <td>${item.tipo || '-'}</td>
+                            <td>${item.quantidade}</td>
+                            <td>
+                                ${AuthSystem.can('recursos:gerenciar') ? `
+                                <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
+                                <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                            </td>
+                        `;
+
+      case 'planos':
+        return `
+                            <td>${Utils.escapeHtml(item.nome)}</td>
+                            <td>${Utils.escapeHtml(item.instrumento || 'Qualquer')}</td>
+                            <td>${item.aulas_por_semana}</td>
+                            <td>${Utils.formatCurrency(item.valor)}</td>
+                            <td>Dia ${item.dia_vencimento}</td>
+                            <td>
+                                ${AuthSystem.can('planos:gerenciar') ? `
+                                <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
+                                <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                            </td>
+                        `;
+
+      case 'familias':
+        return `
+                            <td>${Utils.escapeHtml(item.nome)}</td>
+                            <td>
+                                ${AuthSystem.can('familias:gerenciar') ? `
+                                <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
+                                <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                            </td>
+                        `;
+
+      case 'descontos':
+        const vigenciaInicio = item.data_inicio ? Utils.formatDate(`${item.data_inicio}T00:00:00`) : null;
+        const vigenciaFim = item.data_fim ? Utils.formatDate(`${item.data_fim}T00:00:00`) : null;
+
+        return `
+                            <td>${Utils.escapeHtml(item.nome)}</td>
+                            <td>${item.tipo === 'percentual' ? `${item.valor}%` : Utils.formatCurrency(item.valor)}</td>
+                            <td>${item.aluno_id ? `Aluno: ${Utils.escapeHtml(item.aluno_nome)}` : item.familia_id ? `Família ${Utils.escapeHtml(item.familia_nome)} (a partir de ${item.minimo_alunos} alunos)` : 'Todos os alunos'}</td>
+                            <td>${vigenciaInicio || vigenciaFim ? `${vigenciaInicio || '...'} a ${vigenciaFim || '...'}` : 'Sempre'}</td>
+                            <td>
+                                ${AuthSystem.can('descontos:gerenciar') ? `
+                                <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
+                                <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                            </td>
+                        `;
+
+      case 'feriados':
+        const tiposFeriado = { nacional: 'Nacional', feriado: 'Feriado', recesso: 'Recesso' };
+
+        return `
+                            <td>${Utils.escapeHtml(item.nome)}</td>
+                            <td>${Utils.formatDate(`${item.data_inicio}T00:00:00`)}${item.data_fim !== item.data_inicio ? ` a ${Utils.formatDate(`${item.data_fim}T00:00:00`)}` : ''}</td>
+                            <td>${tiposFeriado[item.tipo] || item.tipo}</td>
+                            <td>${item.total_afetadas || 0}</td>
+                            <td>
+                                ${item.total_afetadas > 0 && AuthSystem.can('agenda:gerenciar') ? `
+                                <button class="action-btn resolver-feriado-btn" data-id="${item.id}" data-acao="reagendar" title="Reagendar aulas"><i class="fas fa-calendar-alt"></i></button>
+                                <button class="action-btn resolver-feriado-btn" data-id="${item.id}" data-acao="cancelar" title="Cancelar aulas"><i class="fas fa-ban"></i></button>
+                                ` : ''}
+                                ${AuthSystem.can('feriados:gerenciar') ? `
+                                <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                            </td>
+                        `;
+
       case 'financeiro':
         const vencimento = new Date(item.data_vencimento);
         const pagamentoDate = item.data_pagamento ? new Date(item.data_pagamento) : null;
 
         return `
-                            <td>${item.aluno_nome || 'N/A'}</td>
-                            <td>${Utils.formatCurrency(item.valor)}</td>
+                            <td>${Utils.escapeHtml(item.aluno_nome || 'N/A')}${item.referencia ? ` <small>(mensalidade ${item.referencia})</small>` : ''}</td>
+                            <td>
+                                ${Utils.formatCurrency(item.valor)}
+                                ${item.status === 'atrasado' ? `<br><small>Atualizado: ${Utils.formatCurrency(item.valor_atualizado)}</small>` : ''}
+                                ${Number(item.valor_multa) + Number(item.valor_juros) > 0 ? `<br><small>+ ${Utils.formatCurrency(Number(item.valor_multa) + Number(item.valor_juros))} de multa e juros</small>` : ''}
+                                ${item.status !== 'pago' && Number(item.valor_recebido) > 0 ? `<br><small>Recebido: ${Utils.formatCurrency(item.valor_recebido)} - saldo: ${Utils.formatCurrency(item.saldo)}</small>` : ''}
+                            </td>
                             <td>${Utils.formatDate(vencimento)}</td>
                             <td>${Utils.formatDate(pagamentoDate)}</td>
                             <td>${item.valor_repasse ? Utils.formatCurrency(item.valor_repasse) : '-'}</td>
-                            <td><span class="status status-${item.status === 'pago' ? 'active' : 'pending'}">${item.status}</span></td>
+                            <td><span class="status status-${item.status === 'pago' ? 'active' : item.status === 'atrasado' ? 'inactive' : 'pending'}">${item.status}${item.status === 'atrasado' ? ` (${item.dias_atraso} dias)` : ''}</span></td>
+                            <td>
+                                ${FinanceiroSystem.emAberto(item) ? `
+                                <button class="action-btn pix-btn" data-id="${item.id}" title="PIX e fatura"><i class="fas fa-qrcode"></i></button>
+                                ` : ''}
+                                ${AuthSystem.can('financeiro:gerenciar') ? `
+                                ${item.status !== 'cancelado' ? `
+                                <button class="action-btn pay-btn" data-id="${item.id}" title="${item.status === 'pago' ? 'Recebimentos' : 'Registrar recebimento'}"><i class="fas fa-${item.status === 'pago' ? 'receipt' : 'money-bill-wave'}"></i></button>
+                                ` : ''}
+                                <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
+                                ` : ''}
+                            </td>
+                        `;
+
+      case 'solicitacoes':
+        return `
+                            <td>${Utils.escapeHtml(item.instrumento || '-')} - ${Utils.escapeHtml(item.professor_nome || '-')}</td>
+                            <td>${Utils.formatDate(item.data_aula)}</td>
+                            <td>${Utils.escapeHtml(item.solicitante_nome || '-')}</td>
+                            <td>${item.tipo === 'cancelamento' ? 'Cancelamento' : 'Reagendamento'}</td>
+                            <td>${Utils.formatDate(item.nova_data)}</td>
+                            <td>${Utils.escapeHtml(item.motivo)}</td>
+                            <td><span class="status status-${item.status === 'aprovada' ? 'active' : item.status === 'rejeitada' ? 'inactive' : 'pending'}">${item.status}</span></td>
                             <td>
-                                ${item.status !== 'pago' ? `
-                                <button class="action-btn pay-btn" data-id="${item.id}"><i class="fas fa-money-bill-wave"></i></button>
+                                ${AuthSystem.can('agenda:gerenciar') && item.status === 'pendente' ? `
+                                <button class="action-btn approve-btn" data-id="${item.id}" title="Aprovar"><i class="fas fa-check"></i></button>
+                                <button class="action-btn reject-btn" data-id="${item.id}" title="Rejeitar"><i class="fas fa-times"></i></button>
                                 ` : ''}
+                            </td>
+                        `;
+
+      case 'usuarios':
+        return `
+                            <td>${Utils.escapeHtml(item.nome)}</td>
+                            <td>${Utils.escapeHtml(item.email)}</td>
+                            <td>${Utils.getRoleName(item.role)}</td>
+                            <td><span class="status status-${item.ativo ? 'active' : 'pending'}">${item.ativo ? 'Ativo' : 'Inativo'}</span></td>
+                            <td>
+                                <button class="action-btn edit-btn" data-id="${item.id}"><i class="fas fa-edit"></i></button>
                                 <button class="action-btn delete-btn" data-id="${item.id}"><i class="fas fa-trash"></i></button>
                             </td>
                         `;
@@ -576,6 +875,10 @@ const TableSystem = {
       return;
     }
 
+    // Os listeners usam delegação, então basta registrá-los uma vez por tabela
+    if (table.dataset.listenersBound) return;
+    table.dataset.listenersBound = 'true';
+
     // Delegation para botões editar
     table.addEventListener('click', (e) => {
       if (e.target.closest('.edit-btn')) {
@@ -605,6 +908,61 @@ const TableSystem = {
       });
     }
 
+    // Botões de reposições (apenas para alunos)
+    if (entity === 'alunos') {
+      table.addEventListener('click', (e) => {
+        const btn = e.target.closest('.reposicoes-btn');
+        if (btn) {
+          ReposicaoSystem.show(btn.getAttribute('data-id'));
+        }
+      });
+    }
+
+    // Botões do funil de leads: aula experimental, resultado e conversão
+    if (entity === 'leads') {
+      table.addEventListener('click', (e) => {
+        const experimentalBtn = e.target.closest('.experimental-btn');
+        const resultadoBtn = e.target.closest('.resultado-experimental-btn');
+        const converterBtn = e.target.closest('.converter-lead-btn');
+        if (experimentalBtn) {
+          LeadsSystem.agendarExperimental(experimentalBtn.getAttribute('data-id'));
+        } else if (resultadoBtn) {
+          LeadsSystem.registrarResultado(
+            resultadoBtn.getAttribute('data-id'),
+            resultadoBtn.getAttribute('data-experimental-id'),
+            resultadoBtn.getAttribute('data-resultado')
+          );
+        } else if (converterBtn) {
+          LeadsSystem.converter(converterBtn.getAttribute('data-id'));
+        }
+      });
+    }
+
+    // Botões de disponibilidade (apenas para professores)
+    if (entity === 'professores') {
+      table.addEventListener('click', (e) => {
+        const btn = e.target.closest('.availability-btn');
+        if (btn) {
+          DisponibilidadeSystem.show(btn.getAttribute('data-id'));
+        }
+
+        const repassesBtn = e.target.closest('.repasses-btn');
+        if (repassesBtn) {
+          FinanceiroSystem.fechamentos(repassesBtn.getAttribute('data-id'));
+        }
+      });
+    }
+
+    // Botões de cancelar/reagendar as aulas do período (apenas para feriados)
+    if (entity === 'feriados') {
+      table.addEventListener('click', (e) => {
+        const btn = e.target.closest('.resolver-feriado-btn');
+        if (btn) {
+          FeriadosSystem.resolver(btn.getAttribute('data-id'), btn.getAttribute('data-acao'));
+        }
+      });
+    }
+
     // Botões de pagamento (apenas para financeiro)
     if (entity === 'financeiro') {
       table.addEventListener('click', (e) => {
@@ -613,6 +971,24 @@ const TableSystem = {
           AppState.editingId = btn.getAttribute('data-id');
           FinanceiroSystem.processPayment(AppState.editingId);
         }
+
+        const pixBtn = e.target.closest('.pix-btn');
+        if (pixBtn) {
+          FinanceiroSystem.showPix(pixBtn.getAttribute('data-id'));
+        }
+      });
+    }
+
+    // Botões de aprovar/rejeitar (apenas para solicitações)
+    if (entity === 'solicitacoes') {
+      table.addEventListener('click', (e) => {
+        const approveBtn = e.target.closest('.approve-btn');
+        const rejectBtn = e.target.closest('.reject-btn');
+        if (approveBtn) {
+          SolicitacaoSystem.approve(approveBtn.getAttribute('data-id'));
+        } else if (rejectBtn) {
+          SolicitacaoSystem.reject(rejectBtn.getAttribute('data-id'));
+        }
       });
     }
   },
@@ -660,8 +1036,15 @@ const ModalSystem = {
     title.textContent = `${action === 'add' ? 'Adicionar' : 'Editar'} ${Utils.getEntityName(entity)}`;
     form.innerHTML = ModalSystem.generateFormFields(entity, action);
 
+    if (entity === 'aulas') {
+      ModalSystem.toggleAulaAvulsa(false);
+      document.getElementById('tipo_aula')?.addEventListener('change', (e) => {
+        ModalSystem.toggleAulaAvulsa(e.target.value === 'avulsa');
+      });
+    }
+
     // Carregar opções para selects se necessário
-    if (entity === 'aulas' || entity === 'pagamentos') {
+    if (['aulas', 'pagamentos', 'usuarios', 'alunos', 'descontos'].includes(entity)) {
       await ModalSystem.loadSelectOptions(entity);
     }
 
@@ -673,6 +1056,24 @@ const ModalSystem = {
     modal.style.display = 'flex';
   },
 
+  /**
+   * Alterna o formulário de aulas entre aula recorrente e avulsa: a avulsa
+   * tem uma única data, sem término nem dias da semana, e na edição a data
+   * só muda pelo reagendamento
+   * @param {boolean} avulsa - Se a aula é avulsa
+   */
+  toggleAulaAvulsa: (avulsa) => {
+    const form = document.getElementById('formFields');
+    form.dataset.avulsa = avulsa ? 'true' : '';
+
+    document.getElementById('aulaGradeFields').style.display = avulsa ? 'none' : '';
+    document.getElementById('dataInicioGroup').style.display = avulsa && AppState.currentAction === 'edit' ? 'none' : '';
+    document.getElementById('dataInicioLabel').textContent = avulsa ? 'Data da Aula' : 'Data de Início';
+
+    const alunosGroup = document.getElementById('alunosAvulsaGroup');
+    if (alunosGroup) alunosGroup.style.display = avulsa ? '' : 'none';
+  },
+
   /**
    * Gera os campos do formulário para uma entidade
    * @param {string} entity - Nome da entidade
@@ -709,8 +1110,57 @@ const ModalSystem = {
                                 <option value="Canto">Canto</option>
                                 <option value="Outro">Outro</option>
                             </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="familia_id">Família</label>
+                            <select id="familia_id" class="form-control" data-nulo>
+                                <option value="">Sem família</option>
+                            </select>
                         </div>`,
 
+      'leads': `
+                        <div class="form-group">
+                            <label for="nome">Nome</label>
+                            <input type="text" id="nome" class="form-control" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="email">E-mail</label>
+                            <input type="email" id="email" class="form-control">
+                        </div>
+                        <div class="form-group">
+                            <label for="telefone">Telefone</label>
+                            <input type="tel" id="telefone" class="form-control">
+                        </div>
+                        <div class="form-group">
+                            <label for="instrumento_interesse">Instrumento de Interesse</label>
+                            <input type="text" id="instrumento_interesse" class="form-control">
+                        </div>
+                        <div class="form-group">
+                            <label for="origem">Como conheceu a escola</label>
+                            <select id="origem" class="form-control">
+                                <option value="site">Site</option>
+                                <option value="indicacao">Indicação</option>
+                                <option value="redes_sociais">Redes sociais</option>
+                                <option value="evento">Evento</option>
+                                <option value="outro">Outro</option>
+                            </select>
+                        </div>
+                        ${action === 'edit' ? `
+                        <div class="form-group">
+                            <label for="status">Status</label>
+                            <select id="status" class="form-control">
+                                <option value="novo">Novo</option>
+                                <option value="experimental">Em aula experimental</option>
+                                <option value="perdido">Perdido</option>
+                            </select>
+                        </div>
+                        ` : ''}
+                        <div class="form-group">
+                            <label for="observacoes">Observações</label>
+                            <input type="text" id="observacoes" class="form-control">
+                        </div>
+                    `,
+
       'professores': `
                         <div class="form-group">
                             <label for="nome">Nome completo</label>
@@ -729,23 +1179,42 @@ const ModalSystem = {
                             <input type="text" id="especialidade" class="form-control">
                         </div>
                         <div class="form-group">
-                            <label for="limite_alunos">Limite de Alunos por Horário</label>
+                            <label for="limite_alunos">Limite de Alunos (todas as aulas)</label>
                             <input type="number" id="limite_alunos" class="form-control" value="5" min="1">
                         </div>
+                        ${AuthSystem.can('repasse:gerenciar') ? `
                         <div class="form-group">
                             <label for="porcentagem_repassa">Porcentagem de Repasse (%)</label>
                             <input type="number" id="porcentagem_repassa" class="form-control" value="70" min="1" max="100">
                         </div>
+                        ` : ''}
                     `,
 
       'aulas': `
+                        ${action === 'add' ? `
+                        <div class="form-group">
+                            <label for="tipo_aula">Tipo de Aula</label>
+                            <select id="tipo_aula" class="form-control">
+                                <option value="recorrente">Recorrente (grade semanal)</option>
+                                <option value="avulsa">Avulsa (uma única data)</option>
+                            </select>
+                        </div>
+                        ` : ''}
                         <div class="form-group">
                             <label for="instrumento">Instrumento</label>
                             <input type="text" id="instrumento" class="form-control" required>
                         </div>
                         <div class="form-group">
-                            <label for="turno">Turno</label>
-                            <select id="turno" class="form-control" required>
+                            <label for="hora_inicio">Horário de Início</label>
+                            <input type="time" id="hora_inicio" class="form-control">
+                        </div>
+                        <div class="form-group">
+                            <label for="duracao">Duração (minutos)</label>
+                            <input type="number" id="duracao" class="form-control" value="60" min="1">
+                        </div>
+                        <div class="form-group">
+                            <label for="turno">Turno (usado apenas sem horário de início)</label>
+                            <select id="turno" class="form-control">
                                 <option value="">Selecione um turno</option>
                                 <option value="manhã">Manhã</option>
                                 <option value="tarde">Tarde</option>
@@ -759,68 +1228,323 @@ const ModalSystem = {
                             </select>
                         </div>
                         <div class="form-group">
-                            <label for="data_inicio">Data de Início</label>
-                            <input type="date" id="data_inicio" class="form-control" required>
+                            <label for="sala_id">Sala</label>
+                            <select id="sala_id" class="form-control">
+                                <option value="">Sem sala definida</option>
+                            </select>
                         </div>
                         <div class="form-group">
-                            <div class="dias-semana-container" style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 5px;">
-                                <label>Segunda<input type="checkbox" name="dias_semana" value="1"></label>
-                                <label>Terça<input type="checkbox" name="dias_semana" value="2"></label>
-                                <label>Quarta<input type="checkbox" name="dias_semana" value="3"></label>
-                                <label>Quinta<input type="checkbox" name="dias_semana" value="4"></label>
+                            <label>Recursos</label>
+                            <div id="recursosContainer">Nenhum recurso cadastrado</div>
+                        </div>
+                        <div class="form-group" id="dataInicioGroup">
+                            <label for="data_inicio" id="dataInicioLabel">Data de Início</label>
+                            <input type="date" id="data_inicio" class="form-control" required>
+                        </div>
+                        <div id="aulaGradeFields">
+                            <div class="form-group">
+                                <label for="data_fim">Data de Término (opcional)</label>
+                                <input type="date" id="data_fim" class="form-control">
+                            </div>
+                            <div class="form-group">
+                                <div class="dias-semana-container" style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 5px;">
+                                    <label>Segunda<input type="checkbox" name="dias_semana" value="1"></label>
+                                    <label>Terça<input type="checkbox" name="dias_semana" value="2"></label>
+                                    <label>Quarta<input type="checkbox" name="dias_semana" value="3"></label>
+                                    <label>Quinta<input type="checkbox" name="dias_semana" value="4"></label>
+                                </div>
                             </div>
                         </div>
+                        ${action === 'add' ? `
+                        <div class="form-group" id="alunosAvulsaGroup" style="display: none;">
+                            <label for="alunos_avulsa">Alunos (segure Ctrl para selecionar vários)</label>
+                            <select id="alunos_avulsa" class="form-control" multiple></select>
+                        </div>
+                        ` : ''}
                     `,
 
-      'pagamentos': `
+      'salas': `
                         <div class="form-group">
-                            <label for="aluno_id">Aluno</label>
-                            <select id="aluno_id" class="form-control" required>
-                                <option value="">Selecione um aluno</option>
-                            </select>
+                            <label for="nome">Nome</label>
+                            <input type="text" id="nome" class="form-control" required>
                         </div>
                         <div class="form-group">
-                            <label for="valor">Valor (R$)</label>
-                            <input type="number" id="valor" class="form-control" step="0.01" min="0" required>
+                            <label for="capacidade">Capacidade (alunos)</label>
+                            <input type="number" id="capacidade" class="form-control" value="1" min="1" required>
                         </div>
                         <div class="form-group">
-                            <label for="data_vencimento">Data de Vencimento</label>
-                            <input type="date" id="data_vencimento" class="form-control" required>
+                            <label for="descricao">Descrição</label>
+                            <input type="text" id="descricao" class="form-control">
                         </div>
-                    `
-    };
-
-    return fields[entity] || '<p>Formulário não disponível para esta entidade.</p>';
-  },
+                    `,
 
-  /**
-   * Carrega opções para selects baseado na entidade
-   * @param {string} entity - Nome da entidade
-   */
-  loadSelectOptions: async (entity) => {
-    try {
-      if (entity === 'aulas') {
-        const professoresData = await ApiService.request('/professores');
-        const professores = professoresData.professores || professoresData;
+      'recursos': `
+                        <div class="form-group">
+                            <label for="nome">Nome</label>
+                            <input type="text" id="nome" class="form-control" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="tipo">Tipo</label>
+                            <input type="text" id="tipo" class="form-control" placeholder="Ex.: bateria, piano">
+                        </div>
+                        <div class="form-group">
+                            <label for="quantidade">Quantidade disponível</label>
+                            <input type="number" id="quantidade" class="form-control" value="1" min="1" required>
+                        </div>
+                    `,
 
-        const professorSelect = document.getElementById('professor_id');
-        if (professorSelect) {
-          professorSelect.innerHTML = '<option value="">Selecione um professor</option>';
-          professores.forEach(professor => {
-            professorSelect.innerHTML += `<option value="${professor.id}">${professor.nome}</option>`;
-          });
-        }
-      } else if (entity === 'pagamentos') {
-        const alunosData = await ApiService.request('/alunos');
-        const alunos = alunosData.alunos || alunosData;
+      'familias': `
+                        <div class="form-group">
+                            <label for="nome">Nome da família</label>
+                            <input type="text" id="nome" class="form-control" placeholder="Ex.: Família Silva" required>
+                        </div>
+                    `,
 
-        const alunoSelect = document.getElementById('aluno_id');
-        if (alunoSelect) {
-          alunoSelect.innerHTML = '<option value="">Selecione um aluno</option>';
-          alunos.forEach(aluno => {
-            alunoSelect.innerHTML += `<option value="${aluno.id}">${aluno.nome}</option>`;
-          });
-        }
+      'descontos': `
+                        <div class="form-group">
+                            <label for="nome">Nome</label>
+                            <input type="text" id="nome" class="form-control" placeholder="Ex.: Desconto de irmãos" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="tipo">Tipo</label>
+                            <select id="tipo" class="form-control" required>
+                                <option value="percentual">Percentual (%)</option>
+                                <option value="fixo">Valor fixo (R$)</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="valor">Valor</label>
+                            <input type="number" id="valor" class="form-control" min="0.01" step="0.01" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="aluno_id">Aluno (bolsa ou desconto individual)</label>
+                            <select id="aluno_id" class="form-control" data-nulo>
+                                <option value="">Nenhum</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="familia_id">Família (desconto de irmãos)</label>
+                            <select id="familia_id" class="form-control" data-nulo>
+                                <option value="">Nenhuma</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="minimo_alunos">Mínimo de alunos da família</label>
+                            <input type="number" id="minimo_alunos" class="form-control" value="2" min="1">
+                        </div>
+                        <div class="form-group">
+                            <label for="data_inicio">Válido de</label>
+                            <input type="date" id="data_inicio" class="form-control" data-nulo>
+                        </div>
+                        <div class="form-group">
+                            <label for="data_fim">Válido até</label>
+                            <input type="date" id="data_fim" class="form-control" data-nulo>
+                        </div>
+                    `,
+
+      'planos': `
+                        <div class="form-group">
+                            <label for="nome">Nome</label>
+                            <input type="text" id="nome" class="form-control" placeholder="Ex.: Piano 1x por semana" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="instrumento">Instrumento</label>
+                            <input type="text" id="instrumento" class="form-control" placeholder="Em branco: qualquer instrumento">
+                        </div>
+                        <div class="form-group">
+                            <label for="aulas_por_semana">Aulas por semana</label>
+                            <input type="number" id="aulas_por_semana" class="form-control" value="1" min="1" max="7" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="valor">Valor mensal (R$)</label>
+                            <input type="number" id="valor" class="form-control" min="0.01" step="0.01" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="dia_vencimento">Dia de vencimento</label>
+                            <input type="number" id="dia_vencimento" class="form-control" value="10" min="1" max="28" required>
+                        </div>
+                    `,
+
+      'feriados': `
+                        <div class="form-group">
+                            <label for="nome">Nome</label>
+                            <input type="text" id="nome" class="form-control" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="data_inicio">Início</label>
+                            <input type="date" id="data_inicio" class="form-control" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="data_fim">Fim (recessos de vários dias)</label>
+                            <input type="date" id="data_fim" class="form-control">
+                        </div>
+                        <div class="form-group">
+                            <label for="tipo">Tipo</label>
+                            <select id="tipo" class="form-control">
+                                <option value="feriado">Feriado</option>
+                                <option value="recesso">Recesso</option>
+                                <option value="nacional">Nacional</option>
+                            </select>
+                        </div>
+                    `,
+
+      'pagamentos': `
+                        <div class="form-group">
+                            <label for="aluno_id">Aluno</label>
+                            <select id="aluno_id" class="form-control" required>
+                                <option value="">Selecione um aluno</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="valor">Valor (R$)</label>
+                            <input type="number" id="valor" class="form-control" step="0.01" min="0" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="data_vencimento">Data de Vencimento</label>
+                            <input type="date" id="data_vencimento" class="form-control" required>
+                        </div>
+                    `,
+
+      'usuarios': `
+                        <div class="form-group">
+                            <label for="nome">Nome</label>
+                            <input type="text" id="nome" class="form-control" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="email">E-mail</label>
+                            <input type="email" id="email" class="form-control" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="senha">Senha${action === 'edit' ? ' (deixe em branco para manter)' : ''}</label>
+                            <input type="password" id="senha" class="form-control" minlength="8" ${action === 'add' ? 'required' : ''}>
+                        </div>
+                        <div class="form-group">
+                            <label for="role">Perfil</label>
+                            <select id="role" class="form-control" required>
+                                <option value="admin">Administrador</option>
+                                <option value="secretaria">Secretaria</option>
+                                <option value="professor">Professor</option>
+                                <option value="aluno">Aluno</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="professor_id">Professor vinculado</label>
+                            <select id="professor_id" class="form-control">
+                                <option value="">Nenhum</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="aluno_id">Aluno vinculado</label>
+                            <select id="aluno_id" class="form-control">
+                                <option value="">Nenhum</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="ativo">Situação</label>
+                            <select id="ativo" class="form-control">
+                                <option value="true">Ativo</option>
+                                <option value="false">Inativo</option>
+                            </select>
+                        </div>
+                    `
+    };
+
+    return fields[entity] || '<p>Formulário não disponível para esta entidade.</p>';
+  },
+
+  /**
+   * Carrega opções para selects baseado na entidade
+   * @param {string} entity - Nome da entidade
+   */
+  loadSelectOptions: async (entity) => {
+    try {
+      if (entity === 'aulas') {
+        const professoresData = await ApiService.request('/professores');
+        const professores = professoresData.professores || professoresData;
+
+        const professorSelect = document.getElementById('professor_id');
+        if (professorSelect) {
+          professorSelect.innerHTML = '<option value="">Selecione um professor</option>';
+          professores.forEach(professor => {
+            professorSelect.innerHTML += `<option value="${professor.id}">${Utils.escapeHtml(professor.nome)}</option>`;
+          });
+        }
+
+        // Salas e recursos disponíveis para reserva
+        const [salasData, recursosData] = await Promise.all([
+          AuthSystem.can('salas:ler') ? ApiService.request('/salas') : { salas: [] },
+          AuthSystem.can('recursos:ler') ? ApiService.request('/recursos') : { recursos: [] }
+        ]);
+
+        const salaSelect = document.getElementById('sala_id');
+        if (salaSelect) {
+          salaSelect.innerHTML = '<option value="">Sem sala definida</option>';
+          salasData.salas.forEach(sala => {
+            salaSelect.innerHTML += `<option value="${sala.id}">${Utils.escapeHtml(sala.nome)} (${sala.capacidade} alunos)</option>`;
+          });
+        }
+
+        // Alunos de uma aula avulsa, escolhidos já no cadastro
+        const alunosSelect = document.getElementById('alunos_avulsa');
+        if (alunosSelect) {
+          const alunosData = await ApiService.request('/alunos');
+          (alunosData.alunos || alunosData).forEach(aluno => {
+            alunosSelect.innerHTML += `<option value="${aluno.id}">${Utils.escapeHtml(aluno.nome)}</option>`;
+          });
+        }
+
+        const recursosContainer = document.getElementById('recursosContainer');
+        if (recursosContainer && recursosData.recursos.length > 0) {
+          recursosContainer.innerHTML = recursosData.recursos.map(recurso => `
+                            <label style="display: flex; align-items: center; gap: 8px;">
+                                <input type="checkbox" name="recursos" value="${recurso.id}">
+                                ${Utils.escapeHtml(recurso.nome)} (disponível: ${recurso.quantidade})
+                                <input type="number" class="recurso-quantidade" data-recurso-id="${recurso.id}" value="1" min="1" max="${recurso.quantidade}" style="width: 60px;">
+                            </label>
+                        `).join('');
+        }
+      } else if (entity === 'pagamentos') {
+        const alunosData = await ApiService.request('/alunos');
+        const alunos = alunosData.alunos || alunosData;
+
+        const alunoSelect = document.getElementById('aluno_id');
+        if (alunoSelect) {
+          alunoSelect.innerHTML = '<option value="">Selecione um aluno</option>';
+          alunos.forEach(aluno => {
+            alunoSelect.innerHTML += `<option value="${aluno.id}">${Utils.escapeHtml(aluno.nome)}</option>`;
+          });
+        }
+      } else if (entity === 'alunos' || entity === 'descontos') {
+        // Famílias (e, nos descontos, alunos) a que o registro pode se referir
+        const [familiasData, alunosData] = await Promise.all([
+          AuthSystem.can('familias:ler') ? ApiService.request('/familias') : { familias: [] },
+          entity === 'descontos' ? ApiService.request('/alunos') : { alunos: [] }
+        ]);
+
+        const familiaSelect = document.getElementById('familia_id');
+        familiasData.familias.forEach(familia => {
+          familiaSelect.innerHTML += `<option value="${familia.id}">${Utils.escapeHtml(familia.nome)}</option>`;
+        });
+
+        const alunoSelect = document.getElementById('aluno_id');
+        (alunosData.alunos || alunosData).forEach(aluno => {
+          alunoSelect.innerHTML += `<option value="${aluno.id}">${Utils.escapeHtml(aluno.nome)}</option>`;
+        });
+      } else if (entity === 'usuarios') {
+        const [professoresData, alunosData] = await Promise.all([
+          ApiService.request('/professores'),
+          ApiService.request('/alunos')
+        ]);
+
+        const professorSelect = document.getElementById('professor_id');
+        (professoresData.professores || professoresData).forEach(professor => {
+          professorSelect.innerHTML += `<option value="${professor.id}">${Utils.escapeHtml(professor.nome)}</option>`;
+        });
+
+        const alunoSelect = document.getElementById('aluno_id');
+        (alunosData.alunos || alunosData).forEach(aluno => {
+          alunoSelect.innerHTML += `<option value="${aluno.id}">${Utils.escapeHtml(aluno.nome)}</option>`;
+        });
       }
     } catch (error) {
       console.error(`Erro ao carregar opções para ${entity}:`, error);
@@ -840,12 +1564,16 @@ const ModalSystem = {
 
       // Preencher os campos do formulário
       Object.keys(data).forEach(key => {
-        const field = document.getElementById(key);
+        const field = document.querySelector(`#formFields #${key}`);
         if (field) {
-          field.value = data[key] || '';
+          field.value = typeof data[key] === 'boolean' ? String(data[key]) : data[key] || '';
         }
       });
 
+      if (entity === 'aulas' && data.avulsa) {
+        ModalSystem.toggleAulaAvulsa(true);
+      }
+
       // Preencher checkboxes de dias da semana para aulas
       if (entity === 'aulas' && data.dias_semana) {
         const checkboxes = document.querySelectorAll('input[name="dias_semana"]');
@@ -862,6 +1590,18 @@ const ModalSystem = {
           if (professorField && data.professor_id) {
             professorField.value = data.professor_id;
           }
+
+          const salaField = document.getElementById('sala_id');
+          if (salaField) {
+            salaField.value = data.sala_id || '';
+          }
+
+          (data.recursos || []).forEach(recurso => {
+            const checkbox = document.querySelector(`input[name="recursos"][value="${recurso.recurso_id}"]`);
+            const quantidade = document.querySelector(`.recurso-quantidade[data-recurso-id="${recurso.recurso_id}"]`);
+            if (checkbox) checkbox.checked = true;
+            if (quantidade) quantidade.value = recurso.quantidade;
+          });
         }, 100);
       }
     } catch (error) {
@@ -882,30 +1622,60 @@ const ModalSystem = {
       if (entity === 'aulas') {
         const diasSemanaCheckboxes = document.querySelectorAll('input[name="dias_semana"]:checked');
         const dias_semana = Array.from(diasSemanaCheckboxes).map(cb => parseInt(cb.value));
+        const recursos = Array.from(document.querySelectorAll('input[name="recursos"]:checked')).map(cb => ({
+          recurso_id: parseInt(cb.value, 10),
+          quantidade: parseInt(document.querySelector(`.recurso-quantidade[data-recurso-id="${cb.value}"]`).value, 10) || 1
+        }));
+
+        // Com horário de início, o turno é derivado pelo servidor
+        const horaInicio = document.getElementById('hora_inicio').value;
+        const turno = document.getElementById('turno').value;
+        if (!horaInicio && !turno) {
+          ToastSystem.show('Informe o horário de início ou o turno da aula.', 'warning');
+          return;
+        }
 
         formData = {
           instrumento: document.getElementById('instrumento').value,
-          turno: document.getElementById('turno').value,
+          turno: horaInicio ? undefined : turno,
+          hora_inicio: horaInicio || null,
+          duracao: parseInt(document.getElementById('duracao').value, 10) || 60,
           professor_id: document.getElementById('professor_id').value,
-          data_inicio: document.getElementById('data_inicio').value,
-          dias_semana: dias_semana
+          sala_id: document.getElementById('sala_id').value || null,
+          recursos: recursos
         };
 
+        // Aulas avulsas têm só a data da aula, que na edição muda pelo reagendamento
+        const avulsa = document.getElementById('formFields').dataset.avulsa === 'true';
+        if (!avulsa) {
+          formData.data_inicio = document.getElementById('data_inicio').value;
+          formData.data_fim = document.getElementById('data_fim').value || null;
+          formData.dias_semana = dias_semana;
+        } else if (action === 'add') {
+          formData.data_aula = document.getElementById('data_inicio').value;
+          formData.alunos = Array.from(document.getElementById('alunos_avulsa').selectedOptions)
+            .map(option => parseInt(option.value, 10));
+        }
+
         let endpoint, method;
         if (action === 'add') {
-          endpoint = '/aulas/configurar';
+          endpoint = avulsa ? '/aulas/avulsas' : '/aulas/configurar';
           method = 'POST';
         } else {
           endpoint = `/aulas/configuradas/${AppState.editingId}`;
           method = 'PUT';
         }
 
-        await ApiService.request(endpoint, method, formData);
+        // Na edição, o servidor ajusta as aulas já geradas à nova configuração
+        await ApiService.requestWithOverride(endpoint, method, formData);
       } else {
         const fields = document.querySelectorAll('#formFields .form-control');
         fields.forEach(field => {
           if (field.type === 'number' || field.type === 'range') {
             formData[field.id] = field.value ? parseFloat(field.value) : null;
+          } else if (field.hasAttribute('data-nulo') && !field.value) {
+            // Campos opcionais (vínculos, datas) vão vazios como null
+            formData[field.id] = null;
           } else {
             formData[field.id] = field.value;
           }
@@ -915,13 +1685,6 @@ const ModalSystem = {
         const method = action === 'add' ? 'POST' : 'PUT';
 
         await ApiService.request(endpoint, method, formData);
-
-        if (entity === 'aulas' && action === 'add') {
-          // Gerar agendamentos para as próximas 4 semanas
-          await ApiService.request(`/aulas/configuradas/${result.id}/gerar-agendamento`, 'POST', {
-            semanas: 4
-          });
-        }
       }
 
       ToastSystem.show(`${Utils.getEntityName(entity)} ${action === 'add' ? 'criado' : 'atualizado'} com sucesso!`, 'success');
@@ -988,11 +1751,57 @@ const ModalSystem = {
  * Sistema de navegação e carregamento de seções
  */
 const NavigationSystem = {
+  // Permissão necessária para ver cada seção (null = sempre visível, função = regra própria)
+  sectionPermissions: {
+    'dashboard': null,
+    'alunos': 'alunos:ler',
+    'professores': 'professores:ler',
+    'aulas': 'aulas:ler',
+    'financeiro': 'financeiro:ler',
+    'relatorios': 'relatorios:ler',
+    'usuarios': 'usuarios:gerenciar',
+    'portalProfessor': () => Boolean(AppState.currentUser?.professorId),
+    'portalAluno': () => Boolean(AppState.currentUser?.alunoId),
+    'solicitacoes': 'agenda:solicitar',
+    'salas': 'salas:ler',
+    'recursos': 'recursos:ler',
+    'feriados': 'feriados:gerenciar',
+    'leads': 'leads:gerenciar',
+    'planos': 'planos:ler',
+    'familias': 'familias:ler',
+    'descontos': 'descontos:ler'
+  },
+
+  /**
+   * Verifica se o usuário atual pode acessar uma seção
+   * @param {string} section - Nome da seção
+   * @returns {boolean} true se a seção é acessível
+   */
+  canAccess: (section) => {
+    const permission = NavigationSystem.sectionPermissions[section];
+    if (typeof permission === 'function') return permission();
+    return !permission || AuthSystem.can(permission, true);
+  },
+
+  /**
+   * Oculta os itens do menu que o perfil atual não pode acessar
+   */
+  applyPermissions: () => {
+    document.querySelectorAll('.menu li[data-section]').forEach(item => {
+      const section = item.getAttribute('data-section');
+      item.style.display = NavigationSystem.canAccess(section) ? '' : 'none';
+    });
+  },
+
   /**
    * Altera a seção atual
    * @param {string} section - Nome da seção
    */
   changeSection: (section) => {
+    if (!NavigationSystem.canAccess(section)) {
+      section = 'dashboard';
+    }
+
     AppState.currentSection = section;
 
     // Atualizar menu ativo
@@ -1015,7 +1824,9 @@ const NavigationSystem = {
     document.getElementById(section + 'Section').style.display = 'block';
 
     // Mostrar/ocultar botão adicionar
-    DomElements.addButton.style.display = ['dashboard', 'relatorios'].includes(section) ? 'none' : 'block';
+    const canManage = AuthSystem.can(`${section}:gerenciar`);
+    const readOnlySections = ['dashboard', 'relatorios', 'portalProfessor', 'portalAluno', 'solicitacoes'];
+    DomElements.addButton.style.display = readOnlySections.includes(section) || !canManage ? 'none' : 'block';
 
     // Carregar dados da seção
     NavigationSystem.loadSectionData(section);
@@ -1039,12 +1850,45 @@ const NavigationSystem = {
       case 'aulas':
         AulaSystem.load();
         break;
+      case 'salas':
+        ApiService.loadEntityData('salas', 'salasTable');
+        break;
+      case 'recursos':
+        ApiService.loadEntityData('recursos', 'recursosTable');
+        break;
+      case 'feriados':
+        FeriadosSystem.load();
+        break;
+      case 'leads':
+        LeadsSystem.load();
+        break;
       case 'financeiro':
-        ApiService.loadEntityData('financeiro', 'financeiroTable');
+        FinanceiroSystem.load();
+        break;
+      case 'planos':
+        FinanceiroSystem.loadPlanos();
+        break;
+      case 'familias':
+        ApiService.loadEntityData('familias', 'familiasTable');
+        break;
+      case 'descontos':
+        FinanceiroSystem.loadDescontos();
         break;
       case 'relatorios':
         // Não precisa carregar dados inicialmente
         break;
+      case 'usuarios':
+        ApiService.loadEntityData('usuarios', 'usuariosTable');
+        break;
+      case 'portalProfessor':
+        ProfessorPortalSystem.load();
+        break;
+      case 'portalAluno':
+        AlunoPortalSystem.load();
+        break;
+      case 'solicitacoes':
+        SolicitacaoSystem.load();
+        break;
     }
   },
 
@@ -1064,6 +1908,9 @@ const NavigationSystem = {
  * Sistema de autenticação e gerenciamento de usuário
  */
 const AuthSystem = {
+  // Renovação de sessão em andamento (compartilhada entre requisições simultâneas)
+  refreshing: null,
+
   /**
    * Manipula o processo de login
    * @param {Event} e - Evento de submit do formulário
@@ -1075,42 +1922,110 @@ const AuthSystem = {
     const password = document.getElementById('password').value;
 
     try {
-      if (email === 'admin@music.com' && password === 'senha123') {
-        const userData = {
-          id: 1,
-          name: 'Administrador',
-          email: email,
-          role: 'admin',
-          token: AppConfig.TOKEN_PREFIX + Date.now()
-        };
+      const data = await ApiService.request('/auth/login', 'POST', { email, senha: password });
+      AuthSystem.saveSession(data);
 
-        localStorage.setItem('authToken', userData.token);
-        localStorage.setItem('userData', JSON.stringify(userData));
-
-        AppState.currentUser = userData;
-        AuthSystem.showMainSystem();
-        ToastSystem.show('Login realizado com sucesso!', 'success');
-      } else {
-        ToastSystem.show('Credenciais inválidas. Use admin@music.com / senha123 para teste.', 'error');
-      }
+      AuthSystem.showMainSystem();
+      ToastSystem.show('Login realizado com sucesso!', 'success');
     } catch (error) {
       console.error('Erro no login:', error);
-      ToastSystem.show('Erro ao fazer login. Tente novamente.', 'error');
+      if (error.message.startsWith('HTTP 401')) {
+        ToastSystem.show('Credenciais inválidas.', 'error');
+      } else {
+        ToastSystem.show('Erro ao fazer login. Tente novamente.', 'error');
+      }
+    }
+  },
+
+  /**
+   * Armazena os tokens e os dados do usuário retornados pela API
+   * @param {Object} data - Resposta de /auth/login ou /auth/refresh
+   */
+  saveSession: (data) => {
+    const userData = AuthSystem.toUserData(data.usuario);
+
+    localStorage.setItem('authToken', data.token);
+    localStorage.setItem('refreshToken', data.refresh_token);
+    localStorage.setItem('userData', JSON.stringify(userData));
+
+    AppState.currentUser = userData;
+  },
+
+  /**
+   * Converte o usuário retornado pela API para o formato usado no AppState
+   * @param {Object} usuario - Usuário retornado pela API
+   * @returns {Object} Dados do usuário atual
+   */
+  toUserData: (usuario) => ({
+    id: usuario.id,
+    name: usuario.nome,
+    email: usuario.email,
+    role: usuario.role,
+    professorId: usuario.professor_id,
+    alunoId: usuario.aluno_id,
+    permissions: usuario.permissoes || []
+  }),
+
+  /**
+   * Verifica se o usuário atual possui uma permissão
+   * @param {string} permission - Nome da permissão
+   * @param {boolean} allowOwn - Aceitar também a variante restrita aos próprios registros
+   * @returns {boolean} true se a permissão foi concedida
+   */
+  can: (permission, allowOwn = false) => {
+    const permissions = AppState.currentUser?.permissions || [];
+    return permissions.includes('*') ||
+      permissions.includes(permission) ||
+      (allowOwn && permissions.includes(`${permission}:proprio`));
+  },
+
+  /**
+   * Remove os dados da sessão do navegador
+   */
+  clearSession: () => {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('userData');
+    AppState.currentUser = null;
+  },
+
+  /**
+   * Renova a sessão usando o refresh token
+   * @returns {Promise<boolean>} true se a sessão foi renovada
+   */
+  refreshSession: () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return Promise.resolve(false);
+
+    if (!AuthSystem.refreshing) {
+      AuthSystem.refreshing = ApiService.request('/auth/refresh', 'POST', { refresh_token: refreshToken })
+        .then(data => {
+          AuthSystem.saveSession(data);
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => {
+          AuthSystem.refreshing = null;
+        });
     }
+
+    return AuthSystem.refreshing;
   },
 
   /**
-   * Valida o token de autenticação
+   * Valida o token de autenticação junto ao servidor
    * @param {string} token - Token JWT
    */
-  validateToken: (token) => {
-    if (token && token.startsWith(AppConfig.TOKEN_PREFIX)) {
-      const userData = JSON.parse(localStorage.getItem('userData') || '{}');
-      AppState.currentUser = userData;
+  validateToken: async (token) => {
+    try {
+      if (!token) throw new Error('Token ausente');
+
+      const data = await ApiService.request('/auth/me');
+      AppState.currentUser = AuthSystem.toUserData(data.usuario);
+      localStorage.setItem('userData', JSON.stringify(AppState.currentUser));
       AuthSystem.showMainSystem();
-    } else {
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('userData');
+    } catch (error) {
+      AuthSystem.clearSession();
       AuthSystem.showLogin();
     }
   },
@@ -1118,14 +2033,29 @@ const AuthSystem = {
   /**
    * Manipula o logout do usuário
    */
-  handleLogout: () => {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('userData');
-    AppState.currentUser = null;
+  handleLogout: async () => {
+    try {
+      await ApiService.request('/auth/logout', 'POST', {}, false);
+    } catch (error) {
+      console.error('Erro ao encerrar sessão no servidor:', error);
+    }
+
+    AuthSystem.clearSession();
     AuthSystem.showLogin();
     ToastSystem.show('Logout realizado com sucesso', 'info');
   },
 
+  /**
+   * Volta para o login quando a sessão não pode ser renovada
+   */
+  handleSessionExpired: () => {
+    if (!AppState.currentUser) return;
+
+    AuthSystem.clearSession();
+    AuthSystem.showLogin();
+    ToastSystem.show('Sua sessão expirou. Faça login novamente.', 'warning');
+  },
+
   /**
    * Exibe a tela de login
    */
@@ -1144,11 +2074,14 @@ const AuthSystem = {
     // Atualizar informações do usuário
     if (AppState.currentUser) {
       document.getElementById('userName').textContent = AppState.currentUser.name;
-      document.getElementById('userRole').textContent = AppState.currentUser.role;
+      document.getElementById('userRole').textContent = Utils.getRoleName(AppState.currentUser.role);
     }
 
+    // Ocultar seções que o perfil não pode acessar
+    NavigationSystem.applyPermissions();
+
     // Carregar dados iniciais
-    DashboardSystem.loadData();
+    NavigationSystem.changeSection('dashboard');
   }
 };
 
@@ -1165,6 +2098,15 @@ const DashboardSystem = {
    */
   loadData: async () => {
     try {
+      // Professores e alunos veem apenas a própria agenda
+      const stats = document.querySelector('#dashboardSection .stats');
+      if (!AuthSystem.can('relatorios:ler')) {
+        if (stats) stats.style.display = 'none';
+        DashboardSystem.loadAgenda();
+        return;
+      }
+      if (stats) stats.style.display = '';
+
       const data = await ApiService.request('/relatorios/resumo');
 
       document.getElementById('totalAlunos').textContent = data.totalAlunos || '0';
@@ -1192,6 +2134,7 @@ const DashboardSystem = {
       const agenda = DashboardSystem.processarAgendamentosParaCalendario(data.agendamentos);
 
       DashboardSystem.renderAgenda(agenda);
+      DashboardSystem.renderOcupacaoSalas(data.ocupacao_salas || []);
       DashboardSystem.updateWeekDisplay(); // Adicione esta linha
     } catch (error) {
       console.error('Erro ao carregar agenda:', error);
@@ -1307,7 +2250,9 @@ const DashboardSystem = {
             tableHTML += `
                 <div class="aula-item ${aula.status === 'cancelada' ? 'cancelada' : ''}" 
                       data-agendamento-id="${aula.id}">
-                    <strong>${aula.instrumento}</strong> - ${aula.professor_nome}
+                    ${aula.hora_inicio ? `<small>${Utils.formatTimeRange(aula)}</small><br>` : ''}
+                    <strong>${Utils.escapeHtml(aula.instrumento)}</strong>${aula.avulsa ? ' <small>(avulsa)</small>' : ''} - ${aula.professor_substituto_nome ? `${Utils.escapeHtml(aula.professor_substituto_nome)} (substituto)` : Utils.escapeHtml(aula.professor_nome)}
+                    ${aula.sala_nome ? `<br><small>${Utils.escapeHtml(aula.sala_nome)} (${aula.total_alunos}/${aula.sala_capacidade})</small>` : ''}
                     <small>(${aula.status})</small>
                 </div>
             `;
@@ -1339,6 +2284,33 @@ const DashboardSystem = {
     });
   },
 
+  /**
+   * Renderiza a ocupação das salas na semana exibida
+   * @param {Array} salas - Ocupação por sala ({ nome, capacidade, aulas, minutos })
+   */
+  renderOcupacaoSalas: (salas) => {
+    const container = document.getElementById('ocupacaoSalas');
+    if (!container) return;
+
+    if (salas.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <h4>Ocupação das salas</h4>
+      <div class="ocupacao-salas">
+        ${salas.map(sala => `
+          <div class="ocupacao-sala">
+            <strong>${Utils.escapeHtml(sala.nome)}</strong>
+            <small>${sala.aulas} aula${sala.aulas === 1 ? '' : 's'} - ${Math.floor(sala.minutos / 60)}h${String(sala.minutos % 60).padStart(2, '0')} ocupadas</small>
+            <small>Capacidade: ${sala.capacidade} alunos</small>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
+
   /**
    * Mostra o modal com as aulas de um horário específico
    * @param {string} dia - Dia da semana
@@ -1359,7 +2331,7 @@ const DashboardSystem = {
           ${aulas.map((aula, index) => `
             <button class="professor-btn ${index === 0 ? 'active' : ''}" 
                     data-aula-id="${aula.id}">
-              ${aula.professor_nome}
+              ${aula.hora_inicio ? `${aula.hora_inicio} - ` : ''}${Utils.escapeHtml(aula.professor_nome)}
             </button>
           `).join('')}
         </div>
@@ -1441,7 +2413,11 @@ const DashboardSystem = {
       <div class="aula-detalhe">
         <h3>${aula.instrumento} - Prof. ${aula.professor_nome}</h3>
         <p><strong>Status:</strong> ${aula.status || 'agendada'}</p>
-        <p><strong>Dias da semana:</strong> ${diasSemana}</p>
+        ${aula.professor_substituto_nome ? `<p><strong>Substituto:</strong> ${Utils.escapeHtml(aula.professor_substituto_nome)}</p>` : ''}
+        ${aula.hora_inicio ? `<p><strong>Horário:</strong> ${Utils.formatTimeRange(aula)}</p>` : ''}
+        ${aula.sala_nome ? `<p><strong>Sala:</strong> ${Utils.escapeHtml(aula.sala_nome)} (${aula.total_alunos}/${aula.sala_capacidade} alunos)</p>` : ''}
+        ${aula.recursos && aula.recursos.length > 0 ? `<p><strong>Recursos:</strong> ${aula.recursos.map(r => `${Utils.escapeHtml(r.nome)} (${r.quantidade})`).join(', ')}</p>` : ''}
+        ${aula.avulsa ? '<p><strong>Aula avulsa</strong></p>' : `<p><strong>Dias da semana:</strong> ${diasSemana}</p>`}
         <p><strong>Total de alunos:</strong> ${aula.total_alunos || 0}</p>
         
         <h4>Alunos Matriculados:</h4>
@@ -1504,8 +2480,19 @@ const AulaSystem = {
    */
   load: async () => {
     try {
-      const data = await ApiService.request('/aulas/configuradas');
-      const aulas = data.aulas || data;
+      const user = AppState.currentUser;
+      let endpoint = '/aulas/configuradas';
+
+      // Sem acesso a todas as aulas, listar apenas as do próprio professor ou aluno
+      if (!AuthSystem.can('aulas:ler')) {
+        endpoint = user.professorId ? `/professores/${user.professorId}/aulas` : `/alunos/${user.alunoId}/aulas`;
+      }
+
+      const data = await ApiService.request(endpoint);
+      const aulas = (data.aulas || data).map(aula => ({
+        ...aula,
+        professor_nome: aula.professor_nome || user.name
+      }));
       TableSystem.render(aulas, 'aulasTable', 'aulas');
     } catch (error) {
       console.error('Erro ao carregar aulas:', error);
@@ -1522,9 +2509,30 @@ const AulaSystem = {
     try {
       const agendamento = await ApiService.request(`/aulas/agendadas/${aulaId}`);
       const aula = await ApiService.request(`/aulas/configuradas/${agendamento.aula_configurada_id}`);
-      const alunosData = await ApiService.request('/alunos');
+      const canManage = AuthSystem.can('aulas:gerenciar');
+      const canRecord = AuthSystem.can('presenca:registrar', true);
+      const alunosData = canManage ? await ApiService.request('/alunos') : [];
       const alunos = alunosData.alunos || alunosData;
 
+      // Planos que podem ser cobrados na aula (mesmo instrumento e frequência)
+      const canBill = AuthSystem.can('financeiro:gerenciar') && !aula.avulsa;
+      const planosData = canBill ? await ApiService.request('/planos') : {};
+      const planos = (planosData.planos_mensalidade || []).filter(plano =>
+        aula.alunos.some(aluno => aluno.plano_id === plano.id) || (
+          (!plano.instrumento || plano.instrumento.toLowerCase() === aula.instrumento.toLowerCase()) &&
+          plano.aulas_por_semana === aula.dias_semana.length
+        )
+      );
+
+      // Frequência de cada aluno na turma
+      const frequencia = canRecord
+        ? await ApiService.request(`/aulas/configuradas/${agendamento.aula_configurada_id}/presencas`)
+        : { alunos: [] };
+      const taxaAluno = (alunoId) => {
+        const registro = frequencia.alunos.find(f => f.aluno_id === alunoId);
+        return registro && registro.taxa_presenca !== null ? ` - Frequência: ${registro.taxa_presenca}%` : '';
+      };
+
       // Criar modal para exibir detalhes
       const modal = document.createElement('div');
       modal.className = 'modal';
@@ -1533,29 +2541,65 @@ const AulaSystem = {
                             <span class="close">&times;</span>
                             <h2>Detalhes da Aula - ${Utils.formatDate(agendamento.data_aula)}</h2>
                             <p><strong>Instrumento:</strong> ${aula.instrumento}</p>
-                            <p><strong>Turno:</strong> ${aula.turno}</p>
+                            <p><strong>Turno:</strong> ${aula.turno}${aula.hora_inicio ? ` (${Utils.formatTimeRange(aula)})` : ''}</p>
                             <p><strong>Professor:</strong> ${aula.professor_nome}</p>
+                            ${aula.sala_nome ? `<p><strong>Sala:</strong> ${Utils.escapeHtml(aula.sala_nome)} (capacidade: ${aula.sala_capacidade})</p>` : ''}
+                            ${aula.recursos.length > 0 ? `<p><strong>Recursos:</strong> ${aula.recursos.map(r => `${Utils.escapeHtml(r.nome)} (${r.quantidade})`).join(', ')}</p>` : ''}
+                            ${aula.avulsa ? '<p><strong>Aula avulsa</strong></p>' : `
                             <p><strong>Data de Início:</strong> ${Utils.formatDate(aula.data_inicio)}</p>
                             <p><strong>Dias da Semana:</strong> ${aula.dias_semana.map(dia => ['Segunda', 'Terça', 'Quarta', 'Quinta'][dia]).join(', ')}</p>
+                            `}
                             
-                            <h3>Alunos Vinculados</h3>
+                            <h3>Alunos Vinculados (${aula.alunos.length}) <small>- professor com ${aula.alunos_professor}/${aula.limite_alunos} alunos</small></h3>
                             <ul id="alunos-vinculados" style="list-style: none; padding: 0;">
                                 ${aula.alunos && aula.alunos.length > 0 ? aula.alunos.map(aluno => `
                                     <li style="display: flex; color: #000; justify-content: space-between; align-items: center; margin-bottom: 10px; padding: 10px; background: #aaa; border-radius: 4px;">
-                                        <span>${aluno.nome} - ${aluno.email}</span>
+                                        <span>${Utils.escapeHtml(aluno.nome)} - ${Utils.escapeHtml(aluno.email)}${taxaAluno(aluno.id)}</span>
+                                        ${canBill ? `
+                                        <select class="form-control plano-matricula" data-aluno-id="${aluno.id}" style="max-width: 180px; margin-left: 10px;">
+                                            <option value="">Sem plano</option>
+                                            ${planos.map(plano => `
+                                            <option value="${plano.id}" ${plano.id === aluno.plano_id ? 'selected' : ''}>${Utils.escapeHtml(plano.nome)} (${Utils.formatCurrency(plano.valor)})</option>
+                                            `).join('')}
+                                        </select>
+                                        ` : ''}
+                                        ${canManage ? `
                                         <button class="action-btn delete-btn" data-aluno-id="${aluno.id}" style="margin-left: 10px;">
                                             <i class="fas fa-trash"></i>
                                         </button>
+                                        ` : ''}
                                     </li>
                                 `).join('') : '<li>Nenhum aluno vinculado</li>'}
                             </ul>
-                            
+                            ${aula.lista_espera && aula.lista_espera.length > 0 ? `
+                            <h3>Lista de Espera</h3>
+                            <ul id="lista-espera" style="list-style: none; padding: 0;">
+                                ${aula.lista_espera.map(aluno => `
+                                    <li style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                                        <span>${aluno.posicao}º - ${Utils.escapeHtml(aluno.nome)} - ${Utils.escapeHtml(aluno.email)}</span>
+                                        ${canManage ? `
+                                        <button class="action-btn delete-btn" data-aluno-id="${aluno.id}" style="margin-left: 10px;">
+                                            <i class="fas fa-trash"></i>
+                                        </button>
+                                        ` : ''}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                            ` : ''}
+                            ${frequencia.taxa_presenca !== null && frequencia.taxa_presenca !== undefined ? `
+                            <p><strong>Frequência da turma:</strong> ${frequencia.taxa_presenca}%</p>
+                            ` : ''}
+                            ${canRecord && ['agendada', 'realizada'].includes(agendamento.status) ? `
+                            <button id="marcarPresencaBtn" class="btn btn-info">Marcar presença</button>
+                            ` : ''}
+                            ${canManage ? `
                             <h3>Vincular Novo Aluno</h3>
                             <select id="alunoParaVincular" class="form-control">
                                 <option value="">Selecione um aluno</option>
                                 ${alunos.map(aluno => `<option value="${aluno.id}">${aluno.nome} - ${aluno.email}</option>`).join('')}
                             </select>
                             <button id="vincularAluno" class="btn btn-primary" style="margin-top: 10px;">Vincular Aluno</button>
+                            ` : ''}
                         </div>
                     `;
 
@@ -1567,8 +2611,14 @@ const AulaSystem = {
         document.body.removeChild(modal);
       });
 
+      // Marcar presença
+      modal.querySelector('#marcarPresencaBtn')?.addEventListener('click', () => {
+        document.body.removeChild(modal);
+        AulaSystem.marcarPresenca(agendamento.id);
+      });
+
       // Vincular aluno
-      modal.querySelector('#vincularAluno').addEventListener('click', async () => {
+      modal.querySelector('#vincularAluno')?.addEventListener('click', async () => {
         const alunoId = modal.querySelector('#alunoParaVincular').value;
         if (!alunoId) {
           ToastSystem.show('Selecione um aluno para vincular', 'warning');
@@ -1576,8 +2626,12 @@ const AulaSystem = {
         }
 
         try {
-          await ApiService.request(`/aulas/${aulaId}/alunos/${alunoId}`, 'POST');
-          ToastSystem.show('Aluno vinculado com sucesso', 'success');
+          const result = await ApiService.request(`/aulas/${aula.id}/alunos/${alunoId}`, 'POST');
+          if (result.lista_espera) {
+            ToastSystem.show(`${result.message} (posição ${result.posicao})`, 'warning');
+          } else {
+            ToastSystem.show('Aluno vinculado com sucesso', 'success');
+          }
           // Recarregar os detalhes
           document.body.removeChild(modal);
           AulaSystem.viewDetails(aulaId);
@@ -1591,8 +2645,8 @@ const AulaSystem = {
         btn.addEventListener('click', async () => {
           const alunoId = btn.getAttribute('data-aluno-id');
           try {
-            await ApiService.request(`/aulas/${aulaId}/alunos/${alunoId}`, 'DELETE');
-            ToastSystem.show('Aluno desvinculado com sucesso', 'success');
+            const result = await ApiService.request(`/aulas/${aula.id}/alunos/${alunoId}`, 'DELETE');
+            ToastSystem.show(result.message, 'success');
             // Recarregar os detalhes
             document.body.removeChild(modal);
             AulaSystem.viewDetails(aulaId);
@@ -1602,14 +2656,124 @@ const AulaSystem = {
         });
       });
 
+      // Plano cobrado na matrícula
+      modal.querySelectorAll('.plano-matricula').forEach(select => {
+        select.addEventListener('change', async () => {
+          try {
+            const result = await ApiService.request(`/aulas/${aula.id}/alunos/${select.getAttribute('data-aluno-id')}/plano`, 'PUT', {
+              plano_id: select.value ? parseInt(select.value, 10) : null
+            });
+            ToastSystem.show(result.message, 'success');
+          } catch (error) {
+            ToastSystem.show(`Erro ao definir plano: ${error.message}`, 'error');
+          }
+        });
+      });
+
+      // Remover da lista de espera
+      modal.querySelectorAll('#lista-espera .delete-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const alunoId = btn.getAttribute('data-aluno-id');
+          try {
+            await ApiService.request(`/aulas/configuradas/${aula.id}/lista-espera/${alunoId}`, 'DELETE');
+            ToastSystem.show('Aluno removido da lista de espera', 'success');
+            document.body.removeChild(modal);
+            AulaSystem.viewDetails(aulaId);
+          } catch (error) {
+            ToastSystem.show(`Erro ao remover da lista de espera: ${error.message}`, 'error');
+          }
+        });
+      });
+
     } catch (error) {
       console.error('Erro ao carregar detalhes da aula:', error);
       ToastSystem.show(`Erro ao carregar detalhes da aula: ${error.message}`, 'error');
     }
   },
+
+  /**
+   * Exibe a lista de chamada de uma aula agendada e registra as presenças em lote
+   * @param {number} agendamentoId - ID da aula agendada
+   */
+  marcarPresenca: async (agendamentoId) => {
+    try {
+      const data = await ApiService.request(`/aulas/agendadas/${agendamentoId}/presencas`);
+      const opcoes = [
+        { value: 'presente', label: 'Presente' },
+        { value: 'falta', label: 'Falta' },
+        { value: 'falta_justificada', label: 'Falta justificada' }
+      ];
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.innerHTML = `
+            <div class="modal-content" style="max-width: 600px;">
+                <span class="close">&times;</span>
+                <h3>Presença - ${Utils.formatDate(`${data.data_aula}T00:00:00`)}</h3>
+                ${data.presencas.length > 0 ? `
+                <table id="presencaTable">
+                    <thead>
+                        <tr>
+                            <th>Aluno</th>
+                            <th>Presença</th>
+                            <th>Observação</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.presencas.map(p => `
+                        <tr data-aluno-id="${p.aluno_id}">
+                            <td>${Utils.escapeHtml(p.aluno_nome)}</td>
+                            <td>
+                                <select class="form-control presenca-status">
+                                    ${opcoes.map(o => `<option value="${o.value}" ${(p.status || 'presente') === o.value ? 'selected' : ''}>${o.label}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td><input type="text" class="form-control presenca-observacao" value="${Utils.escapeHtml(p.observacao || '')}"></td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <button id="salvarPresencaBtn" class="btn btn-primary" style="margin-top: 10px;">Salvar presenças</button>
+                ` : '<p>Nenhum aluno vinculado a esta aula.</p>'}
+            </div>
+        `;
+
+      document.body.appendChild(modal);
+      modal.style.display = 'flex';
+
+      modal.querySelector('.close').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      const salvarBtn = modal.querySelector('#salvarPresencaBtn');
+      if (!salvarBtn) return;
+
+      salvarBtn.addEventListener('click', async () => {
+        const presencas = [...modal.querySelectorAll('#presencaTable tbody tr')].map(row => ({
+          aluno_id: Number(row.getAttribute('data-aluno-id')),
+          status: row.querySelector('.presenca-status').value,
+          observacao: row.querySelector('.presenca-observacao').value
+        }));
+
+        try {
+          await ApiService.request(`/aulas/agendadas/${agendamentoId}/presencas`, 'PUT', { presencas });
+          ToastSystem.show('Presenças registradas com sucesso', 'success');
+          document.body.removeChild(modal);
+        } catch (error) {
+          ToastSystem.show(`Erro ao registrar presenças: ${error.message}`, 'error');
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao carregar presenças:', error);
+      ToastSystem.show(`Erro ao carregar presenças: ${error.message}`, 'error');
+    }
+  },
   showModalAcoesAgendamento: async (agendamentoId) => {
     try {
-      const agendamento = await ApiService.request(`/aulas/agendadas/${agendamentoId}`);
+      const [agendamento, historico] = await Promise.all([
+        ApiService.request(`/aulas/agendadas/${agendamentoId}`),
+        ApiService.request(`/aulas/agendadas/${agendamentoId}/historico`)
+      ]);
 
       const modal = document.createElement('div');
       modal.className = 'modal';
@@ -1620,6 +2784,7 @@ const AulaSystem = {
                 <p><strong>Status:</strong> ${agendamento.status}</p>
                 <p><strong>Instrumento:</strong> ${agendamento.instrumento}</p>
                 <p><strong>Professor:</strong> ${agendamento.professor_nome}</p>
+                ${agendamento.professor_substituto_nome ? `<p><strong>Substituto:</strong> ${Utils.escapeHtml(agendamento.professor_substituto_nome)}</p>` : ''}
                 
                 <div class="action-buttons" style="margin-top: 20px; display: flex; gap: 10px;">
                     <button class="btn btn-danger" id="cancelarAulaBtn" 
@@ -1629,156 +2794,1939 @@ const AulaSystem = {
                     <button class="btn btn-warning" id="reagendarAulaBtn">
                         Reagendar Aula
                     </button>
+                    <button class="btn btn-info" id="substituirProfessorBtn"
+                            ${agendamento.status !== 'agendada' ? 'disabled' : ''}>
+                        Substituto
+                    </button>
+                </div>
+
+                <h4 style="margin-top: 20px;">Histórico</h4>
+                ${AulaSystem.renderHistorico(historico.eventos || [])}
+            </div>
+        `;
+
+      document.body.appendChild(modal);
+      modal.style.display = 'flex';
+
+      // Fechar modal
+      modal.querySelector('.close').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      // Evento para cancelar
+      modal.querySelector('#cancelarAulaBtn').addEventListener('click', () => {
+        document.body.removeChild(modal);
+        AulaSystem.cancelarAula(agendamentoId);
+      });
+
+      // Evento para reagendar
+      modal.querySelector('#reagendarAulaBtn').addEventListener('click', () => {
+        document.body.removeChild(modal);
+        AulaSystem.reagendarAula(agendamentoId);
+      });
+
+      // Evento para definir o substituto
+      modal.querySelector('#substituirProfessorBtn').addEventListener('click', () => {
+        document.body.removeChild(modal);
+        AulaSystem.substituirProfessor(agendamento);
+      });
+
+    } catch (error) {
+      console.error('Erro ao carregar agendamento:', error);
+      ToastSystem.show('Erro ao carregar agendamento', 'error');
+    }
+  },
+
+  /**
+   * Renderiza o histórico de uma aula agendada
+   * @param {Array} eventos - Eventos da aula (GET /aulas/agendadas/:id/historico)
+   * @returns {string} HTML da lista de eventos
+   */
+  renderHistorico: (eventos) => {
+    if (eventos.length === 0) return '<p>Nenhum evento registrado.</p>';
+
+    const descrever = (e) => {
+      const data = (valor) => Utils.formatDate(`${valor}T00:00:00`);
+      switch (e.tipo) {
+        case 'cancelamento': return `Aula de ${data(e.data_aula)} cancelada`;
+        case 'reagendamento': return `Aula de ${data(e.data_aula)} reagendada para ${data(e.nova_data)}`;
+        case 'criacao': return `Aula de ${data(e.data_aula)} criada por reagendamento`;
+        case 'realizacao': return `Aula de ${data(e.data_aula)} realizada${e.professor_nome ? ` por ${Utils.escapeHtml(e.professor_nome)}` : ''}`;
+        case 'substituicao': return `${Utils.escapeHtml(e.professor_nome || 'Professor')} definido como substituto`;
+        case 'remocao_substituto': return `Substituição por ${Utils.escapeHtml(e.professor_nome || 'professor')} removida`;
+        default: return e.tipo;
+      }
+    };
+
+    return `
+                <ul class="historico-aula">
+                    ${eventos.map(e => `
+                    <li>
+                        <small>${Utils.formatDateTime(e.created_at)}${e.usuario_nome ? ` - ${Utils.escapeHtml(e.usuario_nome)}` : ''}</small><br>
+                        ${descrever(e)}${e.motivo ? `: ${Utils.escapeHtml(e.motivo)}` : ''}${e.solicitacao_id ? ' (solicitação aprovada)' : ''}
+                    </li>
+                    `).join('')}
+                </ul>
+            `;
+  },
+
+  /**
+   * Exibe os professores livres para substituir o titular em uma aula agendada
+   * @param {Object} agendamento - Aula agendada (GET /aulas/agendadas/:id)
+   */
+  substituirProfessor: async (agendamento) => {
+    try {
+      const data = await ApiService.request(`/aulas/agendadas/${agendamento.id}/substitutos`);
+      const professores = data.professores || [];
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.innerHTML = `
+            <div class="modal-content" style="max-width: 500px;">
+                <span class="close">&times;</span>
+                <h3>Substituto para ${Utils.escapeHtml(agendamento.instrumento)} em ${Utils.formatDate(agendamento.data_aula)}</h3>
+                <p><strong>Professor:</strong> ${Utils.escapeHtml(agendamento.professor_nome)}</p>
+                <div class="form-group">
+                    <label for="substitutoId">Professores com a especialidade e livres no horário</label>
+                    <select id="substitutoId" class="form-control">
+                        ${professores.length === 0 ? '<option value="">Nenhum professor disponível</option>' : ''}
+                        ${professores.map(p => `
+                        <option value="${p.id}" ${p.id === agendamento.professor_substituto_id ? 'selected' : ''}>${Utils.escapeHtml(p.nome)} (${Utils.escapeHtml(p.especialidade)})</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="action-buttons" style="display: flex; gap: 10px;">
+                    <button id="definirSubstitutoBtn" class="btn btn-primary" ${professores.length === 0 ? 'disabled' : ''}>Definir substituto</button>
+                    ${agendamento.professor_substituto_id ? '<button id="removerSubstitutoBtn" class="btn btn-danger">Remover substituto</button>' : ''}
+                </div>
+            </div>
+        `;
+
+      document.body.appendChild(modal);
+      modal.style.display = 'flex';
+
+      const closeModal = () => document.body.removeChild(modal);
+      modal.querySelector('.close').addEventListener('click', closeModal);
+
+      modal.querySelector('#definirSubstitutoBtn').addEventListener('click', async () => {
+        try {
+          const result = await ApiService.requestWithOverride(`/aulas/agendadas/${agendamento.id}/substituto`, 'PUT', {
+            professor_id: modal.querySelector('#substitutoId').value
+          });
+          ToastSystem.show(result.message, 'success');
+          closeModal();
+          DashboardSystem.loadAgenda();
+        } catch (error) {
+          ToastSystem.show(`Erro ao definir substituto: ${error.message}`, 'error');
+        }
+      });
+
+      const removerBtn = modal.querySelector('#removerSubstitutoBtn');
+      if (removerBtn) {
+        removerBtn.addEventListener('click', async () => {
+          try {
+            await ApiService.request(`/aulas/agendadas/${agendamento.id}/substituto`, 'DELETE');
+            ToastSystem.show('Substituição removida', 'success');
+            closeModal();
+            DashboardSystem.loadAgenda();
+          } catch (error) {
+            ToastSystem.show(`Erro ao remover substituto: ${error.message}`, 'error');
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Erro ao carregar substitutos:', error);
+      ToastSystem.show(`Erro ao carregar substitutos: ${error.message}`, 'error');
+    }
+  },
+
+  cancelarAula: async (agendamentoId) => {
+    // Mostrar modal de cancelamento
+    const modal = document.getElementById('modalCancelar');
+    modal.style.display = 'block';
+
+    // Limpar campos anteriores
+    document.getElementById('motivoCancelamento').value = '';
+    document.getElementById('canceladoPor').value = 'escola';
+
+    // Configurar eventos do modal
+    const closeModal = () => {
+      modal.style.display = 'none';
+    };
+
+    // Fechar modal
+    document.querySelector('#modalCancelar .close-modal').onclick = closeModal;
+    document.getElementById('cancelarCancelamentoBtn').onclick = closeModal;
+
+    // Confirmar cancelamento
+    document.getElementById('confirmarCancelamentoBtn').onclick = async () => {
+      const motivo = document.getElementById('motivoCancelamento').value;
+      if (!motivo) {
+        ToastSystem.show('Por favor, informe o motivo do cancelamento.', 'warning');
+        return;
+      }
+
+      try {
+        const result = await ApiService.request(`/aulas/agendadas/${agendamentoId}/cancelar`, 'PUT', {
+          motivo: motivo,
+          cancelado_por: document.getElementById('canceladoPor').value
+        });
+        const creditos = result.creditos_reposicao.length;
+        ToastSystem.show(`${result.message}${creditos > 0 ? `. ${creditos} crédito(s) de reposição gerado(s).` : ''}`, 'success');
+        DashboardSystem.loadAgenda();
+        closeModal();
+      } catch (error) {
+        ToastSystem.show('Erro ao cancelar aula', 'error');
+      }
+    };
+  },
+
+  reagendarAula: async (agendamentoId) => {
+    // Mostrar modal de reagendamento
+    const modal = document.getElementById('modalReagendar');
+    modal.style.display = 'block';
+
+    // Limpar campos anteriores
+    document.getElementById('novaData').value = '';
+    document.getElementById('motivoReagendamento').value = '';
+
+    // Configurar data mínima como amanhã
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    document.getElementById('novaData').min = tomorrow.toISOString().split('T')[0];
+
+    // Configurar eventos do modal
+    const closeModal = () => {
+      modal.style.display = 'none';
+    };
+
+    // Fechar modal
+    document.querySelector('#modalReagendar .close-modal').onclick = closeModal;
+    document.getElementById('cancelarReagendamentoBtn').onclick = closeModal;
+
+    // Confirmar reagendamento
+    document.getElementById('confirmarReagendamentoBtn').onclick = async () => {
+      const novaData = document.getElementById('novaData').value;
+      const motivo = document.getElementById('motivoReagendamento').value;
+
+      if (!novaData || !motivo) {
+        ToastSystem.show('Por favor, preencha todos os campos.', 'warning');
+        return;
+      }
+
+      // Validar se a data é futura
+      const selectedDate = new Date(novaData);
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+
+      if (selectedDate <= today) {
+        ToastSystem.show('A nova data deve ser futura.', 'warning');
+        return;
+      }
+
+      try {
+        await ApiService.requestWithOverride(`/aulas/agendadas/${agendamentoId}/reagendar`, 'PUT', {
+          nova_data: novaData,
+          motivo: motivo
+        });
+        ToastSystem.show('Aula reagendada com sucesso', 'success');
+        DashboardSystem.loadAgenda();
+        closeModal();
+      } catch (error) {
+        ToastSystem.show(error.data?.error || 'Erro ao reagendar aula', 'error');
+      }
+    };
+  }
+};
+
+// ==============================================================
+// MÓDULO DO PORTAL DO PROFESSOR
+// ==============================================================
+
+/**
+ * Portal de autoatendimento do professor: agenda da semana, alunos e repasses
+ */
+const ProfessorPortalSystem = {
+  // Semana exibida na agenda do portal
+  currentWeek: new Date(),
+
+  /**
+   * Carrega todos os blocos do portal
+   */
+  load: async () => {
+    await Promise.all([
+      ProfessorPortalSystem.loadAgenda(),
+      ProfessorPortalSystem.loadAlunos(),
+      ProfessorPortalSystem.loadRepasses(),
+      ProfessorPortalSystem.loadFechamentos()
+    ]);
+  },
+
+  /**
+   * Carrega a agenda semanal do professor
+   */
+  loadAgenda: async () => {
+    const container = document.getElementById('portalAgenda');
+    const { firstDay, lastDay } = Utils.getWeekRange(ProfessorPortalSystem.currentWeek);
+    document.getElementById('portalWeekDisplay').textContent = Utils.formatWeekRange(firstDay, lastDay);
+
+    try {
+      const professorId = AppState.currentUser.professorId;
+      const data = await ApiService.request(
+        `/aulas/agenda-semanal?data_inicio=${firstDay.toISOString().split('T')[0]}&professor_id=${professorId}`
+      );
+      ProfessorPortalSystem.renderAgenda(container, data.agendamentos || []);
+    } catch (error) {
+      console.error('Erro ao carregar agenda do portal:', error);
+      container.innerHTML = '<p>Erro ao carregar a agenda.</p>';
+    }
+  },
+
+  /**
+   * Renderiza as aulas da semana agrupadas por dia
+   * @param {HTMLElement} container - Elemento da agenda
+   * @param {Array} agendamentos - Aulas agendadas da semana
+   */
+  renderAgenda: (container, agendamentos) => {
+    if (agendamentos.length === 0) {
+      container.innerHTML = '<p>Nenhuma aula nesta semana.</p>';
+      return;
+    }
+
+    const dias = {};
+    agendamentos.forEach(a => {
+      dias[a.data_aula] = dias[a.data_aula] || [];
+      dias[a.data_aula].push(a);
+    });
+
+    // Aulas em que outro professor substitui o titular não têm ações para o titular
+    const professorId = AppState.currentUser.professorId;
+    const substituida = (aula) => aula.professor_substituto_id && String(aula.professor_substituto_id) !== String(professorId);
+
+    container.innerHTML = Object.entries(dias).map(([data, aulas]) => `
+                    <div class="portal-dia">
+                        <h4>${new Date(`${data}T00:00:00`).toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit' })}</h4>
+                        ${aulas.map(aula => `
+                            <div class="portal-aula ${aula.status}">
+                                <strong>${Utils.escapeHtml(aula.instrumento)}</strong> - ${aula.hora_inicio ? Utils.formatTimeRange(aula) : aula.turno}
+                                ${aula.professor_substituto_id ? `<div><small>${substituida(aula) ? `Substituído por ${Utils.escapeHtml(aula.professor_substituto_nome)}` : `Substituindo ${Utils.escapeHtml(aula.professor_nome)}`}</small></div>` : ''}
+                                <div><span class="status status-${aula.status === 'cancelada' ? 'inactive' : aula.status === 'realizada' ? 'active' : 'pending'}">${aula.status}</span></div>
+                                ${aula.status === 'agendada' && !substituida(aula) ? `
+                                <div class="action-buttons">
+                                    <button class="btn btn-primary" data-action="realizar" data-id="${aula.id}">Realizada</button>
+                                    <button class="btn btn-warning" data-action="reagendamento" data-id="${aula.id}">Reagendar</button>
+                                    <button class="btn btn-danger" data-action="cancelamento" data-id="${aula.id}">Cancelar</button>
+                                </div>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('');
+  },
+
+  /**
+   * Trata os cliques nos botões da agenda do portal
+   * @param {Event} e - Evento de clique
+   */
+  handleAgendaClick: (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const id = btn.getAttribute('data-id');
+    const action = btn.getAttribute('data-action');
+
+    if (action === 'realizar') {
+      ProfessorPortalSystem.markDone(id);
+    } else {
+      SolicitacaoSystem.showForm(id, action, ProfessorPortalSystem.loadAgenda);
+    }
+  },
+
+  /**
+   * Marca uma aula como realizada
+   * @param {string} agendamentoId - ID da aula agendada
+   */
+  markDone: async (agendamentoId) => {
+    try {
+      await ApiService.request(`/aulas/agendadas/${agendamentoId}/realizar`, 'PUT');
+      ToastSystem.show('Aula marcada como realizada', 'success');
+      ProfessorPortalSystem.loadAgenda();
+    } catch (error) {
+      ToastSystem.show(`Erro ao marcar aula: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Carrega os alunos de cada aula do professor
+   */
+  loadAlunos: async () => {
+    const container = document.getElementById('portalAlunos');
+
+    try {
+      const data = await ApiService.request(`/professores/${AppState.currentUser.professorId}/alunos`);
+      const aulas = data.aulas || [];
+
+      container.innerHTML = aulas.length === 0 ? '<p>Nenhuma aula configurada.</p>' : aulas.map(aula => `
+                    <div class="card">
+                        <h4>${Utils.escapeHtml(aula.instrumento)} - ${aula.turno}</h4>
+                        ${aula.alunos.length > 0 ? `
+                        <ul>
+                            ${aula.alunos.map(aluno => `<li>${Utils.escapeHtml(aluno.nome)} - ${Utils.escapeHtml(aluno.email)}${aluno.telefone ? ` - ${Utils.escapeHtml(aluno.telefone)}` : ''}</li>`).join('')}
+                        </ul>
+                        ` : '<p>Nenhum aluno vinculado</p>'}
+                    </div>
+                `).join('');
+    } catch (error) {
+      console.error('Erro ao carregar alunos do portal:', error);
+      container.innerHTML = '<p>Erro ao carregar os alunos.</p>';
+    }
+  },
+
+  /**
+   * Carrega o repasse acumulado por mês
+   */
+  loadRepasses: async () => {
+    const tbody = document.querySelector('#portalRepassesTable tbody');
+
+    try {
+      const data = await ApiService.request(`/professores/${AppState.currentUser.professorId}/repasses`);
+      const repasses = data.repasses || [];
+
+      tbody.innerHTML = repasses.length === 0
+        ? '<tr><td colspan="4" style="text-align: center;">Nenhum repasse registrado</td></tr>'
+        : repasses.map(r => `
+                    <tr>
+                        <td>${r.mes.split('-').reverse().join('/')}</td>
+                        <td>${r.total_pagamentos}</td>
+                        <td>${r.total_substituicoes}</td>
+                        <td>${Utils.formatCurrency(r.total_repasse)}</td>
+                    </tr>
+                `).join('');
+    } catch (error) {
+      console.error('Erro ao carregar repasses:', error);
+      tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">Erro ao carregar repasses</td></tr>';
+    }
+  },
+
+  /**
+   * Carrega os fechamentos mensais de repasse do professor
+   */
+  loadFechamentos: async () => {
+    const tbody = document.querySelector('#portalFechamentosTable tbody');
+
+    try {
+      const data = await ApiService.request(`/professores/${AppState.currentUser.professorId}/fechamentos`);
+
+      tbody.innerHTML = data.fechamentos.length === 0
+        ? '<tr><td colspan="5" style="text-align: center;">Nenhum fechamento registrado</td></tr>'
+        : data.fechamentos.map(f => `
+                    <tr>
+                        <td>${f.referencia.split('-').reverse().join('/')}</td>
+                        <td>${Utils.formatCurrency(f.valor_total)}</td>
+                        <td><span class="status status-${f.status === 'pago' ? 'active' : 'pending'}">${f.status}</span></td>
+                        <td>${f.data_pagamento ? Utils.formatDate(`${f.data_pagamento}T00:00:00`) : '-'}</td>
+                        <td><button class="action-btn extrato-btn" data-id="${f.id}" title="Extrato"><i class="fas fa-list"></i></button></td>
+                    </tr>
+                `).join('');
+
+      tbody.querySelectorAll('.extrato-btn').forEach(btn => {
+        btn.addEventListener('click', () => FinanceiroSystem.showExtrato(btn.getAttribute('data-id')));
+      });
+    } catch (error) {
+      console.error('Erro ao carregar fechamentos:', error);
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">Erro ao carregar fechamentos</td></tr>';
+    }
+  },
+
+  /**
+   * Navega para a semana anterior
+   */
+  prevWeek: () => {
+    ProfessorPortalSystem.currentWeek = Utils.addDays(ProfessorPortalSystem.currentWeek, -7);
+    ProfessorPortalSystem.loadAgenda();
+  },
+
+  /**
+   * Navega para a próxima semana
+   */
+  nextWeek: () => {
+    ProfessorPortalSystem.currentWeek = Utils.addDays(ProfessorPortalSystem.currentWeek, 7);
+    ProfessorPortalSystem.loadAgenda();
+  }
+};
+
+// ==============================================================
+// MÓDULO DO PORTAL DO ALUNO
+// ==============================================================
+
+/**
+ * Portal de autoatendimento do aluno: próximas aulas, solicitações e pagamentos
+ */
+const AlunoPortalSystem = {
+  /**
+   * Carrega todos os blocos do portal
+   */
+  load: async () => {
+    await Promise.all([
+      AlunoPortalSystem.loadAulas(),
+      AlunoPortalSystem.loadSolicitacoes(),
+      AlunoPortalSystem.loadReposicoes(),
+      AlunoPortalSystem.loadPagamentos()
+    ]);
+  },
+
+  /**
+   * Renderiza linhas em uma tabela do portal
+   * @param {string} tableId - ID da tabela
+   * @param {Array} items - Itens a exibir
+   * @param {Function} rowHtml - Gera o HTML das células de um item
+   * @param {string} emptyMessage - Mensagem exibida sem itens
+   */
+  renderRows: (tableId, items, rowHtml, emptyMessage) => {
+    const tbody = document.querySelector(`#${tableId} tbody`);
+    tbody.innerHTML = items.length === 0
+      ? `<tr><td colspan="10" style="text-align: center;">${emptyMessage}</td></tr>`
+      : items.map(item => `<tr>${rowHtml(item)}</tr>`).join('');
+  },
+
+  /**
+   * Carrega as próximas aulas agendadas do aluno
+   */
+  loadAulas: async () => {
+    try {
+      const data = await ApiService.request(`/alunos/${AppState.currentUser.alunoId}/aulas`);
+
+      AlunoPortalSystem.renderRows('portalAlunoAulasTable', data.proximas_aulas || [], aula => `
+                    <td>${Utils.formatDate(`${aula.data_aula}T00:00:00`)}</td>
+                    <td>${Utils.escapeHtml(aula.instrumento)}</td>
+                    <td>${aula.turno}${aula.hora_inicio ? ` (${Utils.formatTimeRange(aula)})` : ''}</td>
+                    <td>${Utils.escapeHtml(aula.professor_nome || '-')}</td>
+                    <td>
+                        <button class="btn btn-warning" data-id="${aula.id}" data-tipo="reagendamento">Solicitar reagendamento</button>
+                        <button class="btn btn-danger" data-id="${aula.id}" data-tipo="cancelamento">Solicitar cancelamento</button>
+                    </td>
+                `, 'Nenhuma aula agendada');
+    } catch (error) {
+      console.error('Erro ao carregar aulas do portal:', error);
+      ToastSystem.show(`Erro ao carregar aulas: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Carrega as solicitações de cancelamento e reagendamento do aluno
+   */
+  loadSolicitacoes: async () => {
+    try {
+      const data = await ApiService.request('/aulas/solicitacoes');
+
+      AlunoPortalSystem.renderRows('portalAlunoSolicitacoesTable', data.solicitacoes || [], item => `
+                    <td>${Utils.escapeHtml(item.instrumento || '-')}</td>
+                    <td>${item.tipo === 'cancelamento' ? 'Cancelamento' : 'Reagendamento'}</td>
+                    <td>${Utils.formatDate(item.data_aula)}</td>
+                    <td>${Utils.formatDate(item.nova_data)}</td>
+                    <td>${Utils.escapeHtml(item.motivo)}</td>
+                    <td><span class="status status-${item.status === 'aprovada' ? 'active' : item.status === 'rejeitada' ? 'inactive' : 'pending'}">${item.status}</span></td>
+                    <td>${Utils.escapeHtml(item.resposta || '-')}</td>
+                `, 'Nenhuma solicitação enviada');
+    } catch (error) {
+      console.error('Erro ao carregar solicitações do portal:', error);
+      ToastSystem.show(`Erro ao carregar solicitações: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Carrega os créditos de reposição do aluno
+   */
+  loadReposicoes: async () => {
+    try {
+      const data = await ApiService.request(`/alunos/${AppState.currentUser.alunoId}/reposicoes`);
+
+      AlunoPortalSystem.renderRows('portalAlunoReposicoesTable', data.creditos || [], ReposicaoSystem.renderRow,
+        'Nenhum crédito de reposição');
+    } catch (error) {
+      console.error('Erro ao carregar reposições do portal:', error);
+      ToastSystem.show(`Erro ao carregar reposições: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Carrega os pagamentos do aluno
+   */
+  loadPagamentos: async () => {
+    try {
+      const data = await ApiService.request('/financeiro');
+
+      AlunoPortalSystem.renderRows('portalAlunoPagamentosTable', data.pagamentos || data, item => `
+                    <td>${Utils.formatCurrency(item.valor)}</td>
+                    <td>${Utils.formatDate(item.data_vencimento)}</td>
+                    <td>${Utils.formatDate(item.data_pagamento)}</td>
+                    <td><span class="status status-${item.status === 'pago' ? 'active' : item.status === 'atrasado' ? 'inactive' : 'pending'}">${item.status}</span></td>
+                    <td>
+                        ${FinanceiroSystem.emAberto(item) ? `
+                        <button class="btn btn-primary pix-btn" data-id="${item.id}"><i class="fas fa-qrcode"></i> Pagar com PIX</button>
+                        ` : ''}
+                    </td>
+                `, 'Nenhum pagamento encontrado');
+    } catch (error) {
+      console.error('Erro ao carregar pagamentos do portal:', error);
+      ToastSystem.show(`Erro ao carregar pagamentos: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Trata os cliques nos botões de cancelamento e reagendamento
+   * @param {Event} e - Evento de clique
+   */
+  handleAulasClick: (e) => {
+    const btn = e.target.closest('button[data-id]');
+    if (!btn) return;
+
+    SolicitacaoSystem.showForm(btn.getAttribute('data-id'), btn.getAttribute('data-tipo'), AlunoPortalSystem.loadSolicitacoes);
+  }
+};
+
+// ==============================================================
+// MÓDULO DE REPOSIÇÕES
+// ==============================================================
+
+/**
+ * Créditos de reposição dos alunos e agendamento das aulas extras
+ */
+const ReposicaoSystem = {
+  statusClasses: { disponivel: 'pending', utilizado: 'active', expirado: 'inactive' },
+
+  /**
+   * Gera as células de um crédito de reposição
+   * @param {Object} credito - Crédito (GET /alunos/:id/reposicoes)
+   * @returns {string} HTML das células
+   */
+  renderRow: (credito) => `
+                    <td>${Utils.escapeHtml(credito.instrumento || '-')}</td>
+                    <td>${Utils.formatDate(`${credito.data_cancelada}T00:00:00`)}</td>
+                    <td>${Utils.formatDate(`${credito.validade}T00:00:00`)}</td>
+                    <td>
+                        <span class="status status-${ReposicaoSystem.statusClasses[credito.status]}">${credito.status}</span>
+                        ${credito.data_reposicao ? `<br><small>Reposição em ${Utils.formatDate(`${credito.data_reposicao}T00:00:00`)}</small>` : ''}
+                    </td>
+                    <td>
+                        ${credito.status === 'disponivel' ? `
+                        <button class="btn btn-primary agendar-reposicao-btn" data-id="${credito.id}" data-validade="${credito.validade}">Agendar</button>
+                        ` : ''}
+                    </td>
+                `,
+
+  /**
+   * Exibe os créditos de reposição de um aluno
+   * @param {string} alunoId - ID do aluno
+   */
+  show: async (alunoId) => {
+    try {
+      const data = await ApiService.request(`/alunos/${alunoId}/reposicoes`);
+      const creditos = data.creditos || [];
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.innerHTML = `
+            <div class="modal-content">
+                <span class="close">&times;</span>
+                <h3>Reposições${creditos.length > 0 ? ` - ${Utils.escapeHtml(creditos[0].aluno_nome)}` : ''}</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Aula</th>
+                            <th>Cancelada em</th>
+                            <th>Validade</th>
+                            <th>Status</th>
+                            <th>Ações</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${creditos.length === 0
+                          ? '<tr><td colspan="5" style="text-align: center;">Nenhum crédito de reposição</td></tr>'
+                          : creditos.map(c => `<tr>${ReposicaoSystem.renderRow(c)}</tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+      document.body.appendChild(modal);
+      modal.style.display = 'flex';
+
+      const closeModal = () => document.body.removeChild(modal);
+      modal.querySelector('.close').addEventListener('click', closeModal);
+      modal.addEventListener('click', (e) => ReposicaoSystem.handleClick(e, () => {
+        closeModal();
+        ReposicaoSystem.show(alunoId);
+      }));
+    } catch (error) {
+      console.error('Erro ao carregar reposições:', error);
+      ToastSystem.show(`Erro ao carregar reposições: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Trata os cliques nos botões de agendar reposição
+   * @param {Event} e - Evento de clique
+   * @param {Function} onSuccess - Chamada após o agendamento
+   */
+  handleClick: (e, onSuccess) => {
+    const btn = e.target.closest('.agendar-reposicao-btn');
+    if (!btn) return;
+
+    ReposicaoSystem.agendar(btn.getAttribute('data-id'), btn.getAttribute('data-validade'), onSuccess);
+  },
+
+  /**
+   * Pede a data e agenda a aula de reposição
+   * @param {string} creditoId - ID do crédito
+   * @param {string} validade - Último dia para usar o crédito (AAAA-MM-DD)
+   * @param {Function} onSuccess - Chamada após o agendamento
+   */
+  agendar: (creditoId, validade, onSuccess) => {
+    const tomorrow = Utils.addDays(new Date(), 1).toISOString().split('T')[0];
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+            <div class="modal-content" style="max-width: 400px;">
+                <span class="close">&times;</span>
+                <h3>Agendar reposição</h3>
+                <div class="form-group">
+                    <label for="dataReposicao">Data (até ${Utils.formatDate(`${validade}T00:00:00`)})</label>
+                    <input type="date" id="dataReposicao" class="form-control" min="${tomorrow}" max="${validade}">
+                </div>
+                <button id="confirmarReposicaoBtn" class="btn btn-primary">Agendar</button>
+            </div>
+        `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'flex';
+
+    const closeModal = () => document.body.removeChild(modal);
+    modal.querySelector('.close').addEventListener('click', closeModal);
+
+    modal.querySelector('#confirmarReposicaoBtn').addEventListener('click', async () => {
+      const dataAula = modal.querySelector('#dataReposicao').value;
+      if (!dataAula) {
+        ToastSystem.show('Informe a data da reposição.', 'warning');
+        return;
+      }
+
+      try {
+        await ApiService.requestWithOverride(`/reposicoes/${creditoId}/agendar`, 'POST', { data_aula: dataAula });
+        ToastSystem.show('Reposição agendada com sucesso', 'success');
+        closeModal();
+        if (onSuccess) onSuccess();
+      } catch (error) {
+        ToastSystem.show(`Erro ao agendar reposição: ${error.message}`, 'error');
+      }
+    });
+  }
+};
+
+// ==============================================================
+// MÓDULO DE LEADS
+// ==============================================================
+
+/**
+ * Funil de interessados: aula experimental, resultado e conversão em aluno
+ */
+const LeadsSystem = {
+  origens: { site: 'Site', indicacao: 'Indicação', redes_sociais: 'Redes sociais', evento: 'Evento', outro: 'Outro' },
+  statusClasses: { novo: 'pending', experimental: 'pending', convertido: 'active', perdido: 'inactive' },
+
+  /**
+   * Carrega os leads com o status selecionado e as estatísticas do funil
+   */
+  load: async () => {
+    try {
+      const status = document.getElementById('leadsStatus').value;
+      const [data, estatisticas] = await Promise.all([
+        ApiService.request(`/leads${status ? `?status=${status}` : ''}`),
+        ApiService.request('/leads/estatisticas')
+      ]);
+
+      TableSystem.render(data.leads || [], 'leadsTable', 'leads');
+      LeadsSystem.renderEstatisticas(estatisticas);
+    } catch (error) {
+      console.error('Erro ao carregar leads:', error);
+      ToastSystem.show(`Erro ao carregar leads: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Exibe os totais e as taxas de conversão do funil
+   * @param {Object} estatisticas - Resposta de GET /leads/estatisticas
+   */
+  renderEstatisticas: (estatisticas) => {
+    const container = document.getElementById('leadsEstatisticas');
+    if (!container) return;
+
+    const cards = [
+      { icon: 'fa-user-plus', valor: estatisticas.total, texto: 'Leads' },
+      { icon: 'fa-music', valor: estatisticas.com_aula_experimental, texto: 'Fizeram aula experimental' },
+      { icon: 'fa-user-graduate', valor: estatisticas.convertidos, texto: 'Convertidos em alunos' },
+      {
+        icon: 'fa-percentage',
+        valor: `${estatisticas.taxa_conversao}%`,
+        texto: `Conversão (${estatisticas.taxa_conversao_experimental}% após aula experimental)`
+      }
+    ];
+
+    container.innerHTML = cards.map(card => `
+            <div class="stat-card">
+                <div class="stat-icon">
+                    <i class="fas ${card.icon}"></i>
+                </div>
+                <div class="stat-info">
+                    <h3>${card.valor}</h3>
+                    <p>${card.texto}</p>
+                </div>
+            </div>
+        `).join('');
+  },
+
+  /**
+   * Agenda uma aula experimental em um horário livre do professor
+   * @param {string} leadId - ID do lead
+   */
+  agendarExperimental: async (leadId) => {
+    try {
+      const professoresData = await ApiService.request('/professores');
+      const professores = professoresData.professores || professoresData;
+      const tomorrow = Utils.addDays(new Date(), 1).toISOString().split('T')[0];
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.innerHTML = `
+            <div class="modal-content" style="max-width: 400px;">
+                <span class="close">&times;</span>
+                <h3>Agendar aula experimental</h3>
+                <div class="form-group">
+                    <label for="experimentalProfessor">Professor</label>
+                    <select id="experimentalProfessor" class="form-control">
+                        <option value="">Selecione um professor</option>
+                        ${professores.map(p => `<option value="${p.id}">${Utils.escapeHtml(p.nome)}${p.especialidade ? ` (${Utils.escapeHtml(p.especialidade)})` : ''}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="experimentalData">Data</label>
+                    <input type="date" id="experimentalData" class="form-control" min="${tomorrow}" value="${tomorrow}">
+                </div>
+                <div class="form-group">
+                    <label for="experimentalDuracao">Duração (minutos)</label>
+                    <input type="number" id="experimentalDuracao" class="form-control" value="60" min="1">
+                </div>
+                <div class="form-group">
+                    <label for="experimentalHorario">Horário livre</label>
+                    <select id="experimentalHorario" class="form-control">
+                        <option value="">Selecione o professor e a data</option>
+                    </select>
+                </div>
+                <button id="confirmarExperimentalBtn" class="btn btn-primary">Agendar</button>
+            </div>
+        `;
+
+      document.body.appendChild(modal);
+      modal.style.display = 'flex';
+
+      const closeModal = () => document.body.removeChild(modal);
+      modal.querySelector('.close').addEventListener('click', closeModal);
+
+      const professorSelect = modal.querySelector('#experimentalProfessor');
+      const dataInput = modal.querySelector('#experimentalData');
+      const duracaoInput = modal.querySelector('#experimentalDuracao');
+      const horarioSelect = modal.querySelector('#experimentalHorario');
+
+      // Horários livres do professor na data escolhida
+      const carregarHorarios = async () => {
+        if (!professorSelect.value || !dataInput.value) return;
+
+        try {
+          const data = await ApiService.request(
+            `/professores/${professorSelect.value}/horarios-livres?data_inicio=${dataInput.value}&data_fim=${dataInput.value}&duracao=${duracaoInput.value || 60}`
+          );
+          const horarios = data.datas.length > 0 ? data.datas[0].horarios : [];
+          horarioSelect.innerHTML = horarios.length > 0
+            ? horarios.map(hora => `<option value="${hora}">${hora}</option>`).join('')
+            : '<option value="">Nenhum horário livre nesta data</option>';
+        } catch (error) {
+          ToastSystem.show(`Erro ao carregar horários livres: ${error.message}`, 'error');
+        }
+      };
+      [professorSelect, dataInput, duracaoInput].forEach(campo => campo.addEventListener('change', carregarHorarios));
+
+      modal.querySelector('#confirmarExperimentalBtn').addEventListener('click', async () => {
+        if (!horarioSelect.value) {
+          ToastSystem.show('Escolha um horário livre.', 'warning');
+          return;
+        }
+
+        try {
+          await ApiService.requestWithOverride(`/leads/${leadId}/experimentais`, 'POST', {
+            professor_id: professorSelect.value,
+            data_aula: dataInput.value,
+            hora_inicio: horarioSelect.value,
+            duracao: parseInt(duracaoInput.value, 10) || 60
+          });
+          ToastSystem.show('Aula experimental agendada com sucesso', 'success');
+          closeModal();
+          LeadsSystem.load();
+        } catch (error) {
+          ToastSystem.show(`Erro ao agendar aula experimental: ${error.message}`, 'error');
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao abrir agendamento da aula experimental:', error);
+      ToastSystem.show(`Erro ao carregar professores: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Registra se o lead compareceu ou faltou à aula experimental
+   * @param {string} leadId - ID do lead
+   * @param {string} experimentalId - ID da aula experimental
+   * @param {string} resultado - 'compareceu' ou 'faltou'
+   */
+  registrarResultado: async (leadId, experimentalId, resultado) => {
+    const observacoes = window.prompt(`Observações sobre a aula experimental (${resultado}):`, '');
+    if (observacoes === null) return;
+
+    try {
+      await ApiService.request(`/leads/${leadId}/experimentais/${experimentalId}`, 'PUT', { resultado, observacoes });
+      ToastSystem.show('Resultado registrado', 'success');
+      LeadsSystem.load();
+    } catch (error) {
+      ToastSystem.show(`Erro ao registrar resultado: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Converte o lead em aluno, matriculando-o em uma aula recorrente
+   * @param {string} leadId - ID do lead
+   */
+  converter: async (leadId) => {
+    try {
+      const [lead, aulasData] = await Promise.all([
+        ApiService.request(`/leads/${leadId}`),
+        ApiService.request('/aulas/configuradas')
+      ]);
+      const diasSemanaMap = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+      const aulas = (aulasData.aulas || []).filter(aula => !aula.avulsa);
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.innerHTML = `
+            <div class="modal-content" style="max-width: 450px;">
+                <span class="close">&times;</span>
+                <h3>Converter ${Utils.escapeHtml(lead.nome)} em aluno</h3>
+                <div class="form-group">
+                    <label for="converterEmail">E-mail do aluno</label>
+                    <input type="email" id="converterEmail" class="form-control" value="${Utils.escapeHtml(lead.email || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="converterAula">Matricular na aula</label>
+                    <select id="converterAula" class="form-control">
+                        <option value="">Selecione uma aula</option>
+                        ${aulas.map(aula => `
+                        <option value="${aula.id}">
+                            ${Utils.escapeHtml(aula.instrumento)} - ${Utils.escapeHtml(aula.professor_nome)} (${aula.dias_semana.map(dia => diasSemanaMap[dia]).join(', ')} ${aula.hora_inicio || aula.turno}) - ${aula.total_alunos} alunos
+                        </option>
+                        `).join('')}
+                    </select>
+                </div>
+                <button id="confirmarConversaoBtn" class="btn btn-primary">Converter</button>
+            </div>
+        `;
+
+      document.body.appendChild(modal);
+      modal.style.display = 'flex';
+
+      const closeModal = () => document.body.removeChild(modal);
+      modal.querySelector('.close').addEventListener('click', closeModal);
+
+      modal.querySelector('#confirmarConversaoBtn').addEventListener('click', async () => {
+        const aulaId = modal.querySelector('#converterAula').value;
+        if (!aulaId) {
+          ToastSystem.show('Escolha a aula da matrícula.', 'warning');
+          return;
+        }
+
+        try {
+          const result = await ApiService.request(`/leads/${leadId}/converter`, 'POST', {
+            aula_id: aulaId,
+            email: modal.querySelector('#converterEmail').value
+          });
+          ToastSystem.show(result.message, result.lista_espera ? 'warning' : 'success');
+          closeModal();
+          LeadsSystem.load();
+        } catch (error) {
+          ToastSystem.show(`Erro ao converter lead: ${error.message}`, 'error');
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao abrir conversão do lead:', error);
+      ToastSystem.show(`Erro ao carregar dados do lead: ${error.message}`, 'error');
+    }
+  }
+};
+
+// ==============================================================
+// MÓDULO DE SOLICITAÇÕES
+// ==============================================================
+
+/**
+ * Fila de solicitações de cancelamento e reagendamento de aulas
+ */
+const SolicitacaoSystem = {
+  /**
+   * Carrega as solicitações com o status selecionado
+   */
+  load: async () => {
+    try {
+      const status = document.getElementById('solicitacoesStatus').value;
+      const data = await ApiService.request(`/aulas/solicitacoes${status ? `?status=${status}` : ''}`);
+      TableSystem.render(data.solicitacoes || [], 'solicitacoesTable', 'solicitacoes');
+    } catch (error) {
+      console.error('Erro ao carregar solicitações:', error);
+      ToastSystem.show(`Erro ao carregar solicitações: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Exibe o formulário para solicitar cancelamento ou reagendamento
+   * @param {string} agendamentoId - ID da aula agendada
+   * @param {string} tipo - 'cancelamento' ou 'reagendamento'
+   * @param {Function} onSuccess - Chamada após o envio
+   */
+  showForm: (agendamentoId, tipo, onSuccess) => {
+    const tomorrow = Utils.addDays(new Date(), 1).toISOString().split('T')[0];
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+            <div class="modal-content" style="max-width: 500px;">
+                <span class="close">&times;</span>
+                <h3>Solicitar ${tipo === 'cancelamento' ? 'cancelamento' : 'reagendamento'}</h3>
+                ${tipo === 'reagendamento' ? `
+                <div class="form-group">
+                    <label for="solicitacaoNovaData">Nova data</label>
+                    <input type="date" id="solicitacaoNovaData" class="form-control" min="${tomorrow}">
+                </div>
+                ` : ''}
+                <div class="form-group">
+                    <label for="solicitacaoMotivo">Motivo</label>
+                    <textarea id="solicitacaoMotivo" class="form-control" rows="3"></textarea>
+                </div>
+                <button id="enviarSolicitacaoBtn" class="btn btn-primary">Enviar solicitação</button>
+            </div>
+        `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'flex';
+
+    const closeModal = () => document.body.removeChild(modal);
+    modal.querySelector('.close').addEventListener('click', closeModal);
+
+    modal.querySelector('#enviarSolicitacaoBtn').addEventListener('click', async () => {
+      const motivo = modal.querySelector('#solicitacaoMotivo').value;
+      const novaData = tipo === 'reagendamento' ? modal.querySelector('#solicitacaoNovaData').value : undefined;
+
+      if (!motivo || (tipo === 'reagendamento' && !novaData)) {
+        ToastSystem.show('Por favor, preencha todos os campos.', 'warning');
+        return;
+      }
+
+      try {
+        await ApiService.request(`/aulas/agendadas/${agendamentoId}/solicitacoes`, 'POST', {
+          tipo,
+          nova_data: novaData,
+          motivo
+        });
+        ToastSystem.show('Solicitação enviada para aprovação', 'success');
+        closeModal();
+        if (onSuccess) onSuccess();
+      } catch (error) {
+        ToastSystem.show(`Erro ao enviar solicitação: ${error.message}`, 'error');
+      }
+    });
+  },
+
+  /**
+   * Aprova uma solicitação, aplicando o cancelamento ou reagendamento
+   * @param {string} id - ID da solicitação
+   */
+  approve: async (id) => {
+    try {
+      await ApiService.requestWithOverride(`/aulas/solicitacoes/${id}/aprovar`, 'PUT');
+      ToastSystem.show('Solicitação aprovada', 'success');
+      SolicitacaoSystem.load();
+    } catch (error) {
+      ToastSystem.show(`Erro ao aprovar solicitação: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Rejeita uma solicitação
+   * @param {string} id - ID da solicitação
+   */
+  reject: async (id) => {
+    const resposta = window.prompt('Motivo da rejeição (opcional):');
+    if (resposta === null) return;
+
+    try {
+      await ApiService.request(`/aulas/solicitacoes/${id}/rejeitar`, 'PUT', { resposta });
+      ToastSystem.show('Solicitação rejeitada', 'success');
+      SolicitacaoSystem.load();
+    } catch (error) {
+      ToastSystem.show(`Erro ao rejeitar solicitação: ${error.message}`, 'error');
+    }
+  }
+};
+
+// ==============================================================
+// MÓDULO DE DISPONIBILIDADE DOS PROFESSORES
+// ==============================================================
+
+/**
+ * Janelas de disponibilidade e bloqueios (férias, licenças) dos professores
+ */
+const DisponibilidadeSystem = {
+  diasSemana: ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'],
+
+  tiposBloqueio: { ferias: 'Férias', licenca: 'Licença', outro: 'Outro' },
+
+  /**
+   * Gera a linha de edição de uma janela de disponibilidade
+   * @param {Object} janela - { dia_semana, hora_inicio, hora_fim }
+   * @returns {string} HTML da linha
+   */
+  renderJanela: (janela = {}) => `
+                    <div class="janela-disponibilidade" style="display: flex; gap: 8px; margin-bottom: 8px;">
+                        <select class="form-control janela-dia">
+                            ${DisponibilidadeSystem.diasSemana.map((dia, index) => `
+                            <option value="${index}" ${janela.dia_semana === index ? 'selected' : ''}>${dia}</option>
+                            `).join('')}
+                        </select>
+                        <input type="time" class="form-control janela-inicio" value="${janela.hora_inicio || '08:00'}">
+                        <input type="time" class="form-control janela-fim" value="${janela.hora_fim || '12:00'}">
+                        <button class="action-btn delete-btn remover-janela-btn"><i class="fas fa-trash"></i></button>
+                    </div>
+                `,
+
+  /**
+   * Exibe as janelas e os bloqueios de um professor em um modal
+   * @param {string} professorId - ID do professor
+   */
+  show: async (professorId) => {
+    try {
+      const data = await ApiService.request(`/professores/${professorId}/disponibilidade`);
+      const canResolve = AuthSystem.can('agenda:gerenciar');
+      // Professores que podem assumir as aulas de um bloqueio
+      const substitutos = canResolve
+        ? ((await ApiService.request('/professores')).professores || []).filter(p => String(p.id) !== String(professorId))
+        : [];
+      const today = new Date().toISOString().split('T')[0];
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.innerHTML = `
+                <div class="modal-content" style="max-width: 650px;">
+                    <span class="close">&times;</span>
+                    <h2>Disponibilidade - ${Utils.escapeHtml(data.professor_nome)}</h2>
+
+                    <h3>Janelas semanais</h3>
+                    <p><small>Sem janelas cadastradas, o professor é considerado disponível em qualquer horário.</small></p>
+                    <div id="janelasDisponibilidade">
+                        ${data.janelas.map(janela => DisponibilidadeSystem.renderJanela(janela)).join('')}
+                    </div>
+                    <div class="action-buttons" style="display: flex; gap: 10px; margin-bottom: 20px;">
+                        <button id="adicionarJanelaBtn" class="btn btn-info">Adicionar janela</button>
+                        <button id="salvarJanelasBtn" class="btn btn-primary">Salvar janelas</button>
+                    </div>
+
+                    <h3>Férias e licenças</h3>
+                    <ul style="list-style: none; padding: 0;">
+                        ${data.bloqueios.length > 0 ? data.bloqueios.map(bloqueio => `
+                        <li class="portal-aula" data-bloqueio-id="${bloqueio.id}">
+                            <strong>${Utils.formatDate(`${bloqueio.data_inicio}T00:00:00`)} a ${Utils.formatDate(`${bloqueio.data_fim}T00:00:00`)}</strong>
+                            - ${DisponibilidadeSystem.tiposBloqueio[bloqueio.tipo] || bloqueio.tipo}${bloqueio.motivo ? `: ${Utils.escapeHtml(bloqueio.motivo)}` : ''}
+                            <br><small>${bloqueio.total_afetadas} aula(s) agendada(s) no período</small>
+                            <div class="action-buttons">
+                                ${canResolve && bloqueio.total_afetadas > 0 ? `
+                                <button class="btn btn-cancel resolver-bloqueio-btn" data-acao="cancelar">Cancelar aulas</button>
+                                <button class="btn btn-info resolver-bloqueio-btn" data-acao="reagendar">Reagendar aulas</button>
+                                ${substitutos.length > 0 ? `
+                                <select class="form-control substituto-bloqueio" style="width: auto;">
+                                    ${substitutos.map(p => `<option value="${p.id}">${Utils.escapeHtml(p.nome)}${p.especialidade ? ` (${Utils.escapeHtml(p.especialidade)})` : ''}</option>`).join('')}
+                                </select>
+                                <button class="btn btn-info resolver-bloqueio-btn" data-acao="reatribuir">Reatribuir aulas</button>
+                                ` : ''}
+                                ` : ''}
+                                <button class="btn excluir-bloqueio-btn">Excluir bloqueio</button>
+                            </div>
+                        </li>
+                        `).join('') : '<li>Nenhum bloqueio registrado</li>'}
+                    </ul>
+
+                    <h4>Novo bloqueio</h4>
+                    <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px;">
+                        <div class="form-group">
+                            <label for="bloqueioInicio">Início</label>
+                            <input type="date" id="bloqueioInicio" class="form-control" min="${today}">
+                        </div>
+                        <div class="form-group">
+                            <label for="bloqueioFim">Fim</label>
+                            <input type="date" id="bloqueioFim" class="form-control" min="${today}">
+                        </div>
+                        <div class="form-group">
+                            <label for="bloqueioTipo">Tipo</label>
+                            <select id="bloqueioTipo" class="form-control">
+                                ${Object.entries(DisponibilidadeSystem.tiposBloqueio).map(([valor, nome]) => `
+                                <option value="${valor}">${nome}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="bloqueioMotivo">Motivo</label>
+                            <input type="text" id="bloqueioMotivo" class="form-control">
+                        </div>
+                    </div>
+                    <button id="registrarBloqueioBtn" class="btn btn-primary">Registrar bloqueio</button>
+                </div>
+            `;
+
+      document.body.appendChild(modal);
+      modal.style.display = 'flex';
+
+      const closeModal = () => document.body.removeChild(modal);
+      const reopen = () => {
+        closeModal();
+        DisponibilidadeSystem.show(professorId);
+      };
+      modal.querySelector('.close').addEventListener('click', closeModal);
+
+      modal.querySelector('#adicionarJanelaBtn').addEventListener('click', () => {
+        modal.querySelector('#janelasDisponibilidade').insertAdjacentHTML('beforeend', DisponibilidadeSystem.renderJanela());
+      });
+
+      modal.querySelector('#salvarJanelasBtn').addEventListener('click', async () => {
+        const janelas = Array.from(modal.querySelectorAll('.janela-disponibilidade')).map(linha => ({
+          dia_semana: parseInt(linha.querySelector('.janela-dia').value, 10),
+          hora_inicio: linha.querySelector('.janela-inicio').value,
+          hora_fim: linha.querySelector('.janela-fim').value
+        }));
+
+        try {
+          const result = await ApiService.request(`/professores/${professorId}/disponibilidade`, 'PUT', { janelas });
+          ToastSystem.show(result.message, 'success');
+          if (result.aulas_fora_das_janelas.length > 0) {
+            const aulas = result.aulas_fora_das_janelas.map(a => a.instrumento).join(', ');
+            ToastSystem.show(`Aulas fora das novas janelas: ${aulas}`, 'warning', 6000);
+          }
+        } catch (error) {
+          ToastSystem.show(`Erro ao salvar janelas: ${error.message}`, 'error');
+        }
+      });
+
+      modal.querySelector('#registrarBloqueioBtn').addEventListener('click', async () => {
+        const dataInicio = modal.querySelector('#bloqueioInicio').value;
+        const dataFim = modal.querySelector('#bloqueioFim').value;
+        if (!dataInicio || !dataFim) {
+          ToastSystem.show('Informe o início e o fim do bloqueio.', 'warning');
+          return;
+        }
+
+        try {
+          const result = await ApiService.request(`/professores/${professorId}/bloqueios`, 'POST', {
+            data_inicio: dataInicio,
+            data_fim: dataFim,
+            tipo: modal.querySelector('#bloqueioTipo').value,
+            motivo: modal.querySelector('#bloqueioMotivo').value
+          });
+          ToastSystem.show(`${result.message}. ${result.aulas_afetadas.length} aula(s) agendada(s) no período.`, 'success');
+          reopen();
+        } catch (error) {
+          ToastSystem.show(`Erro ao registrar bloqueio: ${error.message}`, 'error');
+        }
+      });
+
+      modal.addEventListener('click', async (e) => {
+        if (e.target.closest('.remover-janela-btn')) {
+          e.target.closest('.janela-disponibilidade').remove();
+          return;
+        }
+
+        const item = e.target.closest('[data-bloqueio-id]');
+        if (!item) return;
+        const bloqueioId = item.getAttribute('data-bloqueio-id');
+
+        try {
+          const resolverBtn = e.target.closest('.resolver-bloqueio-btn');
+          if (resolverBtn) {
+            const acao = resolverBtn.getAttribute('data-acao');
+            const professorSelect = item.querySelector('.substituto-bloqueio');
+            const professorNome = professorSelect ? professorSelect.selectedOptions[0].textContent : '';
+            if (!window.confirm(acao === 'reatribuir'
+              ? `Deseja passar para ${professorNome} todas as aulas agendadas no período?`
+              : `Deseja ${acao} todas as aulas agendadas no período?`)) return;
+
+            const body = acao === 'reatribuir' ? { acao, professor_id: parseInt(professorSelect.value, 10) } : { acao };
+            const result = await ApiService.request(`/professores/${professorId}/bloqueios/${bloqueioId}/aulas`, 'POST', body);
+            ToastSystem.show(result.message, result.falhas && result.falhas.length > 0 ? 'warning' : 'success');
+            reopen();
+          } else if (e.target.closest('.excluir-bloqueio-btn')) {
+            await ApiService.request(`/professores/${professorId}/bloqueios/${bloqueioId}`, 'DELETE');
+            ToastSystem.show('Bloqueio removido', 'success');
+            reopen();
+          }
+        } catch (error) {
+          ToastSystem.show(`Erro: ${error.message}`, 'error');
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao carregar disponibilidade:', error);
+      ToastSystem.show(`Erro ao carregar disponibilidade: ${error.message}`, 'error');
+    }
+  }
+};
+
+// ==============================================================
+// MÓDULO DO CALENDÁRIO DE FERIADOS
+// ==============================================================
+
+/**
+ * Feriados e recessos em que a agenda não gera aulas
+ */
+const FeriadosSystem = {
+  /**
+   * Carrega os feriados do ano selecionado
+   */
+  load: async () => {
+    try {
+      const ano = document.getElementById('feriadosAno').value;
+      const data = await ApiService.request(`/feriados?ano=${ano}`);
+      TableSystem.render(data.feriados || [], 'feriadosTable', 'feriados');
+    } catch (error) {
+      console.error('Erro ao carregar feriados:', error);
+      ToastSystem.show(`Erro ao carregar feriados: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Importa os feriados nacionais do ano selecionado
+   */
+  importar: async () => {
+    try {
+      const ano = document.getElementById('feriadosAno').value;
+      const result = await ApiService.request('/feriados/importar', 'POST', { ano });
+      const afetadas = result.aulas_afetadas.length;
+      ToastSystem.show(
+        `${result.message}${afetadas > 0 ? `. ${afetadas} aula(s) já agendada(s) em feriados.` : ''}`,
+        afetadas > 0 ? 'warning' : 'success'
+      );
+      FeriadosSystem.load();
+    } catch (error) {
+      ToastSystem.show(`Erro ao importar feriados: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Cancela ou reagenda as aulas agendadas durante um feriado
+   * @param {string} id - ID do feriado
+   * @param {string} acao - 'cancelar' ou 'reagendar'
+   */
+  resolver: async (id, acao) => {
+    if (!window.confirm(`Deseja ${acao} todas as aulas agendadas no feriado?`)) return;
+
+    try {
+      const result = await ApiService.request(`/feriados/${id}/aulas`, 'POST', { acao });
+      ToastSystem.show(result.message, result.falhas.length > 0 ? 'warning' : 'success');
+      FeriadosSystem.load();
+    } catch (error) {
+      ToastSystem.show(`Erro: ${error.message}`, 'error');
+    }
+  }
+};
+
+// ==============================================================
+// MÓDULO FINANCEIRO
+// ==============================================================
+
+/**
+ * Sistema de gerenciamento financeiro
+ */
+const FinanceiroSystem = {
+  /**
+   * Carrega os pagamentos com o status selecionado (atrasados vêm do mais
+   * antigo para o mais recente); só quem gerencia o financeiro gera mensalidades
+   */
+  load: async () => {
+    const gerarBtn = document.getElementById('gerarMensalidadesBtn');
+    if (gerarBtn) {
+      gerarBtn.style.display = AuthSystem.can('financeiro:gerenciar') ? '' : 'none';
+    }
+
+    try {
+      const status = document.getElementById('financeiroStatus')?.value || '';
+      const pagamentos = status === 'atrasado' && AuthSystem.can('financeiro:ler')
+        ? (await ApiService.request('/financeiro/atrasados')).atrasados
+        : await ApiService.request(`/financeiro${status ? `?status=${status}` : ''}`);
+      TableSystem.render(pagamentos, 'financeiroTable', 'financeiro');
+    } catch (error) {
+      console.error('Erro ao carregar pagamentos:', error);
+      ToastSystem.show(`Erro ao carregar pagamentos: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Carrega os planos de mensalidade
+   */
+  loadPlanos: async () => {
+    try {
+      const data = await ApiService.request('/planos');
+      TableSystem.render(data.planos_mensalidade || [], 'planosTable', 'planos');
+    } catch (error) {
+      console.error('Erro ao carregar planos:', error);
+      ToastSystem.show(`Erro ao carregar planos: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Carrega as regras de desconto com os nomes do aluno ou da família
+   */
+  loadDescontos: async () => {
+    try {
+      const [descontosData, alunosData, familiasData] = await Promise.all([
+        ApiService.request('/descontos'),
+        ApiService.request('/alunos'),
+        ApiService.request('/familias')
+      ]);
+      const alunos = alunosData.alunos || [];
+      const familias = familiasData.familias || [];
+
+      TableSystem.render((descontosData.descontos || []).map(desconto => ({
+        ...desconto,
+        aluno_nome: alunos.find(a => a.id === desconto.aluno_id)?.nome,
+        familia_nome: familias.find(f => f.id === desconto.familia_id)?.nome
+      })), 'descontosTable', 'descontos');
+    } catch (error) {
+      console.error('Erro ao carregar descontos:', error);
+      ToastSystem.show(`Erro ao carregar descontos: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Abre a cobrança mensal: mostra a prévia das mensalidades de um mês e
+   * permite gerá-las
+   */
+  gerarMensalidades: () => {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+            <div class="modal-content" style="max-width: 700px;">
+                <span class="close">&times;</span>
+                <h3>Gerar mensalidades</h3>
+                <div class="form-group">
+                    <label for="mensalidadesReferencia">Mês de referência</label>
+                    <input type="month" id="mensalidadesReferencia" class="form-control" value="${new Date().toISOString().slice(0, 7)}">
                 </div>
+                <button id="simularMensalidadesBtn" class="btn btn-info">Ver prévia</button>
+                <button id="confirmarMensalidadesBtn" class="btn btn-primary">Gerar</button>
+                <div id="mensalidadesResultado" style="margin-top: 15px;"></div>
             </div>
         `;
 
-      document.body.appendChild(modal);
-      modal.style.display = 'flex';
-
-      // Fechar modal
-      modal.querySelector('.close').addEventListener('click', () => {
-        document.body.removeChild(modal);
-      });
+    document.body.appendChild(modal);
+    modal.style.display = 'flex';
+    modal.querySelector('.close').addEventListener('click', () => document.body.removeChild(modal));
 
-      // Evento para cancelar
-      modal.querySelector('#cancelarAulaBtn').addEventListener('click', () => {
-        document.body.removeChild(modal);
-        AulaSystem.cancelarAula(agendamentoId);
-      });
+    const executar = async (simular) => {
+      const referencia = modal.querySelector('#mensalidadesReferencia').value;
+      if (!referencia) {
+        ToastSystem.show('Informe o mês de referência.', 'warning');
+        return;
+      }
 
-      // Evento para reagendar
-      modal.querySelector('#reagendarAulaBtn').addEventListener('click', () => {
-        document.body.removeChild(modal);
-        AulaSystem.reagendarAula(agendamentoId);
-      });
+      try {
+        const result = await ApiService.request('/financeiro/mensalidades', 'POST', { referencia, simular });
+        modal.querySelector('#mensalidadesResultado').innerHTML = FinanceiroSystem.renderMensalidades(result);
+        if (!simular) {
+          ToastSystem.show(result.message, 'success');
+          NavigationSystem.reloadCurrentSection();
+        }
+      } catch (error) {
+        ToastSystem.show(`Erro ao gerar mensalidades: ${error.message}`, 'error');
+      }
+    };
 
-    } catch (error) {
-      console.error('Erro ao carregar agendamento:', error);
-      ToastSystem.show('Erro ao carregar agendamento', 'error');
-    }
+    modal.querySelector('#simularMensalidadesBtn').addEventListener('click', () => executar(true));
+    modal.querySelector('#confirmarMensalidadesBtn').addEventListener('click', () => executar(false));
   },
 
-  cancelarAula: async (agendamentoId) => {
-    // Mostrar modal de cancelamento
-    const modal = document.getElementById('modalCancelar');
-    modal.style.display = 'block';
+  /**
+   * Monta o resultado da cobrança mensal
+   * @param {Object} result - Resposta de /financeiro/mensalidades
+   * @returns {string} HTML do resultado
+   */
+  renderMensalidades: (result) => `
+            <p><strong>${result.message}</strong> - Total: ${Utils.formatCurrency(result.total)}</p>
+            ${result.mensalidades.length > 0 ? `
+            <table>
+                <thead>
+                    <tr><th>Aluno</th><th>Aula</th><th>Plano</th><th>Descontos</th><th>Valor</th><th>Vencimento</th></tr>
+                </thead>
+                <tbody>
+                    ${result.mensalidades.map(m => `
+                    <tr>
+                        <td>${Utils.escapeHtml(m.aluno_nome)}</td>
+                        <td>${Utils.escapeHtml(m.instrumento)}</td>
+                        <td>${Utils.escapeHtml(m.plano_nome)} (${Utils.formatCurrency(m.valor_bruto)})</td>
+                        <td>${m.itens.filter(i => i.tipo === 'desconto').map(i => `${Utils.escapeHtml(i.descricao)}: ${Utils.formatCurrency(-i.valor)}`).join('<br>') || '-'}</td>
+                        <td>${Utils.formatCurrency(m.valor)}</td>
+                        <td>${Utils.formatDate(`${m.data_vencimento}T00:00:00`)}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ` : ''}
+            ${result.existentes.length > 0 ? `<p>${result.existentes.length} mensalidade(s) já gerada(s) para o mês.</p>` : ''}
+            ${result.isentas.length > 0 ? `
+            <p><strong>Isentas (bolsa integral):</strong> ${result.isentas.map(m => `${Utils.escapeHtml(m.aluno_nome)} - ${Utils.escapeHtml(m.instrumento)}`).join(', ')}</p>
+            ` : ''}
+            ${result.sem_plano.length > 0 ? `
+            <p><strong>Matrículas sem plano (não cobradas):</strong></p>
+            <ul>
+                ${result.sem_plano.map(m => `<li>${Utils.escapeHtml(m.aluno_nome)} - ${Utils.escapeHtml(m.instrumento)}</li>`).join('')}
+            </ul>
+            ` : ''}
+        `,
 
-    // Limpar campo anterior
-    document.getElementById('motivoCancelamento').value = '';
+  /**
+   * Indica se o pagamento ainda tem saldo a receber
+   * @param {Object} pagamento - Pagamento com o status calculado
+   * @returns {boolean} true para pendentes, parciais e atrasados
+   */
+  emAberto: (pagamento) => ['pendente', 'parcial', 'atrasado'].includes(pagamento.status),
 
-    // Configurar eventos do modal
-    const closeModal = () => {
-      modal.style.display = 'none';
-    };
+  /**
+   * Exibe o QR code e o PIX "copia e cola" do saldo de um pagamento
+   * @param {string} paymentId - ID do pagamento
+   */
+  showPix: async (paymentId) => {
+    let pagamento, pix;
+    try {
+      [pagamento, pix] = await Promise.all([
+        ApiService.request(`/financeiro/${paymentId}`),
+        ApiService.request(`/financeiro/${paymentId}/pix`)
+      ]);
+    } catch (error) {
+      ToastSystem.show(`Erro ao gerar PIX: ${error.message}`, 'error');
+      return;
+    }
 
-    // Fechar modal
-    document.querySelector('#modalCancelar .close-modal').onclick = closeModal;
-    document.getElementById('cancelarCancelamentoBtn').onclick = closeModal;
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+            <div class="modal-content" style="max-width: 450px; text-align: center;">
+                <span class="close">&times;</span>
+                <h3>PIX - ${Utils.escapeHtml(pagamento.aluno_nome || 'N/A')}</h3>
+                <p>Valor: <strong>${Utils.formatCurrency(pix.valor)}</strong></p>
+                <img src="${pix.qrcode}" alt="QR code PIX" style="width: 240px; height: 240px;">
+                <div class="form-group">
+                    <label for="pixCopiaECola">PIX copia e cola</label>
+                    <textarea id="pixCopiaECola" class="form-control" rows="3" readonly>${Utils.escapeHtml(pix.payload)}</textarea>
+                </div>
+                <p><small>Identificador: ${pix.txid}</small></p>
+                <button id="copiarPixBtn" class="btn btn-primary">Copiar código</button>
+                <button id="imprimirFaturaBtn" class="btn btn-info">Imprimir fatura</button>
+            </div>
+        `;
 
-    // Confirmar cancelamento
-    document.getElementById('confirmarCancelamentoBtn').onclick = async () => {
-      const motivo = document.getElementById('motivoCancelamento').value;
-      if (!motivo) {
-        ToastSystem.show('Por favor, informe o motivo do cancelamento.', 'warning');
-        return;
-      }
+    document.body.appendChild(modal);
+    modal.style.display = 'flex';
+    modal.querySelector('.close').addEventListener('click', () => document.body.removeChild(modal));
 
+    modal.querySelector('#copiarPixBtn').addEventListener('click', async () => {
       try {
-        await ApiService.request(`/aulas/agendadas/${agendamentoId}/cancelar`, 'PUT', {
-          motivo: motivo
-        });
-        ToastSystem.show('Aula cancelada com sucesso', 'success');
-        DashboardSystem.loadAgenda();
-        closeModal();
+        await navigator.clipboard.writeText(pix.payload);
+        ToastSystem.show('Código PIX copiado.', 'success');
       } catch (error) {
-        ToastSystem.show('Erro ao cancelar aula', 'error');
+        modal.querySelector('#pixCopiaECola').select();
+        ToastSystem.show('Selecione o código e copie manualmente.', 'warning');
       }
-    };
+    });
+    modal.querySelector('#imprimirFaturaBtn').addEventListener('click', () => FinanceiroSystem.imprimirFatura(pagamento, pix));
   },
 
-  reagendarAula: async (agendamentoId) => {
-    // Mostrar modal de reagendamento
-    const modal = document.getElementById('modalReagendar');
-    modal.style.display = 'block';
+  /**
+   * Abre a fatura do pagamento, com os itens, encargos e o PIX, para impressão
+   * @param {Object} pagamento - Pagamento de /financeiro/:id
+   * @param {Object} pix - Resposta de /financeiro/:id/pix
+   */
+  imprimirFatura: (pagamento, pix) => {
+    const janela = window.open('', '_blank');
+    if (!janela) {
+      ToastSystem.show('Permita pop-ups para imprimir a fatura.', 'warning');
+      return;
+    }
 
-    // Limpar campos anteriores
-    document.getElementById('novaData').value = '';
-    document.getElementById('motivoReagendamento').value = '';
+    const itens = pagamento.itens.length > 0
+      ? pagamento.itens
+      : [{ descricao: pagamento.referencia ? `Mensalidade ${pagamento.referencia}` : 'Cobrança', valor: pagamento.valor }];
+    const encargos = pagamento.status === 'atrasado'
+      ? Number(pagamento.valor_multa) + Number(pagamento.valor_juros)
+      : 0;
+
+    janela.document.write(`
+            <!DOCTYPE html>
+            <html lang="pt-BR">
+            <head>
+                <meta charset="UTF-8">
+                <title>Fatura ${Utils.escapeHtml(pix.txid)}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; max-width: 700px; margin: 30px auto; color: #333; }
+                    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+                    td, th { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; }
+                    .valor { text-align: right; }
+                    .pix { display: flex; gap: 20px; align-items: center; }
+                    .pix code { word-break: break-all; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <h2>${Utils.escapeHtml(pix.recebedor)}</h2>
+                <p>
+                    <strong>Fatura:</strong> ${Utils.escapeHtml(pix.txid)}<br>
+                    <strong>Aluno:</strong> ${Utils.escapeHtml(pagamento.aluno_nome || 'N/A')}<br>
+                    <strong>Vencimento:</strong> ${Utils.formatDate(`${pagamento.data_vencimento}T00:00:00`)}
+                    ${pagamento.referencia ? `<br><strong>Referência:</strong> ${Utils.escapeHtml(pagamento.referencia.split('-').reverse().join('/'))}` : ''}
+                </p>
+                <table>
+                    <thead><tr><th>Descrição</th><th class="valor">Valor</th></tr></thead>
+                    <tbody>
+                        ${itens.map(i => `<tr><td>${Utils.escapeHtml(i.descricao)}</td><td class="valor">${Utils.formatCurrency(i.valor)}</td></tr>`).join('')}
+                        ${encargos > 0 ? `<tr><td>Multa e juros (${pagamento.dias_atraso} dias de atraso)</td><td class="valor">${Utils.formatCurrency(encargos)}</td></tr>` : ''}
+                        ${Number(pagamento.valor_recebido) > 0 ? `<tr><td>Valor já recebido</td><td class="valor">${Utils.formatCurrency(-pagamento.valor_recebido)}</td></tr>` : ''}
+                        <tr><th>Total a pagar</th><th class="valor">${Utils.formatCurrency(pix.valor)}</th></tr>
+                    </tbody>
+                </table>
+                <div class="pix">
+                    <img src="${Utils.escapeHtml(pix.qrcode)}" alt="QR code PIX" width="200" height="200">
+                    <div>
+                        <p><strong>Pague com PIX:</strong> leia o QR code ou use o código copia e cola.</p>
+                        <code>${Utils.escapeHtml(pix.payload)}</code>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `);
+    janela.document.close();
+    janela.focus();
+    janela.print();
+  },
 
-    // Configurar data mínima como amanhã
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    document.getElementById('novaData').min = tomorrow.toISOString().split('T')[0];
+  /**
+   * Monta a tabela do extrato de repasse: pagamentos, alunos e aulas dadas
+   * @param {Array} itens - Itens do extrato (/fechamentos/:id ou prévia)
+   * @returns {string} HTML da tabela
+   */
+  renderExtrato: (itens) => itens.length === 0 ? '<p>Nenhum item de repasse.</p>' : `
+            <table>
+                <thead>
+                    <tr><th>Aluno</th><th>Aula</th><th>Mês cobrado</th><th>Aulas dadas</th><th>Pago em</th><th>Repasse</th></tr>
+                </thead>
+                <tbody>
+                    ${itens.map(i => `
+                    <tr>
+                        <td>${Utils.escapeHtml(i.aluno_nome || 'N/A')}</td>
+                        <td>${Utils.escapeHtml(i.instrumento || '-')}${i.substituicao ? ' <small>(substituição)</small>' : ''}</td>
+                        <td>${i.referencia.split('-').reverse().join('/')}</td>
+                        <td>${i.aulas_dadas.map(a => Utils.formatDate(`${a.data_aula}T00:00:00`)).join(', ') || '-'}</td>
+                        <td>${i.data_pagamento ? Utils.formatDate(`${i.data_pagamento}T00:00:00`) : '-'}</td>
+                        <td>${Utils.formatCurrency(i.valor)} <small>(${i.porcentagem}%)</small></td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `,
 
-    // Configurar eventos do modal
-    const closeModal = () => {
-      modal.style.display = 'none';
+  /**
+   * Exibe o extrato de um fechamento de repasse
+   * @param {string} fechamentoId - ID do fechamento
+   */
+  showExtrato: async (fechamentoId) => {
+    try {
+      const fechamento = await ApiService.request(`/fechamentos/${fechamentoId}`);
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.innerHTML = `
+                <div class="modal-content" style="max-width: 800px;">
+                    <span class="close">&times;</span>
+                    <h3>Repasse de ${fechamento.referencia.split('-').reverse().join('/')} - ${Utils.escapeHtml(fechamento.professor_nome)}</h3>
+                    <p>
+                        Total: <strong>${Utils.formatCurrency(fechamento.valor_total)}</strong>
+                        - ${fechamento.status === 'pago' ? `pago em ${Utils.formatDate(`${fechamento.data_pagamento}T00:00:00`)}` : 'aguardando pagamento'}
+                    </p>
+                    ${FinanceiroSystem.renderExtrato(fechamento.itens)}
+                </div>
+            `;
+
+      document.body.appendChild(modal);
+      modal.style.display = 'flex';
+      modal.querySelector('.close').addEventListener('click', () => document.body.removeChild(modal));
+    } catch (error) {
+      ToastSystem.show(`Erro ao carregar extrato: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Exibe os fechamentos de repasse de um professor, com a prévia e o
+   * fechamento do mês para quem gerencia o financeiro
+   * @param {string} professorId - ID do professor
+   */
+  fechamentos: async (professorId) => {
+    let data;
+    try {
+      data = await ApiService.request(`/professores/${professorId}/fechamentos`);
+    } catch (error) {
+      ToastSystem.show(`Erro ao carregar fechamentos: ${error.message}`, 'error');
+      return;
+    }
+
+    const canManage = AuthSystem.can('financeiro:gerenciar');
+    const mesAnterior = new Date(`${new Date().toISOString().slice(0, 7)}-01`);
+    mesAnterior.setUTCDate(0);
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+            <div class="modal-content" style="max-width: 800px;">
+                <span class="close">&times;</span>
+                <h3>Fechamentos de repasse - ${Utils.escapeHtml(data.professor_nome)}</h3>
+                <table>
+                    <thead>
+                        <tr><th>Mês</th><th>Valor</th><th>Status</th><th>Pago em</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${data.fechamentos.length === 0 ? '<tr><td colspan="5" style="text-align: center;">Nenhum fechamento registrado</td></tr>' : data.fechamentos.map(f => `
+                        <tr>
+                            <td>${f.referencia.split('-').reverse().join('/')}</td>
+                            <td>${Utils.formatCurrency(f.valor_total)}</td>
+                            <td><span class="status status-${f.status === 'pago' ? 'active' : 'pending'}">${f.status}</span></td>
+                            <td>${f.data_pagamento ? Utils.formatDate(`${f.data_pagamento}T00:00:00`) : '-'}</td>
+                            <td>
+                                <button class="action-btn extrato-btn" data-id="${f.id}" title="Extrato"><i class="fas fa-list"></i></button>
+                                ${canManage && f.status !== 'pago' ? `
+                                <button class="action-btn pay-btn pagar-fechamento-btn" data-id="${f.id}" title="Marcar como pago"><i class="fas fa-money-bill-wave"></i></button>
+                                <button class="action-btn delete-btn reabrir-fechamento-btn" data-id="${f.id}" title="Reabrir"><i class="fas fa-lock-open"></i></button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${canManage ? `
+                <h4 style="margin-top: 15px;">Fechar mês</h4>
+                <div class="form-group">
+                    <label for="fechamentoReferencia">Mês de referência</label>
+                    <input type="month" id="fechamentoReferencia" class="form-control" value="${mesAnterior.toISOString().slice(0, 7)}">
+                </div>
+                <button id="simularFechamentoBtn" class="btn btn-info">Ver prévia</button>
+                <button id="confirmarFechamentoBtn" class="btn btn-primary">Fechar</button>
+                <div id="fechamentoResultado" style="margin-top: 15px;"></div>
+                ` : ''}
+            </div>
+        `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'flex';
+    const fechar = () => document.body.removeChild(modal);
+    modal.querySelector('.close').addEventListener('click', fechar);
+
+    // Recarrega o modal depois de uma alteração
+    const recarregar = () => {
+      fechar();
+      FinanceiroSystem.fechamentos(professorId);
     };
 
-    // Fechar modal
-    document.querySelector('#modalReagendar .close-modal').onclick = closeModal;
-    document.getElementById('cancelarReagendamentoBtn').onclick = closeModal;
+    modal.querySelectorAll('.extrato-btn').forEach(btn => {
+      btn.addEventListener('click', () => FinanceiroSystem.showExtrato(btn.getAttribute('data-id')));
+    });
 
-    // Confirmar reagendamento
-    document.getElementById('confirmarReagendamentoBtn').onclick = async () => {
-      const novaData = document.getElementById('novaData').value;
-      const motivo = document.getElementById('motivoReagendamento').value;
+    modal.querySelectorAll('.pagar-fechamento-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          const result = await ApiService.request(`/fechamentos/${btn.getAttribute('data-id')}/pagar`, 'POST', {});
+          ToastSystem.show(result.message, 'success');
+          recarregar();
+        } catch (error) {
+          ToastSystem.show(`Erro ao pagar repasse: ${error.message}`, 'error');
+        }
+      });
+    });
 
-      if (!novaData || !motivo) {
-        ToastSystem.show('Por favor, preencha todos os campos.', 'warning');
-        return;
-      }
+    modal.querySelectorAll('.reabrir-fechamento-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!window.confirm('Reabrir o fechamento? Os pagamentos incluídos voltam a poder ser alterados.')) return;
 
-      // Validar se a data é futura
-      const selectedDate = new Date(novaData);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+        try {
+          const result = await ApiService.request(`/fechamentos/${btn.getAttribute('data-id')}`, 'DELETE');
+          ToastSystem.show(result.message, 'success');
+          recarregar();
+        } catch (error) {
+          ToastSystem.show(`Erro ao reabrir fechamento: ${error.message}`, 'error');
+        }
+      });
+    });
 
-      if (selectedDate <= today) {
-        ToastSystem.show('A nova data deve ser futura.', 'warning');
+    if (!canManage) return;
+
+    const executar = async (simular) => {
+      const referencia = modal.querySelector('#fechamentoReferencia').value;
+      if (!referencia) {
+        ToastSystem.show('Informe o mês de referência.', 'warning');
         return;
       }
 
       try {
-        await ApiService.request(`/aulas/agendadas/${agendamentoId}/reagendar`, 'PUT', {
-          nova_data: novaData,
-          motivo: motivo
-        });
-        ToastSystem.show('Aula reagendada com sucesso', 'success');
-        DashboardSystem.loadAgenda();
-        closeModal();
+        const result = await ApiService.request(`/professores/${professorId}/fechamentos`, 'POST', { referencia, simular });
+        if (simular) {
+          modal.querySelector('#fechamentoResultado').innerHTML = `
+                    <p><strong>${result.message}</strong> - Total: ${Utils.formatCurrency(result.valor_total)}</p>
+                    ${FinanceiroSystem.renderExtrato(result.itens)}
+                `;
+        } else {
+          ToastSystem.show(result.message, 'success');
+          recarregar();
+        }
       } catch (error) {
-        ToastSystem.show('Erro ao reagendar aula', 'error');
+        ToastSystem.show(`Erro ao fechar repasse: ${error.message}`, 'error');
       }
     };
-  }
-};
 
-// ==============================================================
-// MÓDULO FINANCEIRO
-// ==============================================================
+    modal.querySelector('#simularFechamentoBtn').addEventListener('click', () => executar(true));
+    modal.querySelector('#confirmarFechamentoBtn').addEventListener('click', () => executar(false));
+  },
 
-/**
- * Sistema de gerenciamento financeiro
- */
-const FinanceiroSystem = {
   /**
-   * Processa um pagamento
+   * Abre os recebimentos de um pagamento: registra um novo recebimento
+   * (integral ou parcial) e permite estornar os anteriores
    * @param {string} paymentId - ID do pagamento
    */
   processPayment: async (paymentId) => {
+    let pagamento;
     try {
-      await ApiService.request(`/financeiro/${paymentId}/pagar`, 'POST', {
-        data_pagamento: new Date().toISOString()
-      });
-
-      ToastSystem.show('Pagamento processado com sucesso!', 'success');
-      NavigationSystem.reloadCurrentSection();
+      pagamento = await ApiService.request(`/financeiro/${paymentId}`);
     } catch (error) {
-      console.error('Erro ao processar pagamento:', error);
-      ToastSystem.show(`Erro ao processar pagamento: ${error.message}`, 'error');
+      ToastSystem.show(`Erro ao carregar pagamento: ${error.message}`, 'error');
+      return;
+    }
+
+    const formas = { pix: 'PIX', cartao: 'Cartão', dinheiro: 'Dinheiro', boleto: 'Boleto' };
+    const estornados = new Set(pagamento.transacoes.filter(t => t.estorno_de).map(t => t.estorno_de));
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+            <div class="modal-content" style="max-width: 700px;">
+                <span class="close">&times;</span>
+                <h3>Recebimentos - ${Utils.escapeHtml(pagamento.aluno_nome || 'N/A')}</h3>
+                <p>
+                    Valor: ${Utils.formatCurrency(pagamento.status === 'atrasado' ? pagamento.valor_atualizado : pagamento.valor)}
+                    - Recebido: ${Utils.formatCurrency(pagamento.valor_recebido)}
+                    ${pagamento.status !== 'pago' ? ` - <strong>Saldo: ${Utils.formatCurrency(pagamento.saldo)}</strong>` : ''}
+                </p>
+                ${pagamento.status !== 'pago' ? `
+                <form id="recebimentoForm">
+                    <div class="form-group">
+                        <label for="recebimentoValor">Valor recebido</label>
+                        <input type="number" id="recebimentoValor" class="form-control" step="0.01" min="0.01" max="${pagamento.saldo}" value="${pagamento.saldo}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="recebimentoForma">Forma de pagamento</label>
+                        <select id="recebimentoForma" class="form-control" required>
+                            ${Object.entries(formas).map(([valor, nome]) => `<option value="${valor}">${nome}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="recebimentoData">Data</label>
+                        <input type="date" id="recebimentoData" class="form-control" value="${new Date().toISOString().split('T')[0]}" required>
+                    </div>
+                    <button type="submit" class="btn btn-primary">Registrar recebimento</button>
+                </form>
+                ` : ''}
+                ${pagamento.transacoes.length > 0 ? `
+                <table style="margin-top: 15px;">
+                    <thead>
+                        <tr><th>Data</th><th>Tipo</th><th>Forma</th><th>Valor</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${pagamento.transacoes.map(t => `
+                        <tr>
+                            <td>${Utils.formatDate(`${t.data}T00:00:00`)}</td>
+                            <td>${t.tipo}${estornados.has(t.id) ? ' <small>(estornado)</small>' : ''}</td>
+                            <td>${formas[t.forma_pagamento] || '-'}</td>
+                            <td>${Utils.formatCurrency(t.tipo === 'estorno' ? -t.valor : t.valor)}</td>
+                            <td>
+                                ${t.tipo === 'recebimento' && !estornados.has(t.id) ? `
+                                <button class="action-btn delete-btn estorno-btn" data-id="${t.id}" title="Estornar"><i class="fas fa-undo"></i></button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : ''}
+            </div>
+        `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'flex';
+    const fechar = () => document.body.removeChild(modal);
+    modal.querySelector('.close').addEventListener('click', fechar);
+
+    const form = modal.querySelector('#recebimentoForm');
+    if (form) {
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+          const result = await ApiService.request(`/financeiro/${paymentId}/pagar`, 'POST', {
+            valor: Number(modal.querySelector('#recebimentoValor').value),
+            forma_pagamento: modal.querySelector('#recebimentoForma').value,
+            data_pagamento: modal.querySelector('#recebimentoData').value
+          });
+
+          if (result.quitado) {
+            const professores = new Set(result.repasses.map(r => r.professor_id)).size;
+            ToastSystem.show(`${result.message}. Total recebido: ${Utils.formatCurrency(result.valor_recebido)}; repasse de ${Utils.formatCurrency(result.valor_repasse)} para ${professores} professor(es)`, 'success');
+          } else {
+            ToastSystem.show(result.message, 'success');
+          }
+          fechar();
+          NavigationSystem.reloadCurrentSection();
+        } catch (error) {
+          console.error('Erro ao processar pagamento:', error);
+          ToastSystem.show(`Erro ao processar pagamento: ${error.message}`, 'error');
+        }
+      });
     }
+
+    modal.querySelectorAll('.estorno-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const observacoes = window.prompt('Motivo do estorno:');
+        if (observacoes === null) return;
+
+        try {
+          const result = await ApiService.request(`/financeiro/${paymentId}/transacoes/${btn.getAttribute('data-id')}/estorno`, 'POST', { observacoes });
+          ToastSystem.show(result.message, 'success');
+          fechar();
+          NavigationSystem.reloadCurrentSection();
+        } catch (error) {
+          ToastSystem.show(`Erro ao estornar: ${error.message}`, 'error');
+        }
+      });
+    });
   }
 };
 
@@ -1972,6 +4920,85 @@ const setupEventListeners = () => {
     DomElements.nextWeekBtn.addEventListener('click', DashboardSystem.nextWeek);
   }
 
+  // Portal do professor
+  const portalPrevWeekBtn = document.getElementById('portalPrevWeekBtn');
+  if (portalPrevWeekBtn) {
+    portalPrevWeekBtn.addEventListener('click', ProfessorPortalSystem.prevWeek);
+  }
+
+  const portalNextWeekBtn = document.getElementById('portalNextWeekBtn');
+  if (portalNextWeekBtn) {
+    portalNextWeekBtn.addEventListener('click', ProfessorPortalSystem.nextWeek);
+  }
+
+  const portalAgenda = document.getElementById('portalAgenda');
+  if (portalAgenda) {
+    portalAgenda.addEventListener('click', ProfessorPortalSystem.handleAgendaClick);
+  }
+
+  const portalDisponibilidadeBtn = document.getElementById('portalDisponibilidadeBtn');
+  if (portalDisponibilidadeBtn) {
+    portalDisponibilidadeBtn.addEventListener('click', () => {
+      DisponibilidadeSystem.show(AppState.currentUser.professorId);
+    });
+  }
+
+  // Portal do aluno
+  const portalAlunoAulasTable = document.getElementById('portalAlunoAulasTable');
+  if (portalAlunoAulasTable) {
+    portalAlunoAulasTable.addEventListener('click', AlunoPortalSystem.handleAulasClick);
+  }
+
+  const portalAlunoPagamentosTable = document.getElementById('portalAlunoPagamentosTable');
+  if (portalAlunoPagamentosTable) {
+    portalAlunoPagamentosTable.addEventListener('click', (e) => {
+      const btn = e.target.closest('.pix-btn');
+      if (btn) FinanceiroSystem.showPix(btn.getAttribute('data-id'));
+    });
+  }
+
+  const portalAlunoReposicoesTable = document.getElementById('portalAlunoReposicoesTable');
+  if (portalAlunoReposicoesTable) {
+    portalAlunoReposicoesTable.addEventListener('click', (e) => ReposicaoSystem.handleClick(e, AlunoPortalSystem.load));
+  }
+
+  // Filtro de solicitações
+  const solicitacoesStatus = document.getElementById('solicitacoesStatus');
+  if (solicitacoesStatus) {
+    solicitacoesStatus.addEventListener('change', SolicitacaoSystem.load);
+  }
+
+  const leadsStatus = document.getElementById('leadsStatus');
+  if (leadsStatus) {
+    leadsStatus.addEventListener('change', LeadsSystem.load);
+  }
+
+  // Calendário de feriados
+  const feriadosAno = document.getElementById('feriadosAno');
+  if (feriadosAno) {
+    const anoAtual = new Date().getFullYear();
+    feriadosAno.innerHTML = [anoAtual - 1, anoAtual, anoAtual + 1, anoAtual + 2]
+      .map(ano => `<option value="${ano}" ${ano === anoAtual ? 'selected' : ''}>${ano}</option>`).join('');
+    feriadosAno.addEventListener('change', FeriadosSystem.load);
+  }
+
+  // Filtro de pagamentos
+  const financeiroStatus = document.getElementById('financeiroStatus');
+  if (financeiroStatus) {
+    financeiroStatus.addEventListener('change', FinanceiroSystem.load);
+  }
+
+  // Cobrança mensal
+  const gerarMensalidadesBtn = document.getElementById('gerarMensalidadesBtn');
+  if (gerarMensalidadesBtn) {
+    gerarMensalidadesBtn.addEventListener('click', FinanceiroSystem.gerarMensalidades);
+  }
+
+  const importarFeriadosBtn = document.getElementById('importarFeriadosBtn');
+  if (importarFeriadosBtn) {
+    importarFeriadosBtn.addEventListener('click', FeriadosSystem.importar);
+  }
+
   // Login
   const loginForm = document.getElementById('loginForm');
   if (loginForm) {
@@ -2074,7 +5101,7 @@ const initApp = async () => {
   if (DomElements.loader) DomElements.loader.style.display = 'none';
   if (token && apiConnected) {
     // Verificar se o token é válido
-    AuthSystem.validateToken(token);
+    await AuthSystem.validateToken(token);
   } else {
     AuthSystem.showLogin();
   }
@@ -2103,6 +5130,13 @@ window.App = {
   Auth: AuthSystem,
   Dashboard: DashboardSystem,
   Aula: AulaSystem,
+  ProfessorPortal: ProfessorPortalSystem,
+  AlunoPortal: AlunoPortalSystem,
+  Solicitacao: SolicitacaoSystem,
+  Reposicao: ReposicaoSystem,
+  Leads: LeadsSystem,
+  Disponibilidade: DisponibilidadeSystem,
+  Feriados: FeriadosSystem,
   Financeiro: FinanceiroSystem,
   Report: ReportSystem,
   MobileMenu: MobileMenuSystem
@@ -5,7 +5,11 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
 const fs = require('fs');
-const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { createRepository } = require('./db');
 
 // ==============================================================
 // CONFIGURAÇÕES E INICIALIZAÇÃO
@@ -50,30 +54,24 @@ app.use((req, res, next) => {
 });
 
 // ==============================================================
-// INICIALIZAÇÃO DO SUPABASE
+// INICIALIZAÇÃO DO BANCO DE DADOS
 // ==============================================================
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Variáveis SUPABASE_URL ou SUPABASE_KEY não encontradas');
+let db;
+try {
+  db = createRepository();
+} catch (err) {
+  console.error(err.message);
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
-
 // Testar conexão
-supabase.from('professores').select('*').limit(1)
-  .then(({ error }) => {
-    if (error) {
-      console.error('Erro ao conectar ao Supabase:', error.message);
-      process.exit(1);
-    }
-    console.log('Conectado ao Supabase com sucesso');
+db.connect()
+  .then(() => {
+    console.log(`Conectado ao banco de dados (${db.cliente}) com sucesso`);
   })
   .catch(err => {
-    console.error('Erro ao conectar ao Supabase:', err.message);
+    console.error('Erro ao conectar ao banco de dados:', err.message);
     process.exit(1);
   });
 
@@ -130,9 +128,461 @@ const Utils = {
       }
     });
     return filtered;
+  },
+
+  /**
+   * Cria um erro com status HTTP, para ser repassado pelo handler
+   * @param {number} status - Código HTTP
+   * @param {string} message - Mensagem de erro
+   * @param {Object} details - Campos extras incluídos na resposta (opcional)
+   * @returns {Error} Erro com as propriedades status e details
+   */
+  httpError: function (status, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+  },
+
+  /**
+   * Formata uma data no padrão AAAA-MM-DD
+   * @param {Date} date - Data
+   * @returns {string} Data formatada
+   */
+  formatDate: function (date) {
+    return date.toISOString().split('T')[0];
+  },
+
+  /**
+   * Soma dias a uma data no padrão AAAA-MM-DD
+   * @param {string} date - Data base (AAAA-MM-DD)
+   * @param {number} days - Dias a somar (negativo para subtrair)
+   * @returns {string} Nova data (AAAA-MM-DD)
+   */
+  addDays: function (date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return Utils.formatDate(result);
+  },
+
+  /**
+   * Verifica se um valor é uma data no padrão AAAA-MM-DD
+   * @param {string} date - Valor a verificar
+   * @returns {boolean} true se a data é válida
+   */
+  isDate: function (date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date));
+  },
+
+  /**
+   * Converte um timestamp do banco em Date. O CURRENT_TIMESTAMP do SQLite
+   * vem em UTC e sem fuso ("AAAA-MM-DD HH:MM:SS"); o Postgres inclui o fuso.
+   * @param {string|Date} timestamp - Timestamp do banco
+   * @returns {Date} Data correspondente
+   */
+  parseTimestamp: function (timestamp) {
+    if (timestamp instanceof Date) return timestamp;
+    const iso = String(timestamp).replace(' ', 'T');
+    return new Date(/(Z|[+-]\d{2}(:?\d{2})?)$/i.test(iso) ? iso : `${iso}Z`);
+  }
+};
+
+// ==============================================================
+// AUTENTICAÇÃO
+// ==============================================================
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = 60 * 60; // 1 hora, em segundos
+const REFRESH_TOKEN_DIAS = 7;
+
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET não definido: usando segredo temporário (sessões serão perdidas ao reiniciar)');
+}
+
+const Auth = {
+  /**
+   * Gera o hash de uma senha
+   * @param {string} senha - Senha em texto puro
+   * @returns {Promise<string>} Hash bcrypt
+   */
+  hashSenha: (senha) => bcrypt.hash(senha, 10),
+
+  /**
+   * Gera o hash SHA-256 de um refresh token para armazenamento
+   * @param {string} token - Refresh token
+   * @returns {string} Hash hexadecimal
+   */
+  hashToken: (token) => crypto.createHash('sha256').update(token).digest('hex'),
+
+  /**
+   * Remove dados sensíveis do usuário
+   * @param {Object} usuario - Registro da tabela usuarios
+   * @returns {Object} Dados públicos do usuário
+   */
+  dadosPublicos: (usuario) => ({
+    id: usuario.id,
+    nome: usuario.nome,
+    email: usuario.email,
+    role: usuario.role,
+    professor_id: usuario.professor_id || null,
+    aluno_id: usuario.aluno_id || null,
+    permissoes: PERMISSOES[usuario.role] || []
+  }),
+
+  /**
+   * Emite o access token e o refresh token de uma sessão
+   * @param {Object} usuario - Usuário autenticado
+   * @param {Object} sessao - Sessão existente (renovação) ou undefined (nova sessão)
+   * @returns {Promise<Object>} Tokens e dados do usuário
+   */
+  emitirTokens: async (usuario, sessao) => {
+    const refresh_token = crypto.randomBytes(48).toString('hex');
+    const expira_em = new Date(Date.now() + REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000).toISOString();
+    const dadosSessao = { refresh_token_hash: Auth.hashToken(refresh_token), expira_em };
+
+    if (sessao) {
+      await db.update('sessoes', { id: sessao.id }, dadosSessao);
+    } else {
+      sessao = await db.insert('sessoes', { usuario_id: usuario.id, ...dadosSessao });
+    }
+
+    const token = jwt.sign(
+      { sub: usuario.id, sid: sessao.id, role: usuario.role },
+      JWT_SECRET,
+      { expiresIn: JWT_EXPIRES_IN }
+    );
+
+    return {
+      token,
+      refresh_token,
+      expires_in: JWT_EXPIRES_IN,
+      usuario: Auth.dadosPublicos(usuario)
+    };
+  },
+
+  /**
+   * Cria o administrador inicial a partir de ADMIN_EMAIL e ADMIN_PASSWORD
+   * quando ainda não existe nenhum usuário
+   */
+  garantirAdmin: async () => {
+    if (await db.count('usuarios') > 0) return;
+
+    const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NOME } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      console.warn('Nenhum usuário cadastrado. Defina ADMIN_EMAIL e ADMIN_PASSWORD para criar o administrador inicial');
+      return;
+    }
+
+    await db.insert('usuarios', {
+      nome: ADMIN_NOME || 'Administrador',
+      email: ADMIN_EMAIL.trim().toLowerCase(),
+      senha_hash: await Auth.hashSenha(ADMIN_PASSWORD),
+      role: 'admin'
+    });
+    console.log(`Administrador inicial criado: ${ADMIN_EMAIL}`);
+  }
+};
+
+const AuthMiddleware = {
+  /**
+   * Exige um access token válido de uma sessão ativa
+   * Define req.usuario e req.sessao
+   */
+  autenticar: async (req, res, next) => {
+    try {
+      const [tipo, token] = (req.headers.authorization || '').split(' ');
+      if (tipo !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Autenticação necessária' });
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(token, JWT_SECRET);
+      } catch (err) {
+        return res.status(401).json({ error: 'Token inválido ou expirado' });
+      }
+
+      const sessao = await db.findOne('sessoes', { id: payload.sid });
+      if (!sessao || sessao.revogada_em) {
+        return res.status(401).json({ error: 'Sessão encerrada' });
+      }
+
+      const usuario = await db.findOne('usuarios', { id: payload.sub });
+      if (!usuario || !usuario.ativo) {
+        return res.status(401).json({ error: 'Usuário inativo' });
+      }
+
+      req.usuario = Auth.dadosPublicos(usuario);
+      req.sessao = sessao;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
+
+const AuthHandlers = {
+  /**
+   * Autentica por e-mail e senha
+   */
+  login: async (req, res) => {
+    try {
+      const { email, senha } = req.body;
+
+      if (!email || !senha) {
+        return res.status(400).json({ error: 'E-mail e senha são obrigatórios' });
+      }
+
+      const usuario = await db.findOne('usuarios', { email: String(email).trim().toLowerCase() });
+      const senhaValida = usuario && await bcrypt.compare(String(senha), usuario.senha_hash);
+
+      if (!senhaValida || !usuario.ativo) {
+        return res.status(401).json({ error: 'Credenciais inválidas' });
+      }
+
+      res.json(await Auth.emitirTokens(usuario));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Troca um refresh token válido por um novo par de tokens
+   */
+  refresh: async (req, res) => {
+    try {
+      const { refresh_token } = req.body;
+
+      if (!refresh_token) {
+        return res.status(400).json({ error: 'Refresh token é obrigatório' });
+      }
+
+      const sessao = await db.findOne('sessoes', { refresh_token_hash: Auth.hashToken(refresh_token) });
+      if (!sessao || sessao.revogada_em || new Date(sessao.expira_em) <= new Date()) {
+        return res.status(401).json({ error: 'Sessão expirada' });
+      }
+
+      const usuario = await db.findOne('usuarios', { id: sessao.usuario_id });
+      if (!usuario || !usuario.ativo) {
+        return res.status(401).json({ error: 'Usuário inativo' });
+      }
+
+      res.json(await Auth.emitirTokens(usuario, sessao));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Encerra a sessão atual
+   */
+  logout: async (req, res) => {
+    try {
+      await db.update('sessoes', { id: req.sessao.id }, { revogada_em: new Date().toISOString() });
+      res.json({ message: 'Logout realizado com sucesso' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Retorna o usuário autenticado
+   */
+  me: (req, res) => {
+    res.json({ usuario: req.usuario });
+  }
+};
+
+// Criar o administrador inicial, se configurado
+db.connect()
+  .then(Auth.garantirAdmin)
+  .catch(err => console.error('Erro ao criar administrador inicial:', err.message));
+
+// Limite mais restrito para tentativas de login
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20
+});
+
+// Rotas públicas
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+app.post('/api/auth/login', loginLimiter, AuthHandlers.login);
+app.post('/api/auth/refresh', loginLimiter, AuthHandlers.refresh);
+
+// Todas as demais rotas da API exigem autenticação
+app.use('/api', AuthMiddleware.autenticar);
+
+app.post('/api/auth/logout', AuthHandlers.logout);
+app.get('/api/auth/me', AuthHandlers.me);
+
+// ==============================================================
+// CONTROLE DE ACESSO POR PERFIL
+// ==============================================================
+
+/**
+ * Permissões de cada perfil
+ * O sufixo ":proprio" concede a permissão apenas sobre os registros do
+ * próprio usuário (suas aulas, sua agenda, seus pagamentos). Permissões que
+ * só o admin possui (como 'conflitos:ignorar') não aparecem nos demais perfis.
+ */
+const PERMISSOES = {
+  admin: ['*'],
+  secretaria: [
+    'alunos:ler', 'alunos:gerenciar',
+    'familias:ler', 'familias:gerenciar',
+    'professores:ler', 'professores:gerenciar',
+    'disponibilidade:gerenciar',
+    'aulas:ler', 'aulas:gerenciar',
+    'salas:ler', 'salas:gerenciar',
+    'recursos:ler', 'recursos:gerenciar',
+    'agenda:ler', 'agenda:gerenciar', 'agenda:solicitar',
+    'feriados:gerenciar',
+    'reposicoes:ler', 'reposicoes:gerenciar',
+    'leads:gerenciar',
+    'presenca:registrar',
+    'financeiro:ler', 'financeiro:gerenciar',
+    'planos:ler', 'planos:gerenciar',
+    'descontos:ler', 'descontos:gerenciar',
+    'repasses:ler',
+    'relatorios:ler'
+  ],
+  professor: [
+    'professores:ler:proprio',
+    'disponibilidade:gerenciar:proprio',
+    'aulas:ler:proprio',
+    'agenda:ler:proprio',
+    'agenda:solicitar:proprio',
+    'presenca:registrar:proprio',
+    'repasses:ler:proprio'
+  ],
+  aluno: [
+    'alunos:ler:proprio',
+    'aulas:ler:proprio',
+    'agenda:ler:proprio',
+    'agenda:solicitar:proprio',
+    'reposicoes:ler:proprio',
+    'reposicoes:gerenciar:proprio',
+    'financeiro:ler:proprio'
+  ]
+};
+
+const Permissoes = {
+  /**
+   * Verifica se o usuário possui uma permissão
+   * @param {Object} usuario - Usuário autenticado (req.usuario)
+   * @param {string} permissao - Nome da permissão
+   * @returns {boolean} true se o perfil concede a permissão
+   */
+  tem: (usuario, permissao) => {
+    const permissoes = PERMISSOES[usuario.role] || [];
+    return permissoes.includes('*') || permissoes.includes(permissao);
+  },
+
+  /**
+   * Compara um parâmetro de rota com um id do usuário
+   */
+  mesmoId: (param, id) => id !== null && id !== undefined && String(param) === String(id),
+
+  /**
+   * Lista os ids das aulas configuradas visíveis para um professor ou aluno
+   * @param {Object} usuario - Usuário autenticado
+   * @returns {Promise<Array<number>>} Ids das aulas
+   */
+  aulasVisiveis: async (usuario) => {
+    const ids = [];
+
+    if (usuario.professor_id) {
+      const aulas = await db.findAll('aulas_configuradas', { where: { professor_id: usuario.professor_id } });
+      ids.push(...aulas.map(a => a.id));
+    }
+
+    if (usuario.aluno_id) {
+      const vinculos = await db.findAll('aulas_alunos', { where: { aluno_id: usuario.aluno_id } });
+      ids.push(...vinculos.map(v => v.aula_id));
+    }
+
+    return [...new Set(ids)];
+  },
+
+  // Verificações de propriedade usadas com a opção "proprio" de autorizar
+  proprioAluno: (param) => (req) => Permissoes.mesmoId(req.params[param], req.usuario.aluno_id),
+
+  proprioProfessor: (param) => (req) => Permissoes.mesmoId(req.params[param], req.usuario.professor_id),
+
+  aulaPropria: async (req) => {
+    const ids = await Permissoes.aulasVisiveis(req.usuario);
+    return ids.includes(Number(req.params.id));
+  },
+
+  agendamentoProprio: async (req) => {
+    const agendamento = await db.findOne('aulas_agendadas', { id: req.params.id });
+    if (!agendamento) return false;
+
+    // O substituto acessa a aula que vai dar
+    if (Permissoes.mesmoId(agendamento.professor_substituto_id, req.usuario.professor_id)) return true;
+
+    const ids = await Permissoes.aulasVisiveis(req.usuario);
+    return ids.includes(agendamento.aula_configurada_id);
+  },
+
+  creditoProprio: async (req) => {
+    const credito = await db.findOne('creditos_reposicao', { id: req.params.id });
+    return Boolean(credito) && Permissoes.mesmoId(credito.aluno_id, req.usuario.aluno_id);
+  },
+
+  pagamentoProprio: async (req) => {
+    const pagamento = await db.findOne('pagamentos', { id: req.params.id });
+    return Boolean(pagamento) && Permissoes.mesmoId(pagamento.aluno_id, req.usuario.aluno_id);
+  },
+
+  fechamentoProprio: async (req) => {
+    const fechamento = await db.findOne('fechamentos_repasse', { id: req.params.id });
+    return Boolean(fechamento) && Permissoes.mesmoId(fechamento.professor_id, req.usuario.professor_id);
+  },
+
+  // Listagens filtradas pelo próprio handler
+  escopoFiltrado: () => true
+};
+
+/**
+ * Exige uma permissão para acessar a rota
+ * @param {string} permissao - Permissão necessária
+ * @param {Object} options - { proprio: (req) => boolean|Promise<boolean> } libera
+ *   o acesso a quem tem a variante ":proprio" da permissão quando a função
+ *   confirma que o registro pertence ao usuário
+ * @returns {Function} Middleware do Express
+ */
+AuthMiddleware.autorizar = (permissao, { proprio } = {}) => async (req, res, next) => {
+  try {
+    if (Permissoes.tem(req.usuario, permissao)) return next();
+
+    if (proprio && Permissoes.tem(req.usuario, `${permissao}:proprio`) && await proprio(req)) {
+      return next();
+    }
+
+    res.status(403).json({ error: 'Acesso negado' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 };
 
+/**
+ * Impede a alteração de campos sensíveis sem a permissão correspondente
+ * @param {Array<string>} campos - Campos protegidos do corpo da requisição
+ * @param {string} permissao - Permissão necessária para alterá-los
+ * @returns {Function} Middleware do Express
+ */
+AuthMiddleware.protegerCampos = (campos, permissao) => (req, res, next) => {
+  const bloqueados = campos.filter(campo => req.body[campo] !== undefined);
+
+  if (bloqueados.length > 0 && !Permissoes.tem(req.usuario, permissao)) {
+    return res.status(403).json({ error: `Sem permissão para alterar: ${bloqueados.join(', ')}` });
+  }
+  next();
+};
+
 // ==============================================================
 // HANDLERS GENÉRICOS PARA CRUD
 // ==============================================================
@@ -150,11 +600,7 @@ const GenericHandlers = {
       // GET all
       getAll: async (req, res) => {
         try {
-          const { data, error } = await supabase
-            .from(tableName)
-            .select('*');
-
-          if (error) throw error;
+          const data = await db.findAll(tableName);
           res.json({ [tableName]: data });
         } catch (err) {
           res.status(500).json({ error: err.message });
@@ -165,13 +611,8 @@ const GenericHandlers = {
       getById: async (req, res) => {
         try {
           const { id } = req.params;
-          const { data, error } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('id', id)
-            .single();
+          const data = await db.findOne(tableName, { id });
 
-          if (error) throw error;
           if (!data) {
             return res.status(404).json({ error: `${entityName} não encontrado` });
           }
@@ -193,15 +634,10 @@ const GenericHandlers = {
             return res.status(400).json({ errors: validationErrors });
           }
 
-          const { data: result, error } = await supabase
-            .from(tableName)
-            .insert(data)
-            .select();
-
-          if (error) throw error;
+          const result = await db.insert(tableName, data);
 
           res.status(201).json({
-            id: result[0].id,
+            id: result.id,
             message: `${entityName} criado com sucesso`
           });
         } catch (err) {
@@ -215,13 +651,7 @@ const GenericHandlers = {
           const { id } = req.params;
 
           // Verificar se existe
-          const { data: existing, error: checkError } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('id', id)
-            .single();
-
-          if (checkError) throw checkError;
+          const existing = await db.findOne(tableName, { id });
           if (!existing) {
             return res.status(404).json({ error: `${entityName} não encontrado` });
           }
@@ -239,12 +669,7 @@ const GenericHandlers = {
             return res.status(400).json({ error: 'Nenhum campo válido para atualização' });
           }
 
-          const { error } = await supabase
-            .from(tableName)
-            .update({ ...data, updated_at: new Date().toISOString() })
-            .eq('id', id);
-
-          if (error) throw error;
+          await db.update(tableName, { id }, { ...data, updated_at: new Date().toISOString() });
 
           res.json({
             message: `${entityName} atualizado com sucesso`
@@ -258,12 +683,7 @@ const GenericHandlers = {
       delete: async (req, res) => {
         try {
           const { id } = req.params;
-          const { error } = await supabase
-            .from(tableName)
-            .delete()
-            .eq('id', id);
-
-          if (error) throw error;
+          await db.remove(tableName, { id });
 
           res.json({ message: `${entityName} excluído com sucesso` });
         } catch (err) {
@@ -281,7 +701,7 @@ const GenericHandlers = {
 // Rotas para Alunos
 const alunosHandlers = GenericHandlers.create(
   'aluno', 'alunos',
-  ['nome', 'email', 'telefone', 'data_nascimento', 'instrumento_principal'],
+  ['nome', 'email', 'telefone', 'data_nascimento', 'instrumento_principal', 'familia_id'],
   {
     nome: { required: true, type: 'string' },
     email: { required: true, type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
@@ -291,11 +711,11 @@ const alunosHandlers = GenericHandlers.create(
   }
 );
 
-app.get('/api/alunos', alunosHandlers.getAll);
-app.get('/api/alunos/:id', alunosHandlers.getById);
-app.post('/api/alunos', alunosHandlers.create);
-app.put('/api/alunos/:id', alunosHandlers.update);
-app.delete('/api/alunos/:id', alunosHandlers.delete);
+app.get('/api/alunos', AuthMiddleware.autorizar('alunos:ler'), alunosHandlers.getAll);
+app.get('/api/alunos/:id', AuthMiddleware.autorizar('alunos:ler', { proprio: Permissoes.proprioAluno('id') }), alunosHandlers.getById);
+app.post('/api/alunos', AuthMiddleware.autorizar('alunos:gerenciar'), alunosHandlers.create);
+app.put('/api/alunos/:id', AuthMiddleware.autorizar('alunos:gerenciar'), alunosHandlers.update);
+app.delete('/api/alunos/:id', AuthMiddleware.autorizar('alunos:gerenciar'), alunosHandlers.delete);
 
 // Rotas para Professores
 const professoresHandlers = GenericHandlers.create(
@@ -311,224 +731,4806 @@ const professoresHandlers = GenericHandlers.create(
   }
 );
 
-app.get('/api/professores', professoresHandlers.getAll);
-app.get('/api/professores/:id', professoresHandlers.getById);
-app.post('/api/professores', professoresHandlers.create);
-app.put('/api/professores/:id', professoresHandlers.update);
-app.delete('/api/professores/:id', professoresHandlers.delete);
+// A porcentagem de repasse só pode ser definida por quem gerencia repasses
+const protegerRepasseProfessor = AuthMiddleware.protegerCampos(['porcentagem_repassa'], 'repasse:gerenciar');
+
+app.get('/api/professores', AuthMiddleware.autorizar('professores:ler'), professoresHandlers.getAll);
+app.get('/api/professores/:id', AuthMiddleware.autorizar('professores:ler', { proprio: Permissoes.proprioProfessor('id') }), professoresHandlers.getById);
+app.post('/api/professores', AuthMiddleware.autorizar('professores:gerenciar'), protegerRepasseProfessor, professoresHandlers.create);
+app.put('/api/professores/:id', AuthMiddleware.autorizar('professores:gerenciar'), protegerRepasseProfessor, professoresHandlers.update);
+app.delete('/api/professores/:id', AuthMiddleware.autorizar('professores:gerenciar'), professoresHandlers.delete);
+
+// Rotas para Salas
+const salasHandlers = GenericHandlers.create(
+  'sala', 'salas',
+  ['nome', 'capacidade', 'descricao'],
+  {
+    nome: { required: true, type: 'string' },
+    capacidade: { required: true, type: 'number', min: 1 },
+    descricao: { type: 'string' }
+  }
+);
+
+app.get('/api/salas', AuthMiddleware.autorizar('salas:ler'), salasHandlers.getAll);
+app.get('/api/salas/:id', AuthMiddleware.autorizar('salas:ler'), salasHandlers.getById);
+app.post('/api/salas', AuthMiddleware.autorizar('salas:gerenciar'), salasHandlers.create);
+app.put('/api/salas/:id', AuthMiddleware.autorizar('salas:gerenciar'), salasHandlers.update);
+app.delete('/api/salas/:id', AuthMiddleware.autorizar('salas:gerenciar'), salasHandlers.delete);
+
+// Rotas para Recursos (equipamentos)
+const recursosHandlers = GenericHandlers.create(
+  'recurso', 'recursos',
+  ['nome', 'tipo', 'quantidade'],
+  {
+    nome: { required: true, type: 'string' },
+    tipo: { type: 'string' },
+    quantidade: { required: true, type: 'number', min: 1 }
+  }
+);
+
+app.get('/api/recursos', AuthMiddleware.autorizar('recursos:ler'), recursosHandlers.getAll);
+app.get('/api/recursos/:id', AuthMiddleware.autorizar('recursos:ler'), recursosHandlers.getById);
+app.post('/api/recursos', AuthMiddleware.autorizar('recursos:gerenciar'), recursosHandlers.create);
+app.put('/api/recursos/:id', AuthMiddleware.autorizar('recursos:gerenciar'), recursosHandlers.update);
+app.delete('/api/recursos/:id', AuthMiddleware.autorizar('recursos:gerenciar'), recursosHandlers.delete);
 
 // ==============================================================
 // HANDLERS ESPECÍFICOS PARA AULAS
 // ==============================================================
 
-const AulasHandlers = {
+// Semanas à frente mantidas em aulas_agendadas e intervalo do agendador
+const SEMANAS_AGENDADAS = parseInt(process.env.AGENDA_SEMANAS, 10) || 8;
+// Limite de semanas geradas de uma vez em POST /gerar-agendamento
+const SEMANAS_MAXIMO = 52;
+const AGENDADOR_INTERVALO_MS = 6 * 60 * 60 * 1000;
+
+const TURNOS = ['manhã', 'tarde', 'noite'];
+
+/**
+ * Horários de início e duração das aulas. O turno de uma aula com horário é
+ * sempre derivado de hora_inicio.
+ */
+const Horarios = {
   /**
-   * Configura uma nova aula
+   * Verifica se um horário está no formato HH:MM
+   * @param {string} hora - Horário
+   * @returns {boolean} true se o horário é válido
    */
-  configurar: async (req, res) => {
-    try {
-      const { instrumento, turno, professor_id, data_inicio, dias_semana } = req.body;
+  valido: (hora) => /^([01]\d|2[0-3]):[0-5]\d$/.test(hora),
 
-      // Validações básicas
-      if (!instrumento || !turno || !professor_id || !data_inicio || !dias_semana || !Array.isArray(dias_semana) || dias_semana.length === 0) {
-        return res.status(400).json({ error: 'Instrumento, turno, professor, data de início e dias da semana são obrigatórios' });
-      }
+  /**
+   * Obtém o turno correspondente a um horário de início
+   * @param {string} hora - Horário (HH:MM)
+   * @returns {string} 'manhã' (até 11:59), 'tarde' (até 17:59) ou 'noite'
+   */
+  turno: (hora) => {
+    if (hora < '12:00') return 'manhã';
+    if (hora < '18:00') return 'tarde';
+    return 'noite';
+  },
 
-      if (!['manhã', 'tarde', 'noite'].includes(turno)) {
-        return res.status(400).json({ error: 'Turno deve ser "manhã", "tarde" ou "noite"' });
-      }
+  /**
+   * Calcula o horário de término de uma aula
+   * @param {string} hora - Horário de início (HH:MM)
+   * @param {number} duracao - Duração em minutos
+   * @returns {string|null} Horário de término (HH:MM) ou null sem horário de início
+   */
+  fim: (hora, duracao) => {
+    if (!hora) return null;
+    const [h, m] = hora.split(':').map(Number);
+    const total = (h * 60 + m + (duracao || 0)) % (24 * 60);
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  },
 
-      // Verificar se o professor existe
-      const { data: professor, error: professorError } = await supabase
-        .from('professores')
-        .select('*')
-        .eq('id', professor_id)
-        .single();
+  /**
+   * Valida horário, duração e turno informados e resolve o turno da aula
+   * @param {Object} dados - { turno, hora_inicio, duracao }
+   * @returns {string} Turno da aula
+   */
+  resolverTurno: ({ turno, hora_inicio, duracao }) => {
+    if (hora_inicio && !Horarios.valido(hora_inicio)) {
+      throw Utils.httpError(400, 'Horário de início deve estar no formato HH:MM');
+    }
 
-      if (professorError) throw professorError;
-      if (!professor) {
-        return res.status(404).json({ error: 'Professor não encontrado' });
+    if (duracao !== undefined && duracao !== null && (!Number.isInteger(Number(duracao)) || Number(duracao) <= 0)) {
+      throw Utils.httpError(400, 'Duração deve ser um número inteiro de minutos maior que zero');
+    }
+
+    if (!hora_inicio) {
+      if (!TURNOS.includes(turno)) {
+        throw Utils.httpError(400, 'Turno deve ser "manhã", "tarde" ou "noite"');
       }
+      return turno;
+    }
 
-      // Inserir a configuração da aula
-      const { data: aula, error: aulaError } = await supabase
-        .from('aulas_configuradas')
-        .insert({
-          instrumento,
-          turno,
-          professor_id,
-          data_inicio
-        })
-        .select()
-        .single();
+    const derivado = Horarios.turno(hora_inicio);
+    if (turno && turno !== derivado) {
+      throw Utils.httpError(400, `O horário ${hora_inicio} pertence ao turno "${derivado}"`);
+    }
+    return derivado;
+  }
+};
 
-      if (aulaError) throw aulaError;
+// Horários cobertos por cada turno, para aulas sem horário de início
+const FAIXAS_TURNO = {
+  'manhã': ['00:00', '12:00'],
+  'tarde': ['12:00', '18:00'],
+  'noite': ['18:00', '24:00']
+};
 
-      // Inserir os dias da semana
-      for (const dia of dias_semana) {
-        if (dia < 0 || dia > 6) {
-          // Se houver erro, remover a aula criada
-          await supabase
-            .from('aulas_configuradas')
-            .delete()
-            .eq('id', aula.id);
-          return res.status(400).json({ error: 'Dia da semana deve estar entre 0 (domingo) e 6 (sábado)' });
-        }
+// Expediente da escola (vale para professores sem janelas de disponibilidade)
+// e intervalo em minutos entre os horários livres sugeridos
+const EXPEDIENTE = {
+  inicio: process.env.EXPEDIENTE_INICIO || '08:00',
+  fim: process.env.EXPEDIENTE_FIM || '22:00'
+};
+const INTERVALO_HORARIOS = 30;
+
+/**
+ * Disponibilidade dos professores: janelas semanais em que podem dar aula e
+ * bloqueios (férias, licenças). Aulas fora das janelas contam como conflito;
+ * datas bloqueadas e feriados são pulados na geração da agenda.
+ */
+const Disponibilidade = {
+  /**
+   * Verifica se uma aula cabe em alguma das janelas do dia
+   * @param {Array} janelas - Registros de professores_disponibilidade do professor
+   * @param {Object} aula - Aula com turno, hora_inicio e duracao
+   * @param {number} dia - Dia da semana (0 = domingo)
+   * @returns {boolean} true se o professor está disponível (sempre, sem janelas)
+   */
+  cobre: (janelas, aula, dia) => {
+    if (janelas.length === 0) return true;
 
-        const { error: diaError } = await supabase
-          .from('aulas_dias_semana')
-          .insert({
-            aula_id: aula.id,
-            dia_semana: dia
-          });
+    const doDia = janelas.filter(j => j.dia_semana === dia);
+    if (!aula.hora_inicio) {
+      const [inicio, fim] = FAIXAS_TURNO[aula.turno];
+      return doDia.some(j => j.hora_inicio < fim && inicio < j.hora_fim);
+    }
 
-        if (diaError) throw diaError;
-      }
+    const fim = Horarios.fim(aula.hora_inicio, aula.duracao || 60);
+    return doDia.some(j => j.hora_inicio <= aula.hora_inicio &&
+      (fim > aula.hora_inicio ? fim : '24:00') <= j.hora_fim);
+  },
 
-      // Gerar agendamento para as próximas 4 semanas
-      const dataInicio = new Date(data_inicio);
-      for (let semana = 0; semana < 4; semana++) {
-        for (const dia of dias_semana) {
-          // Calcular data da aula (dia da semana + semana)
-          const dataAula = new Date(dataInicio);
-          const diffDias = (dia - dataAula.getDay() + 7) % 7 + (semana * 7);
-          dataAula.setDate(dataAula.getDate() + diffDias);
-
-          // Verificar se já existe agendamento para esta data
-          const { data: existe } = await supabase
-            .from('aulas_agendadas')
-            .select('id')
-            .eq('aula_configurada_id', aula.id)
-            .eq('data_aula', dataAula.toISOString().split('T')[0])
-            .single();
-
-          if (!existe) {
-            // Inserir agendamento
-            await supabase
-              .from('aulas_agendadas')
-              .insert({
-                aula_configurada_id: aula.id,
-                data_aula: dataAula.toISOString().split('T')[0]
-              });
-          }
-        }
-      }
+  /**
+   * Lista os bloqueios de um professor que se cruzam com um período
+   * @param {number} professorId - ID do professor
+   * @param {string} inicio - Início do período (AAAA-MM-DD)
+   * @param {string} fim - Fim do período (AAAA-MM-DD)
+   * @returns {Promise<Array>} Registros de professores_bloqueios
+   */
+  bloqueios: (professorId, inicio, fim) => db.findAll('professores_bloqueios', {
+    where: { professor_id: professorId, data_inicio: { lte: fim }, data_fim: { gte: inicio } },
+    order: [{ column: 'data_inicio' }]
+  }),
 
-      res.status(201).json({
-        id: aula.id,
-        message: 'Aula configurada com sucesso'
+  /**
+   * Obtém o bloqueio que cobre uma data
+   * @param {Array} bloqueios - Registros de professores_bloqueios
+   * @param {string} data - Data (AAAA-MM-DD)
+   * @returns {Object|undefined} Bloqueio encontrado
+   */
+  bloqueio: (bloqueios, data) => bloqueios.find(b => b.data_inicio <= data && data <= b.data_fim),
+
+  /**
+   * Lista os horários em que o professor pode dar uma aula nova em cada data
+   * de um período: dentro das janelas de disponibilidade (ou do expediente),
+   * fora de bloqueios e feriados e sem sobrepor as aulas que ele dá ou substitui
+   * @param {number} professorId - ID do professor
+   * @param {string} inicio - Início do período (AAAA-MM-DD)
+   * @param {string} fim - Fim do período (AAAA-MM-DD)
+   * @param {number} duracao - Duração da aula em minutos
+   * @returns {Promise<Array>} [{ data, horarios: ['HH:MM'] }], só as datas com horário livre
+   */
+  horariosLivres: async (professorId, inicio, fim, duracao = 60) => {
+    const janelas = await db.findAll('professores_disponibilidade', { where: { professor_id: professorId } });
+    const bloqueios = await Disponibilidade.bloqueios(professorId, inicio, fim);
+    const feriados = await Feriados.noPeriodo(inicio, fim);
+
+    // Aulas do professor no período, exceto as substituídas, e as que ele substitui
+    const proprias = await db.findAll('aulas_configuradas', { where: { professor_id: professorId } });
+    const filtro = { data_aula: { gte: inicio, lte: fim }, status: ['agendada', 'realizada'] };
+    const agendamentos = [
+      ...await db.findAll('aulas_agendadas', {
+        where: { ...filtro, aula_configurada_id: proprias.map(a => a.id), professor_substituto_id: null }
+      }),
+      ...await db.findAll('aulas_agendadas', { where: { ...filtro, professor_substituto_id: professorId } })
+    ];
+    const aulas = [
+      ...proprias,
+      ...await db.findAll('aulas_configuradas', {
+        where: { id: agendamentos.map(a => a.aula_configurada_id).filter(id => !proprias.some(a => a.id === id)) }
+      })
+    ];
+
+    const minutos = (hora) => {
+      const [h, m] = hora.split(':').map(Number);
+      return h * 60 + m;
+    };
+
+    const livres = [];
+    for (let data = inicio; data <= fim; data = Utils.addDays(data, 1)) {
+      if (Disponibilidade.bloqueio(bloqueios, data) || Feriados.em(feriados, data)) continue;
+
+      const dia = new Date(data).getUTCDay();
+      const faixas = janelas.length > 0
+        ? janelas.filter(j => j.dia_semana === dia)
+        : [{ hora_inicio: EXPEDIENTE.inicio, hora_fim: EXPEDIENTE.fim }];
+      const ocupadas = agendamentos
+        .filter(a => a.data_aula === data)
+        .map(a => aulas.find(c => c.id === a.aula_configurada_id));
+
+      const horarios = new Set();
+      faixas.forEach(faixa => {
+        for (let t = minutos(faixa.hora_inicio); t + duracao <= minutos(faixa.hora_fim); t += INTERVALO_HORARIOS) {
+          const hora = Horarios.fim('00:00', t);
+          const candidata = { hora_inicio: hora, duracao, turno: Horarios.turno(hora) };
+          if (!ocupadas.some(aula => Conflitos.sobrepoe(aula, candidata))) horarios.add(hora);
+        }
       });
-    } catch (err) {
-      res.status(500).json({ error: err.message });
+
+      if (horarios.size > 0) livres.push({ data, horarios: [...horarios].sort() });
     }
+    return livres;
   },
 
   /**
-   * Lista todas as aulas configuradas
+   * Procura dias e datas em que o professor não está disponível para a aula
+   * @param {Object} aula - Aula com professor_id, turno, hora_inicio e duracao
+   * @param {Object} options - { diasSemana, datas, bloqueios: também verificar
+   *   se as datas caem em bloqueios do professor ou em feriados }
+   * @returns {Promise<Array>} Conflitos com motivo 'disponibilidade', 'bloqueio' ou 'feriado'
+   */
+  procurar: async (aula, { diasSemana = [], datas = [], bloqueios = false }) => {
+    const conflitos = [];
+    const janelas = await db.findAll('professores_disponibilidade', { where: { professor_id: aula.professor_id } });
+
+    const dias = [...new Set([...diasSemana, ...datas.map(d => new Date(d).getUTCDay())])];
+    dias
+      .filter(dia => !Disponibilidade.cobre(janelas, aula, dia))
+      .forEach(dia => conflitos.push({
+        tipo: 'indisponibilidade',
+        motivo: 'disponibilidade',
+        professor_id: aula.professor_id,
+        dia_semana: dia,
+        instrumento: aula.instrumento,
+        turno: aula.turno,
+        hora_inicio: aula.hora_inicio,
+        hora_fim: Horarios.fim(aula.hora_inicio, aula.duracao)
+      }));
+
+    if (bloqueios && datas.length > 0) {
+      const inicio = datas.reduce((a, b) => (a < b ? a : b));
+      const fim = datas.reduce((a, b) => (a > b ? a : b));
+      const registros = await Disponibilidade.bloqueios(aula.professor_id, inicio, fim);
+      const feriados = await Feriados.noPeriodo(inicio, fim);
+
+      datas.forEach(data => {
+        const feriado = Feriados.em(feriados, data);
+        if (!feriado) return;
+        conflitos.push({
+          tipo: 'feriado',
+          motivo: 'feriado',
+          feriado_id: feriado.id,
+          data_aula: data,
+          descricao: feriado.nome,
+          instrumento: aula.instrumento,
+          turno: aula.turno,
+          hora_inicio: aula.hora_inicio,
+          hora_fim: Horarios.fim(aula.hora_inicio, aula.duracao)
+        });
+      });
+
+      datas.forEach(data => {
+        const bloqueio = Disponibilidade.bloqueio(registros, data);
+        if (!bloqueio) return;
+        conflitos.push({
+          tipo: 'bloqueio',
+          motivo: 'bloqueio',
+          professor_id: aula.professor_id,
+          bloqueio_id: bloqueio.id,
+          data_aula: data,
+          descricao: bloqueio.motivo,
+          instrumento: aula.instrumento,
+          turno: aula.turno,
+          hora_inicio: aula.hora_inicio,
+          hora_fim: Horarios.fim(aula.hora_inicio, aula.duracao)
+        });
+      });
+    }
+
+    return conflitos;
+  }
+};
+
+/**
+ * Calendário escolar: feriados e recessos em que não há aulas. Os feriados
+ * nacionais de um ano são calculados localmente, inclusive os móveis, que
+ * dependem da data da Páscoa.
+ */
+const Feriados = {
+  /**
+   * Calcula o domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+   * @param {number} ano - Ano
+   * @returns {string} Data da Páscoa (AAAA-MM-DD)
+   */
+  pascoa: (ano) => {
+    const a = ano % 19;
+    const b = Math.floor(ano / 100);
+    const c = ano % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const mes = Math.floor((h + l - 7 * m + 114) / 31);
+    const dia = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return `${ano}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+  },
+
+  /**
+   * Lista os feriados nacionais de um ano (Carnaval inclui segunda e terça)
+   * @param {number} ano - Ano
+   * @returns {Array<Object>} [{ nome, data_inicio, data_fim, tipo: 'nacional' }]
+   */
+  nacionais: (ano) => {
+    const pascoa = Feriados.pascoa(ano);
+    const fixo = (nome, mesDia) => ({ nome, data_inicio: `${ano}-${mesDia}`, data_fim: `${ano}-${mesDia}` });
+    const movel = (nome, dias, duracao = 1) => ({
+      nome,
+      data_inicio: Utils.addDays(pascoa, dias),
+      data_fim: Utils.addDays(pascoa, dias + duracao - 1)
+    });
+
+    return [
+      fixo('Confraternização Universal', '01-01'),
+      movel('Carnaval', -48, 2),
+      movel('Sexta-feira Santa', -2),
+      fixo('Tiradentes', '04-21'),
+      fixo('Dia do Trabalho', '05-01'),
+      movel('Corpus Christi', 60),
+      fixo('Independência do Brasil', '09-07'),
+      fixo('Nossa Senhora Aparecida', '10-12'),
+      fixo('Finados', '11-02'),
+      fixo('Proclamação da República', '11-15'),
+      fixo('Dia Nacional de Zumbi e da Consciência Negra', '11-20'),
+      fixo('Natal', '12-25')
+    ]
+      .map(feriado => ({ ...feriado, tipo: 'nacional' }))
+      .sort((a, b) => a.data_inicio.localeCompare(b.data_inicio));
+  },
+
+  /**
+   * Lista os feriados e recessos que se cruzam com um período
+   * @param {string} inicio - Início do período (AAAA-MM-DD)
+   * @param {string} fim - Fim do período (AAAA-MM-DD)
+   * @returns {Promise<Array>} Registros de feriados
+   */
+  noPeriodo: (inicio, fim) => db.findAll('feriados', {
+    where: { data_inicio: { lte: fim }, data_fim: { gte: inicio } },
+    order: [{ column: 'data_inicio' }]
+  }),
+
+  /**
+   * Obtém o feriado ou recesso que cobre uma data
+   * @param {Array} feriados - Registros de feriados
+   * @param {string} data - Data (AAAA-MM-DD)
+   * @returns {Object|undefined} Feriado encontrado
+   */
+  em: (feriados, data) => feriados.find(f => f.data_inicio <= data && data <= f.data_fim)
+};
+
+/**
+ * Detecção de conflitos de horário. Duas aulas conflitam quando acontecem no
+ * mesmo dia, os horários se sobrepõem (sem horário de início, vale o turno) e
+ * são do mesmo professor ou da mesma sala; aulas que usam o mesmo recurso
+ * conflitam quando, juntas, reservam mais do que a quantidade disponível.
+ * Aulas fora das janelas de disponibilidade do professor também conflitam.
+ * Quem tem a permissão 'conflitos:ignorar' pode gravar mesmo assim enviando
+ * ignorar_conflitos: true.
+ */
+const Conflitos = {
+  /**
+   * Verifica se os horários de duas aulas se sobrepõem
+   * @param {Object} a - Aula com turno, hora_inicio e duracao
+   * @param {Object} b - Aula com turno, hora_inicio e duracao
+   * @returns {boolean} true se há sobreposição
+   */
+  sobrepoe: (a, b) => {
+    if (!a.hora_inicio || !b.hora_inicio) return a.turno === b.turno;
+
+    const minutos = (hora) => {
+      const [h, m] = hora.split(':').map(Number);
+      return h * 60 + m;
+    };
+    const inicioA = minutos(a.hora_inicio);
+    const inicioB = minutos(b.hora_inicio);
+    return inicioA < inicioB + (b.duracao || 60) && inicioB < inicioA + (a.duracao || 60);
+  },
+
+  /**
+   * Resume uma aula em conflito para a resposta da API
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @param {Object} agendamento - Registro de aulas_agendadas (opcional)
+   * @returns {Object} Dados do conflito
+   */
+  descrever: (aula, agendamento) => ({
+    tipo: agendamento ? 'aula_agendada' : 'aula_configurada',
+    aula_id: aula.id,
+    aula_agendada_id: agendamento ? agendamento.id : undefined,
+    data_aula: agendamento ? agendamento.data_aula : undefined,
+    professor_substituto_id: agendamento?.professor_substituto_id || undefined,
+    instrumento: aula.instrumento,
+    turno: aula.turno,
+    hora_inicio: aula.hora_inicio,
+    hora_fim: Horarios.fim(aula.hora_inicio, aula.duracao)
+  }),
+
+  /**
+   * Cruza uma aula com outras configurações: grades que se sobrepõem nos
+   * mesmos dias da semana e aulas já agendadas nas datas informadas
+   * @param {Object} aula - Aula com turno, hora_inicio, duracao, data_inicio e data_fim
+   * @param {Array} candidatas - Registros de aulas_configuradas a comparar
+   * @param {Object} options - Mesmas opções de Conflitos.procurar
+   * @returns {Promise<Array>} Conflitos encontrados
+   */
+  cruzar: async (aula, candidatas, { diasSemana = [], datas = [], ignorarAgendamentoId, incluirPropria = false }) => {
+    const conflitos = [];
+    if (candidatas.length === 0) return conflitos;
+
+    // Grades que se cruzam com a da aula
+    const outras = candidatas.filter(o =>
+      o.id !== aula.id &&
+      o.data_inicio <= (aula.data_fim || '9999-12-31') &&
+      aula.data_inicio <= (o.data_fim || '9999-12-31') &&
+      Conflitos.sobrepoe(o, aula)
+    );
+    if (diasSemana.length > 0 && outras.length > 0) {
+      const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: outras.map(o => o.id) } });
+      outras
+        .filter(o => dias.some(d => d.aula_id === o.id && diasSemana.includes(d.dia_semana)))
+        .forEach(o => conflitos.push(Conflitos.descrever(o)));
+    }
+
+    // Aulas já agendadas nas datas (inclui reagendamentos e aulas avulsas)
+    if (datas.length > 0) {
+      const agendamentos = await db.findAll('aulas_agendadas', {
+        where: {
+          aula_configurada_id: candidatas.map(a => a.id),
+          data_aula: datas,
+          status: ['agendada', 'realizada']
+        },
+        order: [{ column: 'data_aula' }]
+      });
+
+      agendamentos.forEach(agendamento => {
+        const outra = candidatas.find(a => a.id === agendamento.aula_configurada_id);
+        if (agendamento.id === Number(ignorarAgendamentoId)) return;
+        if (outra.id === aula.id && !incluirPropria) return;
+        // A grade inteira já foi listada como conflito
+        if (conflitos.some(c => c.aula_id === outra.id)) return;
+        if (outra.id === aula.id || Conflitos.sobrepoe(outra, aula)) {
+          conflitos.push(Conflitos.descrever(outra, agendamento));
+        }
+      });
+    }
+
+    return conflitos;
+  },
+
+  /**
+   * Procura conflitos de uma aula (nova ou alterada) com as demais aulas do
+   * professor, com as aulas da mesma sala e com as que usam os mesmos recursos
+   * @param {Object} aula - Aula com professor_id, sala_id, turno, hora_inicio,
+   *   duracao, data_inicio e data_fim (id ausente para aulas novas)
+   * @param {Object} options - {
+   *   diasSemana: dias da grade a comparar com as outras configurações,
+   *   datas: datas a comparar com as aulas agendadas,
+   *   ignorarAgendamentoId: aula agendada a desconsiderar (a que está sendo movida),
+   *   incluirPropria: considerar também as aulas agendadas da própria configuração,
+   *   recursos: recursos pedidos [{ recurso_id, quantidade }] (padrão: os já reservados pela aula),
+   *   bloqueios: verificar se as datas caem em bloqueios do professor ou em feriados }
+   * @returns {Promise<Array>} Conflitos encontrados, com o motivo ('professor', 'sala',
+   *   'recurso', 'disponibilidade', 'bloqueio' ou 'feriado')
+   */
+  procurar: async (aula, options) => {
+    const conflitos = [];
+
+    // Aulas do professor, exceto as datas em que outro professor o substitui
+    const aulasProfessor = await db.findAll('aulas_configuradas', { where: { professor_id: aula.professor_id } });
+    (await Conflitos.cruzar(aula, aulasProfessor, options))
+      .filter(c => !c.professor_substituto_id || c.aula_id === aula.id)
+      .forEach(c => conflitos.push({ ...c, motivo: 'professor' }));
+
+    // Aulas de outros professores em que ele está como substituto nas datas
+    if (options.datas && options.datas.length > 0) {
+      const substituicoes = await db.findAll('aulas_agendadas', {
+        where: {
+          professor_substituto_id: aula.professor_id,
+          data_aula: options.datas,
+          status: ['agendada', 'realizada']
+        }
+      });
+      const aulasSubstituidas = await db.findAll('aulas_configuradas', {
+        where: { id: [...new Set(substituicoes.map(a => a.aula_configurada_id))] }
+      });
+
+      substituicoes
+        .filter(a => a.id !== Number(options.ignorarAgendamentoId))
+        .forEach(agendamento => {
+          const outra = aulasSubstituidas.find(a => a.id === agendamento.aula_configurada_id);
+          if (Conflitos.sobrepoe(outra, aula)) {
+            conflitos.push({ ...Conflitos.descrever(outra, agendamento), motivo: 'professor' });
+          }
+        });
+    }
+
+    // Outras aulas na mesma sala (as do próprio professor já foram verificadas)
+    if (aula.sala_id) {
+      const aulasSala = await db.findAll('aulas_configuradas', {
+        where: { sala_id: aula.sala_id, professor_id: { neq: aula.professor_id } }
+      });
+      (await Conflitos.cruzar(aula, aulasSala, options))
+        .forEach(c => conflitos.push({ ...c, motivo: 'sala', sala_id: aula.sala_id }));
+    }
+
+    // Recursos: o que as aulas no mesmo horário já reservam mais o pedido não
+    // pode passar da quantidade disponível
+    const pedidos = options.recursos ||
+      (aula.id ? await db.findAll('aulas_recursos', { where: { aula_id: aula.id } }) : []);
+    if (pedidos.length > 0) {
+      const ids = pedidos.map(p => Number(p.recurso_id));
+      const recursos = await db.findAll('recursos', { where: { id: ids } });
+      const reservas = (await db.findAll('aulas_recursos', { where: { recurso_id: ids } }))
+        .filter(r => r.aula_id !== aula.id);
+      const aulasRecursos = await db.findAll('aulas_configuradas', {
+        where: { id: [...new Set(reservas.map(r => r.aula_id))] }
+      });
+
+      for (const pedido of pedidos) {
+        const recurso = recursos.find(r => r.id === Number(pedido.recurso_id));
+        if (!recurso) continue;
+
+        const doRecurso = reservas.filter(r => r.recurso_id === recurso.id);
+        const cruzadas = await Conflitos.cruzar(aula,
+          aulasRecursos.filter(a => doRecurso.some(r => r.aula_id === a.id)), options);
+        const emUso = [...new Set(cruzadas.map(c => c.aula_id))]
+          .reduce((total, id) => total + doRecurso.find(r => r.aula_id === id).quantidade, 0);
+
+        if (emUso + Number(pedido.quantidade || 1) > recurso.quantidade) {
+          cruzadas.forEach(c => conflitos.push({
+            ...c, motivo: 'recurso', recurso_id: recurso.id, recurso_nome: recurso.nome
+          }));
+        }
+      }
+    }
+
+    // Dias fora das janelas de disponibilidade do professor
+    conflitos.push(...await Disponibilidade.procurar(aula, options));
+
+    return conflitos;
+  },
+
+  /**
+   * Lança um erro 409 com a lista de conflitos, a menos que sejam ignorados
+   * @param {Array} conflitos - Conflitos encontrados
+   * @param {boolean} ignorar - Se os conflitos devem ser ignorados
+   */
+  garantir: (conflitos, ignorar) => {
+    if (conflitos.length > 0 && !ignorar) {
+      throw Utils.httpError(409, 'Conflito de horário: professor, sala ou recursos indisponíveis', { conflitos });
+    }
+  },
+
+  /**
+   * Lê a opção ignorar_conflitos da requisição, exigindo a permissão
+   * @param {Object} req - Requisição
+   * @returns {boolean} true se os conflitos devem ser ignorados
+   */
+  ignorar: (req) => {
+    if (!req.body.ignorar_conflitos) return false;
+    if (!Permissoes.tem(req.usuario, 'conflitos:ignorar')) {
+      throw Utils.httpError(403, 'Apenas administradores podem ignorar conflitos de horário');
+    }
+    return true;
+  }
+};
+
+/**
+ * Histórico das aulas agendadas (tabela aulas_eventos)
+ */
+const HistoricoAulas = {
+  /**
+   * Registra um evento de uma aula agendada
+   * @param {number} agendamentoId - ID da aula agendada
+   * @param {string} tipo - 'cancelamento', 'reagendamento', 'criacao',
+   *   'realizacao', 'substituicao' ou 'remocao_substituto'
+   * @param {Object} dados - { usuario, motivo, nova_data, relacionado_id,
+   *   professor_id, solicitacao_id }
+   */
+  registrar: async (agendamentoId, tipo, { usuario, ...dados } = {}) => {
+    await db.insert('aulas_eventos', {
+      aula_agendada_id: agendamentoId,
+      tipo,
+      usuario_id: usuario ? usuario.id : null,
+      motivo: dados.motivo || null,
+      nova_data: dados.nova_data || null,
+      relacionado_id: dados.relacionado_id || null,
+      professor_id: dados.professor_id || null,
+      solicitacao_id: dados.solicitacao_id || null
+    });
+  },
+
+  /**
+   * Lista os eventos de uma aula agendada, incluindo os das aulas que ela
+   * substitui por reagendamento (a aula de origem, a origem dela...)
+   * @param {Object} agendamento - Registro de aulas_agendadas
+   * @returns {Promise<Array>} Eventos em ordem cronológica, com a data da aula,
+   *   o nome do usuário e o do professor substituto
+   */
+  listar: async (agendamento) => {
+    const agendamentos = [agendamento];
+    const eventos = [];
+
+    for (let atual = agendamento; atual;) {
+      const proprios = await db.findAll('aulas_eventos', { where: { aula_agendada_id: atual.id } });
+      eventos.push(...proprios);
+
+      // Segue a aula de origem, evitando ciclos
+      const criacao = proprios.find(e => e.tipo === 'criacao' && e.relacionado_id);
+      atual = criacao && !agendamentos.some(a => a.id === criacao.relacionado_id)
+        ? await db.findOne('aulas_agendadas', { id: criacao.relacionado_id })
+        : null;
+      if (atual) agendamentos.push(atual);
+    }
+
+    const usuarios = await db.findAll('usuarios', {
+      where: { id: [...new Set(eventos.filter(e => e.usuario_id).map(e => e.usuario_id))] }
+    });
+    const professores = await db.findAll('professores', {
+      where: { id: [...new Set(eventos.filter(e => e.professor_id).map(e => e.professor_id))] }
+    });
+
+    return eventos
+      .map(evento => ({
+        ...evento,
+        data_aula: agendamentos.find(a => a.id === evento.aula_agendada_id).data_aula,
+        usuario_nome: usuarios.find(u => u.id === evento.usuario_id)?.nome || null,
+        professor_nome: professores.find(p => p.id === evento.professor_id)?.nome || null
+      }))
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)) || a.id - b.id);
+  }
+};
+
+/**
+ * Operações sobre aulas agendadas compartilhadas entre as ações diretas da
+ * secretaria e a aprovação de solicitações. Erros de validação são lançados
+ * com Utils.httpError. As operações ficam registradas em HistoricoAulas.
+ */
+const AgendaOperacoes = {
+  /**
+   * Cancela uma aula agendada, gerando os créditos de reposição devidos
+   * @param {Object} agendamento - Registro de aulas_agendadas
+   * @param {string} motivo - Motivo do cancelamento
+   * @param {Object} options - { usuario: quem cancelou, solicitacaoId, e as
+   *   opções de Reposicoes.gerarCreditos: origem, alunoId, pedidoEm }
+   * @returns {Promise<Array>} Créditos de reposição gerados
+   */
+  cancelar: async (agendamento, motivo, { usuario, solicitacaoId, ...cancelamento } = {}) => {
+    await db.update('aulas_agendadas', { id: agendamento.id }, {
+      status: 'cancelada',
+      updated_at: new Date().toISOString()
+    });
+
+    await HistoricoAulas.registrar(agendamento.id, 'cancelamento', {
+      usuario,
+      motivo,
+      solicitacao_id: solicitacaoId
+    });
+
+    return Reposicoes.gerarCreditos(agendamento, cancelamento);
+  },
+
+  /**
+   * Cancela a aula agendada para um aluno. Em aulas com outros alunos, só a
+   * presença dele é cancelada (falta justificada) e a aula segue para os
+   * demais; se ele é o único aluno, a aula inteira é cancelada.
+   * @param {Object} agendamento - Registro de aulas_agendadas
+   * @param {number} alunoId - Aluno que pediu o cancelamento
+   * @param {string} motivo - Motivo do cancelamento
+   * @param {Object} options - { usuario: quem cancelou, solicitacaoId, pedidoEm }
+   * @returns {Promise<Object>} { individual: true se só a presença foi
+   *   cancelada, creditos: créditos de reposição gerados }
+   */
+  cancelarParaAluno: async (agendamento, alunoId, motivo, { usuario, solicitacaoId, pedidoEm } = {}) => {
+    const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: agendamento.aula_configurada_id } });
+    if (!vinculos.some(v => Permissoes.mesmoId(v.aluno_id, alunoId))) {
+      throw Utils.httpError(400, 'O aluno não está matriculado nesta aula');
+    }
+
+    const cancelamento = { origem: 'aluno', alunoId, pedidoEm };
+    if (vinculos.length === 1) {
+      return {
+        individual: false,
+        creditos: await AgendaOperacoes.cancelar(agendamento, motivo, { usuario, solicitacaoId, ...cancelamento })
+      };
+    }
+
+    await AgendaOperacoes.justificarFalta(agendamento, alunoId, motivo ? `Cancelamento: ${motivo}` : 'Cancelamento', usuario);
+
+    return { individual: true, creditos: await Reposicoes.gerarCreditos(agendamento, cancelamento) };
+  },
+
+  /**
+   * Registra a falta justificada de um aluno em uma aula agendada
+   * @param {Object} agendamento - Registro de aulas_agendadas
+   * @param {number} alunoId - ID do aluno
+   * @param {string} observacao - Observação da presença
+   * @param {Object} usuario - Quem registrou
+   */
+  justificarFalta: async (agendamento, alunoId, observacao, usuario) => {
+    const presenca = {
+      status: 'falta_justificada',
+      observacao,
+      registrado_por: usuario ? usuario.id : null
+    };
+    const existente = await db.findOne('aulas_presencas', { aula_agendada_id: agendamento.id, aluno_id: alunoId });
+    if (existente) {
+      await db.update('aulas_presencas', { id: existente.id }, { ...presenca, updated_at: new Date().toISOString() });
+    } else {
+      await db.insert('aulas_presencas', { aula_agendada_id: agendamento.id, aluno_id: alunoId, ...presenca });
+    }
+  },
+
+  /**
+   * Reagenda a aula agendada para um aluno. Em aulas com outros alunos, a aula
+   * segue na data original para os demais: o aluno recebe uma aula avulsa só
+   * dele na nova data e falta justificada na original. Se ele é o único aluno,
+   * a aula inteira é reagendada.
+   * @param {Object} agendamento - Registro de aulas_agendadas
+   * @param {number} alunoId - Aluno que pediu o reagendamento
+   * @param {string} nova_data - Nova data (AAAA-MM-DD)
+   * @param {string} motivo - Motivo do reagendamento
+   * @param {Object} options - { ignorarConflitos, usuario: quem reagendou, solicitacaoId }
+   * @returns {Promise<Object>} Novo agendamento
+   */
+  reagendarParaAluno: async (agendamento, alunoId, nova_data, motivo, { ignorarConflitos = false, usuario, solicitacaoId } = {}) => {
+    const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: agendamento.aula_configurada_id } });
+    if (!vinculos.some(v => Permissoes.mesmoId(v.aluno_id, alunoId))) {
+      throw Utils.httpError(400, 'O aluno não está matriculado nesta aula');
+    }
+
+    if (vinculos.length === 1) {
+      return AgendaOperacoes.reagendar(agendamento, nova_data, motivo, { ignorarConflitos, usuario, solicitacaoId });
+    }
+
+    if (!Utils.isDate(nova_data) || nova_data <= Utils.formatDate(new Date())) {
+      throw Utils.httpError(400, 'Nova data inválida');
+    }
+
+    // A aula avulsa tem o professor, o horário, a sala e os recursos da turma
+    const aula = await db.findOne('aulas_configuradas', { id: agendamento.aula_configurada_id });
+    const recursos = await db.findAll('aulas_recursos', { where: { aula_id: aula.id } });
+    const { agendamento: novo } = await AgendaOperacoes.criarAvulsa({
+      instrumento: aula.instrumento,
+      turno: aula.turno,
+      hora_inicio: aula.hora_inicio,
+      duracao: aula.duracao,
+      professor_id: aula.professor_id,
+      sala_id: aula.sala_id,
+      recursos: recursos.map(r => ({ recurso_id: r.recurso_id, quantidade: r.quantidade })),
+      data_aula: nova_data
+    }, {
+      alunos: [alunoId],
+      usuario,
+      ignorarConflitos,
+      motivo,
+      relacionadoId: agendamento.id
+    });
+
+    await AgendaOperacoes.justificarFalta(agendamento, alunoId, `Reagendamento para ${nova_data}: ${motivo}`, usuario);
+
+    return novo;
+  },
+
+  /**
+   * Reagenda uma aula, criando um novo agendamento na nova data
+   * @param {Object} agendamento - Registro de aulas_agendadas
+   * @param {string} nova_data - Nova data (AAAA-MM-DD)
+   * @param {string} motivo - Motivo do reagendamento
+   * @param {Object} options - { ignorarConflitos, usuario: quem reagendou, solicitacaoId }
+   * @returns {Promise<Object>} Novo agendamento
+   */
+  reagendar: async (agendamento, nova_data, motivo, { ignorarConflitos = false, usuario, solicitacaoId } = {}) => {
+    // Verificar se a nova data é válida
+    if (!Utils.isDate(nova_data) || nova_data <= Utils.formatDate(new Date())) {
+      throw Utils.httpError(400, 'Nova data inválida');
+    }
+
+    // A turma tem um só agendamento por data, mesmo ignorando conflitos
+    const existente = await db.findOne('aulas_agendadas', {
+      aula_configurada_id: agendamento.aula_configurada_id,
+      data_aula: nova_data
+    });
+    if (existente) {
+      throw Utils.httpError(409, `A turma já tem um agendamento em ${nova_data}`);
+    }
+
+    // Verificar se o professor está livre na nova data
+    const aula = await db.findOne('aulas_configuradas', { id: agendamento.aula_configurada_id });
+    const conflitos = await Conflitos.procurar(aula, {
+      datas: [nova_data],
+      ignorarAgendamentoId: agendamento.id,
+      incluirPropria: true,
+      bloqueios: true
+    });
+    Conflitos.garantir(conflitos, ignorarConflitos);
+
+    // Registrar o reagendamento
+    await db.insert('aulas_reagendamentos', {
+      aula_agendada_id: agendamento.id,
+      nova_data,
+      motivo
+    });
+
+    // Atualizar status do agendamento original
+    await db.update('aulas_agendadas', { id: agendamento.id }, {
+      status: 'reagendada',
+      updated_at: new Date().toISOString()
+    });
+
+    // Criar novo agendamento para a nova data
+    const novo = await db.insert('aulas_agendadas', {
+      aula_configurada_id: agendamento.aula_configurada_id,
+      data_aula: nova_data,
+      status: 'agendada'
+    });
+
+    await HistoricoAulas.registrar(agendamento.id, 'reagendamento', {
+      usuario,
+      motivo,
+      nova_data,
+      relacionado_id: novo.id,
+      solicitacao_id: solicitacaoId
+    });
+    await HistoricoAulas.registrar(novo.id, 'criacao', {
+      usuario,
+      motivo,
+      relacionado_id: agendamento.id,
+      solicitacao_id: solicitacaoId
+    });
+
+    return novo;
+  },
+
+  /**
+   * Cria uma aula avulsa: uma configuração de data única, sem dias da semana,
+   * com os alunos informados e o seu único agendamento
+   * @param {Object} dados - { instrumento, turno, hora_inicio, duracao, professor_id,
+   *   sala_id, recursos, data_aula }
+   * @param {Object} options - { alunos: IDs dos alunos, usuario: quem agendou,
+   *   ignorarConflitos, motivo: registrado no histórico da aula, relacionadoId:
+   *   aula de origem (reposição) }
+   * @returns {Promise<Object>} { aula, agendamento }
+   */
+  criarAvulsa: async (dados, { alunos = [], usuario, ignorarConflitos = false, motivo = 'Aula avulsa', relacionadoId } = {}) => {
+    const { instrumento, turno, hora_inicio, duracao, professor_id, sala_id, data_aula } = dados;
+    const alunoIds = [...new Set(alunos.map(Number))];
+
+    if (!Utils.isDate(data_aula) || data_aula < Utils.formatDate(new Date())) {
+      throw Utils.httpError(400, 'Data da aula inválida ou no passado');
+    }
+
+    const turnoAula = Horarios.resolverTurno({ turno, hora_inicio, duracao });
+
+    const professor = await db.findOne('professores', { id: professor_id });
+    if (!professor) {
+      throw Utils.httpError(404, 'Professor não encontrado');
+    }
+
+    const registros = await db.findAll('alunos', { where: { id: alunoIds } });
+    if (registros.length !== alunoIds.length) {
+      throw Utils.httpError(404, 'Aluno não encontrado');
+    }
+
+    await Salas.validarSala(sala_id);
+    const recursos = await Salas.validarRecursos(dados.recursos || []);
+
+    const dadosAula = {
+      instrumento,
+      turno: turnoAula,
+      hora_inicio: hora_inicio || null,
+      duracao: duracao ? Number(duracao) : 60,
+      professor_id,
+      sala_id: sala_id || null,
+      data_inicio: data_aula,
+      data_fim: data_aula,
+      avulsa: true
+    };
+
+    const conflitos = await Conflitos.procurar(dadosAula, { datas: [data_aula], recursos, bloqueios: true });
+    Conflitos.garantir(conflitos, ignorarConflitos);
+
+    const aula = await db.insert('aulas_configuradas', dadosAula);
+    await Salas.salvarRecursos(aula.id, recursos);
+
+    // Aula avulsa não tem lista de espera nem ocupa vagas do professor: todos
+    // os alunos precisam caber na turma e na sala
+    const { limite: limiteProfessor, capacidade } = await ListaEspera.ocupacao(aula);
+    const limite = capacidade ? Math.min(limiteProfessor, capacidade) : limiteProfessor;
+    if (alunoIds.length > limite) {
+      await db.remove('aulas_configuradas', { id: aula.id });
+      throw Utils.httpError(400, `A aula comporta no máximo ${limite} alunos`);
+    }
+
+    for (const alunoId of alunoIds) {
+      await db.insert('aulas_alunos', { aula_id: aula.id, aluno_id: alunoId });
+    }
+
+    const agendamento = await db.insert('aulas_agendadas', {
+      aula_configurada_id: aula.id,
+      data_aula,
+      status: 'agendada'
+    });
+    await HistoricoAulas.registrar(agendamento.id, 'criacao', { usuario, motivo, relacionado_id: relacionadoId });
+
+    return { aula, agendamento };
+  },
+
+  /**
+   * Calcula as datas de uma aula configurada dentro de um período,
+   * respeitando data_inicio, data_fim e os dias da semana
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @param {Array<number>} diasSemana - Dias da semana (0 = domingo)
+   * @param {string} inicio - Início do período (AAAA-MM-DD)
+   * @param {string} fim - Fim do período (AAAA-MM-DD)
+   * @returns {Array<string>} Datas das aulas (AAAA-MM-DD)
+   */
+  datasNoPeriodo: (aula, diasSemana, inicio, fim) => {
+    const primeira = inicio > aula.data_inicio ? inicio : aula.data_inicio;
+    const ultima = aula.data_fim && aula.data_fim < fim ? aula.data_fim : fim;
+
+    const datas = [];
+    for (let data = primeira; data <= ultima; data = Utils.addDays(data, 1)) {
+      if (diasSemana.includes(new Date(data).getUTCDay())) datas.push(data);
+    }
+    return datas;
+  },
+
+  /**
+   * Cria os agendamentos que ainda não existem em um período (idempotente)
+   * Datas em que o professor está bloqueado (férias, licenças) e feriados
+   * ou recessos da escola são puladas
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @param {string} inicio - Início do período (AAAA-MM-DD)
+   * @param {string} fim - Fim do período (AAAA-MM-DD)
+   * @returns {Promise<Array>} Agendamentos criados
+   */
+  gerarPeriodo: async (aula, inicio, fim) => {
+    const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: aula.id } });
+    const bloqueios = await Disponibilidade.bloqueios(aula.professor_id, inicio, fim);
+    const feriados = await Feriados.noPeriodo(inicio, fim);
+    const datas = AgendaOperacoes.datasNoPeriodo(aula, dias.map(d => d.dia_semana), inicio, fim)
+      .filter(data => !Disponibilidade.bloqueio(bloqueios, data) && !Feriados.em(feriados, data));
+
+    const existentes = await db.findAll('aulas_agendadas', {
+      where: { aula_configurada_id: aula.id, data_aula: datas }
+    });
+
+    const criados = [];
+    for (const data of datas) {
+      if (existentes.some(a => a.data_aula === data)) continue;
+      criados.push(await db.insert('aulas_agendadas', { aula_configurada_id: aula.id, data_aula: data }));
+    }
+    return criados;
+  },
+
+  /**
+   * Mantém as próximas semanas de uma aula materializadas em aulas_agendadas
+   * A janela começa hoje, ou em data_inicio se a aula ainda não começou
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @param {number} semanas - Tamanho da janela em semanas
+   * @returns {Promise<Array>} Agendamentos criados
+   */
+  manterJanela: async (aula, semanas = SEMANAS_AGENDADAS) => {
+    const { inicio, fim } = AgendaOperacoes.janela(aula, semanas);
+    return AgendaOperacoes.gerarPeriodo(aula, inicio, fim);
+  },
+
+  /**
+   * Calcula a janela de semanas mantida pelo agendador para uma aula
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @param {number} semanas - Tamanho da janela em semanas
+   * @returns {Object} { inicio, fim } no formato AAAA-MM-DD
+   */
+  janela: (aula, semanas = SEMANAS_AGENDADAS) => {
+    const hoje = Utils.formatDate(new Date());
+    const inicio = aula.data_inicio > hoje ? aula.data_inicio : hoje;
+    return { inicio, fim: Utils.addDays(inicio, semanas * 7 - 1) };
+  },
+
+  /**
+   * Sincroniza um período com a configuração atual da aula: remove as aulas
+   * ainda agendadas que deixaram de corresponder à configuração e cria as
+   * que faltam. Datas passadas, aulas criadas por reagendamento ou como
+   * reposição e aulas com presença registrada são preservadas. Aulas avulsas
+   * não têm grade e ficam como estão.
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @param {string} inicio - Início do período (AAAA-MM-DD)
+   * @param {string} fim - Fim do período (AAAA-MM-DD)
+   * @returns {Promise<Object>} { criados, removidos }
+   */
+  regenerarPeriodo: async (aula, inicio, fim) => {
+    const hoje = Utils.formatDate(new Date());
+    if (inicio < hoje) inicio = hoje;
+    if (fim < inicio || aula.avulsa) return { criados: [], removidos: [] };
+
+    const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: aula.id } });
+    const datas = AgendaOperacoes.datasNoPeriodo(aula, dias.map(d => d.dia_semana), inicio, fim);
+
+    const agendamentos = await db.findAll('aulas_agendadas', { where: { aula_configurada_id: aula.id } });
+    const reagendamentos = await db.findAll('aulas_reagendamentos', {
+      where: { aula_agendada_id: agendamentos.map(a => a.id) }
+    });
+    const datasReagendadas = reagendamentos.map(r => r.nova_data);
+    const reposicoes = await db.findAll('creditos_reposicao', {
+      where: { reposicao_id: agendamentos.map(a => a.id) }
+    });
+
+    const candidatos = agendamentos.filter(a =>
+      a.data_aula >= inicio &&
+      a.data_aula <= fim &&
+      a.status === 'agendada' &&
+      !datas.includes(a.data_aula) &&
+      !datasReagendadas.includes(a.data_aula) &&
+      !reposicoes.some(r => r.reposicao_id === a.id)
+    );
+    const presencas = await db.findAll('aulas_presencas', {
+      where: { aula_agendada_id: candidatos.map(a => a.id) }
+    });
+    const removidos = candidatos.filter(a => !presencas.some(p => p.aula_agendada_id === a.id));
+
+    if (removidos.length > 0) {
+      await db.remove('aulas_agendadas', { id: removidos.map(a => a.id) });
+    }
+
+    const criados = await AgendaOperacoes.gerarPeriodo(aula, inicio, fim);
+    return { criados, removidos };
+  }
+};
+
+/**
+ * Agendador que mantém as próximas semanas de todas as aulas em vigor
+ * materializadas. Roda ao iniciar o servidor e a cada AGENDADOR_INTERVALO_MS;
+ * em ambientes sem processo contínuo (Vercel), use POST /api/aulas/agendamentos/sincronizar.
+ */
+const AgendaScheduler = {
+  /**
+   * Gera os agendamentos que faltam para as aulas recorrentes sem data de
+   * término vencida
+   * @returns {Promise<number>} Total de agendamentos criados
+   */
+  executar: async () => {
+    const hoje = Utils.formatDate(new Date());
+    const aulas = await db.findAll('aulas_configuradas', { where: { avulsa: false } });
+
+    let total = 0;
+    for (const aula of aulas.filter(a => !a.data_fim || a.data_fim >= hoje)) {
+      total += (await AgendaOperacoes.manterJanela(aula)).length;
+    }
+    return total;
+  },
+
+  /**
+   * Inicia a execução periódica do agendador
+   */
+  iniciar: () => {
+    const rodar = () => AgendaScheduler.executar()
+      .then(total => {
+        if (total > 0) console.log(`Agendador: ${total} aulas geradas`);
+      })
+      .catch(err => console.error('Erro no agendador de aulas:', err.message));
+
+    rodar();
+    setInterval(rodar, AGENDADOR_INTERVALO_MS).unref();
+  }
+};
+
+/**
+ * Vagas das aulas: cada professor atende até professores.limite_alunos alunos
+ * distintos somando todas as suas aulas regulares em andamento, e cada aula
+ * comporta no máximo a capacidade da sala; quem tenta entrar em uma aula
+ * cheia vai para a lista de espera, atendida por ordem de chegada quando uma
+ * vaga do professor é liberada.
+ */
+const ListaEspera = {
+  // Limite padrão para professores sem limite_alunos
+  LIMITE_PADRAO: 10,
+
+  /**
+   * Lista os alunos distintos matriculados nas aulas regulares em andamento
+   * de um professor (aulas avulsas e encerradas não ocupam vagas)
+   * @param {number} professorId - ID do professor
+   * @param {Object} options - { exceto: ID de aula a desconsiderar }
+   * @returns {Promise<Set<number>>} IDs dos alunos
+   */
+  alunosDoProfessor: async (professorId, { exceto } = {}) => {
+    const hoje = Utils.formatDate(new Date());
+    const aulas = (await db.findAll('aulas_configuradas', { where: { professor_id: professorId, avulsa: false } }))
+      .filter(a => (!a.data_fim || a.data_fim >= hoje) && !Permissoes.mesmoId(a.id, exceto));
+    const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: aulas.map(a => a.id) } });
+    return new Set(vinculos.map(v => v.aluno_id));
+  },
+
+  /**
+   * Calcula a ocupação de uma aula
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @param {number} alunoId - Aluno que pretende entrar (opcional): quem já
+   *   estuda com o professor não ocupa uma nova vaga dele
+   * @returns {Promise<Object>} { limite (do professor), alunos_professor,
+   *   capacidade (da sala), matriculados (na aula), vagas }
+   */
+  ocupacao: async (aula, alunoId) => {
+    const professor = await db.findOne('professores', { id: aula.professor_id });
+    const sala = aula.sala_id ? await db.findOne('salas', { id: aula.sala_id }) : null;
+    const limite = professor && professor.limite_alunos ? professor.limite_alunos : ListaEspera.LIMITE_PADRAO;
+
+    const alunosProfessor = await ListaEspera.alunosDoProfessor(aula.professor_id);
+    const matriculados = await db.count('aulas_alunos', { aula_id: aula.id });
+
+    const vagasProfessor = alunoId && alunosProfessor.has(Number(alunoId))
+      ? Infinity
+      : limite - alunosProfessor.size;
+    const vagasSala = sala ? sala.capacidade - matriculados : Infinity;
+
+    return {
+      limite,
+      alunos_professor: alunosProfessor.size,
+      capacidade: sala ? sala.capacidade : null,
+      matriculados,
+      vagas: Math.max(Math.min(vagasProfessor, vagasSala), 0)
+    };
+  },
+
+  /**
+   * Lista a fila de espera de aulas em ordem de chegada
+   * @param {number|Array<number>} aulaId - ID (ou IDs) da aula configurada
+   * @returns {Promise<Array>} Registros de aulas_lista_espera
+   */
+  fila: (aulaId) => db.findAll('aulas_lista_espera', {
+    where: { aula_id: aulaId },
+    order: [{ column: 'created_at' }, { column: 'id' }]
+  }),
+
+  /**
+   * Matricula um aluno na aula ou, se ela estiver cheia, o coloca no fim da
+   * lista de espera
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @param {number} alunoId - ID do aluno
+   * @returns {Promise<Object>} { lista_espera, limite, posicao (na lista de espera) }
+   */
+  matricular: async (aula, alunoId) => {
+    const { vagas, limite } = await ListaEspera.ocupacao(aula, alunoId);
+
+    if (vagas === 0) {
+      const naFila = await db.findOne('aulas_lista_espera', { aula_id: aula.id, aluno_id: alunoId });
+      if (!naFila) {
+        await db.insert('aulas_lista_espera', { aula_id: aula.id, aluno_id: alunoId });
+      }
+
+      const fila = await ListaEspera.fila(aula.id);
+      return {
+        lista_espera: true,
+        limite,
+        posicao: fila.findIndex(e => Permissoes.mesmoId(e.aluno_id, alunoId)) + 1
+      };
+    }
+
+    await db.insert('aulas_alunos', { aula_id: aula.id, aluno_id: alunoId });
+    await db.remove('aulas_lista_espera', { aula_id: aula.id, aluno_id: alunoId });
+    return { lista_espera: false, limite };
+  },
+
+  /**
+   * Matricula os primeiros das filas de todas as aulas de um professor, por
+   * ordem de chegada, enquanto houver vagas
+   * @param {number} professorId - ID do professor que teve vagas liberadas
+   * @returns {Promise<Array>} Promoções { aula_id, aluno_id }
+   */
+  promover: async (professorId) => {
+    const aulas = await db.findAll('aulas_configuradas', { where: { professor_id: professorId, avulsa: false } });
+    const fila = await ListaEspera.fila(aulas.map(a => a.id));
+
+    const promovidos = [];
+    for (const espera of fila) {
+      const aula = aulas.find(a => a.id === espera.aula_id);
+      const { vagas } = await ListaEspera.ocupacao(aula, espera.aluno_id);
+      if (vagas === 0) continue;
+
+      await db.insert('aulas_alunos', { aula_id: aula.id, aluno_id: espera.aluno_id });
+      await db.remove('aulas_lista_espera', { id: espera.id });
+      promovidos.push({ aula_id: aula.id, aluno_id: espera.aluno_id });
+    }
+    return promovidos;
+  }
+};
+
+/**
+ * Salas e recursos reservados pelas aulas configuradas
+ */
+const Salas = {
+  /**
+   * Verifica se a sala informada para uma aula existe
+   * @param {number} salaId - ID da sala (vazio para aula sem sala)
+   * @returns {Promise<Object|null>} Registro de salas
+   */
+  validarSala: async (salaId) => {
+    if (!salaId) return null;
+
+    const sala = await db.findOne('salas', { id: salaId });
+    if (!sala) {
+      throw Utils.httpError(404, 'Sala não encontrada');
+    }
+    return sala;
+  },
+
+  /**
+   * Valida os recursos pedidos por uma aula
+   * @param {Array} recursos - [{ recurso_id, quantidade }]
+   * @returns {Promise<Array>} Recursos normalizados [{ recurso_id, quantidade }]
+   */
+  validarRecursos: async (recursos) => {
+    if (!Array.isArray(recursos)) {
+      throw Utils.httpError(400, 'Recursos devem ser uma lista de { recurso_id, quantidade }');
+    }
+
+    const pedidos = recursos.map(r => ({
+      recurso_id: Number(r.recurso_id),
+      quantidade: r.quantidade === undefined ? 1 : Number(r.quantidade)
+    }));
+    const cadastrados = await db.findAll('recursos', { where: { id: pedidos.map(p => p.recurso_id) } });
+
+    for (const pedido of pedidos) {
+      const recurso = cadastrados.find(r => r.id === pedido.recurso_id);
+      if (!recurso) {
+        throw Utils.httpError(404, `Recurso ${pedido.recurso_id} não encontrado`);
+      }
+      if (!Number.isInteger(pedido.quantidade) || pedido.quantidade <= 0 || pedido.quantidade > recurso.quantidade) {
+        throw Utils.httpError(400, `Quantidade inválida para ${recurso.nome} (disponível: ${recurso.quantidade})`);
+      }
+    }
+
+    if (new Set(pedidos.map(p => p.recurso_id)).size !== pedidos.length) {
+      throw Utils.httpError(400, 'Recurso repetido na lista');
+    }
+    return pedidos;
+  },
+
+  /**
+   * Substitui os recursos reservados por uma aula
+   * @param {number} aulaId - ID da aula configurada
+   * @param {Array} recursos - Recursos validados [{ recurso_id, quantidade }]
+   */
+  salvarRecursos: async (aulaId, recursos) => {
+    await db.remove('aulas_recursos', { aula_id: aulaId });
+    for (const recurso of recursos) {
+      await db.insert('aulas_recursos', { aula_id: aulaId, ...recurso });
+    }
+  },
+
+  /**
+   * Lista os recursos reservados por um conjunto de aulas, com o nome
+   * @param {Array<number>} aulaIds - IDs das aulas configuradas
+   * @returns {Promise<Array>} [{ aula_id, recurso_id, nome, tipo, quantidade }]
+   */
+  recursosDasAulas: async (aulaIds) => {
+    const reservas = await db.findAll('aulas_recursos', { where: { aula_id: aulaIds } });
+    const recursos = await db.findAll('recursos', { where: { id: [...new Set(reservas.map(r => r.recurso_id))] } });
+
+    return reservas.map(reserva => {
+      const recurso = recursos.find(r => r.id === reserva.recurso_id) || {};
+      return {
+        aula_id: reserva.aula_id,
+        recurso_id: reserva.recurso_id,
+        nome: recurso.nome,
+        tipo: recurso.tipo,
+        quantidade: reserva.quantidade
+      };
+    });
+  }
+};
+
+/**
+ * Professores substitutos em aulas agendadas específicas. O substituto dá a
+ * aula no lugar do titular apenas naquela data e recebe o repasse dela.
+ */
+const Substituicoes = {
+  /**
+   * Normaliza um texto para comparação, sem acentos nem maiúsculas
+   * @param {string} texto - Texto a normalizar
+   * @returns {string} Texto normalizado
+   */
+  normalizar: (texto) => String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase(),
+
+  /**
+   * Verifica se a especialidade do professor cobre o instrumento da aula
+   * A especialidade pode listar vários instrumentos ("Piano, Teclado")
+   * @param {Object} professor - Registro de professores
+   * @param {string} instrumento - Instrumento da aula
+   * @returns {boolean} true se o professor ensina o instrumento
+   */
+  compativel: (professor, instrumento) => {
+    const alvo = Substituicoes.normalizar(instrumento);
+    return Substituicoes.normalizar(professor.especialidade)
+      .split(/,|;|\/| e /)
+      .some(item => item.trim() === alvo);
+  },
+
+  /**
+   * Procura os impedimentos de um professor para substituir uma aula agendada:
+   * especialidade diferente do instrumento, outra aula no mesmo horário,
+   * horário fora da disponibilidade e bloqueios (férias, licenças)
+   * @param {Object} agendamento - Registro de aulas_agendadas
+   * @param {Object} aula - Registro de aulas_configuradas da aula
+   * @param {Object} professor - Professor candidato a substituto
+   * @returns {Promise<Array>} Conflitos encontrados
+   */
+  conflitos: async (agendamento, aula, professor) => {
+    const conflitos = (await Conflitos.procurar({ ...aula, professor_id: professor.id }, {
+      datas: [agendamento.data_aula],
+      ignorarAgendamentoId: agendamento.id,
+      bloqueios: true
+    })).filter(c => ['professor', 'disponibilidade', 'bloqueio'].includes(c.motivo));
+
+    if (!Substituicoes.compativel(professor, aula.instrumento)) {
+      conflitos.unshift({
+        tipo: 'especialidade',
+        motivo: 'especialidade',
+        professor_id: professor.id,
+        descricao: `${professor.nome} não tem especialidade em ${aula.instrumento}`
+      });
+    }
+    return conflitos;
+  },
+
+  /**
+   * Define o substituto de uma aula agendada e registra a troca no histórico
+   * @param {Object} agendamento - Registro de aulas_agendadas ainda agendado
+   * @param {Object} aula - Registro de aulas_configuradas da aula
+   * @param {Object} professor - Professor substituto
+   * @param {Object} opcoes - { usuario, motivo, ignorarConflitos }
+   * @throws {Error} 400 se o substituto for o titular; 409 com os conflitos
+   */
+  definir: async (agendamento, aula, professor, { usuario, motivo, ignorarConflitos = false } = {}) => {
+    if (Permissoes.mesmoId(professor.id, aula.professor_id)) {
+      throw Utils.httpError(400, 'O substituto deve ser diferente do professor da aula');
+    }
+
+    const conflitos = await Substituicoes.conflitos(agendamento, aula, professor);
+    if (conflitos.length > 0 && !ignorarConflitos) {
+      throw Utils.httpError(409, 'Professor indisponível para substituir esta aula', { conflitos });
+    }
+
+    await db.update('aulas_agendadas', { id: agendamento.id }, {
+      professor_substituto_id: professor.id,
+      updated_at: new Date().toISOString()
+    });
+    await HistoricoAulas.registrar(agendamento.id, 'substituicao', {
+      usuario,
+      motivo,
+      professor_id: professor.id
+    });
+  }
+};
+
+const AulasHandlers = {
+  /**
+   * Configura uma nova aula
+   */
+  configurar: async (req, res) => {
+    try {
+      const { instrumento, turno, hora_inicio, duracao, professor_id, sala_id, data_inicio, data_fim, dias_semana } = req.body;
+
+      // Validações básicas
+      if (!instrumento || !(turno || hora_inicio) || !professor_id || !data_inicio || !dias_semana || !Array.isArray(dias_semana) || dias_semana.length === 0) {
+        return res.status(400).json({ error: 'Instrumento, turno ou horário, professor, data de início e dias da semana são obrigatórios' });
+      }
+
+      if (!Utils.isDate(data_inicio)) {
+        return res.status(400).json({ error: 'Data de início inválida (use AAAA-MM-DD)' });
+      }
+
+      if (data_fim && (!Utils.isDate(data_fim) || data_fim < data_inicio)) {
+        return res.status(400).json({ error: 'Data de término inválida ou anterior à data de início' });
+      }
+
+      const turnoAula = Horarios.resolverTurno({ turno, hora_inicio, duracao });
+      const ignorarConflitos = Conflitos.ignorar(req);
+
+      // Verificar se o professor existe
+      const professor = await db.findOne('professores', { id: professor_id });
+      if (!professor) {
+        return res.status(404).json({ error: 'Professor não encontrado' });
+      }
+
+      await Salas.validarSala(sala_id);
+      const recursos = await Salas.validarRecursos(req.body.recursos || []);
+
+      const dadosAula = {
+        instrumento,
+        turno: turnoAula,
+        hora_inicio: hora_inicio || null,
+        duracao: duracao ? Number(duracao) : 60,
+        professor_id,
+        sala_id: sala_id || null,
+        data_inicio,
+        data_fim: data_fim || null
+      };
+
+      // Verificar se o professor, a sala ou os recursos já estão ocupados no horário
+      const { inicio, fim } = AgendaOperacoes.janela(dadosAula);
+      const conflitos = await Conflitos.procurar(dadosAula, {
+        diasSemana: dias_semana,
+        datas: AgendaOperacoes.datasNoPeriodo(dadosAula, dias_semana, inicio, fim),
+        recursos
+      });
+      Conflitos.garantir(conflitos, ignorarConflitos);
+
+      // Inserir a configuração da aula
+      const aula = await db.insert('aulas_configuradas', dadosAula);
+      await Salas.salvarRecursos(aula.id, recursos);
+
+      // Inserir os dias da semana
+      for (const dia of dias_semana) {
+        if (dia < 0 || dia > 6) {
+          // Se houver erro, remover a aula criada
+          await db.remove('aulas_configuradas', { id: aula.id });
+          return res.status(400).json({ error: 'Dia da semana deve estar entre 0 (domingo) e 6 (sábado)' });
+        }
+
+        await db.insert('aulas_dias_semana', {
+          aula_id: aula.id,
+          dia_semana: dia
+        });
+      }
+
+      // Gerar as aulas das próximas semanas (o agendador mantém a janela depois)
+      await AgendaOperacoes.manterJanela(aula);
+
+      res.status(201).json({
+        id: aula.id,
+        message: 'Aula configurada com sucesso'
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  },
+
+  /**
+   * Agenda uma aula avulsa (experimental, workshop, particular), com professor,
+   * alunos, data e horário próprios e sem repetição semanal
+   * Body: { instrumento, turno, hora_inicio, duracao, professor_id, sala_id,
+   *   recursos, data_aula, alunos: [ids], ignorar_conflitos }
+   */
+  criarAvulsa: async (req, res) => {
+    try {
+      const { instrumento, turno, hora_inicio, duracao, professor_id, sala_id, data_aula } = req.body;
+
+      if (!instrumento || !(turno || hora_inicio) || !professor_id || !data_aula) {
+        return res.status(400).json({ error: 'Instrumento, turno ou horário, professor e data da aula são obrigatórios' });
+      }
+
+      const { aula, agendamento } = await AgendaOperacoes.criarAvulsa(
+        { instrumento, turno, hora_inicio, duracao, professor_id, sala_id, data_aula, recursos: req.body.recursos },
+        { alunos: req.body.alunos, usuario: req.usuario, ignorarConflitos: Conflitos.ignorar(req) }
+      );
+
+      res.status(201).json({
+        id: aula.id,
+        aula_agendada_id: agendamento.id,
+        message: 'Aula avulsa agendada com sucesso'
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  },
+
+  /**
+   * Lista todas as aulas configuradas
    */
   listarConfiguradas: async (req, res) => {
     try {
-      // Primeiro, buscar as aulas configuradas com informações do professor
-      const { data: aulas, error } = await supabase
-        .from('aulas_configuradas')
-        .select(`
-        *,
-        professores(nome)
-      `);
+      // Primeiro, buscar as aulas configuradas
+      const aulas = await db.findAll('aulas_configuradas');
+      const salas = await db.findAll('salas');
+
+      // Processar cada aula individualmente para obter os dados adicionais
+      const aulasProcessadas = await Promise.all(aulas.map(async (aula) => {
+        // Obter professor
+        const professor = await db.findOne('professores', { id: aula.professor_id });
+
+        // Obter dias da semana
+        const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: aula.id } });
+
+        // Contar alunos
+        const totalAlunos = await db.count('aulas_alunos', { aula_id: aula.id });
+
+        // Contar total de agendamentos
+        const totalAgendadas = await db.count('aulas_agendadas', { aula_configurada_id: aula.id });
+
+        // Contar agendamentos cancelados
+        const totalCanceladas = await db.count('aulas_agendadas', {
+          aula_configurada_id: aula.id,
+          status: 'cancelada'
+        });
+
+        const sala = salas.find(s => s.id === aula.sala_id);
+
+        return {
+          ...aula,
+          professor_nome: professor ? professor.nome : null,
+          sala_nome: sala ? sala.nome : null,
+          dias_semana: dias.map(d => d.dia_semana),
+          total_alunos: totalAlunos,
+          total_agendadas: totalAgendadas,
+          total_canceladas: totalCanceladas
+        };
+      }));
+
+      res.json({ aulas: aulasProcessadas });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém detalhes de uma aula específica
+   */
+  obterDetalhes: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // Obter informações da aula
+      const aula = await db.findOne('aulas_configuradas', { id });
+      if (!aula) {
+        return res.status(404).json({ error: 'Aula não encontrada' });
+      }
+
+      const professor = await db.findOne('professores', { id: aula.professor_id });
+      const sala = aula.sala_id ? await db.findOne('salas', { id: aula.sala_id }) : null;
+
+      // Obter dias da semana
+      const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: id } });
+      const dias_semana = dias.map(d => d.dia_semana);
+
+      // Obter alunos vinculados
+      const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: id } });
+      const alunos = await db.findAll('alunos', { where: { id: vinculos.map(v => v.aluno_id) } });
+      const alunosProcessados = alunos.map(({ id, nome, email, instrumento_principal }) => ({
+        id, nome, email, instrumento_principal,
+        plano_id: vinculos.find(v => v.aluno_id === id).plano_id
+      }));
+
+      // Ocupação e lista de espera
+      const ocupacao = await ListaEspera.ocupacao(aula);
+      const fila = await ListaEspera.fila(aula.id);
+      const alunosEspera = await db.findAll('alunos', { where: { id: fila.map(e => e.aluno_id) } });
+
+      res.json({
+        ...aula,
+        professor_nome: professor ? professor.nome : null,
+        professor_especialidade: professor ? professor.especialidade : null,
+        sala_nome: sala ? sala.nome : null,
+        sala_capacidade: sala ? sala.capacidade : null,
+        recursos: await Salas.recursosDasAulas([aula.id]),
+        dias_semana,
+        alunos: alunosProcessados,
+        limite_alunos: ocupacao.limite,
+        alunos_professor: ocupacao.alunos_professor,
+        vagas: ocupacao.vagas,
+        lista_espera: fila.map((espera, index) => {
+          const aluno = alunosEspera.find(a => a.id === espera.aluno_id) || {};
+          return { id: aluno.id, nome: aluno.nome, email: aluno.email, posicao: index + 1 };
+        })
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Vincula um aluno a uma aula
+   */
+  vincularAluno: async (req, res) => {
+    try {
+      const { aulaId, alunoId } = req.params;
+
+      // Verificar se a aula existe
+      const aula = await db.findOne('aulas_configuradas', { id: aulaId });
+      if (!aula) {
+        return res.status(404).json({ error: 'Aula não encontrada' });
+      }
+
+      // Verificar se o aluno existe
+      const aluno = await db.findOne('alunos', { id: alunoId });
+      if (!aluno) {
+        return res.status(404).json({ error: 'Aluno não encontrado' });
+      }
+
+      // Verificar se o aluno já está vinculado a esta aula
+      const vinculo = await db.findOne('aulas_alunos', { aula_id: aulaId, aluno_id: alunoId });
+      if (vinculo) {
+        return res.status(400).json({ error: 'Aluno já está vinculado a esta aula' });
+      }
+
+      // Aula cheia: o aluno vai para a lista de espera
+      const { lista_espera, limite, posicao } = await ListaEspera.matricular(aula, alunoId);
+      if (lista_espera) {
+        return res.status(202).json({
+          message: `Sem vagas (limite de ${limite} alunos do professor ou capacidade da sala): aluno incluído na lista de espera`,
+          lista_espera,
+          posicao
+        });
+      }
+
+      res.status(201).json({ message: 'Aluno vinculado à aula com sucesso' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Desvincula um aluno de uma aula
+   */
+  desvincularAluno: async (req, res) => {
+    try {
+      const { aulaId, alunoId } = req.params;
+
+      await db.remove('aulas_alunos', { aula_id: aulaId, aluno_id: alunoId });
+
+      // Ocupar a vaga liberada com o próximo das listas de espera do professor
+      const aula = await db.findOne('aulas_configuradas', { id: aulaId });
+      const promovidos = aula ? await ListaEspera.promover(aula.professor_id) : [];
+
+      res.json({
+        message: promovidos.length > 0
+          ? 'Aluno desvinculado; vaga preenchida pela lista de espera'
+          : 'Aluno desvinculado da aula com sucesso',
+        promovidos
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Remove um aluno da lista de espera de uma aula
+   */
+  removerListaEspera: async (req, res) => {
+    try {
+      const { id, alunoId } = req.params;
+
+      await db.remove('aulas_lista_espera', { aula_id: id, aluno_id: alunoId });
+
+      res.json({ message: 'Aluno removido da lista de espera' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém todas as aulas de um aluno e as próximas aulas agendadas
+   */
+  obterAulasAluno: async (req, res) => {
+    try {
+      const { alunoId } = req.params;
+
+      const vinculos = await db.findAll('aulas_alunos', { where: { aluno_id: alunoId } });
+      const aulas = await db.findAll('aulas_configuradas', { where: { id: vinculos.map(v => v.aula_id) } });
+
+      // Processar os dados
+      const aulasProcessadas = await Promise.all(aulas.map(async (aula) => {
+        const professor = await db.findOne('professores', { id: aula.professor_id });
+        const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: aula.id } });
+
+        return {
+          ...aula,
+          professor_nome: professor ? professor.nome : null,
+          professor_especialidade: professor ? professor.especialidade : null,
+          dias_semana: dias.map(d => d.dia_semana)
+        };
+      }));
+
+      // Próximas aulas agendadas, a partir de hoje
+      const agendamentos = await db.findAll('aulas_agendadas', {
+        where: {
+          aula_configurada_id: aulas.map(a => a.id),
+          data_aula: { gte: Utils.formatDate(new Date()) },
+          status: 'agendada'
+        },
+        order: [{ column: 'data_aula' }]
+      });
+
+      res.json({
+        aulas: aulasProcessadas,
+        proximas_aulas: agendamentos.map(a => {
+          const aula = aulasProcessadas.find(c => c.id === a.aula_configurada_id);
+
+          return {
+            ...a,
+            instrumento: aula.instrumento,
+            turno: aula.turno,
+            hora_inicio: aula.hora_inicio,
+            hora_fim: Horarios.fim(aula.hora_inicio, aula.duracao),
+            professor_nome: aula.professor_nome
+          };
+        })
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém todas as aulas de um professor
+   */
+  obterAulasProfessor: async (req, res) => {
+    try {
+      const { professorId } = req.params;
+
+      const aulas = await db.findAll('aulas_configuradas', { where: { professor_id: professorId } });
+
+      // Processar os dados
+      const aulasProcessadas = await Promise.all(aulas.map(async (aula) => {
+        const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: aula.id } });
+        const totalAlunos = await db.count('aulas_alunos', { aula_id: aula.id });
+
+        return {
+          ...aula,
+          dias_semana: dias.map(d => d.dia_semana),
+          total_alunos: totalAlunos
+        };
+      }));
+
+      res.json({ aulas: aulasProcessadas });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém os alunos de cada aula de um professor
+   */
+  obterAlunosProfessor: async (req, res) => {
+    try {
+      const { professorId } = req.params;
+
+      const aulas = await db.findAll('aulas_configuradas', {
+        where: { professor_id: professorId },
+        order: [{ column: 'instrumento' }]
+      });
+      const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: aulas.map(a => a.id) } });
+      const alunos = await db.findAll('alunos', {
+        where: { id: [...new Set(vinculos.map(v => v.aluno_id))] },
+        order: [{ column: 'nome' }]
+      });
+      const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: aulas.map(a => a.id) } });
+
+      res.json({
+        aulas: aulas.map(aula => {
+          const idsAlunos = vinculos.filter(v => v.aula_id === aula.id).map(v => v.aluno_id);
+
+          return {
+            ...aula,
+            dias_semana: dias.filter(d => d.aula_id === aula.id).map(d => d.dia_semana),
+            alunos: alunos
+              .filter(a => idsAlunos.includes(a.id))
+              .map(({ id, nome, email, telefone, instrumento_principal }) => ({
+                id, nome, email, telefone, instrumento_principal
+              }))
+          };
+        })
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Atualiza uma aula configurada; mudanças na grade regeneram as aulas
+   * ainda agendadas na janela do agendador
+   */
+  atualizarAula: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { professor_id, instrumento, turno, hora_inicio, duracao, sala_id, data_inicio, data_fim, dias_semana } = req.body;
+
+      // Verificar se a aula existe
+      const aula = await db.findOne('aulas_configuradas', { id });
+      if (!aula) {
+        return res.status(404).json({ error: 'Aula não encontrada' });
+      }
+
+      // Troca de professor: os alunos da aula precisam caber no limite do novo professor
+      const trocaProfessor = professor_id !== undefined && !Permissoes.mesmoId(professor_id, aula.professor_id);
+      if (trocaProfessor) {
+        const professor = await db.findOne('professores', { id: professor_id });
+        if (!professor) {
+          return res.status(404).json({ error: 'Professor não encontrado' });
+        }
+
+        if (!aula.avulsa) {
+          const limite = professor.limite_alunos || ListaEspera.LIMITE_PADRAO;
+          const alunos = await ListaEspera.alunosDoProfessor(professor.id);
+          const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: aula.id } });
+          vinculos.forEach(v => alunos.add(v.aluno_id));
+          if (alunos.size > limite) {
+            return res.status(400).json({
+              error: `O professor ${professor.nome} ficaria com ${alunos.size} alunos (limite de ${limite})`
+            });
+          }
+        }
+      }
+
+      if (aula.avulsa && (data_inicio !== undefined || data_fim !== undefined || dias_semana !== undefined)) {
+        return res.status(400).json({ error: 'Aulas avulsas não têm grade semanal: para mudar a data, reagende a aula' });
+      }
+
+      const updates = {};
+      if (trocaProfessor) updates.professor_id = Number(professor_id);
+      if (instrumento !== undefined) updates.instrumento = instrumento;
+      if (turno !== undefined || hora_inicio !== undefined || duracao !== undefined) {
+        // Um novo horário define o turno; sem horário, vale o turno informado ou o atual
+        updates.turno = Horarios.resolverTurno({
+          turno: turno !== undefined ? turno : (hora_inicio ? undefined : aula.turno),
+          hora_inicio: hora_inicio !== undefined ? hora_inicio || null : aula.hora_inicio,
+          duracao
+        });
+        if (hora_inicio !== undefined) updates.hora_inicio = hora_inicio || null;
+        if (duracao !== undefined) updates.duracao = duracao ? Number(duracao) : 60;
+      }
+      if (data_inicio !== undefined) {
+        if (!Utils.isDate(data_inicio)) {
+          return res.status(400).json({ error: 'Data de início inválida (use AAAA-MM-DD)' });
+        }
+        updates.data_inicio = data_inicio;
+      }
+      if (data_fim !== undefined) {
+        // Data vazia torna a aula sem data para terminar
+        if (data_fim && !Utils.isDate(data_fim)) {
+          return res.status(400).json({ error: 'Data de término inválida (use AAAA-MM-DD)' });
+        }
+        updates.data_fim = data_fim || null;
+      }
+      const dataFim = 'data_fim' in updates ? updates.data_fim : aula.data_fim;
+      if (dataFim && dataFim < (updates.data_inicio || aula.data_inicio)) {
+        return res.status(400).json({ error: 'Data de término anterior à data de início' });
+      }
+      if (sala_id !== undefined) {
+        // Sala vazia deixa a aula sem sala
+        await Salas.validarSala(sala_id);
+        updates.sala_id = sala_id || null;
+      }
+      const recursos = req.body.recursos !== undefined ? await Salas.validarRecursos(req.body.recursos) : undefined;
+
+      if (Object.keys(updates).length === 0 && !dias_semana && !recursos) {
+        return res.status(400).json({ error: 'Nenhum campo válido para atualização' });
+      }
+
+      // Verificar conflitos de horário quando a grade, a sala ou os recursos da aula mudam
+      const mudouGrade = ['professor_id', 'turno', 'hora_inicio', 'duracao', 'sala_id', 'data_inicio', 'data_fim'].some(c => c in updates) ||
+        Array.isArray(dias_semana) || recursos !== undefined;
+      if (mudouGrade) {
+        const atualizada = { ...aula, ...updates };
+        const dias = Array.isArray(dias_semana)
+          ? dias_semana
+          : (await db.findAll('aulas_dias_semana', { where: { aula_id: id } })).map(d => d.dia_semana);
+        const { inicio, fim } = AgendaOperacoes.janela(atualizada);
+
+        // Aulas avulsas são comparadas nas datas em que ainda estão agendadas
+        const datas = aula.avulsa
+          ? (await db.findAll('aulas_agendadas', {
+            where: { aula_configurada_id: aula.id, status: 'agendada', data_aula: { gte: Utils.formatDate(new Date()) } }
+          })).map(a => a.data_aula)
+          : AgendaOperacoes.datasNoPeriodo(atualizada, dias, inicio, fim);
+
+        const conflitos = await Conflitos.procurar(atualizada, {
+          diasSemana: dias,
+          datas,
+          recursos
+        });
+        Conflitos.garantir(conflitos, Conflitos.ignorar(req));
+      }
+
+      // Atualizar dados básicos da aula, se houver
+      if (Object.keys(updates).length > 0) {
+        await db.update('aulas_configuradas', { id }, { ...updates, updated_at: new Date().toISOString() });
+      }
+
+      // Substituir os recursos reservados, se fornecidos
+      if (recursos) {
+        await Salas.salvarRecursos(aula.id, recursos);
+      }
+
+      // Atualizar dias da semana, se fornecidos
+      if (dias_semana && Array.isArray(dias_semana)) {
+        // Remover dias existentes
+        await db.remove('aulas_dias_semana', { aula_id: id });
+
+        // Inserir novos dias
+        for (const dia of dias_semana) {
+          if (dia < 0 || dia > 6) {
+            return res.status(400).json({ error: 'Dia da semana deve estar entre 0 (domingo) e 6 (sábado)' });
+          }
+
+          await db.insert('aulas_dias_semana', {
+            aula_id: id,
+            dia_semana: dia
+          });
+        }
+      }
+
+      // Ajustar as aulas já geradas da janela do agendador à nova configuração
+      const regeneradas = mudouGrade && !aula.avulsa
+        ? await AgendaOperacoes.regenerarPeriodo(
+          { ...aula, ...updates },
+          Utils.formatDate(new Date()),
+          AgendaOperacoes.janela({ ...aula, ...updates }).fim
+        )
+        : { criados: [], removidos: [] };
+
+      // Os alunos que saíram com a aula liberam vagas do professor anterior
+      const promovidos = trocaProfessor && !aula.avulsa ? await ListaEspera.promover(aula.professor_id) : [];
+
+      res.json({
+        message: 'Aula atualizada com sucesso',
+        criados: regeneradas.criados.map(a => ({ id: a.id, data_aula: a.data_aula })),
+        removidos: regeneradas.removidos.map(a => ({ id: a.id, data_aula: a.data_aula })),
+        promovidos
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  },
+
+  /**
+   * Exclui uma aula configurada
+   */
+  excluirAula: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // Verificar se a aula existe
+      const aula = await db.findOne('aulas_configuradas', { id });
+      if (!aula) {
+        return res.status(404).json({ error: 'Aula não encontrada' });
+      }
+
+      // Excluir a aula (as chaves estrangeiras com CASCADE cuidarão dos registros relacionados)
+      await db.remove('aulas_configuradas', { id });
+
+      // Os alunos da aula excluída liberam vagas do professor
+      const promovidos = aula.avulsa ? [] : await ListaEspera.promover(aula.professor_id);
+
+      res.json({ message: 'Aula excluída com sucesso', promovidos });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Gera o agendamento de aulas com base na configuração
+   * Body: { semanas } (padrão: a janela do agendador; máximo de SEMANAS_MAXIMO)
+   */
+  gerarAgendamento: async (req, res) => {
+    try {
+      const { id } = req.params;
+      // Número de semanas a gerar
+      const semanas = req.body.semanas === undefined ? SEMANAS_AGENDADAS : Number(req.body.semanas);
+      if (!Number.isInteger(semanas) || semanas < 1 || semanas > SEMANAS_MAXIMO) {
+        return res.status(400).json({ error: `Semanas deve ser um número inteiro entre 1 e ${SEMANAS_MAXIMO}` });
+      }
+
+      // Verificar se a aula existe
+      const aula = await db.findOne('aulas_configuradas', { id });
+      if (!aula) {
+        return res.status(404).json({ error: 'Aula não encontrada' });
+      }
+
+      // Obter dias da semana configurados
+      const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: id } });
+      const dias_semana = dias.map(d => d.dia_semana);
+
+      if (dias_semana.length === 0) {
+        return res.status(400).json({ error: 'Aula não possui dias da semana configurados' });
+      }
+
+      // Completar as próximas semanas (agendamentos existentes são mantidos)
+      const agendamentos = (await AgendaOperacoes.manterJanela(aula, semanas))
+        .map(a => ({ id: a.id, data_aula: a.data_aula }));
+
+      res.json({
+        message: `Agendamento gerado para ${agendamentos.length} aulas`,
+        agendamentos
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Regenera as aulas de um período após mudanças na configuração
+   * Body: { data_inicio, data_fim } (padrão: hoje até o fim da janela do agendador)
+   */
+  regenerarAgendamento: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const hoje = Utils.formatDate(new Date());
+      const {
+        data_inicio = hoje,
+        data_fim = Utils.addDays(hoje, SEMANAS_AGENDADAS * 7 - 1)
+      } = req.body;
+
+      if (!Utils.isDate(data_inicio) || !Utils.isDate(data_fim) || data_fim < data_inicio) {
+        return res.status(400).json({ error: 'Período inválido' });
+      }
+
+      const aula = await db.findOne('aulas_configuradas', { id });
+      if (!aula) {
+        return res.status(404).json({ error: 'Aula não encontrada' });
+      }
+
+      const { criados, removidos } = await AgendaOperacoes.regenerarPeriodo(aula, data_inicio, data_fim);
+
+      res.json({
+        message: `Agendamento regenerado: ${criados.length} aulas criadas, ${removidos.length} removidas`,
+        criados: criados.map(a => ({ id: a.id, data_aula: a.data_aula })),
+        removidos: removidos.map(a => ({ id: a.id, data_aula: a.data_aula }))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Executa o agendador imediatamente para todas as aulas em vigor
+   */
+  sincronizarAgenda: async (req, res) => {
+    try {
+      const total = await AgendaScheduler.executar();
+      res.json({ message: `Agenda sincronizada: ${total} aulas geradas`, total });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém o agendamento de aulas para um período
+   */
+  obterAgendamento: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { data_inicio, data_fim } = req.query;
+
+      const where = { aula_configurada_id: id };
+      if (data_inicio && data_fim) {
+        where.data_aula = { gte: data_inicio, lte: data_fim };
+      }
+
+      const agendamentos = await db.findAll('aulas_agendadas', {
+        where,
+        order: [{ column: 'data_aula' }]
+      });
+
+      const reagendamentos = await db.findAll('aulas_reagendamentos', {
+        where: { aula_agendada_id: agendamentos.map(a => a.id) }
+      });
+
+      res.json({
+        agendamentos: agendamentos.map(a => ({
+          ...a,
+          aulas_reagendamentos: reagendamentos
+            .filter(r => r.aula_agendada_id === a.id)
+            .map(({ nova_data, motivo }) => ({ nova_data, motivo }))
+        }))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  obterUmAgendamento: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      const aula = await db.findOne('aulas_configuradas', { id: agendamento.aula_configurada_id });
+      const professor = await db.findOne('professores', { id: aula.professor_id });
+      const substituto = agendamento.professor_substituto_id
+        ? await db.findOne('professores', { id: agendamento.professor_substituto_id })
+        : null;
+
+      res.json({
+        ...agendamento,
+        instrumento: aula.instrumento,
+        avulsa: aula.avulsa,
+        professor_id: aula.professor_id,
+        professor_nome: professor ? professor.nome : null,
+        professor_substituto_nome: substituto ? substituto.nome : null
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém o histórico de uma aula agendada: cancelamentos, reagendamentos,
+   * realização e substituições, com quem fez e o motivo
+   */
+  obterHistorico: async (req, res) => {
+    try {
+      const agendamento = await db.findOne('aulas_agendadas', { id: req.params.id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      res.json({ eventos: await HistoricoAulas.listar(agendamento) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Cancela uma aula agendada
+   * Body: { motivo, cancelado_por: 'escola' (padrão) ou 'aluno', aluno_id:
+   *   aluno que pediu o cancelamento (em aulas em grupo, só ele deixa de ir;
+   *   sem ele, a aula é cancelada para todos os alunos) }
+   */
+  cancelarAula: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { motivo, cancelado_por = 'escola', aluno_id } = req.body;
+
+      if (!ORIGENS_CANCELAMENTO.includes(cancelado_por)) {
+        return res.status(400).json({ error: 'cancelado_por deve ser "escola" ou "aluno"' });
+      }
+
+      // Verificar se o agendamento existe
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      if (agendamento.status !== 'agendada') {
+        return res.status(400).json({ error: `Não é possível cancelar uma aula ${agendamento.status}` });
+      }
+
+      // Pedido de um aluno: em aulas em grupo, cancela só a presença dele
+      if (cancelado_por === 'aluno' && aluno_id) {
+        const { individual, creditos } = await AgendaOperacoes.cancelarParaAluno(agendamento, aluno_id, motivo, {
+          usuario: req.usuario
+        });
+        return res.json({
+          message: individual ? 'Aula cancelada para o aluno; a turma mantém a aula' : 'Aula cancelada com sucesso',
+          individual,
+          creditos_reposicao: creditos
+        });
+      }
+
+      const creditos = await AgendaOperacoes.cancelar(agendamento, motivo, {
+        usuario: req.usuario,
+        origem: cancelado_por
+      });
+
+      res.json({ message: 'Aula cancelada com sucesso', individual: false, creditos_reposicao: creditos });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Marca uma aula agendada como realizada
+   */
+  realizarAula: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      if (agendamento.status !== 'agendada') {
+        return res.status(400).json({ error: `Não é possível marcar como realizada uma aula ${agendamento.status}` });
+      }
+
+      await db.update('aulas_agendadas', { id }, { status: 'realizada', updated_at: new Date().toISOString() });
+      await HistoricoAulas.registrar(agendamento.id, 'realizacao', {
+        usuario: req.usuario,
+        professor_id: agendamento.professor_substituto_id
+      });
+
+      res.json({ message: 'Aula marcada como realizada' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Reagenda uma aula
+   */
+  reagendarAula: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { nova_data, motivo } = req.body;
+
+      // Verificar se o agendamento existe
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      const result = await AgendaOperacoes.reagendar(agendamento, nova_data, motivo, {
+        ignorarConflitos: Conflitos.ignorar(req),
+        usuario: req.usuario
+      });
+
+      res.json({
+        message: 'Aula reagendada com sucesso',
+        novo_agendamento_id: result.id
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  },
+
+  /**
+   * Lista os professores que podem substituir o titular em uma aula agendada:
+   * especialidade compatível com o instrumento e sem conflitos na data
+   */
+  listarSubstitutos: async (req, res) => {
+    try {
+      const agendamento = await db.findOne('aulas_agendadas', { id: req.params.id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      const aula = await db.findOne('aulas_configuradas', { id: agendamento.aula_configurada_id });
+      const professores = await db.findAll('professores', {
+        where: { id: { neq: aula.professor_id } },
+        order: [{ column: 'nome' }]
+      });
+
+      const disponiveis = [];
+      for (const professor of professores.filter(p => Substituicoes.compativel(p, aula.instrumento))) {
+        const conflitos = await Substituicoes.conflitos(agendamento, aula, professor);
+        if (conflitos.length === 0) disponiveis.push(professor);
+      }
+
+      res.json({
+        professores: disponiveis.map(({ id, nome, especialidade }) => ({ id, nome, especialidade }))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Define o professor substituto de uma aula agendada
+   * Body: { professor_id, motivo, ignorar_conflitos }
+   */
+  definirSubstituto: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { professor_id } = req.body;
+
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      if (agendamento.status !== 'agendada') {
+        return res.status(400).json({ error: `Não é possível substituir o professor de uma aula ${agendamento.status}` });
+      }
+
+      if (!professor_id) {
+        return res.status(400).json({ error: 'Informe o professor substituto' });
+      }
+
+      const professor = await db.findOne('professores', { id: professor_id });
+      if (!professor) {
+        return res.status(404).json({ error: 'Professor não encontrado' });
+      }
+
+      const aula = await db.findOne('aulas_configuradas', { id: agendamento.aula_configurada_id });
+      await Substituicoes.definir(agendamento, aula, professor, {
+        usuario: req.usuario,
+        motivo: req.body.motivo,
+        ignorarConflitos: Conflitos.ignorar(req)
+      });
+
+      res.json({ message: `${professor.nome} vai substituir o professor nesta aula` });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  },
+
+  /**
+   * Remove o substituto, devolvendo a aula agendada ao professor titular
+   */
+  removerSubstituto: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      if (agendamento.status !== 'agendada') {
+        return res.status(400).json({ error: `Não é possível alterar o professor de uma aula ${agendamento.status}` });
+      }
+
+      await db.update('aulas_agendadas', { id }, {
+        professor_substituto_id: null,
+        updated_at: new Date().toISOString()
+      });
+      await HistoricoAulas.registrar(agendamento.id, 'remocao_substituto', {
+        usuario: req.usuario,
+        motivo: req.body.motivo,
+        professor_id: agendamento.professor_substituto_id
+      });
+
+      res.json({ message: 'Substituição removida' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém a agenda semanal, com a ocupação das salas na semana
+   * Com professor_id, inclui as aulas em que o professor é substituto
+   */
+  obterAgendaSemanal: async (req, res) => {
+    try {
+      const { data_inicio, professor_id, sala_id } = req.query;
+
+      // Se não fornecer data_início, usa a segunda-feira da semana atual
+      let inicioSemana;
+      if (data_inicio) {
+        inicioSemana = new Date(data_inicio);
+      } else {
+        inicioSemana = new Date();
+        const dia = inicioSemana.getDay();
+        const diff = inicioSemana.getDate() - dia + (dia === 0 ? -6 : 1);
+        inicioSemana.setDate(diff);
+      }
+
+      // Calcular fim da semana (domingo)
+      const fimSemana = new Date(inicioSemana);
+      fimSemana.setDate(inicioSemana.getDate() + 6);
+
+      const where = {
+        data_aula: {
+          gte: inicioSemana.toISOString().split('T')[0],
+          lte: fimSemana.toISOString().split('T')[0]
+        }
+      };
+
+      // Professores e alunos veem apenas as próprias aulas
+      if (!Permissoes.tem(req.usuario, 'agenda:ler')) {
+        where.aula_configurada_id = await Permissoes.aulasVisiveis(req.usuario);
+      }
+
+      // Filtrar pelas aulas de um professor específico
+      if (professor_id) {
+        const aulasProfessor = await db.findAll('aulas_configuradas', { where: { professor_id } });
+        const ids = aulasProfessor.map(a => a.id);
+        where.aula_configurada_id = where.aula_configurada_id
+          ? where.aula_configurada_id.filter(id => ids.includes(id))
+          : ids;
+      }
+
+      // Filtrar pelas aulas de uma sala
+      if (sala_id) {
+        const aulasSala = await db.findAll('aulas_configuradas', { where: { sala_id } });
+        const ids = aulasSala.map(a => a.id);
+        where.aula_configurada_id = where.aula_configurada_id
+          ? where.aula_configurada_id.filter(id => ids.includes(id))
+          : ids;
+      }
+
+      const agendamentos = await db.findAll('aulas_agendadas', {
+        where,
+        order: [{ column: 'data_aula' }]
+      });
+
+      // Aulas de outros professores em que o professor filtrado (ou o professor
+      // logado, se ele só vê as próprias aulas) está como substituto
+      const substitutoId = Permissoes.tem(req.usuario, 'agenda:ler')
+        ? professor_id
+        : req.usuario.professor_id && (!professor_id || Permissoes.mesmoId(professor_id, req.usuario.professor_id))
+          ? req.usuario.professor_id
+          : null;
+      if (substitutoId) {
+        const substituicoes = await db.findAll('aulas_agendadas', {
+          where: { data_aula: where.data_aula, professor_substituto_id: substitutoId }
+        });
+        const aulasSala = sala_id
+          ? (await db.findAll('aulas_configuradas', { where: { sala_id } })).map(a => a.id)
+          : null;
+        agendamentos.push(...substituicoes.filter(a =>
+          !agendamentos.some(b => b.id === a.id) &&
+          (!aulasSala || aulasSala.includes(a.aula_configurada_id))));
+      }
+
+      // Carregar aulas, professores e reagendamentos relacionados
+      const aulas = await db.findAll('aulas_configuradas', {
+        where: { id: [...new Set(agendamentos.map(a => a.aula_configurada_id))] }
+      });
+      const professores = await db.findAll('professores', {
+        where: {
+          id: [...new Set([
+            ...aulas.map(a => a.professor_id),
+            ...agendamentos.filter(a => a.professor_substituto_id).map(a => a.professor_substituto_id)
+          ])]
+        }
+      });
+      const reagendamentos = await db.findAll('aulas_reagendamentos', {
+        where: { aula_agendada_id: agendamentos.map(a => a.id) }
+      });
+      const salas = await db.findAll('salas', {
+        where: { id: [...new Set(aulas.filter(a => a.sala_id).map(a => a.sala_id))] },
+        order: [{ column: 'nome' }]
+      });
+      const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: aulas.map(a => a.id) } });
+      const recursos = await Salas.recursosDasAulas(aulas.map(a => a.id));
+
+      // Aulas e minutos ocupados de cada sala na semana (sem contar as canceladas)
+      const ocupacaoSalas = salas.map(sala => {
+        const ocupadas = agendamentos.filter(a =>
+          ['agendada', 'realizada'].includes(a.status) &&
+          aulas.find(c => c.id === a.aula_configurada_id).sala_id === sala.id);
+
+        return {
+          sala_id: sala.id,
+          nome: sala.nome,
+          capacidade: sala.capacidade,
+          aulas: ocupadas.length,
+          minutos: ocupadas.reduce((total, a) =>
+            total + (aulas.find(c => c.id === a.aula_configurada_id).duracao || 60), 0)
+        };
+      });
+
+      res.json({
+        semana_inicio: inicioSemana.toISOString().split('T')[0],
+        semana_fim: fimSemana.toISOString().split('T')[0],
+        ocupacao_salas: ocupacaoSalas,
+        agendamentos: agendamentos
+          .map(a => {
+            const aula = aulas.find(c => c.id === a.aula_configurada_id);
+            const professor = professores.find(p => p.id === aula.professor_id) || {};
+            const substituto = professores.find(p => p.id === a.professor_substituto_id);
+            const reagendamento = reagendamentos.find(r => r.aula_agendada_id === a.id);
+            const sala = salas.find(s => s.id === aula.sala_id);
+
+            return {
+              ...a,
+              instrumento: aula.instrumento,
+              avulsa: aula.avulsa,
+              turno: aula.turno,
+              hora_inicio: aula.hora_inicio,
+              duracao: aula.duracao,
+              hora_fim: Horarios.fim(aula.hora_inicio, aula.duracao),
+              professor_id: aula.professor_id,
+              professor_nome: professor.nome,
+              professor_especialidade: professor.especialidade,
+              professor_substituto_nome: substituto?.nome,
+              sala_id: aula.sala_id,
+              sala_nome: sala?.nome,
+              sala_capacidade: sala?.capacidade,
+              total_alunos: vinculos.filter(v => v.aula_id === aula.id).length,
+              recursos: recursos
+                .filter(r => r.aula_id === aula.id)
+                .map(({ recurso_id, nome, quantidade }) => ({ recurso_id, nome, quantidade })),
+              nova_data: reagendamento?.nova_data,
+              motivo: reagendamento?.motivo
+            };
+          })
+          .sort((a, b) => a.data_aula.localeCompare(b.data_aula) ||
+            TURNOS.indexOf(a.turno) - TURNOS.indexOf(b.turno) ||
+            (a.hora_inicio || '').localeCompare(b.hora_inicio || ''))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
+
+// ==============================================================
+// ROTAS PARA AULAS
+// ==============================================================
+
+app.post('/api/aulas/configurar', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.configurar);
+app.post('/api/aulas/avulsas', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.criarAvulsa);
+app.get('/api/aulas/configuradas', AuthMiddleware.autorizar('aulas:ler'), AulasHandlers.listarConfiguradas);
+app.get('/api/aulas/configuradas/:id', AuthMiddleware.autorizar('aulas:ler', { proprio: Permissoes.aulaPropria }), AulasHandlers.obterDetalhes);
+app.post('/api/aulas/:aulaId/alunos/:alunoId', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.vincularAluno);
+app.delete('/api/aulas/:aulaId/alunos/:alunoId', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.desvincularAluno);
+app.delete('/api/aulas/configuradas/:id/lista-espera/:alunoId', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.removerListaEspera);
+app.get('/api/alunos/:alunoId/aulas', AuthMiddleware.autorizar('aulas:ler', { proprio: Permissoes.proprioAluno('alunoId') }), AulasHandlers.obterAulasAluno);
+app.get('/api/professores/:professorId/aulas', AuthMiddleware.autorizar('aulas:ler', { proprio: Permissoes.proprioProfessor('professorId') }), AulasHandlers.obterAulasProfessor);
+app.get('/api/professores/:professorId/alunos', AuthMiddleware.autorizar('aulas:ler', { proprio: Permissoes.proprioProfessor('professorId') }), AulasHandlers.obterAlunosProfessor);
+app.put('/api/aulas/configuradas/:id', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.atualizarAula);
+app.delete('/api/aulas/configuradas/:id', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.excluirAula);
+// Rotas para agendamento de aulas
+app.post('/api/aulas/configuradas/:id/gerar-agendamento', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.gerarAgendamento);
+app.post('/api/aulas/configuradas/:id/regenerar', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.regenerarAgendamento);
+app.post('/api/aulas/agendamentos/sincronizar', AuthMiddleware.autorizar('aulas:gerenciar'), AulasHandlers.sincronizarAgenda);
+app.get('/api/aulas/configuradas/:id/agendamento', AuthMiddleware.autorizar('aulas:ler', { proprio: Permissoes.aulaPropria }), AulasHandlers.obterAgendamento);
+app.put('/api/aulas/agendadas/:id/cancelar', AuthMiddleware.autorizar('agenda:gerenciar'), AulasHandlers.cancelarAula);
+app.put('/api/aulas/agendadas/:id/reagendar', AuthMiddleware.autorizar('agenda:gerenciar'), AulasHandlers.reagendarAula);
+app.get('/api/aulas/agendadas/:id/substitutos', AuthMiddleware.autorizar('agenda:gerenciar'), AulasHandlers.listarSubstitutos);
+app.put('/api/aulas/agendadas/:id/substituto', AuthMiddleware.autorizar('agenda:gerenciar'), AulasHandlers.definirSubstituto);
+app.delete('/api/aulas/agendadas/:id/substituto', AuthMiddleware.autorizar('agenda:gerenciar'), AulasHandlers.removerSubstituto);
+app.put('/api/aulas/agendadas/:id/realizar', AuthMiddleware.autorizar('presenca:registrar', { proprio: Permissoes.agendamentoProprio }), AulasHandlers.realizarAula);
+app.get('/api/aulas/agenda-semanal', AuthMiddleware.autorizar('agenda:ler', { proprio: Permissoes.escopoFiltrado }), AulasHandlers.obterAgendaSemanal);
+app.get('/api/aulas/agendadas/:id', AuthMiddleware.autorizar('agenda:ler', { proprio: Permissoes.agendamentoProprio }), AulasHandlers.obterUmAgendamento);
+app.get('/api/aulas/agendadas/:id/historico', AuthMiddleware.autorizar('agenda:ler', { proprio: Permissoes.agendamentoProprio }), AulasHandlers.obterHistorico);
+
+// ==============================================================
+// HANDLERS PARA SOLICITAÇÕES DE AULA
+// ==============================================================
+
+const SolicitacoesHandlers = {
+  /**
+   * Lista solicitações (quem não gerencia a agenda vê apenas as próprias)
+   */
+  listar: async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      const where = {};
+      if (status) where.status = status;
+      if (!Permissoes.tem(req.usuario, 'agenda:gerenciar')) {
+        where.usuario_id = req.usuario.id;
+      }
+
+      const solicitacoes = await db.findAll('aulas_solicitacoes', {
+        where,
+        order: [{ column: 'created_at', ascending: false }]
+      });
+
+      // Carregar dados das aulas e dos solicitantes
+      const agendamentos = await db.findAll('aulas_agendadas', {
+        where: { id: [...new Set(solicitacoes.map(s => s.aula_agendada_id))] }
+      });
+      const aulas = await db.findAll('aulas_configuradas', {
+        where: { id: [...new Set(agendamentos.map(a => a.aula_configurada_id))] }
+      });
+      const professores = await db.findAll('professores', {
+        where: { id: [...new Set(aulas.map(a => a.professor_id))] }
+      });
+      const usuarios = await db.findAll('usuarios', {
+        where: { id: [...new Set(solicitacoes.map(s => s.usuario_id).filter(Boolean))] }
+      });
+
+      res.json({
+        solicitacoes: solicitacoes.map(s => {
+          const agendamento = agendamentos.find(a => a.id === s.aula_agendada_id) || {};
+          const aula = aulas.find(a => a.id === agendamento.aula_configurada_id) || {};
+          const professor = professores.find(p => p.id === aula.professor_id) || {};
+          const usuario = usuarios.find(u => u.id === s.usuario_id);
+
+          return {
+            ...s,
+            data_aula: agendamento.data_aula,
+            status_aula: agendamento.status,
+            instrumento: aula.instrumento,
+            professor_nome: professor.nome,
+            solicitante_nome: usuario ? usuario.nome : null,
+            solicitante_role: usuario ? usuario.role : null
+          };
+        })
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Cria uma solicitação de cancelamento ou reagendamento para uma aula agendada
+   */
+  criar: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { tipo, nova_data, motivo } = req.body;
+
+      if (!['cancelamento', 'reagendamento'].includes(tipo)) {
+        return res.status(400).json({ error: 'Tipo deve ser "cancelamento" ou "reagendamento"' });
+      }
+
+      if (!motivo) {
+        return res.status(400).json({ error: 'O motivo é obrigatório' });
+      }
+
+      if (tipo === 'reagendamento' && (!Utils.isDate(nova_data) || nova_data <= Utils.formatDate(new Date()))) {
+        return res.status(400).json({ error: 'Nova data inválida' });
+      }
+
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      if (agendamento.status !== 'agendada') {
+        return res.status(400).json({ error: `Não é possível solicitar alterações em uma aula ${agendamento.status}` });
+      }
+
+      const pendente = await db.findOne('aulas_solicitacoes', { aula_agendada_id: id, status: 'pendente' });
+      if (pendente) {
+        return res.status(400).json({ error: 'Já existe uma solicitação pendente para esta aula' });
+      }
+
+      const solicitacao = await db.insert('aulas_solicitacoes', {
+        aula_agendada_id: id,
+        usuario_id: req.usuario.id,
+        tipo,
+        nova_data: tipo === 'reagendamento' ? nova_data : null,
+        motivo
+      });
+
+      res.status(201).json({ id: solicitacao.id, message: 'Solicitação enviada para aprovação' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém uma solicitação pendente ou responde com erro
+   * @returns {Promise<Object|null>} Solicitação, ou null se a resposta já foi enviada
+   */
+  obterPendente: async (req, res) => {
+    const solicitacao = await db.findOne('aulas_solicitacoes', { id: req.params.id });
+    if (!solicitacao) {
+      res.status(404).json({ error: 'Solicitação não encontrada' });
+      return null;
+    }
+
+    if (solicitacao.status !== 'pendente') {
+      res.status(400).json({ error: `Solicitação já foi ${solicitacao.status}` });
+      return null;
+    }
+
+    return solicitacao;
+  },
+
+  /**
+   * Aprova uma solicitação, executando o cancelamento ou reagendamento
+   */
+  aprovar: async (req, res) => {
+    try {
+      const solicitacao = await SolicitacoesHandlers.obterPendente(req, res);
+      if (!solicitacao) return;
+
+      const agendamento = await db.findOne('aulas_agendadas', { id: solicitacao.aula_agendada_id });
+      if (agendamento.status !== 'agendada') {
+        return res.status(400).json({ error: `A aula já está ${agendamento.status}` });
+      }
+
+      // Pedidos de alunos valem só para eles: em aulas em grupo, a aula segue
+      // na data original para os demais
+      const solicitante = solicitacao.usuario_id
+        ? await db.findOne('usuarios', { id: solicitacao.usuario_id })
+        : null;
+      const alunoSolicitante = solicitante && solicitante.role === 'aluno' ? solicitante.aluno_id : null;
+
+      let novoAgendamento = null;
+      if (solicitacao.tipo === 'reagendamento') {
+        const opcoes = {
+          ignorarConflitos: Conflitos.ignorar(req),
+          usuario: req.usuario,
+          solicitacaoId: solicitacao.id
+        };
+        novoAgendamento = alunoSolicitante
+          ? await AgendaOperacoes.reagendarParaAluno(agendamento, alunoSolicitante, solicitacao.nova_data, solicitacao.motivo, opcoes)
+          : await AgendaOperacoes.reagendar(agendamento, solicitacao.nova_data, solicitacao.motivo, opcoes);
+      } else {
+        // A antecedência de um pedido do aluno conta da data da solicitação
+        if (alunoSolicitante) {
+          await AgendaOperacoes.cancelarParaAluno(agendamento, alunoSolicitante, solicitacao.motivo, {
+            usuario: req.usuario,
+            solicitacaoId: solicitacao.id,
+            pedidoEm: solicitacao.created_at
+          });
+        } else {
+          await AgendaOperacoes.cancelar(agendamento, solicitacao.motivo, {
+            usuario: req.usuario,
+            solicitacaoId: solicitacao.id,
+            origem: 'escola'
+          });
+        }
+      }
+
+      await db.update('aulas_solicitacoes', { id: solicitacao.id }, {
+        status: 'aprovada',
+        resposta: req.body.resposta || null,
+        resolvido_por: req.usuario.id,
+        resolvido_em: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+
+      res.json({
+        message: 'Solicitação aprovada com sucesso',
+        novo_agendamento_id: novoAgendamento ? novoAgendamento.id : undefined
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  },
+
+  /**
+   * Rejeita uma solicitação
+   */
+  rejeitar: async (req, res) => {
+    try {
+      const solicitacao = await SolicitacoesHandlers.obterPendente(req, res);
+      if (!solicitacao) return;
+
+      await db.update('aulas_solicitacoes', { id: solicitacao.id }, {
+        status: 'rejeitada',
+        resposta: req.body.resposta || null,
+        resolvido_por: req.usuario.id,
+        resolvido_em: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+
+      res.json({ message: 'Solicitação rejeitada' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
+
+// ==============================================================
+// ROTAS PARA SOLICITAÇÕES DE AULA
+// ==============================================================
+
+app.get('/api/aulas/solicitacoes', AuthMiddleware.autorizar('agenda:solicitar', { proprio: Permissoes.escopoFiltrado }), SolicitacoesHandlers.listar);
+app.post('/api/aulas/agendadas/:id/solicitacoes', AuthMiddleware.autorizar('agenda:solicitar', { proprio: Permissoes.agendamentoProprio }), SolicitacoesHandlers.criar);
+app.put('/api/aulas/solicitacoes/:id/aprovar', AuthMiddleware.autorizar('agenda:gerenciar'), SolicitacoesHandlers.aprovar);
+app.put('/api/aulas/solicitacoes/:id/rejeitar', AuthMiddleware.autorizar('agenda:gerenciar'), SolicitacoesHandlers.rejeitar);
+
+// ==============================================================
+// HANDLERS PARA PRESENÇAS
+// ==============================================================
+
+const STATUS_PRESENCA = ['presente', 'falta', 'falta_justificada'];
+
+const Presencas = {
+  /**
+   * Resume registros de presença em totais e taxa de frequência
+   * Faltas justificadas não contam contra a frequência do aluno
+   * @param {Array} registros - Registros de aulas_presencas
+   * @returns {Object} { total, presente, falta, falta_justificada, taxa_presenca }
+   */
+  resumir: (registros) => {
+    const resumo = { total: registros.length, presente: 0, falta: 0, falta_justificada: 0 };
+    registros.forEach(r => { resumo[r.status] += 1; });
+
+    const consideradas = resumo.presente + resumo.falta;
+    resumo.taxa_presenca = consideradas > 0
+      ? Math.round((resumo.presente / consideradas) * 1000) / 10
+      : null;
+
+    return resumo;
+  }
+};
+
+const PresencasHandlers = {
+  /**
+   * Lista os alunos da aula agendada com a presença registrada de cada um
+   */
+  listar: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: agendamento.aula_configurada_id } });
+      const presencas = await db.findAll('aulas_presencas', { where: { aula_agendada_id: id } });
+
+      // Inclui quem tem presença registrada mesmo que não esteja mais vinculado
+      const idsAlunos = [...new Set([...vinculos.map(v => v.aluno_id), ...presencas.map(p => p.aluno_id)])];
+      const alunos = await db.findAll('alunos', { where: { id: idsAlunos }, order: [{ column: 'nome' }] });
+
+      res.json({
+        aula_agendada_id: agendamento.id,
+        data_aula: agendamento.data_aula,
+        status: agendamento.status,
+        presencas: alunos.map(aluno => {
+          const presenca = presencas.find(p => p.aluno_id === aluno.id);
+
+          return {
+            aluno_id: aluno.id,
+            aluno_nome: aluno.nome,
+            status: presenca ? presenca.status : null,
+            observacao: presenca ? presenca.observacao : null
+          };
+        })
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Registra em lote a presença dos alunos de uma aula agendada
+   * Body: { presencas: [{ aluno_id, status, observacao }] }
+   */
+  registrar: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { presencas } = req.body;
+
+      if (!Array.isArray(presencas) || presencas.length === 0) {
+        return res.status(400).json({ error: 'Informe a lista de presenças' });
+      }
+
+      const invalida = presencas.find(p => !p.aluno_id || !STATUS_PRESENCA.includes(p.status));
+      if (invalida) {
+        return res.status(400).json({ error: 'Cada presença precisa de aluno_id e status "presente", "falta" ou "falta_justificada"' });
+      }
+
+      const agendamento = await db.findOne('aulas_agendadas', { id });
+      if (!agendamento) {
+        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      }
+
+      if (['cancelada', 'reagendada'].includes(agendamento.status)) {
+        return res.status(400).json({ error: `Não é possível registrar presença em uma aula ${agendamento.status}` });
+      }
+
+      // Apenas alunos vinculados à aula
+      const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: agendamento.aula_configurada_id } });
+      const foraDaAula = presencas.filter(p => !vinculos.some(v => Permissoes.mesmoId(v.aluno_id, p.aluno_id)));
+      if (foraDaAula.length > 0) {
+        return res.status(400).json({
+          error: 'Alunos não vinculados a esta aula',
+          alunos: foraDaAula.map(p => p.aluno_id)
+        });
+      }
+
+      for (const p of presencas) {
+        const dados = {
+          status: p.status,
+          observacao: p.observacao || null,
+          registrado_por: req.usuario.id,
+          updated_at: new Date().toISOString()
+        };
+
+        const existente = await db.findOne('aulas_presencas', { aula_agendada_id: id, aluno_id: p.aluno_id });
+        if (existente) {
+          await db.update('aulas_presencas', { id: existente.id }, dados);
+        } else {
+          await db.insert('aulas_presencas', { ...dados, aula_agendada_id: id, aluno_id: p.aluno_id });
+        }
+      }
+
+      res.json({ message: 'Presenças registradas com sucesso', total: presencas.length });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém a frequência de um aluno, no geral e por aula configurada
+   */
+  frequenciaAluno: async (req, res) => {
+    try {
+      const { alunoId } = req.params;
+
+      const registros = await db.findAll('aulas_presencas', { where: { aluno_id: alunoId } });
+      const agendamentos = await db.findAll('aulas_agendadas', {
+        where: { id: [...new Set(registros.map(r => r.aula_agendada_id))] }
+      });
+      const aulas = await db.findAll('aulas_configuradas', {
+        where: { id: [...new Set(agendamentos.map(a => a.aula_configurada_id))] }
+      });
+
+      res.json({
+        aluno_id: Number(alunoId),
+        ...Presencas.resumir(registros),
+        aulas: aulas.map(aula => {
+          const idsAgendamentos = agendamentos.filter(a => a.aula_configurada_id === aula.id).map(a => a.id);
+
+          return {
+            aula_id: aula.id,
+            instrumento: aula.instrumento,
+            turno: aula.turno,
+            ...Presencas.resumir(registros.filter(r => idsAgendamentos.includes(r.aula_agendada_id)))
+          };
+        })
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém a frequência de uma aula configurada, no geral e por aluno
+   */
+  frequenciaAula: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const aula = await db.findOne('aulas_configuradas', { id });
+      if (!aula) {
+        return res.status(404).json({ error: 'Aula não encontrada' });
+      }
+
+      const agendamentos = await db.findAll('aulas_agendadas', { where: { aula_configurada_id: id } });
+      const registros = await db.findAll('aulas_presencas', {
+        where: { aula_agendada_id: agendamentos.map(a => a.id) }
+      });
+      const alunos = await db.findAll('alunos', {
+        where: { id: [...new Set(registros.map(r => r.aluno_id))] },
+        order: [{ column: 'nome' }]
+      });
+
+      res.json({
+        aula_id: aula.id,
+        instrumento: aula.instrumento,
+        ...Presencas.resumir(registros),
+        alunos: alunos.map(aluno => ({
+          aluno_id: aluno.id,
+          aluno_nome: aluno.nome,
+          ...Presencas.resumir(registros.filter(r => r.aluno_id === aluno.id))
+        }))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
+
+// ==============================================================
+// ROTAS PARA PRESENÇAS
+// ==============================================================
+
+app.get('/api/aulas/agendadas/:id/presencas', AuthMiddleware.autorizar('presenca:registrar', { proprio: Permissoes.agendamentoProprio }), PresencasHandlers.listar);
+app.put('/api/aulas/agendadas/:id/presencas', AuthMiddleware.autorizar('presenca:registrar', { proprio: Permissoes.agendamentoProprio }), PresencasHandlers.registrar);
+app.get('/api/alunos/:alunoId/presencas', AuthMiddleware.autorizar('aulas:ler', { proprio: Permissoes.proprioAluno('alunoId') }), PresencasHandlers.frequenciaAluno);
+app.get('/api/aulas/configuradas/:id/presencas', AuthMiddleware.autorizar('presenca:registrar', { proprio: Permissoes.aulaPropria }), PresencasHandlers.frequenciaAula);
+
+// ==============================================================
+// HANDLERS PARA DISPONIBILIDADE DOS PROFESSORES
+// ==============================================================
+
+const TIPOS_BLOQUEIO = ['ferias', 'licenca', 'outro'];
+
+// Quantos dias depois de um bloqueio procurar datas para repor as aulas
+const DIAS_REPOSICAO = 30;
+
+/**
+ * Operações sobre as aulas atingidas por bloqueios do professor e por
+ * feriados e recessos da escola
+ */
+const Bloqueios = {
+  /**
+   * Obtém um bloqueio do professor informado na rota
+   * @param {Object} req - Requisição com professorId e id nos parâmetros
+   * @returns {Promise<Object>} Registro de professores_bloqueios
+   */
+  obter: async (req) => {
+    const bloqueio = await db.findOne('professores_bloqueios', {
+      id: req.params.id,
+      professor_id: req.params.professorId
+    });
+    if (!bloqueio) {
+      throw Utils.httpError(404, 'Bloqueio não encontrado');
+    }
+    return bloqueio;
+  },
+
+  /**
+   * Lista as aulas ainda agendadas em um período
+   * @param {string} inicio - Início do período (AAAA-MM-DD)
+   * @param {string} fim - Fim do período (AAAA-MM-DD)
+   * @param {number} professorId - Restringe às aulas de um professor (opcional)
+   * @returns {Promise<Array>} Agendamentos com instrumento, horário e professor
+   */
+  aulasNoPeriodo: async (inicio, fim, professorId) => {
+    const agendamentos = await db.findAll('aulas_agendadas', {
+      where: { data_aula: { gte: inicio, lte: fim }, status: 'agendada' },
+      order: [{ column: 'data_aula' }]
+    });
+    const aulas = await db.findAll('aulas_configuradas', {
+      where: { id: [...new Set(agendamentos.map(a => a.aula_configurada_id))] }
+    });
+
+    return agendamentos
+      .map(agendamento => {
+        const aula = aulas.find(a => a.id === agendamento.aula_configurada_id);
+        return {
+          ...agendamento,
+          instrumento: aula.instrumento,
+          turno: aula.turno,
+          hora_inicio: aula.hora_inicio,
+          hora_fim: Horarios.fim(aula.hora_inicio, aula.duracao),
+          professor_id: aula.professor_id
+        };
+      })
+      .filter(a => !professorId || Permissoes.mesmoId(a.professor_id, professorId));
+  },
+
+  /**
+   * Lista as aulas ainda agendadas do professor dentro do período de um bloqueio
+   * @param {Object} bloqueio - Registro de professores_bloqueios
+   * @returns {Promise<Array>} Agendamentos com instrumento e horário
+   */
+  aulasAfetadas: (bloqueio) => Bloqueios.aulasNoPeriodo(bloqueio.data_inicio, bloqueio.data_fim, bloqueio.professor_id),
+
+  /**
+   * Procura a data de reposição de uma aula: a primeira data depois do
+   * período em que o professor está livre, fora dos dias da grade da aula
+   * (para não tomar o lugar de uma aula regular), dos domingos e feriados
+   * @param {Object} agendamento - Aula agendada a mover
+   * @param {string} fim - Último dia do período bloqueado (AAAA-MM-DD)
+   * @param {Array<string>} ocupadas - Datas em que a aula já está agendada
+   * @returns {Promise<string|null>} Nova data (AAAA-MM-DD) ou null se não houver
+   *   data livre nos próximos DIAS_REPOSICAO dias
+   */
+  dataReposicao: async (agendamento, fim, ocupadas) => {
+    const aula = await db.findOne('aulas_configuradas', { id: agendamento.aula_configurada_id });
+    const dias = (await db.findAll('aulas_dias_semana', { where: { aula_id: aula.id } })).map(d => d.dia_semana);
+    const hoje = Utils.formatDate(new Date());
+    const inicio = fim > hoje ? fim : hoje;
+
+    for (let i = 1; i <= DIAS_REPOSICAO; i++) {
+      const data = Utils.addDays(inicio, i);
+      const dia = new Date(data).getUTCDay();
+      if (dia === 0 || dias.includes(dia) || ocupadas.includes(data)) continue;
+
+      const conflitos = await Conflitos.procurar(aula, {
+        datas: [data],
+        ignorarAgendamentoId: agendamento.id,
+        incluirPropria: true,
+        bloqueios: true
+      });
+      if (conflitos.length === 0) return data;
+    }
+    return null;
+  },
+
+  /**
+   * Cancela, reagenda ou reatribui em lote aulas atingidas por um bloqueio
+   * ou feriado. Reagendar move cada aula para a primeira data livre depois
+   * do período (Bloqueios.dataReposicao); reatribuir define o professor
+   * informado como substituto (Substituicoes.definir). Aulas sem data livre
+   * ou com o substituto indisponível são devolvidas em "falhas" e continuam
+   * agendadas como estavam.
+   * @param {Array} afetadas - Aulas agendadas a resolver
+   * @param {string} fim - Último dia do período (AAAA-MM-DD)
+   * @param {string} acao - 'cancelar', 'reagendar' ou 'reatribuir'
+   * @param {string} motivo - Motivo registrado
+   * @param {Object} usuario - Usuário que resolveu as aulas
+   * @param {Object} opcoes - { professor (substituto, para reatribuir), ignorarConflitos }
+   * @returns {Promise<Object>} { cancelados, reagendados, reatribuidos, falhas }
+   */
+  resolver: async (afetadas, fim, acao, motivo, usuario, { professor, ignorarConflitos = false } = {}) => {
+    const resultado = { cancelados: [], reagendados: [], reatribuidos: [], falhas: [] };
+
+    if (acao === 'cancelar') {
+      for (const agendamento of afetadas) {
+        await AgendaOperacoes.cancelar(agendamento, motivo, { usuario });
+        resultado.cancelados.push(agendamento.id);
+      }
+      return resultado;
+    }
+
+    if (acao === 'reatribuir') {
+      const aulas = await db.findAll('aulas_configuradas', {
+        where: { id: [...new Set(afetadas.map(a => a.aula_configurada_id))] }
+      });
+
+      for (const agendamento of afetadas) {
+        const aula = aulas.find(a => a.id === agendamento.aula_configurada_id);
+        try {
+          await Substituicoes.definir(agendamento, aula, professor, { usuario, motivo, ignorarConflitos });
+          resultado.reatribuidos.push({ id: agendamento.id, professor_substituto_id: professor.id });
+        } catch (err) {
+          if (!err.status) throw err;
+          resultado.falhas.push({ id: agendamento.id, data_aula: agendamento.data_aula, error: err.message, ...err.details });
+        }
+      }
+      return resultado;
+    }
+
+    const existentes = await db.findAll('aulas_agendadas', {
+      where: { aula_configurada_id: [...new Set(afetadas.map(a => a.aula_configurada_id))] }
+    });
+
+    for (const agendamento of afetadas) {
+      const ocupadas = existentes
+        .filter(e => e.aula_configurada_id === agendamento.aula_configurada_id)
+        .map(e => e.data_aula);
+      const nova_data = await Bloqueios.dataReposicao(agendamento, fim, ocupadas);
+
+      if (!nova_data) {
+        resultado.falhas.push({
+          id: agendamento.id,
+          data_aula: agendamento.data_aula,
+          error: `Nenhuma data livre nos ${DIAS_REPOSICAO} dias seguintes ao período`
+        });
+        continue;
+      }
+
+      const novo = await AgendaOperacoes.reagendar(agendamento, nova_data, motivo, { usuario });
+      existentes.push(novo);
+      resultado.reagendados.push({ id: agendamento.id, nova_data, novo_agendamento_id: novo.id });
+    }
+    return resultado;
+  }
+};
+
+const DisponibilidadeHandlers = {
+  /**
+   * Obtém as janelas de disponibilidade e os bloqueios vigentes de um professor
+   */
+  obter: async (req, res) => {
+    try {
+      const { professorId } = req.params;
+
+      const professor = await db.findOne('professores', { id: professorId });
+      if (!professor) {
+        return res.status(404).json({ error: 'Professor não encontrado' });
+      }
+
+      const janelas = await db.findAll('professores_disponibilidade', {
+        where: { professor_id: professorId },
+        order: [{ column: 'dia_semana' }, { column: 'hora_inicio' }]
+      });
+      const bloqueios = await db.findAll('professores_bloqueios', {
+        where: { professor_id: professorId, data_fim: { gte: Utils.formatDate(new Date()) } },
+        order: [{ column: 'data_inicio' }]
+      });
+
+      res.json({
+        professor_id: professor.id,
+        professor_nome: professor.nome,
+        janelas,
+        bloqueios: await Promise.all(bloqueios.map(async (bloqueio) => ({
+          ...bloqueio,
+          total_afetadas: (await Bloqueios.aulasAfetadas(bloqueio)).length
+        })))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Lista os horários livres de um professor para uma aula nova
+   * Query: { data_inicio (padrão: amanhã), data_fim (padrão: uma semana), duracao (minutos) }
+   */
+  horariosLivres: async (req, res) => {
+    try {
+      const { professorId } = req.params;
+      const hoje = Utils.formatDate(new Date());
+      const { data_inicio = Utils.addDays(hoje, 1) } = req.query;
+      const data_fim = req.query.data_fim || (Utils.isDate(data_inicio) ? Utils.addDays(data_inicio, 6) : null);
+      const duracao = req.query.duracao ? Number(req.query.duracao) : 60;
+
+      if (!Utils.isDate(data_inicio) || !Utils.isDate(data_fim) || data_fim < data_inicio ||
+        data_inicio < hoje || data_fim > Utils.addDays(data_inicio, 30)) {
+        return res.status(400).json({ error: 'Período inválido (de hoje em diante, até 31 dias)' });
+      }
+
+      if (!Number.isInteger(duracao) || duracao <= 0) {
+        return res.status(400).json({ error: 'Duração deve ser um número inteiro de minutos maior que zero' });
+      }
+
+      const professor = await db.findOne('professores', { id: professorId });
+      if (!professor) {
+        return res.status(404).json({ error: 'Professor não encontrado' });
+      }
+
+      res.json({
+        professor_id: professor.id,
+        professor_nome: professor.nome,
+        duracao,
+        datas: await Disponibilidade.horariosLivres(professor.id, data_inicio, data_fim, duracao)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Substitui as janelas semanais de disponibilidade de um professor
+   * Body: { janelas: [{ dia_semana, hora_inicio, hora_fim }] } (lista vazia = sempre disponível)
+   */
+  definirJanelas: async (req, res) => {
+    try {
+      const { professorId } = req.params;
+      const { janelas } = req.body;
+
+      if (!Array.isArray(janelas)) {
+        return res.status(400).json({ error: 'Informe a lista de janelas de disponibilidade' });
+      }
+
+      const invalida = janelas.find(j =>
+        !Number.isInteger(Number(j.dia_semana)) || j.dia_semana < 0 || j.dia_semana > 6 ||
+        !Horarios.valido(j.hora_inicio) || !Horarios.valido(j.hora_fim) || j.hora_fim <= j.hora_inicio);
+      if (invalida) {
+        return res.status(400).json({ error: 'Cada janela precisa de dia_semana (0 a 6) e hora_inicio anterior a hora_fim (HH:MM)' });
+      }
+
+      const professor = await db.findOne('professores', { id: professorId });
+      if (!professor) {
+        return res.status(404).json({ error: 'Professor não encontrado' });
+      }
+
+      await db.remove('professores_disponibilidade', { professor_id: professorId });
+      const gravadas = [];
+      for (const janela of janelas) {
+        gravadas.push(await db.insert('professores_disponibilidade', {
+          professor_id: professorId,
+          dia_semana: Number(janela.dia_semana),
+          hora_inicio: janela.hora_inicio,
+          hora_fim: janela.hora_fim
+        }));
+      }
+
+      // Aulas em vigor que ficaram fora das novas janelas
+      const hoje = Utils.formatDate(new Date());
+      const aulas = (await db.findAll('aulas_configuradas', { where: { professor_id: professorId } }))
+        .filter(a => !a.data_fim || a.data_fim >= hoje);
+      const dias = await db.findAll('aulas_dias_semana', { where: { aula_id: aulas.map(a => a.id) } });
+      const foraDasJanelas = aulas
+        .map(aula => ({
+          aula,
+          dias: dias.filter(d => d.aula_id === aula.id && !Disponibilidade.cobre(gravadas, aula, d.dia_semana))
+        }))
+        .filter(({ dias }) => dias.length > 0)
+        .map(({ aula, dias }) => ({
+          aula_id: aula.id,
+          instrumento: aula.instrumento,
+          turno: aula.turno,
+          hora_inicio: aula.hora_inicio,
+          dias_semana: dias.map(d => d.dia_semana)
+        }));
+
+      res.json({
+        message: 'Disponibilidade atualizada com sucesso',
+        janelas: gravadas,
+        aulas_fora_das_janelas: foraDasJanelas
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Registra um bloqueio (férias, licença) e lista as aulas já agendadas no período
+   * Body: { data_inicio, data_fim, tipo, motivo }
+   */
+  criarBloqueio: async (req, res) => {
+    try {
+      const { professorId } = req.params;
+      const { data_inicio, data_fim, tipo, motivo } = req.body;
+
+      if (!Utils.isDate(data_inicio) || !Utils.isDate(data_fim) || data_fim < data_inicio) {
+        return res.status(400).json({ error: 'Informe data_inicio e data_fim válidas (AAAA-MM-DD), com o fim depois do início' });
+      }
+
+      if (tipo && !TIPOS_BLOQUEIO.includes(tipo)) {
+        return res.status(400).json({ error: 'Tipo deve ser "ferias", "licenca" ou "outro"' });
+      }
+
+      const professor = await db.findOne('professores', { id: professorId });
+      if (!professor) {
+        return res.status(404).json({ error: 'Professor não encontrado' });
+      }
+
+      const bloqueio = await db.insert('professores_bloqueios', {
+        professor_id: professorId,
+        data_inicio,
+        data_fim,
+        tipo: tipo || 'outro',
+        motivo: motivo || null
+      });
+
+      res.status(201).json({
+        id: bloqueio.id,
+        message: 'Bloqueio registrado com sucesso',
+        aulas_afetadas: await Bloqueios.aulasAfetadas(bloqueio)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Remove um bloqueio e volta a gerar as aulas do período
+   */
+  excluirBloqueio: async (req, res) => {
+    try {
+      const bloqueio = await Bloqueios.obter(req);
+      await db.remove('professores_bloqueios', { id: bloqueio.id });
+
+      const hoje = Utils.formatDate(new Date());
+      const aulas = await db.findAll('aulas_configuradas', { where: { professor_id: bloqueio.professor_id } });
+      for (const aula of aulas.filter(a => !a.data_fim || a.data_fim >= hoje)) {
+        await AgendaOperacoes.manterJanela(aula);
+      }
+
+      res.json({ message: 'Bloqueio removido com sucesso' });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Lista as aulas agendadas que caem no período de um bloqueio
+   */
+  aulasAfetadas: async (req, res) => {
+    try {
+      const bloqueio = await Bloqueios.obter(req);
+
+      res.json({ bloqueio, aulas: await Bloqueios.aulasAfetadas(bloqueio) });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Cancela, reagenda ou reatribui a outro professor, em lote, as aulas
+   * agendadas no período de um bloqueio
+   * Body: { acao: 'cancelar' | 'reagendar' | 'reatribuir', professor_id (para reatribuir),
+   *   motivo, ignorar_conflitos }
+   */
+  resolverAulas: async (req, res) => {
+    try {
+      const { acao, motivo, professor_id } = req.body;
+
+      if (!['cancelar', 'reagendar', 'reatribuir'].includes(acao)) {
+        return res.status(400).json({ error: 'Ação deve ser "cancelar", "reagendar" ou "reatribuir"' });
+      }
+
+      const bloqueio = await Bloqueios.obter(req);
+
+      let professor;
+      if (acao === 'reatribuir') {
+        if (!professor_id) {
+          return res.status(400).json({ error: 'Informe o professor que vai assumir as aulas' });
+        }
+        professor = await db.findOne('professores', { id: professor_id });
+        if (!professor) {
+          return res.status(404).json({ error: 'Professor não encontrado' });
+        }
+      }
+
+      const afetadas = await Bloqueios.aulasAfetadas(bloqueio);
+      const descricao = motivo || bloqueio.motivo || 'Professor indisponível';
+
+      const resultado = await Bloqueios.resolver(afetadas, bloqueio.data_fim, acao, descricao, req.usuario, {
+        professor,
+        ignorarConflitos: Conflitos.ignorar(req)
+      });
+
+      res.json({
+        message: acao === 'cancelar'
+          ? `${resultado.cancelados.length} aulas canceladas`
+          : acao === 'reagendar'
+            ? `${resultado.reagendados.length} aulas reagendadas, ${resultado.falhas.length} sem data livre`
+            : `${resultado.reatribuidos.length} aulas reatribuídas a ${professor.nome}, ${resultado.falhas.length} com conflito`,
+        ...resultado
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  }
+};
+
+// ==============================================================
+// ROTAS PARA DISPONIBILIDADE DOS PROFESSORES
+// ==============================================================
+
+app.get('/api/professores/:professorId/disponibilidade', AuthMiddleware.autorizar('professores:ler', { proprio: Permissoes.proprioProfessor('professorId') }), DisponibilidadeHandlers.obter);
+app.get('/api/professores/:professorId/horarios-livres', AuthMiddleware.autorizar('professores:ler', { proprio: Permissoes.proprioProfessor('professorId') }), DisponibilidadeHandlers.horariosLivres);
+app.put('/api/professores/:professorId/disponibilidade', AuthMiddleware.autorizar('disponibilidade:gerenciar', { proprio: Permissoes.proprioProfessor('professorId') }), DisponibilidadeHandlers.definirJanelas);
+app.post('/api/professores/:professorId/bloqueios', AuthMiddleware.autorizar('disponibilidade:gerenciar', { proprio: Permissoes.proprioProfessor('professorId') }), DisponibilidadeHandlers.criarBloqueio);
+app.delete('/api/professores/:professorId/bloqueios/:id', AuthMiddleware.autorizar('disponibilidade:gerenciar', { proprio: Permissoes.proprioProfessor('professorId') }), DisponibilidadeHandlers.excluirBloqueio);
+app.get('/api/professores/:professorId/bloqueios/:id/aulas', AuthMiddleware.autorizar('disponibilidade:gerenciar', { proprio: Permissoes.proprioProfessor('professorId') }), DisponibilidadeHandlers.aulasAfetadas);
+app.post('/api/professores/:professorId/bloqueios/:id/aulas', AuthMiddleware.autorizar('agenda:gerenciar'), DisponibilidadeHandlers.resolverAulas);
+
+// ==============================================================
+// HANDLERS PARA FERIADOS E RECESSOS
+// ==============================================================
+
+const TIPOS_FERIADO = ['nacional', 'feriado', 'recesso'];
+
+const FeriadosHandlers = {
+  /**
+   * Lista os feriados e recessos de um ano, com as aulas ainda agendadas em cada um
+   * Query: ano (padrão: ano atual)
+   */
+  listar: async (req, res) => {
+    try {
+      const ano = parseInt(req.query.ano, 10) || new Date().getFullYear();
+      const feriados = await Feriados.noPeriodo(`${ano}-01-01`, `${ano}-12-31`);
+
+      res.json({
+        ano,
+        feriados: await Promise.all(feriados.map(async (feriado) => ({
+          ...feriado,
+          total_afetadas: (await FeriadosHandlers.afetadas(feriado)).length
+        })))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Cadastra um feriado ou recesso e lista as aulas já agendadas no período
+   * Body: { nome, data_inicio, data_fim (padrão: data_inicio), tipo }
+   */
+  criar: async (req, res) => {
+    try {
+      const { nome, data_inicio, tipo } = req.body;
+      const data_fim = req.body.data_fim || data_inicio;
+
+      if (!nome || !Utils.isDate(data_inicio) || !Utils.isDate(data_fim) || data_fim < data_inicio) {
+        return res.status(400).json({ error: 'Informe o nome e datas válidas (AAAA-MM-DD), com o fim depois do início' });
+      }
+
+      if (tipo && !TIPOS_FERIADO.includes(tipo)) {
+        return res.status(400).json({ error: 'Tipo deve ser "nacional", "feriado" ou "recesso"' });
+      }
+
+      const existente = await db.findOne('feriados', { data_inicio, nome });
+      if (existente) {
+        return res.status(400).json({ error: 'Feriado já cadastrado nesta data' });
+      }
+
+      const feriado = await db.insert('feriados', { nome, data_inicio, data_fim, tipo: tipo || 'feriado' });
+
+      res.status(201).json({
+        id: feriado.id,
+        message: 'Feriado cadastrado com sucesso',
+        aulas_afetadas: await FeriadosHandlers.afetadas({ data_inicio, data_fim })
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Importa os feriados nacionais de um ano (idempotente)
+   * Body: { ano }
+   */
+  importarNacionais: async (req, res) => {
+    try {
+      const ano = parseInt(req.body.ano, 10);
+      if (!ano || ano < 1900 || ano > 2199) {
+        return res.status(400).json({ error: 'Informe um ano válido' });
+      }
+
+      const criados = [];
+      for (const feriado of Feriados.nacionais(ano)) {
+        const existente = await db.findOne('feriados', { data_inicio: feriado.data_inicio, nome: feriado.nome });
+        if (!existente) criados.push(await db.insert('feriados', feriado));
+      }
+
+      const afetadas = [];
+      for (const feriado of criados) {
+        afetadas.push(...await FeriadosHandlers.afetadas(feriado));
+      }
+
+      res.status(201).json({
+        message: `${criados.length} feriados nacionais importados para ${ano}`,
+        feriados: criados,
+        aulas_afetadas: afetadas
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Remove um feriado e volta a gerar as aulas do período
+   */
+  excluir: async (req, res) => {
+    try {
+      const feriado = await db.findOne('feriados', { id: req.params.id });
+      if (!feriado) {
+        return res.status(404).json({ error: 'Feriado não encontrado' });
+      }
+
+      await db.remove('feriados', { id: feriado.id });
+      await AgendaScheduler.executar();
+
+      res.json({ message: 'Feriado removido com sucesso' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Lista as aulas ainda agendadas que caem em feriados, a partir de hoje
+   * Com :id, apenas as do feriado informado
+   */
+  aulasAfetadas: async (req, res) => {
+    try {
+      const feriados = await FeriadosHandlers.selecionar(req);
+      const aulas = [];
+      for (const feriado of feriados) {
+        (await FeriadosHandlers.afetadas(feriado))
+          .forEach(aula => aulas.push({ ...aula, feriado_id: feriado.id, feriado_nome: feriado.nome }));
+      }
+
+      res.json({ aulas });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Cancela ou reagenda em lote as aulas que caem em feriados
+   * Com :id, apenas as do feriado informado
+   * Body: { acao: 'cancelar' | 'reagendar', motivo }
+   */
+  resolverAulas: async (req, res) => {
+    try {
+      const { acao, motivo } = req.body;
+
+      if (!['cancelar', 'reagendar'].includes(acao)) {
+        return res.status(400).json({ error: 'Ação deve ser "cancelar" ou "reagendar"' });
+      }
+
+      const resultado = { cancelados: [], reagendados: [], falhas: [] };
+      for (const feriado of await FeriadosHandlers.selecionar(req)) {
+        const afetadas = await FeriadosHandlers.afetadas(feriado);
+        const parcial = await Bloqueios.resolver(afetadas, feriado.data_fim, acao, motivo || feriado.nome, req.usuario);
+
+        resultado.cancelados.push(...parcial.cancelados);
+        resultado.reagendados.push(...parcial.reagendados);
+        resultado.falhas.push(...parcial.falhas);
+      }
+
+      res.json({
+        message: acao === 'cancelar'
+          ? `${resultado.cancelados.length} aulas canceladas`
+          : `${resultado.reagendados.length} aulas reagendadas, ${resultado.falhas.length} sem data livre`,
+        ...resultado
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  },
+
+  /**
+   * Obtém o feriado da rota ou, sem :id, todos os que ainda não terminaram
+   * @param {Object} req - Requisição
+   * @returns {Promise<Array>} Registros de feriados
+   */
+  selecionar: async (req) => {
+    if (!req.params.id) {
+      return db.findAll('feriados', {
+        where: { data_fim: { gte: Utils.formatDate(new Date()) } },
+        order: [{ column: 'data_inicio' }]
+      });
+    }
+
+    const feriado = await db.findOne('feriados', { id: req.params.id });
+    if (!feriado) {
+      throw Utils.httpError(404, 'Feriado não encontrado');
+    }
+    return [feriado];
+  },
+
+  /**
+   * Lista as aulas ainda agendadas de hoje em diante dentro de um feriado
+   * @param {Object} feriado - Registro de feriados
+   * @returns {Promise<Array>} Agendamentos com instrumento, horário e professor
+   */
+  afetadas: (feriado) => {
+    const hoje = Utils.formatDate(new Date());
+    return Bloqueios.aulasNoPeriodo(feriado.data_inicio > hoje ? feriado.data_inicio : hoje, feriado.data_fim);
+  }
+};
+
+// ==============================================================
+// ROTAS PARA FERIADOS E RECESSOS
+// ==============================================================
+
+app.get('/api/feriados', AuthMiddleware.autorizar('agenda:ler'), FeriadosHandlers.listar);
+app.post('/api/feriados', AuthMiddleware.autorizar('feriados:gerenciar'), FeriadosHandlers.criar);
+app.post('/api/feriados/importar', AuthMiddleware.autorizar('feriados:gerenciar'), FeriadosHandlers.importarNacionais);
+app.get('/api/feriados/aulas', AuthMiddleware.autorizar('feriados:gerenciar'), FeriadosHandlers.aulasAfetadas);
+app.post('/api/feriados/aulas', AuthMiddleware.autorizar('agenda:gerenciar'), FeriadosHandlers.resolverAulas);
+app.delete('/api/feriados/:id', AuthMiddleware.autorizar('feriados:gerenciar'), FeriadosHandlers.excluir);
+app.get('/api/feriados/:id/aulas', AuthMiddleware.autorizar('feriados:gerenciar'), FeriadosHandlers.aulasAfetadas);
+app.post('/api/feriados/:id/aulas', AuthMiddleware.autorizar('agenda:gerenciar'), FeriadosHandlers.resolverAulas);
+
+// ==============================================================
+// HANDLERS PARA REPOSIÇÕES
+// ==============================================================
+
+// Quem cancelou a aula: a escola (secretaria, professor, bloqueios e
+// feriados) ou o próprio aluno
+const ORIGENS_CANCELAMENTO = ['escola', 'aluno'];
+
+// Regras dos créditos de reposição
+const REGRAS_REPOSICAO = {
+  // Cancelamentos da escola geram crédito (REPOSICAO_ESCOLA=nao desliga)
+  escola: process.env.REPOSICAO_ESCOLA !== 'nao',
+  // Antecedência mínima, em horas, para o cancelamento do aluno gerar crédito
+  antecedenciaAluno: parseInt(process.env.REPOSICAO_ANTECEDENCIA_HORAS, 10) || 24,
+  // Dias de validade do crédito, contados da data da aula cancelada
+  validadeDias: parseInt(process.env.REPOSICAO_VALIDADE_DIAS, 10) || 60
+};
+
+/**
+ * Créditos de reposição: gerados no cancelamento de uma aula para cada aluno
+ * vinculado (ou só para o aluno que cancelou), conforme REGRAS_REPOSICAO, e
+ * consumidos ao agendar uma aula avulsa do aluno com o professor da turma
+ */
+const Reposicoes = {
+  /**
+   * Gera os créditos de reposição de uma aula cancelada (idempotente)
+   * @param {Object} agendamento - Registro de aulas_agendadas cancelado
+   * @param {Object} options - { origem: 'escola' (padrão) ou 'aluno', alunoId:
+   *   aluno que cancelou, o único a receber crédito (sem ele, todos os alunos
+   *   da aula), pedidoEm: momento do pedido de cancelamento (padrão: agora) }
+   * @returns {Promise<Array>} Créditos gerados
+   */
+  gerarCreditos: async (agendamento, { origem = 'escola', alunoId, pedidoEm } = {}) => {
+    const aula = await db.findOne('aulas_configuradas', { id: agendamento.aula_configurada_id });
+    const vinculos = await db.findAll('aulas_alunos', { where: { aula_id: aula.id } });
+    const existentes = await db.findAll('creditos_reposicao', { where: { aula_agendada_id: agendamento.id } });
+
+    // Aulas sem horário contam a partir do início do turno
+    const inicio = new Date(`${agendamento.data_aula}T${aula.hora_inicio || FAIXAS_TURNO[aula.turno][0]}:00`);
+    const pedido = pedidoEm ? Utils.parseTimestamp(pedidoEm) : new Date();
+    const antecedencia = (inicio - pedido) / (60 * 60 * 1000);
+
+    const hoje = Utils.formatDate(new Date());
+    const validade = Utils.addDays(agendamento.data_aula > hoje ? agendamento.data_aula : hoje, REGRAS_REPOSICAO.validadeDias);
+
+    const creditos = [];
+    for (const vinculo of vinculos) {
+      if (alunoId && !Permissoes.mesmoId(vinculo.aluno_id, alunoId)) continue;
+      const doAluno = origem === 'aluno';
+      if (doAluno ? antecedencia < REGRAS_REPOSICAO.antecedenciaAluno : !REGRAS_REPOSICAO.escola) continue;
+      if (existentes.some(c => c.aluno_id === vinculo.aluno_id)) continue;
+
+      creditos.push(await db.insert('creditos_reposicao', {
+        aluno_id: vinculo.aluno_id,
+        aula_agendada_id: agendamento.id,
+        origem: doAluno ? 'aluno' : 'escola',
+        validade
+      }));
+    }
+    return creditos;
+  },
+
+  /**
+   * Completa créditos com a aula cancelada, a reposição e o status efetivo
+   * ('expirado' quando disponível e com a validade vencida)
+   * @param {Array} creditos - Registros de creditos_reposicao
+   * @returns {Promise<Array>} Créditos detalhados
+   */
+  detalhar: async (creditos) => {
+    const agendamentos = await db.findAll('aulas_agendadas', {
+      where: { id: [...new Set(creditos.flatMap(c => [c.aula_agendada_id, c.reposicao_id]).filter(Boolean))] }
+    });
+    const aulas = await db.findAll('aulas_configuradas', {
+      where: { id: [...new Set(agendamentos.map(a => a.aula_configurada_id))] }
+    });
+    const alunos = await db.findAll('alunos', { where: { id: [...new Set(creditos.map(c => c.aluno_id))] } });
+    const hoje = Utils.formatDate(new Date());
+
+    return creditos.map(credito => {
+      const cancelada = agendamentos.find(a => a.id === credito.aula_agendada_id);
+      const aula = aulas.find(a => a.id === cancelada?.aula_configurada_id) || {};
+      const reposicao = agendamentos.find(a => a.id === credito.reposicao_id);
+
+      return {
+        ...credito,
+        status: credito.status === 'disponivel' && credito.validade < hoje ? 'expirado' : credito.status,
+        aluno_nome: alunos.find(a => a.id === credito.aluno_id)?.nome,
+        aula_configurada_id: aula.id,
+        instrumento: aula.instrumento,
+        turno: aula.turno,
+        hora_inicio: aula.hora_inicio,
+        data_cancelada: cancelada?.data_aula,
+        data_reposicao: reposicao?.data_aula
+      };
+    });
+  }
+};
+
+const ReposicoesHandlers = {
+  /**
+   * Lista os créditos de reposição
+   * Query: status ('disponivel', 'utilizado' ou 'expirado'), aluno_id
+   */
+  listar: async (req, res) => {
+    try {
+      const { status, aluno_id } = req.query;
+      const alunoId = req.params.alunoId || aluno_id;
+
+      const where = {};
+      if (alunoId) where.aluno_id = alunoId;
+      if (status === 'utilizado') where.status = 'utilizado';
+      if (status === 'disponivel' || status === 'expirado') where.status = 'disponivel';
+
+      const creditos = await Reposicoes.detalhar(await db.findAll('creditos_reposicao', {
+        where,
+        order: [{ column: 'validade' }]
+      }));
+
+      res.json({ creditos: status ? creditos.filter(c => c.status === status) : creditos });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Agenda uma aula extra da turma usando um crédito de reposição
+   * Body: { data_aula, ignorar_conflitos }
+   */
+  agendar: async (req, res) => {
+    try {
+      const { data_aula } = req.body;
+
+      const credito = await db.findOne('creditos_reposicao', { id: req.params.id });
+      if (!credito) {
+        return res.status(404).json({ error: 'Crédito de reposição não encontrado' });
+      }
+
+      if (credito.status !== 'disponivel') {
+        return res.status(400).json({ error: 'Crédito de reposição já utilizado' });
+      }
+
+      const hoje = Utils.formatDate(new Date());
+      if (credito.validade < hoje) {
+        return res.status(400).json({ error: `Crédito de reposição expirado em ${credito.validade}` });
+      }
+
+      if (!Utils.isDate(data_aula) || data_aula <= hoje || data_aula > credito.validade) {
+        return res.status(400).json({ error: `Informe uma data futura até a validade do crédito (${credito.validade})` });
+      }
+
+      // A reposição é uma aula avulsa só do aluno, com o professor, o horário,
+      // a sala e os recursos da turma (livres na nova data)
+      const cancelada = await db.findOne('aulas_agendadas', { id: credito.aula_agendada_id });
+      const aula = await db.findOne('aulas_configuradas', { id: cancelada.aula_configurada_id });
+      const recursos = await db.findAll('aulas_recursos', { where: { aula_id: aula.id } });
+
+      const { agendamento: reposicao } = await AgendaOperacoes.criarAvulsa({
+        instrumento: aula.instrumento,
+        turno: aula.turno,
+        hora_inicio: aula.hora_inicio,
+        duracao: aula.duracao,
+        professor_id: aula.professor_id,
+        sala_id: aula.sala_id,
+        recursos: recursos.map(r => ({ recurso_id: r.recurso_id, quantidade: r.quantidade })),
+        data_aula
+      }, {
+        alunos: [credito.aluno_id],
+        usuario: req.usuario,
+        ignorarConflitos: Conflitos.ignorar(req),
+        motivo: 'Reposição',
+        relacionadoId: cancelada.id
+      });
+
+      await db.update('creditos_reposicao', { id: credito.id }, {
+        status: 'utilizado',
+        reposicao_id: reposicao.id,
+        utilizado_em: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+
+      res.status(201).json({ message: 'Reposição agendada com sucesso', reposicao_id: reposicao.id });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  }
+};
+
+// ==============================================================
+// ROTAS PARA REPOSIÇÕES
+// ==============================================================
+
+app.get('/api/reposicoes', AuthMiddleware.autorizar('reposicoes:ler'), ReposicoesHandlers.listar);
+app.get('/api/alunos/:alunoId/reposicoes', AuthMiddleware.autorizar('reposicoes:ler', { proprio: Permissoes.proprioAluno('alunoId') }), ReposicoesHandlers.listar);
+app.post('/api/reposicoes/:id/agendar', AuthMiddleware.autorizar('reposicoes:gerenciar', { proprio: Permissoes.creditoProprio }), ReposicoesHandlers.agendar);
+
+// ==============================================================
+// HANDLERS PARA LEADS E AULAS EXPERIMENTAIS
+// ==============================================================
+
+// Como o lead conheceu a escola e etapas do funil até a matrícula
+const ORIGENS_LEAD = ['site', 'indicacao', 'redes_sociais', 'evento', 'outro'];
+const STATUS_LEAD = ['novo', 'experimental', 'convertido', 'perdido'];
+const RESULTADOS_EXPERIMENTAL = ['compareceu', 'faltou'];
+
+/**
+ * Leads: interessados que ainda não são alunos. O lead faz aulas
+ * experimentais (aulas avulsas sem alunos matriculados) e, ao se converter,
+ * vira aluno já matriculado em uma aula configurada.
+ */
+const Leads = {
+  validacoes: {
+    nome: { required: true, type: 'string' },
+    email: { type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+    telefone: { type: 'string' },
+    instrumento_interesse: { type: 'string' },
+    observacoes: { type: 'string' }
+  },
+
+  /**
+   * Valida os dados de um lead para criação ou atualização
+   * @param {Object} dados - Campos enviados
+   * @param {boolean} parcial - Atualização (campos obrigatórios podem faltar)
+   * @returns {Array<string>} Erros encontrados
+   */
+  validar: (dados, parcial = false) => {
+    const validacoes = parcial
+      ? Object.fromEntries(Object.entries(Leads.validacoes).filter(([campo]) => dados[campo] !== undefined))
+      : Leads.validacoes;
+    const erros = Utils.validateData(dados, validacoes);
+
+    if (dados.origem !== undefined && !ORIGENS_LEAD.includes(dados.origem)) {
+      erros.push(`Origem deve ser uma de: ${ORIGENS_LEAD.join(', ')}`);
+    }
+    // Um lead só é convertido pela conversão, que cria o aluno
+    if (dados.status !== undefined && !STATUS_LEAD.filter(s => s !== 'convertido').includes(dados.status)) {
+      erros.push('Status deve ser "novo", "experimental" ou "perdido"');
+    }
+    return erros;
+  },
+
+  /**
+   * Obtém um lead pelo ID da rota
+   * @param {Object} req - Requisição com params.id
+   * @returns {Promise<Object>} Registro de leads
+   */
+  obter: async (req) => {
+    const lead = await db.findOne('leads', { id: req.params.id });
+    if (!lead) {
+      throw Utils.httpError(404, 'Lead não encontrado');
+    }
+    return lead;
+  },
+
+  /**
+   * Acrescenta aos leads as aulas experimentais, com data, professor e resultado
+   * @param {Array} leads - Registros de leads
+   * @returns {Promise<Array>} Leads com a lista aulas_experimentais
+   */
+  detalhar: async (leads) => {
+    const experimentais = await db.findAll('leads_aulas_experimentais', {
+      where: { lead_id: leads.map(l => l.id) },
+      order: [{ column: 'created_at' }]
+    });
+    const agendamentos = await db.findAll('aulas_agendadas', {
+      where: { id: experimentais.map(e => e.aula_agendada_id) }
+    });
+    const aulas = await db.findAll('aulas_configuradas', {
+      where: { id: [...new Set(agendamentos.map(a => a.aula_configurada_id))] }
+    });
+    const professores = await db.findAll('professores', {
+      where: { id: [...new Set(aulas.map(a => a.professor_id))] }
+    });
+
+    return leads.map(lead => ({
+      ...lead,
+      aulas_experimentais: experimentais
+        .filter(e => e.lead_id === lead.id)
+        .map(experimental => {
+          const agendamento = agendamentos.find(a => a.id === experimental.aula_agendada_id);
+          const aula = aulas.find(a => a.id === agendamento.aula_configurada_id);
+          const professor = professores.find(p => p.id === aula.professor_id);
+
+          return {
+            ...experimental,
+            data_aula: agendamento.data_aula,
+            status_aula: agendamento.status,
+            instrumento: aula.instrumento,
+            hora_inicio: aula.hora_inicio,
+            hora_fim: Horarios.fim(aula.hora_inicio, aula.duracao),
+            professor_id: aula.professor_id,
+            professor_nome: professor?.nome
+          };
+        })
+    }));
+  },
+
+  /**
+   * Calcula uma taxa em porcentagem com uma casa decimal
+   * @param {number} parte - Quantidade convertida
+   * @param {number} total - Base da taxa
+   * @returns {number} Porcentagem (0 sem base)
+   */
+  taxa: (parte, total) => (total > 0 ? Math.round((parte / total) * 1000) / 10 : 0)
+};
+
+const LeadsHandlers = {
+  /**
+   * Lista os leads com as aulas experimentais
+   * Query: { status, origem }
+   */
+  listar: async (req, res) => {
+    try {
+      const where = {};
+      if (req.query.status) where.status = req.query.status;
+      if (req.query.origem) where.origem = req.query.origem;
+
+      const leads = await db.findAll('leads', {
+        where,
+        order: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }]
+      });
+
+      res.json({ leads: await Leads.detalhar(leads) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém um lead com as aulas experimentais
+   */
+  obter: async (req, res) => {
+    try {
+      const [lead] = await Leads.detalhar([await Leads.obter(req)]);
+      res.json(lead);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Cadastra um lead
+   * Body: { nome, email, telefone, instrumento_interesse, origem, observacoes }
+   */
+  criar: async (req, res) => {
+    try {
+      const dados = Utils.filterObject(req.body, ['nome', 'email', 'telefone', 'instrumento_interesse', 'origem', 'observacoes']);
+
+      const erros = Leads.validar(dados);
+      if (erros.length > 0) {
+        return res.status(400).json({ errors: erros });
+      }
+
+      const lead = await db.insert('leads', dados);
+      res.status(201).json({ id: lead.id, message: 'Lead criado com sucesso' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Atualiza os dados ou a etapa de um lead (por exemplo, marcá-lo como perdido)
+   */
+  atualizar: async (req, res) => {
+    try {
+      const lead = await Leads.obter(req);
+      if (lead.status === 'convertido') {
+        return res.status(400).json({ error: 'Lead já convertido em aluno' });
+      }
+
+      const dados = Utils.filterObject(req.body, ['nome', 'email', 'telefone', 'instrumento_interesse', 'origem', 'status', 'observacoes']);
+      if (Object.keys(dados).length === 0) {
+        return res.status(400).json({ error: 'Nenhum campo válido para atualização' });
+      }
+
+      const erros = Leads.validar(dados, true);
+      if (erros.length > 0) {
+        return res.status(400).json({ errors: erros });
+      }
+
+      await db.update('leads', { id: lead.id }, { ...dados, updated_at: new Date().toISOString() });
+      res.json({ message: 'Lead atualizado com sucesso' });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Exclui um lead (as aulas experimentais continuam na agenda)
+   */
+  excluir: async (req, res) => {
+    try {
+      await db.remove('leads', { id: req.params.id });
+      res.json({ message: 'Lead excluído com sucesso' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Agenda uma aula experimental para o lead em um horário livre do professor
+   * Body: { professor_id, data_aula, hora_inicio, duracao, instrumento (padrão:
+   *   o instrumento de interesse), sala_id, ignorar_conflitos }
+   */
+  agendarExperimental: async (req, res) => {
+    try {
+      const lead = await Leads.obter(req);
+      if (lead.status === 'convertido') {
+        return res.status(400).json({ error: 'Lead já convertido em aluno' });
+      }
+
+      const { professor_id, data_aula, hora_inicio, duracao, sala_id } = req.body;
+      const instrumento = req.body.instrumento || lead.instrumento_interesse;
+      if (!professor_id || !data_aula || !hora_inicio || !instrumento) {
+        return res.status(400).json({ error: 'Professor, data, horário e instrumento são obrigatórios' });
+      }
+
+      const { agendamento } = await AgendaOperacoes.criarAvulsa(
+        { instrumento, hora_inicio, duracao, professor_id, sala_id, data_aula },
+        { usuario: req.usuario, ignorarConflitos: Conflitos.ignorar(req), motivo: `Aula experimental: ${lead.nome}` }
+      );
+
+      const experimental = await db.insert('leads_aulas_experimentais', {
+        lead_id: lead.id,
+        aula_agendada_id: agendamento.id
+      });
+      await db.update('leads', { id: lead.id }, { status: 'experimental', updated_at: new Date().toISOString() });
+
+      res.status(201).json({
+        id: experimental.id,
+        aula_agendada_id: agendamento.id,
+        message: 'Aula experimental agendada com sucesso'
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
+    }
+  },
+
+  /**
+   * Registra o resultado de uma aula experimental: a aula é marcada como
+   * realizada se o lead compareceu e cancelada se faltou
+   * Body: { resultado: 'compareceu' | 'faltou', observacoes }
+   */
+  registrarResultado: async (req, res) => {
+    try {
+      const { resultado, observacoes } = req.body;
+      if (!RESULTADOS_EXPERIMENTAL.includes(resultado)) {
+        return res.status(400).json({ error: 'Resultado deve ser "compareceu" ou "faltou"' });
+      }
 
-      if (error) throw error;
+      const lead = await Leads.obter(req);
+      const experimental = await db.findOne('leads_aulas_experimentais', {
+        id: req.params.experimentalId,
+        lead_id: lead.id
+      });
+      if (!experimental) {
+        return res.status(404).json({ error: 'Aula experimental não encontrada' });
+      }
 
-      // Processar cada aula individualmente para obter os dados adicionais
-      const aulasProcessadas = await Promise.all(aulas.map(async (aula) => {
-        // Obter dias da semana
-        const { data: dias } = await supabase
-          .from('aulas_dias_semana')
-          .select('dia_semana')
-          .eq('aula_id', aula.id);
+      const agendamento = await db.findOne('aulas_agendadas', { id: experimental.aula_agendada_id });
+      if (agendamento.status === 'agendada') {
+        if (resultado === 'compareceu') {
+          await db.update('aulas_agendadas', { id: agendamento.id }, {
+            status: 'realizada',
+            updated_at: new Date().toISOString()
+          });
+          await HistoricoAulas.registrar(agendamento.id, 'realizacao', { usuario: req.usuario });
+        } else {
+          await AgendaOperacoes.cancelar(agendamento, 'Lead não compareceu à aula experimental', {
+            usuario: req.usuario,
+            origem: 'aluno'
+          });
+        }
+      }
 
-        // Contar alunos
-        const { count: totalAlunos } = await supabase
-          .from('aulas_alunos')
-          .select('*', { count: 'exact', head: true })
-          .eq('aula_id', aula.id);
+      await db.update('leads_aulas_experimentais', { id: experimental.id }, {
+        resultado,
+        observacoes: observacoes !== undefined ? observacoes : experimental.observacoes,
+        updated_at: new Date().toISOString()
+      });
 
-        // Contar total de agendamentos
-        const { count: totalAgendadas } = await supabase
-          .from('aulas_agendadas')
-          .select('*', { count: 'exact', head: true })
-          .eq('aula_configurada_id', aula.id);
+      res.json({ message: 'Resultado da aula experimental registrado' });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  },
 
-        // Contar agendamentos cancelados
-        const { count: totalCanceladas } = await supabase
-          .from('aulas_agendadas')
-          .select('*', { count: 'exact', head: true })
-          .eq('aula_configurada_id', aula.id)
-          .eq('status', 'cancelada');
+  /**
+   * Converte o lead em aluno e o matricula em uma aula configurada (ou na
+   * lista de espera, se a aula estiver cheia)
+   * Body: { aula_id, email (se o lead não tiver), data_nascimento }
+   */
+  converter: async (req, res) => {
+    try {
+      const lead = await Leads.obter(req);
+      if (lead.status === 'convertido') {
+        return res.status(400).json({ error: 'Lead já convertido em aluno' });
+      }
 
-        return {
-          ...aula,
-          professor_nome: aula.professores.nome,
-          dias_semana: dias ? dias.map(d => d.dia_semana) : [],
-          total_alunos: totalAlunos || 0,
-          total_agendadas: totalAgendadas || 0,
-          total_canceladas: totalCanceladas || 0
-        };
-      }));
+      const email = req.body.email || lead.email;
+      if (!email || !Leads.validacoes.email.pattern.test(email)) {
+        return res.status(400).json({ error: 'Informe um e-mail válido para o aluno' });
+      }
+
+      if (!req.body.aula_id) {
+        return res.status(400).json({ error: 'Informe a aula em que o aluno será matriculado' });
+      }
+
+      const aula = await db.findOne('aulas_configuradas', { id: req.body.aula_id });
+      if (!aula) {
+        return res.status(404).json({ error: 'Aula não encontrada' });
+      }
+      if (aula.avulsa) {
+        return res.status(400).json({ error: 'A matrícula deve ser em uma aula recorrente' });
+      }
+
+      if (await db.findOne('alunos', { email })) {
+        return res.status(409).json({ error: 'Já existe um aluno com este e-mail' });
+      }
+
+      const aluno = await db.insert('alunos', {
+        nome: lead.nome,
+        email,
+        telefone: lead.telefone,
+        data_nascimento: req.body.data_nascimento || null,
+        instrumento_principal: lead.instrumento_interesse
+      });
+      const matricula = await ListaEspera.matricular(aula, aluno.id);
+
+      await db.update('leads', { id: lead.id }, {
+        status: 'convertido',
+        email,
+        aluno_id: aluno.id,
+        convertido_em: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+
+      res.status(201).json({
+        aluno_id: aluno.id,
+        lista_espera: matricula.lista_espera,
+        posicao: matricula.posicao,
+        message: matricula.lista_espera
+          ? `Lead convertido em aluno; aula cheia, aluno na posição ${matricula.posicao} da lista de espera`
+          : 'Lead convertido em aluno e matriculado na aula'
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Estatísticas do funil: leads por etapa e taxas de conversão, no geral,
+   * entre os que fizeram aula experimental e por origem
+   * Query: { data_inicio, data_fim } (data de cadastro do lead)
+   */
+  estatisticas: async (req, res) => {
+    try {
+      const { data_inicio, data_fim } = req.query;
+      if ((data_inicio && !Utils.isDate(data_inicio)) || (data_fim && !Utils.isDate(data_fim))) {
+        return res.status(400).json({ error: 'Período inválido' });
+      }
+
+      const leads = (await db.findAll('leads')).filter(lead => {
+        const cadastro = String(lead.created_at).slice(0, 10);
+        return (!data_inicio || cadastro >= data_inicio) && (!data_fim || cadastro <= data_fim);
+      });
+      const experimentais = await db.findAll('leads_aulas_experimentais', {
+        where: { lead_id: leads.map(l => l.id) }
+      });
+
+      const fizeramExperimental = leads.filter(l => experimentais.some(e => e.lead_id === l.id));
+      const compareceram = leads.filter(l =>
+        experimentais.some(e => e.lead_id === l.id && e.resultado === 'compareceu'));
+      const convertidos = (lista) => lista.filter(l => l.status === 'convertido').length;
+
+      res.json({
+        periodo: { data_inicio: data_inicio || null, data_fim: data_fim || null },
+        total: leads.length,
+        por_status: Object.fromEntries(STATUS_LEAD.map(status => [status, leads.filter(l => l.status === status).length])),
+        com_aula_experimental: fizeramExperimental.length,
+        compareceram_experimental: compareceram.length,
+        convertidos: convertidos(leads),
+        taxa_conversao: Leads.taxa(convertidos(leads), leads.length),
+        taxa_conversao_experimental: Leads.taxa(convertidos(compareceram), compareceram.length),
+        por_origem: ORIGENS_LEAD.map(origem => {
+          const daOrigem = leads.filter(l => l.origem === origem);
+          return {
+            origem,
+            total: daOrigem.length,
+            convertidos: convertidos(daOrigem),
+            taxa_conversao: Leads.taxa(convertidos(daOrigem), daOrigem.length)
+          };
+        })
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
+
+// ==============================================================
+// ROTAS PARA LEADS E AULAS EXPERIMENTAIS
+// ==============================================================
+
+app.get('/api/leads', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.listar);
+app.get('/api/leads/estatisticas', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.estatisticas);
+app.get('/api/leads/:id', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.obter);
+app.post('/api/leads', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.criar);
+app.put('/api/leads/:id', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.atualizar);
+app.delete('/api/leads/:id', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.excluir);
+app.post('/api/leads/:id/experimentais', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.agendarExperimental);
+app.put('/api/leads/:id/experimentais/:experimentalId', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.registrarResultado);
+app.post('/api/leads/:id/converter', AuthMiddleware.autorizar('leads:gerenciar'), LeadsHandlers.converter);
+
+// ==============================================================
+// HANDLERS PARA FINANCEIRO
+// ==============================================================
+
+// Status gravados; "parcial" e "atrasado" são calculados para os pendentes
+// a partir do valor recebido e do vencimento
+const STATUS_PAGAMENTO = ['pendente', 'pago', 'cancelado'];
+const FORMAS_PAGAMENTO = ['pix', 'cartao', 'dinheiro', 'boleto'];
+
+// Encargos de atraso, em porcentagem do valor: multa única e juros simples por dia
+const ENCARGOS_ATRASO = {
+  multa: parseFloat(process.env.MULTA_ATRASO_PERCENTUAL ?? '2'),
+  jurosDia: parseFloat(process.env.JUROS_DIA_PERCENTUAL ?? '0.033')
+};
+
+// Recebedor das cobranças PIX (nome e cidade aparecem no app do pagador)
+const PIX_RECEBEDOR = {
+  chave: process.env.PIX_CHAVE,
+  nome: process.env.PIX_NOME_RECEBEDOR ?? 'ESCOLA DE MUSICA',
+  cidade: process.env.PIX_CIDADE ?? 'SAO PAULO'
+};
+
+/**
+ * Atraso de pagamentos: dias após o vencimento e encargos (multa e juros)
+ * devidos em uma data. Os encargos incidem sobre o valor total da cobrança,
+ * mesmo que parte já tenha sido recebida, e ficam com a escola; o repasse
+ * aos professores considera apenas o valor da cobrança.
+ */
+const Atrasos = {
+  /**
+   * Conta os dias de atraso de um pagamento em uma data
+   * @param {Object} pagamento - Registro de pagamentos
+   * @param {string} data - Data de referência (AAAA-MM-DD)
+   * @returns {number} Dias após o vencimento (0 se em dia)
+   */
+  dias: (pagamento, data) => {
+    const vencimento = String(pagamento.data_vencimento).slice(0, 10);
+    return Math.max(Math.round((new Date(data) - new Date(vencimento)) / (24 * 60 * 60 * 1000)), 0);
+  },
+
+  /**
+   * Calcula os encargos de um pagamento quitado em uma data
+   * @param {Object} pagamento - Registro de pagamentos
+   * @param {string} data - Data do pagamento (AAAA-MM-DD)
+   * @returns {Object} { dias_atraso, valor_multa, valor_juros, valor_atualizado }
+   */
+  encargos: (pagamento, data) => {
+    const arredondar = (valor) => Math.round(valor * 100) / 100;
+    const valor = Number(pagamento.valor);
+    const dias = Atrasos.dias(pagamento, data);
+    const valor_multa = dias > 0 ? arredondar(valor * ENCARGOS_ATRASO.multa / 100) : 0;
+    const valor_juros = arredondar(valor * ENCARGOS_ATRASO.jurosDia / 100 * dias);
+
+    return { dias_atraso: dias, valor_multa, valor_juros, valor_atualizado: arredondar(valor + valor_multa + valor_juros) };
+  },
+
+  /**
+   * Acrescenta a situação atual a um pagamento pendente: vencidos ficam
+   * "atrasado", com os dias de atraso e o valor atualizado, e os demais com
+   * algum recebimento ficam "parcial"; ambos com o saldo em aberto
+   * @param {Object} pagamento - Registro de pagamentos
+   * @param {string} hoje - Data atual (AAAA-MM-DD)
+   * @returns {Object} Pagamento com status calculado
+   */
+  situacao: (pagamento, hoje) => {
+    if (pagamento.status !== 'pendente') {
+      return pagamento;
+    }
+
+    const recebido = Number(pagamento.valor_recebido) || 0;
+    const encargos = Atrasos.encargos(pagamento, hoje);
+    const saldo = Math.round((encargos.valor_atualizado - recebido) * 100) / 100;
+    if (encargos.dias_atraso > 0) {
+      return { ...pagamento, status: 'atrasado', ...encargos, saldo };
+    }
+    return { ...pagamento, status: recebido > 0 ? 'parcial' : 'pendente', saldo };
+  }
+};
+
+/**
+ * PIX "copia e cola": payload BR Code (EMV QRCPS-MPM) com a chave da escola,
+ * o valor exato da cobrança e um txid derivado do pagamento, para a
+ * conciliação do extrato
+ */
+const Pix = {
+  /**
+   * Identificador da transação de um pagamento (até 25 caracteres alfanuméricos)
+   * @param {number} pagamentoId - ID do pagamento
+   * @returns {string} txid
+   */
+  txid: (pagamentoId) => `PAG${String(pagamentoId).padStart(10, '0')}`,
+
+  /**
+   * Remove acentos e caracteres fora do padrão e limita o tamanho
+   */
+  texto: (valor, max) => String(valor)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 ]/g, '')
+    .toUpperCase()
+    .slice(0, max)
+    .trim(),
+
+  /**
+   * Valida e normaliza o recebedor configurado. Chave: CPF, CNPJ, e-mail,
+   * telefone (+55...) ou chave aleatória; nome e cidade precisam manter
+   * algum caractere depois da remoção de acentos e símbolos.
+   * @param {Object} recebedor - { chave, nome, cidade }
+   * @returns {Object} { chave, nome, cidade } prontos para o payload
+   * @throws {Error} 503 com os problemas da configuração
+   */
+  recebedor: ({ chave, nome, cidade }) => {
+    const chaveLimpa = String(chave || '').trim();
+    const formatos = [
+      /^\d{11}$/,
+      /^\d{14}$/,
+      /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      /^\+\d{12,13}$/,
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+    ];
+
+    const erros = [];
+    if (!chaveLimpa) {
+      erros.push('chave PIX não configurada (PIX_CHAVE)');
+    } else if (chaveLimpa.length > 77 || !formatos.some(f => f.test(chaveLimpa))) {
+      erros.push('chave PIX inválida (PIX_CHAVE)');
+    }
+    const recebedor = {
+      chave: chaveLimpa,
+      nome: Pix.texto(nome || '', 25),
+      cidade: Pix.texto(cidade || '', 15)
+    };
+    if (!recebedor.nome) erros.push('nome do recebedor inválido (PIX_NOME_RECEBEDOR)');
+    if (!recebedor.cidade) erros.push('cidade do recebedor inválida (PIX_CIDADE)');
+
+    if (erros.length > 0) {
+      throw Utils.httpError(503, `PIX indisponível: ${erros.join('; ')}`);
+    }
+    return recebedor;
+  },
+
+  /**
+   * Campo EMV: id, tamanho com dois dígitos e valor
+   */
+  campo: (id, valor) => `${id}${String(valor.length).padStart(2, '0')}${valor}`,
+
+  /**
+   * CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido no campo 63
+   * @param {string} payload - Payload até o id e tamanho do CRC ("6304")
+   * @returns {string} CRC em 4 dígitos hexadecimais
+   */
+  crc16: (payload) => {
+    let crc = 0xFFFF;
+    for (const byte of Buffer.from(payload, 'utf8')) {
+      crc ^= byte << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+      }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  },
+
+  /**
+   * Monta o payload "copia e cola"
+   * @param {Object} dados - { chave, nome, cidade, valor, txid }
+   * @returns {string} Payload com o CRC
+   * @throws {Error} 503 se o recebedor for inválido
+   */
+  payload: ({ valor, txid, ...dados }) => {
+    const { chave, nome, cidade } = Pix.recebedor(dados);
+    const payload = [
+      Pix.campo('00', '01'),
+      Pix.campo('26', Pix.campo('00', 'br.gov.bcb.pix') + Pix.campo('01', chave)),
+      Pix.campo('52', '0000'),
+      Pix.campo('53', '986'),
+      Pix.campo('54', Number(valor).toFixed(2)),
+      Pix.campo('58', 'BR'),
+      Pix.campo('59', nome),
+      Pix.campo('60', cidade),
+      Pix.campo('62', Pix.campo('05', txid)),
+      '6304'
+    ].join('');
+    return payload + Pix.crc16(payload);
+  }
+};
+
+/**
+ * Repasse dos pagamentos aos professores. O pagamento cobre as aulas do mês
+ * de referência (ou do vencimento) na aula cobrada ou, se não indicar a
+ * aula, em todas as matrículas do aluno. Cada aula dada no mês vale uma
+ * fração igual do valor (líquido, já com os descontos), creditada a quem a
+ * deu (titular ou substituto) com a porcentagem de repasse dele.
+ */
+const Repasses = {
+  /**
+   * Lista as aulas configuradas cobertas por um pagamento
+   * @param {Object} pagamento - Registro de pagamentos
+   * @returns {Promise<Array>} Registros de aulas_configuradas
+   */
+  aulasCobertas: async (pagamento) => {
+    if (pagamento.aula_id) {
+      return db.findAll('aulas_configuradas', { where: { id: pagamento.aula_id } });
+    }
+    const vinculos = await db.findAll('aulas_alunos', { where: { aluno_id: pagamento.aluno_id } });
+    return db.findAll('aulas_configuradas', { where: { id: vinculos.map(v => v.aula_id) } });
+  },
+
+  /**
+   * Divide o repasse de um pagamento em itens por professor e aula
+   * Enquanto nenhuma aula do mês foi dada (pagamento adiantado), a divisão
+   * usa as aulas agendadas; sem aulas no mês, cada aula coberta vale uma
+   * parte igual, creditada ao titular.
+   * @param {Object} pagamento - Registro de pagamentos
+   * @returns {Promise<Array>} Itens { professor_id, aula_id, aulas, substituicao, porcentagem, valor }
+   */
+  dividir: async (pagamento) => {
+    const aulas = await Repasses.aulasCobertas(pagamento);
+    if (aulas.length === 0) return [];
+
+    const mes = pagamento.referencia || String(pagamento.data_vencimento).slice(0, 7);
+    const aulasMes = await db.findAll('aulas_agendadas', {
+      where: {
+        aula_configurada_id: aulas.map(a => a.id),
+        data_aula: { gte: `${mes}-01`, lte: `${mes}-31` },
+        status: ['agendada', 'realizada']
+      }
+    });
+    const dadas = aulasMes.filter(a => a.status === 'realizada');
+
+    // Uma parte do valor por aula, atribuída a quem a deu
+    const partes = (dadas.length > 0 ? dadas : aulasMes).map(agendamento => ({
+      aula_id: agendamento.aula_configurada_id,
+      professor_id: agendamento.professor_substituto_id ||
+        aulas.find(a => a.id === agendamento.aula_configurada_id).professor_id,
+      substituicao: Boolean(agendamento.professor_substituto_id),
+      aulas: 1
+    }));
+    if (partes.length === 0) {
+      aulas.forEach(aula => partes.push({ aula_id: aula.id, professor_id: aula.professor_id, substituicao: false, aulas: 0 }));
+    }
+
+    const itens = [];
+    partes.forEach(parte => {
+      const item = itens.find(i => i.professor_id === parte.professor_id &&
+        i.aula_id === parte.aula_id && i.substituicao === parte.substituicao);
+      if (item) {
+        item.aulas += parte.aulas;
+        item.partes += 1;
+      } else {
+        itens.push({ ...parte, partes: 1 });
+      }
+    });
+
+    const professores = await db.findAll('professores', {
+      where: { id: [...new Set(itens.map(i => i.professor_id))] }
+    });
+    return itens.map(({ partes: partesItem, ...item }) => {
+      const professor = professores.find(p => p.id === item.professor_id) || {};
+      const porcentagem = Number(professor.porcentagem_repassa) || 0;
+      return {
+        ...item,
+        porcentagem,
+        valor: Math.round(pagamento.valor * (partesItem / partes.length) * porcentagem) / 100
+      };
+    });
+  },
+
+  /**
+   * Registra os itens de repasse de um pagamento quitado, substituindo os
+   * anteriores
+   * @param {Object} pagamento - Registro de pagamentos
+   * @returns {Promise<Object>} { valor_repasse, professor_id (titular, quando há
+   *   um só), itens }
+   */
+  registrar: async (pagamento) => {
+    const itens = await Repasses.dividir(pagamento);
+
+    await db.remove('repasses_itens', { pagamento_id: pagamento.id });
+    for (const item of itens) {
+      await db.insert('repasses_itens', { pagamento_id: pagamento.id, ...item });
+    }
+
+    const titulares = [...new Set(itens.filter(i => !i.substituicao).map(i => i.professor_id))];
+    return {
+      valor_repasse: Math.round(itens.reduce((total, i) => total + i.valor, 0) * 100) / 100,
+      professor_id: titulares.length === 1 ? titulares[0] : null,
+      itens
+    };
+  }
+};
+
+const FinanceiroHandlers = {
+  /**
+   * Lista todos os pagamentos, com o status atual (pendentes vencidos ficam
+   * "atrasado" e os recebidos em parte, "parcial")
+   * Query: { status }
+   */
+  listar: async (req, res) => {
+    try {
+      // Alunos veem apenas os próprios pagamentos
+      const where = {};
+      if (!Permissoes.tem(req.usuario, 'financeiro:ler')) {
+        if (!req.usuario.aluno_id) return res.json([]);
+        where.aluno_id = req.usuario.aluno_id;
+      }
+
+      const pagamentos = await db.findAll('pagamentos', {
+        where,
+        order: [{ column: 'data_vencimento', ascending: false }]
+      });
+      const alunos = await db.findAll('alunos', {
+        where: { id: [...new Set(pagamentos.map(p => p.aluno_id))] }
+      });
+
+      const hoje = Utils.formatDate(new Date());
+      res.json(pagamentos
+        .map(p => ({
+          ...Atrasos.situacao(p, hoje),
+          aluno_nome: alunos.find(a => a.id === p.aluno_id)?.nome
+        }))
+        .filter(p => !req.query.status || p.status === req.query.status));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Obtém um pagamento específico
+   */
+  obter: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const pagamento = await db.findOne('pagamentos', { id });
+
+      if (!pagamento) {
+        return res.status(404).json({ error: 'Pagamento não encontrado' });
+      }
+
+      const aluno = await db.findOne('alunos', { id: pagamento.aluno_id });
+
+      // Divisão do repasse entre os professores, para quem gerencia o financeiro
+      let repasses;
+      if (Permissoes.tem(req.usuario, 'financeiro:gerenciar')) {
+        const itens = await db.findAll('repasses_itens', { where: { pagamento_id: pagamento.id } });
+        const professores = await db.findAll('professores', {
+          where: { id: [...new Set(itens.map(i => i.professor_id))] }
+        });
+        repasses = itens.map(item => ({
+          ...item,
+          professor_nome: professores.find(p => p.id === item.professor_id)?.nome
+        }));
+      }
+
+      // Itens da cobrança: plano e descontos
+      const itens = await db.findAll('pagamentos_itens', {
+        where: { pagamento_id: pagamento.id },
+        order: [{ column: 'id' }]
+      });
+
+      // Recebimentos e estornos
+      const transacoes = await db.findAll('pagamentos_transacoes', {
+        where: { pagamento_id: pagamento.id },
+        order: [{ column: 'id' }]
+      });
+
+      res.json({
+        ...Atrasos.situacao(pagamento, Utils.formatDate(new Date())),
+        aluno_nome: aluno ? aluno.nome : null,
+        itens,
+        transacoes,
+        repasses
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Cria um novo pagamento
+   */
+  criar: async (req, res) => {
+    try {
+      const { aluno_id, valor, data_vencimento, aula_id } = req.body;
+
+      // Validações
+      if (!aluno_id || !valor || !data_vencimento) {
+        return res.status(400).json({ error: 'Aluno, valor e data de vencimento são obrigatórios' });
+      }
+
+      if (valor <= 0) {
+        return res.status(400).json({ error: 'O valor deve ser maior que zero' });
+      }
+
+      // O pagamento pode se referir a uma matrícula específica do aluno
+      if (aula_id && !await db.findOne('aulas_alunos', { aula_id, aluno_id })) {
+        return res.status(400).json({ error: 'O aluno não está matriculado nesta aula' });
+      }
+
+      const result = await db.insert('pagamentos', {
+        aluno_id,
+        valor,
+        data_vencimento,
+        aula_id: aula_id || null
+      });
+
+      res.status(201).json({ id: result.id, message: 'Pagamento registrado com sucesso' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  /**
+   * Atualiza um pagamento
+   */
+  atualizar: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { aluno_id, aula_id, valor, data_vencimento, status, data_pagamento, valor_repasse } = req.body;
+
+      // Verificar se o pagamento existe
+      const pagamento = await db.findOne('pagamentos', { id });
+      if (!pagamento) {
+        return res.status(404).json({ error: 'Pagamento não encontrado' });
+      }
+
+      // Pagamentos com repasse fechado ficam bloqueados até o fechamento ser reaberto
+      const fechamento = await Fechamentos.doPagamento(pagamento.id);
+      if (fechamento) {
+        return res.status(409).json({
+          error: `Pagamento incluído no fechamento de repasse de ${fechamento.referencia}; reabra o fechamento para alterá-lo`
+        });
+      }
+
+      const alunoId = aluno_id !== undefined ? aluno_id : pagamento.aluno_id;
+      const aulaId = aula_id !== undefined ? aula_id : pagamento.aula_id;
+      if (aulaId && !await db.findOne('aulas_alunos', { aula_id: aulaId, aluno_id: alunoId })) {
+        return res.status(400).json({ error: 'O aluno não está matriculado nesta aula' });
+      }
+
+      if (status !== undefined && !STATUS_PAGAMENTO.includes(status)) {
+        return res.status(400).json({
+          error: `Status deve ser um de: ${STATUS_PAGAMENTO.join(', ')} (o atraso é calculado pelo vencimento)`
+        });
+      }
+
+      // Mensalidades geradas têm o valor composto pelos itens (plano e descontos)
+      if (valor !== undefined && Number(valor) !== Number(pagamento.valor) &&
+          await db.findOne('pagamentos_itens', { pagamento_id: pagamento.id })) {
+        return res.status(400).json({
+          error: 'O valor desta cobrança é a soma dos seus itens (plano e descontos) e não pode ser alterado'
+        });
+      }
+
+      // Com recebimentos registrados, o valor só muda depois do estorno
+      if (valor !== undefined && Number(valor) !== Number(pagamento.valor) && Number(pagamento.valor_recebido) > 0) {
+        return res.status(400).json({ error: 'Pagamento com recebimentos: estorne-os antes de alterar o valor' });
+      }
+
+      // A quitação passa pelos recebimentos, que registram a forma e o repasse,
+      // e a reabertura pelo estorno, que desfaz o recebimento e o repasse
+      if (status !== undefined && status !== pagamento.status) {
+        if (status === 'pago') {
+          return res.status(400).json({ error: 'Registre o recebimento para quitar o pagamento' });
+        }
+        if (pagamento.status === 'pago') {
+          return res.status(400).json({ error: 'Pagamento quitado: estorne os recebimentos para reabri-lo ou cancelá-lo' });
+        }
+        if (status === 'cancelado' && Number(pagamento.valor_recebido) > 0) {
+          return res.status(400).json({ error: 'Pagamento com recebimentos: estorne-os antes de cancelá-lo' });
+        }
+      }
+
+      const updates = {};
+      if (aluno_id !== undefined) updates.aluno_id = aluno_id;
+      if (aula_id !== undefined) updates.aula_id = aula_id;
+      if (valor !== undefined) updates.valor = valor;
+      if (data_vencimento !== undefined) updates.data_vencimento = data_vencimento;
+      if (status !== undefined) updates.status = status;
+      if (data_pagamento !== undefined) updates.data_pagamento = data_pagamento;
+      if (valor_repasse !== undefined) updates.valor_repasse = valor_repasse;
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'Nenhum campo válido para atualização' });
+      }
 
-      res.json({ aulas: aulasProcessadas });
+      await db.update('pagamentos', { id }, { ...updates, updated_at: new Date().toISOString() });
+
+      res.json({ message: 'Pagamento atualizado com sucesso' });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Obtém detalhes de uma aula específica
+   * Exclui um pagamento
    */
-  obterDetalhes: async (req, res) => {
+  excluir: async (req, res) => {
     try {
       const { id } = req.params;
 
-      // Obter informações da aula
-      const { data: aula, error: aulaError } = await supabase
-        .from('aulas_configuradas')
-        .select(`
-          *,
-          professores(nome, especialidade)
-        `)
-        .eq('id', id)
-        .single();
-
-      if (aulaError) throw aulaError;
-      if (!aula) {
-        return res.status(404).json({ error: 'Aula não encontrada' });
+      // Pagamentos com repasse fechado ficam bloqueados até o fechamento ser reaberto
+      const fechamento = await Fechamentos.doPagamento(id);
+      if (fechamento) {
+        return res.status(409).json({
+          error: `Pagamento incluído no fechamento de repasse de ${fechamento.referencia}; reabra o fechamento para excluí-lo`
+        });
       }
 
-      // Obter dias da semana
-      const { data: dias, error: diasError } = await supabase
-        .from('aulas_dias_semana')
-        .select('dia_semana')
-        .eq('aula_id', id);
+      // Recebimentos e repasses não podem sumir junto com o pagamento
+      const pagamento = await db.findOne('pagamentos', { id });
+      if (!pagamento) {
+        return res.status(404).json({ error: 'Pagamento não encontrado' });
+      }
+      if (Number(pagamento.valor_recebido) > 0 || await db.findOne('repasses_itens', { pagamento_id: pagamento.id })) {
+        return res.status(409).json({ error: 'Pagamento com recebimentos: estorne-os antes de excluí-lo' });
+      }
 
-      if (diasError) throw diasError;
-      const dias_semana = dias.map(d => d.dia_semana);
+      await db.remove('pagamentos', { id });
 
-      // Obter alunos vinculados
-      const { data: alunos, error: alunosError } = await supabase
-        .from('aulas_alunos')
-        .select(`
-          alunos(id, nome, email, instrumento_principal)
-        `)
-        .eq('aula_id', id);
+      res.json({ message: 'Pagamento excluído com sucesso' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
 
-      if (alunosError) throw alunosError;
-      const alunosProcessados = alunos.map(a => a.alunos);
+  /**
+   * Lista os pagamentos atrasados, dos mais antigos para os mais recentes,
+   * com multa e juros calculados até hoje
+   */
+  atrasados: async (req, res) => {
+    try {
+      const hoje = Utils.formatDate(new Date());
+      const pagamentos = await db.findAll('pagamentos', {
+        where: { status: 'pendente', data_vencimento: { lt: hoje } }
+      });
+      const alunos = await db.findAll('alunos', {
+        where: { id: [...new Set(pagamentos.map(p => p.aluno_id))] }
+      });
+
+      const atrasados = pagamentos
+        .map(p => ({
+          ...Atrasos.situacao(p, hoje),
+          aluno_nome: alunos.find(a => a.id === p.aluno_id)?.nome
+        }))
+        .sort((a, b) => b.dias_atraso - a.dias_atraso);
 
       res.json({
-        ...aula,
-        professor_nome: aula.professores.nome,
-        professor_especialidade: aula.professores.especialidade,
-        dias_semana,
-        alunos: alunosProcessados
+        atrasados,
+        total: Math.round(atrasados.reduce((total, p) => total + p.saldo, 0) * 100) / 100
       });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -536,385 +5538,784 @@ const AulasHandlers = {
   },
 
   /**
-   * Vincula um aluno a uma aula
+   * Obtém o repasse acumulado de um professor por mês de pagamento
    */
-  vincularAluno: async (req, res) => {
+  repassesProfessor: async (req, res) => {
     try {
-      const { aulaId, alunoId } = req.params;
-
-      // Verificar se a aula existe
-      const { data: aula, error: aulaError } = await supabase
-        .from('aulas_configuradas')
-        .select('*')
-        .eq('id', aulaId)
-        .single();
-
-      if (aulaError) throw aulaError;
-      if (!aula) {
-        return res.status(404).json({ error: 'Aula não encontrada' });
-      }
-
-      // Verificar se o aluno existe
-      const { data: aluno, error: alunoError } = await supabase
-        .from('alunos')
-        .select('*')
-        .eq('id', alunoId)
-        .single();
-
-      if (alunoError) throw alunoError;
-      if (!aluno) {
-        return res.status(404).json({ error: 'Aluno não encontrado' });
-      }
-
-      // Verificar se o aluno já está vinculado a esta aula
-      const { data: vinculo, error: vinculoError } = await supabase
-        .from('aulas_alunos')
-        .select('*')
-        .eq('aula_id', aulaId)
-        .eq('aluno_id', alunoId)
-        .single();
-
-      if (vinculoError && vinculoError.code !== 'PGRST116') throw vinculoError;
-      if (vinculo) {
-        return res.status(400).json({ error: 'Aluno já está vinculado a esta aula' });
-      }
+      const { professorId } = req.params;
 
-      // Vincular aluno à aula
-      const { error: insertError } = await supabase
-        .from('aulas_alunos')
-        .insert({
-          aula_id: aulaId,
-          aluno_id: alunoId
-        });
+      // Itens de repasse do professor, pelo mês do pagamento
+      const itens = await db.findAll('repasses_itens', { where: { professor_id: professorId } });
+      const pagamentos = await db.findAll('pagamentos', {
+        where: { id: [...new Set(itens.map(i => i.pagamento_id))], status: 'pago' }
+      });
 
-      if (insertError) throw insertError;
+      const meses = {};
+      itens.forEach(item => {
+        const pagamento = pagamentos.find(p => p.id === item.pagamento_id);
+        if (!pagamento) return;
+
+        const chave = String(pagamento.data_pagamento).slice(0, 7);
+        const mes = meses[chave] = meses[chave] || { mes: chave, total_repasse: 0, pagamentos: new Set(), total_substituicoes: 0 };
+        mes.total_repasse += Number(item.valor) || 0;
+        if (item.substituicao) {
+          mes.total_substituicoes += item.aulas;
+        } else {
+          mes.pagamentos.add(pagamento.id);
+        }
+      });
 
-      res.status(201).json({ message: 'Aluno vinculado à aula com sucesso' });
+      res.json({
+        repasses: Object.values(meses).sort((a, b) => b.mes.localeCompare(a.mes)).map(({ pagamentos: doMes, ...m }) => ({
+          ...m,
+          total_repasse: Math.round(m.total_repasse * 100) / 100,
+          total_pagamentos: doMes.size
+        }))
+      });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Desvincula um aluno de uma aula
+   * Gera o PIX "copia e cola" e o QR code (SVG) do saldo em aberto de um
+   * pagamento pendente, com os encargos de atraso do dia
    */
-  desvincularAluno: async (req, res) => {
+  pix: async (req, res) => {
     try {
-      const { aulaId, alunoId } = req.params;
+      // Configuração do recebedor inválida: nenhum código é gerado
+      const recebedor = Pix.recebedor(PIX_RECEBEDOR);
 
-      const { error } = await supabase
-        .from('aulas_alunos')
-        .delete()
-        .eq('aula_id', aulaId)
-        .eq('aluno_id', alunoId);
+      const pagamento = await db.findOne('pagamentos', { id: req.params.id });
+      if (!pagamento) {
+        return res.status(404).json({ error: 'Pagamento não encontrado' });
+      }
+      if (pagamento.status !== 'pendente') {
+        return res.status(400).json({ error: 'Apenas pagamentos em aberto podem ser pagos via PIX' });
+      }
 
-      if (error) throw error;
+      const { saldo } = Atrasos.situacao(pagamento, Utils.formatDate(new Date()));
+      const txid = Pix.txid(pagamento.id);
+      const payload = Pix.payload({ ...recebedor, valor: saldo, txid });
+      const svg = await QRCode.toString(payload, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
 
-      res.json({ message: 'Aluno desvinculado da aula com sucesso' });
+      res.json({
+        pagamento_id: pagamento.id,
+        txid,
+        valor: saldo,
+        recebedor: recebedor.nome,
+        payload,
+        qrcode: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`
+      });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message, ...err.details });
     }
   },
 
   /**
-   * Obtém todas as aulas de um aluno
+   * Registra um recebimento do pagamento, integral ou parcial. Quando o
+   * total recebido cobre o valor com os encargos do dia, o pagamento é
+   * quitado e o repasse dividido entre os professores.
+   * Body: { forma_pagamento, valor (padrão: o saldo), data_pagamento (padrão: hoje; não pode ser futura), observacoes }
    */
-  obterAulasAluno: async (req, res) => {
+  processarPagamento: async (req, res) => {
     try {
-      const { alunoId } = req.params;
+      const { id } = req.params;
+      const { forma_pagamento, data_pagamento, observacoes } = req.body;
+
+      // Obter informações do pagamento
+      const pagamento = await db.findOne('pagamentos', { id });
+      if (!pagamento) {
+        return res.status(404).json({ error: 'Pagamento não encontrado' });
+      }
+      if (pagamento.status !== 'pendente') {
+        return res.status(400).json({ error: `Pagamento ${pagamento.status === 'pago' ? 'já quitado' : 'cancelado'}` });
+      }
+      if (!FORMAS_PAGAMENTO.includes(forma_pagamento)) {
+        return res.status(400).json({ error: `Forma de pagamento deve ser uma de: ${FORMAS_PAGAMENTO.join(', ')}` });
+      }
 
-      const { data: aulas, error } = await supabase
-        .from('aulas_alunos')
-        .select(`
-          aulas_configuradas(*, professores(nome, especialidade)),
-          aulas_dias_semana(dia_semana)
-        `)
-        .eq('aluno_id', alunoId);
+      const hoje = Utils.formatDate(new Date());
+      const dataPagamento = data_pagamento ? String(data_pagamento).split('T')[0] : hoje;
+      if (!Utils.isDate(dataPagamento)) {
+        return res.status(400).json({ error: 'Data de pagamento inválida (use AAAA-MM-DD)' });
+      }
+      if (dataPagamento > hoje) {
+        return res.status(400).json({ error: 'A data de pagamento não pode ser futura' });
+      }
 
-      if (error) throw error;
+      // Pagamento após o vencimento: multa e juros até a data do recebimento
+      const { dias_atraso, valor_multa, valor_juros, valor_atualizado } = Atrasos.encargos(pagamento, dataPagamento);
+      const recebidoAntes = Number(pagamento.valor_recebido) || 0;
+      const saldo = Math.round((valor_atualizado - recebidoAntes) * 100) / 100;
 
-      // Processar os dados
-      const aulasProcessadas = aulas.map(aula => ({
-        ...aula.aulas_configuradas,
-        professor_nome: aula.aulas_configuradas.professores.nome,
-        professor_especialidade: aula.aulas_configuradas.professores.especialidade,
-        dias_semana: aula.aulas_dias_semana.map(d => d.dia_semana)
-      }));
+      // Valores em centavos, para que os recebimentos somem o valor recebido
+      const valor = req.body.valor !== undefined ? Math.round(Number(req.body.valor) * 100) / 100 : saldo;
+      if (!(valor > 0)) {
+        return res.status(400).json({ error: 'O valor recebido deve ser maior que zero' });
+      }
+      if (valor > saldo) {
+        return res.status(400).json({ error: `O valor recebido excede o saldo em aberto (${saldo.toFixed(2)})` });
+      }
 
-      res.json({ aulas: aulasProcessadas });
+      await db.insert('pagamentos_transacoes', {
+        pagamento_id: pagamento.id,
+        tipo: 'recebimento',
+        forma_pagamento,
+        valor,
+        data: dataPagamento,
+        observacoes: observacoes || null,
+        usuario_id: req.usuario.id
+      });
+
+      const valor_recebido = Math.round((recebidoAntes + valor) * 100) / 100;
+      const quitado = valor === saldo;
+
+      // Recebimento parcial: o pagamento segue pendente, com o saldo restante
+      if (!quitado) {
+        await db.update('pagamentos', { id }, { valor_recebido, updated_at: new Date().toISOString() });
+        return res.json({
+          message: `Recebimento parcial registrado; saldo de ${(saldo - valor).toFixed(2)}`,
+          quitado,
+          valor_recebido,
+          saldo: Math.round((saldo - valor) * 100) / 100
+        });
+      }
+
+      // Repasse dividido entre os professores que deram as aulas cobertas
+      const { valor_repasse, professor_id, itens } = await Repasses.registrar(pagamento);
+
+      // Atualizar o pagamento
+      await db.update('pagamentos', { id }, {
+        status: 'pago',
+        data_pagamento: dataPagamento,
+        valor_recebido,
+        valor_repasse,
+        valor_multa,
+        valor_juros,
+        professor_id,
+        updated_at: new Date().toISOString()
+      });
+
+      res.json({
+        message: dias_atraso > 0
+          ? `Pagamento quitado com ${dias_atraso} dia(s) de atraso`
+          : 'Pagamento quitado com sucesso',
+        quitado,
+        valor_recebido,
+        saldo: 0,
+        valor_repasse,
+        repasses: itens,
+        dias_atraso,
+        valor_multa,
+        valor_juros,
+        valor_total: valor_atualizado
+      });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Obtém todas as aulas de um professor
+   * Estorna um recebimento. Se o pagamento estava quitado, ele volta a ficar
+   * pendente e o repasse aos professores é desfeito (será recalculado na
+   * nova quitação).
+   * Body: { observacoes }
    */
-  obterAulasProfessor: async (req, res) => {
+  estornar: async (req, res) => {
     try {
-      const { professorId } = req.params;
+      const { id, transacaoId } = req.params;
 
-      const { data: aulas, error } = await supabase
-        .from('aulas_configuradas')
-        .select(`
-          *,
-          aulas_dias_semana(dia_semana),
-          aulas_alunos(count)
-        `)
-        .eq('professor_id', professorId);
+      const pagamento = await db.findOne('pagamentos', { id });
+      if (!pagamento) {
+        return res.status(404).json({ error: 'Pagamento não encontrado' });
+      }
 
-      if (error) throw error;
+      const recebimento = await db.findOne('pagamentos_transacoes', { id: transacaoId, pagamento_id: pagamento.id });
+      if (!recebimento || recebimento.tipo !== 'recebimento') {
+        return res.status(404).json({ error: 'Recebimento não encontrado' });
+      }
+      if (await db.findOne('pagamentos_transacoes', { estorno_de: recebimento.id })) {
+        return res.status(400).json({ error: 'Este recebimento já foi estornado' });
+      }
 
-      // Processar os dados
-      const aulasProcessadas = aulas.map(aula => ({
-        ...aula,
-        dias_semana: aula.aulas_dias_semana.map(d => d.dia_semana),
-        total_alunos: aula.aulas_alunos[0]?.count || 0
-      }));
+      // Pagamentos com repasse fechado ficam bloqueados até o fechamento ser reaberto
+      const fechamento = await Fechamentos.doPagamento(pagamento.id);
+      if (fechamento) {
+        return res.status(409).json({
+          error: `Pagamento incluído no fechamento de repasse de ${fechamento.referencia}; reabra o fechamento para estorná-lo`
+        });
+      }
 
-      res.json({ aulas: aulasProcessadas });
+      await db.insert('pagamentos_transacoes', {
+        pagamento_id: pagamento.id,
+        tipo: 'estorno',
+        forma_pagamento: recebimento.forma_pagamento,
+        valor: recebimento.valor,
+        data: Utils.formatDate(new Date()),
+        estorno_de: recebimento.id,
+        observacoes: req.body.observacoes || null,
+        usuario_id: req.usuario.id
+      });
+
+      const valor_recebido = Math.max(Math.round((Number(pagamento.valor_recebido) - Number(recebimento.valor)) * 100) / 100, 0);
+      const updates = { valor_recebido, updated_at: new Date().toISOString() };
+
+      // Pagamento quitado reaberto: sem data de pagamento, encargos nem repasse
+      const reaberto = pagamento.status === 'pago';
+      if (reaberto) {
+        await db.remove('repasses_itens', { pagamento_id: pagamento.id });
+        Object.assign(updates, {
+          status: 'pendente',
+          data_pagamento: null,
+          valor_repasse: null,
+          valor_multa: 0,
+          valor_juros: 0,
+          professor_id: null
+        });
+      }
+      await db.update('pagamentos', { id }, updates);
+
+      res.json({
+        message: reaberto
+          ? 'Recebimento estornado; pagamento reaberto e repasse desfeito'
+          : 'Recebimento estornado',
+        valor_recebido
+      });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
+  }
+};
+
+// ==============================================================
+// ROTAS PARA FINANCEIRO
+// ==============================================================
+
+// O valor de repasse só pode ser alterado manualmente por quem gerencia repasses
+const protegerRepassePagamento = AuthMiddleware.protegerCampos(['valor_repasse'], 'repasse:gerenciar');
+
+app.get('/api/financeiro', AuthMiddleware.autorizar('financeiro:ler', { proprio: Permissoes.escopoFiltrado }), FinanceiroHandlers.listar);
+app.get('/api/financeiro/atrasados', AuthMiddleware.autorizar('financeiro:ler'), FinanceiroHandlers.atrasados);
+app.get('/api/financeiro/:id', AuthMiddleware.autorizar('financeiro:ler', { proprio: Permissoes.pagamentoProprio }), FinanceiroHandlers.obter);
+app.post('/api/financeiro', AuthMiddleware.autorizar('financeiro:gerenciar'), FinanceiroHandlers.criar);
+app.put('/api/financeiro/:id', AuthMiddleware.autorizar('financeiro:gerenciar'), protegerRepassePagamento, FinanceiroHandlers.atualizar);
+app.delete('/api/financeiro/:id', AuthMiddleware.autorizar('financeiro:gerenciar'), FinanceiroHandlers.excluir);
+app.get('/api/financeiro/:id/pix', AuthMiddleware.autorizar('financeiro:ler', { proprio: Permissoes.pagamentoProprio }), FinanceiroHandlers.pix);
+app.post('/api/financeiro/:id/pagar', AuthMiddleware.autorizar('financeiro:gerenciar'), FinanceiroHandlers.processarPagamento);
+app.post('/api/financeiro/:id/transacoes/:transacaoId/estorno', AuthMiddleware.autorizar('financeiro:gerenciar'), FinanceiroHandlers.estornar);
+app.get('/api/professores/:professorId/repasses', AuthMiddleware.autorizar('repasses:ler', { proprio: Permissoes.proprioProfessor('professorId') }), FinanceiroHandlers.repassesProfessor);
+
+// ==============================================================
+// HANDLERS PARA PLANOS E MENSALIDADES
+// ==============================================================
+
+// Formas de desconto: porcentagem do valor do plano ou valor fixo em reais
+const TIPOS_DESCONTO = ['percentual', 'fixo'];
+
+/**
+ * Mensalidades: cada matrícula (aulas_alunos) é cobrada pelo plano atribuído
+ * a ela, com os descontos vigentes (do aluno, da família ou gerais). A
+ * cobrança mensal gera um pagamento por matrícula e mês de referência, com
+ * o plano e os descontos como itens; executá-la de novo não duplica as
+ * mensalidades já geradas.
+ */
+const Mensalidades = {
+  /**
+   * Verifica se um valor é um mês de referência no padrão AAAA-MM
+   * @param {string} referencia - Valor a verificar
+   * @returns {boolean} true se o mês é válido
+   */
+  referenciaValida: (referencia) => /^\d{4}-(0[1-9]|1[0-2])$/.test(referencia),
+
+  /**
+   * Verifica se um plano pode ser cobrado em uma aula
+   * @param {Object} plano - Registro de planos_mensalidade
+   * @param {Object} aula - Registro de aulas_configuradas
+   * @returns {Promise<string|null>} Motivo da incompatibilidade, ou null
+   */
+  incompatibilidade: async (plano, aula) => {
+    if (aula.avulsa) {
+      return 'Aulas avulsas não são cobradas por mensalidade';
+    }
+    if (plano.instrumento && plano.instrumento.trim().toLowerCase() !== aula.instrumento.trim().toLowerCase()) {
+      return `O plano "${plano.nome}" é de ${plano.instrumento}, e a aula é de ${aula.instrumento}`;
+    }
+
+    const aulasPorSemana = await db.count('aulas_dias_semana', { aula_id: aula.id });
+    if (plano.aulas_por_semana !== aulasPorSemana) {
+      return `O plano "${plano.nome}" é de ${plano.aulas_por_semana} aula(s) por semana, e a aula tem ${aulasPorSemana}`;
+    }
+    return null;
   },
 
   /**
-   * Atualiza uma aula configurada
+   * Seleciona as regras de desconto que valem para um aluno
+   * @param {Array} descontos - Regras vigentes no mês
+   * @param {Object} aluno - Registro de alunos
+   * @param {Object} alunosPorFamilia - IDs dos alunos cobrados no mês, por família
+   * @returns {Array} Regras aplicáveis
    */
-  atualizarAula: async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { instrumento, turno, data_inicio, dias_semana } = req.body;
+  descontosDoAluno: (descontos, aluno, alunosPorFamilia) => descontos.filter(desconto => {
+    if (desconto.aluno_id) return desconto.aluno_id === aluno.id;
+    if (desconto.familia_id) {
+      return desconto.familia_id === aluno.familia_id &&
+        (alunosPorFamilia[desconto.familia_id] || new Set()).size >= desconto.minimo_alunos;
+    }
+    return true;
+  }),
 
-      // Verificar se a aula existe
-      const { data: aula, error: aulaError } = await supabase
-        .from('aulas_configuradas')
-        .select('*')
-        .eq('id', id)
-        .single();
+  /**
+   * Monta os itens de uma mensalidade: o valor do plano e um item negativo
+   * por desconto. Os percentuais incidem sobre o valor do plano, e a soma
+   * dos descontos não passa dele.
+   * @param {Object} plano - Registro de planos_mensalidade
+   * @param {Array} descontos - Regras de desconto aplicáveis
+   * @returns {Array} Itens { tipo, descricao, desconto_id, valor }
+   */
+  itens: (plano, descontos) => {
+    const arredondar = (valor) => Math.round(valor * 100) / 100;
+    const bruto = Number(plano.valor);
+    const itens = [{ tipo: 'mensalidade', descricao: `Mensalidade - ${plano.nome}`, desconto_id: null, valor: bruto }];
+
+    let restante = bruto;
+    descontos.forEach(desconto => {
+      const valor = Math.min(
+        arredondar(desconto.tipo === 'percentual' ? bruto * desconto.valor / 100 : Number(desconto.valor)),
+        restante
+      );
+      if (valor <= 0) return;
+
+      restante = arredondar(restante - valor);
+      itens.push({ tipo: 'desconto', descricao: desconto.nome, desconto_id: desconto.id, valor: -valor });
+    });
+    return itens;
+  },
 
-      if (aulaError) throw aulaError;
-      if (!aula) {
-        return res.status(404).json({ error: 'Aula não encontrada' });
-      }
+  /**
+   * Monta as mensalidades de um mês para as matrículas em aulas vigentes
+   * (aulas configuradas, não avulsas, com período que alcança o mês).
+   * Mensalidades zeradas pelos descontos (bolsas integrais) não são cobradas.
+   * @param {string} referencia - Mês de referência (AAAA-MM)
+   * @returns {Promise<Object>} { pendentes (a gerar), existentes, sem_plano, isentas }
+   */
+  calcular: async (referencia) => {
+    const [ano, mes] = referencia.split('-').map(Number);
+    const inicio = `${referencia}-01`;
+    const fim = Utils.formatDate(new Date(Date.UTC(ano, mes, 0)));
+
+    const aulas = (await db.findAll('aulas_configuradas', {
+      where: { avulsa: false, data_inicio: { lte: fim } }
+    })).filter(a => !a.data_fim || a.data_fim >= inicio);
+
+    const vinculos = await db.findAll('aulas_alunos', {
+      where: { aula_id: aulas.map(a => a.id) },
+      order: [{ column: 'aula_id' }, { column: 'aluno_id' }]
+    });
+    const alunos = await db.findAll('alunos', { where: { id: [...new Set(vinculos.map(v => v.aluno_id))] } });
+    const planos = await db.findAll('planos_mensalidade', {
+      where: { id: [...new Set(vinculos.filter(v => v.plano_id).map(v => v.plano_id))] }
+    });
+    const pagamentos = await db.findAll('pagamentos', { where: { referencia, aula_id: aulas.map(a => a.id) } });
+
+    // Descontos vigentes em algum dia do mês
+    const descontos = (await db.findAll('descontos', { order: [{ column: 'id' }] }))
+      .filter(d => (!d.data_inicio || d.data_inicio <= fim) && (!d.data_fim || d.data_fim >= inicio));
+
+    // Alunos cobrados no mês em cada família, para os descontos de irmãos
+    const alunosPorFamilia = {};
+    vinculos.filter(v => v.plano_id).forEach(vinculo => {
+      const aluno = alunos.find(a => a.id === vinculo.aluno_id);
+      if (!aluno.familia_id) return;
+      alunosPorFamilia[aluno.familia_id] = alunosPorFamilia[aluno.familia_id] || new Set();
+      alunosPorFamilia[aluno.familia_id].add(aluno.id);
+    });
 
-      const updates = {};
-      if (instrumento !== undefined) updates.instrumento = instrumento;
-      if (turno !== undefined) {
-        if (!['manhã', 'tarde', 'noite'].includes(turno)) {
-          return res.status(400).json({ error: 'Turno deve ser "manhã", "tarde" ou "noite"' });
-        }
-        updates.turno = turno;
+    const resultado = { pendentes: [], existentes: [], sem_plano: [], isentas: [] };
+    for (const vinculo of vinculos) {
+      const aula = aulas.find(a => a.id === vinculo.aula_id);
+      const plano = planos.find(p => p.id === vinculo.plano_id);
+      const item = {
+        aluno_id: vinculo.aluno_id,
+        aluno_nome: alunos.find(a => a.id === vinculo.aluno_id)?.nome,
+        aula_id: aula.id,
+        instrumento: aula.instrumento
+      };
+
+      if (!plano) {
+        resultado.sem_plano.push(item);
+        continue;
       }
-      if (data_inicio !== undefined) updates.data_inicio = data_inicio;
 
-      if (Object.keys(updates).length === 0 && !dias_semana) {
-        return res.status(400).json({ error: 'Nenhum campo válido para atualização' });
+      const pagamento = pagamentos.find(p => p.aluno_id === vinculo.aluno_id && p.aula_id === aula.id);
+      if (pagamento) {
+        resultado.existentes.push({
+          ...item,
+          pagamento_id: pagamento.id,
+          valor: Number(pagamento.valor),
+          data_vencimento: pagamento.data_vencimento,
+          status: pagamento.status
+        });
+        continue;
       }
 
-      // Atualizar dados básicos da aula, se houver
-      if (Object.keys(updates).length > 0) {
-        const { error: updateError } = await supabase
-          .from('aulas_configuradas')
-          .update({ ...updates, updated_at: new Date().toISOString() })
-          .eq('id', id);
+      const aluno = alunos.find(a => a.id === vinculo.aluno_id);
+      const itens = Mensalidades.itens(plano, Mensalidades.descontosDoAluno(descontos, aluno, alunosPorFamilia));
+      const mensalidade = {
+        ...item,
+        plano_id: plano.id,
+        plano_nome: plano.nome,
+        valor_bruto: Number(plano.valor),
+        valor: Math.round(itens.reduce((total, i) => total + i.valor, 0) * 100) / 100,
+        data_vencimento: `${referencia}-${String(plano.dia_vencimento).padStart(2, '0')}`,
+        itens
+      };
+      resultado[mensalidade.valor > 0 ? 'pendentes' : 'isentas'].push(mensalidade);
+    }
+    return resultado;
+  }
+};
 
-        if (updateError) throw updateError;
-      }
+const MensalidadesHandlers = {
+  /**
+   * Define (ou remove, com plano_id nulo) o plano cobrado em uma matrícula
+   * Body: { plano_id }
+   */
+  definirPlano: async (req, res) => {
+    try {
+      const { aulaId, alunoId } = req.params;
+      const { plano_id } = req.body;
 
-      // Atualizar dias da semana, se fornecidos
-      if (dias_semana && Array.isArray(dias_semana)) {
-        // Remover dias existentes
-        await supabase
-          .from('aulas_dias_semana')
-          .delete()
-          .eq('aula_id', id);
+      if (plano_id === undefined) {
+        return res.status(400).json({ error: 'Informe o plano_id (ou null para remover o plano)' });
+      }
 
-        // Inserir novos dias
-        for (const dia of dias_semana) {
-          if (dia < 0 || dia > 6) {
-            return res.status(400).json({ error: 'Dia da semana deve estar entre 0 (domingo) e 6 (sábado)' });
-          }
+      const vinculo = await db.findOne('aulas_alunos', { aula_id: aulaId, aluno_id: alunoId });
+      if (!vinculo) {
+        return res.status(404).json({ error: 'Aluno não está matriculado nesta aula' });
+      }
 
-          const { error: diaError } = await supabase
-            .from('aulas_dias_semana')
-            .insert({
-              aula_id: id,
-              dia_semana: dia
-            });
+      if (plano_id !== null) {
+        const plano = await db.findOne('planos_mensalidade', { id: plano_id });
+        if (!plano) {
+          return res.status(404).json({ error: 'Plano não encontrado' });
+        }
 
-          if (diaError) throw diaError;
+        const aula = await db.findOne('aulas_configuradas', { id: aulaId });
+        const motivo = await Mensalidades.incompatibilidade(plano, aula);
+        if (motivo) {
+          return res.status(400).json({ error: motivo });
         }
       }
 
-      res.json({ message: 'Aula atualizada com sucesso' });
+      await db.update('aulas_alunos', { id: vinculo.id }, { plano_id });
+
+      res.json({ message: plano_id === null ? 'Plano removido da matrícula' : 'Plano definido para a matrícula' });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Exclui uma aula configurada
+   * Gera as mensalidades de um mês para todas as matrículas com plano.
+   * Com simular, apenas retorna a prévia sem registrar os pagamentos.
+   * Body: { referencia (AAAA-MM, padrão: mês atual), simular }
    */
-  excluirAula: async (req, res) => {
+  gerar: async (req, res) => {
     try {
-      const { id } = req.params;
-
-      // Verificar se a aula existe
-      const { data: aula, error: aulaError } = await supabase
-        .from('aulas_configuradas')
-        .select('*')
-        .eq('id', id)
-        .single();
+      const referencia = req.body.referencia || Utils.formatDate(new Date()).slice(0, 7);
+      const simular = req.body.simular === true;
 
-      if (aulaError) throw aulaError;
-      if (!aula) {
-        return res.status(404).json({ error: 'Aula não encontrada' });
+      if (!Mensalidades.referenciaValida(referencia)) {
+        return res.status(400).json({ error: 'Mês de referência inválido (use AAAA-MM)' });
       }
 
-      // Excluir a aula (as chaves estrangeiras com CASCADE cuidarão dos registros relacionados)
-      const { error } = await supabase
-        .from('aulas_configuradas')
-        .delete()
-        .eq('id', id);
-
-      if (error) throw error;
+      const { pendentes, existentes, sem_plano, isentas } = await Mensalidades.calcular(referencia);
+
+      const geradas = [];
+      if (!simular) {
+        for (const mensalidade of pendentes) {
+          try {
+            const pagamento = await db.insert('pagamentos', {
+              aluno_id: mensalidade.aluno_id,
+              aula_id: mensalidade.aula_id,
+              referencia,
+              valor: mensalidade.valor,
+              data_vencimento: mensalidade.data_vencimento
+            });
+            for (const item of mensalidade.itens) {
+              await db.insert('pagamentos_itens', { pagamento_id: pagamento.id, ...item });
+            }
+            geradas.push({ ...mensalidade, pagamento_id: pagamento.id });
+          } catch (err) {
+            // Outra execução gerou a mesma mensalidade nesse meio tempo
+            const existente = await db.findOne('pagamentos', {
+              aluno_id: mensalidade.aluno_id, aula_id: mensalidade.aula_id, referencia
+            });
+            if (!existente) throw err;
+            existentes.push({ ...mensalidade, pagamento_id: existente.id, status: existente.status });
+          }
+        }
+      }
 
-      res.json({ message: 'Aula excluída com sucesso' });
+      const mensalidades = simular ? pendentes : geradas;
+      res.status(simular ? 200 : 201).json({
+        message: simular
+          ? `Prévia: ${mensalidades.length} mensalidade(s) a gerar para ${referencia}`
+          : `${mensalidades.length} mensalidade(s) gerada(s) para ${referencia}`,
+        referencia,
+        simulacao: simular,
+        mensalidades,
+        total: Math.round(mensalidades.reduce((soma, m) => soma + m.valor, 0) * 100) / 100,
+        existentes,
+        sem_plano,
+        isentas
+      });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  },
+  }
+};
 
-  /**
-   * Gera o agendamento de aulas com base na configuração
-   */
-  gerarAgendamento: async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { semanas } = req.body; // Número de semanas a gerar
+// ==============================================================
+// ROTAS PARA PLANOS E MENSALIDADES
+// ==============================================================
 
-      // Verificar se a aula existe
-      const { data: aula, error: aulaError } = await supabase
-        .from('aulas_configuradas')
-        .select('*')
-        .eq('id', id)
-        .single();
+const planosHandlers = GenericHandlers.create(
+  'plano', 'planos_mensalidade',
+  ['nome', 'instrumento', 'aulas_por_semana', 'valor', 'dia_vencimento'],
+  {
+    nome: { required: true, type: 'string' },
+    instrumento: { type: 'string' },
+    aulas_por_semana: { required: true, type: 'number', min: 1, max: 7 },
+    valor: { required: true, type: 'number', min: 0.01 },
+    dia_vencimento: { required: true, type: 'number', min: 1, max: 28 }
+  }
+);
 
-      if (aulaError) throw aulaError;
-      if (!aula) {
-        return res.status(404).json({ error: 'Aula não encontrada' });
-      }
+app.get('/api/planos', AuthMiddleware.autorizar('planos:ler'), planosHandlers.getAll);
+app.get('/api/planos/:id', AuthMiddleware.autorizar('planos:ler'), planosHandlers.getById);
+app.post('/api/planos', AuthMiddleware.autorizar('planos:gerenciar'), planosHandlers.create);
+app.put('/api/planos/:id', AuthMiddleware.autorizar('planos:gerenciar'), planosHandlers.update);
+app.delete('/api/planos/:id', AuthMiddleware.autorizar('planos:gerenciar'), planosHandlers.delete);
+const familiasHandlers = GenericHandlers.create(
+  'família', 'familias',
+  ['nome'],
+  {
+    nome: { required: true, type: 'string' }
+  }
+);
 
-      // Obter dias da semana configurados
-      const { data: dias, error: diasError } = await supabase
-        .from('aulas_dias_semana')
-        .select('dia_semana')
-        .eq('aula_id', id);
+const descontosHandlers = GenericHandlers.create(
+  'desconto', 'descontos',
+  ['nome', 'tipo', 'valor', 'aluno_id', 'familia_id', 'minimo_alunos', 'data_inicio', 'data_fim'],
+  {
+    nome: { required: true, type: 'string' },
+    tipo: { required: true, type: 'string' },
+    valor: { required: true, type: 'number', min: 0.01 },
+    minimo_alunos: { type: 'number', min: 1 }
+  }
+);
 
-      if (diasError) throw diasError;
-      const dias_semana = dias.map(d => d.dia_semana);
+/**
+ * Valida as regras de desconto que o CRUD genérico não cobre: tipo,
+ * percentual até 100, aluno ou família (não ambos) e vigência. Campos
+ * opcionais vazios viram null.
+ */
+const validarDesconto = async (req, res, next) => {
+  try {
+    ['aluno_id', 'familia_id', 'data_inicio', 'data_fim'].forEach(campo => {
+      if (req.body[campo] === '') req.body[campo] = null;
+    });
 
-      if (dias_semana.length === 0) {
-        return res.status(400).json({ error: 'Aula não possui dias da semana configurados' });
+    const atual = req.params.id ? await db.findOne('descontos', { id: req.params.id }) : {};
+    if (!atual) {
+      return res.status(404).json({ error: 'desconto não encontrado' });
+    }
+    const desconto = { ...atual, ...Utils.filterObject(req.body, ['tipo', 'valor', 'aluno_id', 'familia_id', 'data_inicio', 'data_fim']) };
+
+    if (desconto.tipo !== undefined && !TIPOS_DESCONTO.includes(desconto.tipo)) {
+      return res.status(400).json({ error: `Tipo deve ser um de: ${TIPOS_DESCONTO.join(', ')}` });
+    }
+    if (desconto.tipo === 'percentual' && Number(desconto.valor) > 100) {
+      return res.status(400).json({ error: 'Desconto percentual não pode passar de 100%' });
+    }
+    if (desconto.aluno_id && desconto.familia_id) {
+      return res.status(400).json({ error: 'O desconto é de um aluno ou de uma família, não dos dois' });
+    }
+    if (desconto.aluno_id && !await db.findOne('alunos', { id: desconto.aluno_id })) {
+      return res.status(404).json({ error: 'Aluno não encontrado' });
+    }
+    if (desconto.familia_id && !await db.findOne('familias', { id: desconto.familia_id })) {
+      return res.status(404).json({ error: 'Família não encontrada' });
+    }
+    for (const campo of ['data_inicio', 'data_fim']) {
+      if (desconto[campo] && !Utils.isDate(desconto[campo])) {
+        return res.status(400).json({ error: `O campo ${campo} deve ser uma data (AAAA-MM-DD)` });
       }
+    }
+    if (desconto.data_inicio && desconto.data_fim && desconto.data_fim < desconto.data_inicio) {
+      return res.status(400).json({ error: 'A data final não pode ser anterior à inicial' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
 
-      const dataInicio = new Date(aula.data_inicio);
-      const agendamentos = [];
+app.get('/api/familias', AuthMiddleware.autorizar('familias:ler'), familiasHandlers.getAll);
+app.get('/api/familias/:id', AuthMiddleware.autorizar('familias:ler'), familiasHandlers.getById);
+app.post('/api/familias', AuthMiddleware.autorizar('familias:gerenciar'), familiasHandlers.create);
+app.put('/api/familias/:id', AuthMiddleware.autorizar('familias:gerenciar'), familiasHandlers.update);
+app.delete('/api/familias/:id', AuthMiddleware.autorizar('familias:gerenciar'), familiasHandlers.delete);
+app.get('/api/descontos', AuthMiddleware.autorizar('descontos:ler'), descontosHandlers.getAll);
+app.get('/api/descontos/:id', AuthMiddleware.autorizar('descontos:ler'), descontosHandlers.getById);
+app.post('/api/descontos', AuthMiddleware.autorizar('descontos:gerenciar'), validarDesconto, descontosHandlers.create);
+app.put('/api/descontos/:id', AuthMiddleware.autorizar('descontos:gerenciar'), validarDesconto, descontosHandlers.update);
+app.delete('/api/descontos/:id', AuthMiddleware.autorizar('descontos:gerenciar'), descontosHandlers.delete);
+app.put('/api/aulas/:aulaId/alunos/:alunoId/plano', AuthMiddleware.autorizar('financeiro:gerenciar'), MensalidadesHandlers.definirPlano);
+app.post('/api/financeiro/mensalidades', AuthMiddleware.autorizar('financeiro:gerenciar'), MensalidadesHandlers.gerar);
 
-      // Gerar agendamentos para as próximas semanas
-      for (let semana = 0; semana < (semanas || 4); semana++) {
-        for (const dia of dias_semana) {
-          // Calcular data da aula (dia da semana + semana)
-          const dataAula = new Date(dataInicio);
-          const diffDias = (dia - dataAula.getDay() + 7) % 7 + (semana * 7);
-          dataAula.setDate(dataAula.getDate() + diffDias);
-
-          // Verificar se já existe agendamento para esta data
-          const { data: existe } = await supabase
-            .from('aulas_agendadas')
-            .select('id')
-            .eq('aula_configurada_id', id)
-            .eq('data_aula', dataAula.toISOString().split('T')[0])
-            .single();
-
-          if (!existe) {
-            // Inserir agendamento
-            const { data: result, error: insertError } = await supabase
-              .from('aulas_agendadas')
-              .insert({
-                aula_configurada_id: id,
-                data_aula: dataAula.toISOString().split('T')[0]
-              })
-              .select()
-              .single();
-
-            if (insertError) throw insertError;
-            agendamentos.push({ id: result.id, data_aula: dataAula.toISOString().split('T')[0] });
-          }
-        }
-      }
+// ==============================================================
+// HANDLERS PARA FECHAMENTO DE REPASSES
+// ==============================================================
+
+/**
+ * Fechamento mensal do repasse: reúne os itens de repasse ainda não fechados
+ * dos pagamentos quitados até o fim do mês. Itens quitados depois de um
+ * fechamento entram no fechamento seguinte do professor.
+ */
+const Fechamentos = {
+  /**
+   * Obtém o fechamento que bloqueia um pagamento, se algum item do seu
+   * repasse já foi fechado
+   * @param {number|string} pagamentoId - ID do pagamento
+   * @returns {Promise<Object|null>} Registro de fechamentos_repasse
+   */
+  doPagamento: async (pagamentoId) => {
+    const itens = await db.findAll('repasses_itens', { where: { pagamento_id: pagamentoId } });
+    const fechados = itens.filter(i => i.fechamento_id);
+    if (fechados.length === 0) return null;
+    return db.findOne('fechamentos_repasse', { id: fechados[0].fechamento_id });
+  },
 
-      res.json({
-        message: `Agendamento gerado para ${agendamentos.length} aulas`,
-        agendamentos
+  /**
+   * Monta o extrato de itens de repasse: pagamento, aluno, aula e as aulas
+   * do mês cobrado dadas pelo professor
+   * @param {Array} itens - Registros de repasses_itens de um professor
+   * @returns {Promise<Array>} Itens com pagamento, aluno_nome, instrumento e aulas_dadas
+   */
+  extrato: async (itens) => {
+    const pagamentos = await db.findAll('pagamentos', {
+      where: { id: [...new Set(itens.map(i => i.pagamento_id))] }
+    });
+    const alunos = await db.findAll('alunos', {
+      where: { id: [...new Set(pagamentos.map(p => p.aluno_id))] }
+    });
+    const aulas = await db.findAll('aulas_configuradas', {
+      where: { id: [...new Set(itens.map(i => i.aula_id).filter(Boolean))] }
+    });
+
+    const extrato = [];
+    for (const item of itens) {
+      const pagamento = pagamentos.find(p => p.id === item.pagamento_id) || {};
+      const mes = pagamento.referencia || String(pagamento.data_vencimento).slice(0, 7);
+
+      // Aulas realizadas no mês cobrado por quem recebeu o item
+      const aulasDadas = item.aula_id && item.aulas > 0
+        ? (await db.findAll('aulas_agendadas', {
+          where: {
+            aula_configurada_id: item.aula_id,
+            data_aula: { gte: `${mes}-01`, lte: `${mes}-31` },
+            status: 'realizada'
+          },
+          order: [{ column: 'data_aula' }]
+        })).filter(a => item.substituicao
+          ? Permissoes.mesmoId(a.professor_substituto_id, item.professor_id)
+          : !a.professor_substituto_id)
+        : [];
+
+      extrato.push({
+        ...item,
+        valor: Number(item.valor),
+        aluno_id: pagamento.aluno_id,
+        aluno_nome: alunos.find(a => a.id === pagamento.aluno_id)?.nome || null,
+        instrumento: aulas.find(a => a.id === item.aula_id)?.instrumento || null,
+        referencia: mes,
+        data_pagamento: pagamento.data_pagamento,
+        valor_pagamento: pagamento.valor,
+        aulas_dadas: aulasDadas.map(a => ({ id: a.id, data_aula: a.data_aula, hora_inicio: a.hora_inicio }))
       });
-    } catch (err) {
-      res.status(500).json({ error: err.message });
     }
+
+    return extrato.sort((a, b) => String(a.data_pagamento).localeCompare(String(b.data_pagamento)));
   },
 
   /**
-   * Obtém o agendamento de aulas para um período
+   * Lista os itens de repasse de um professor ainda não fechados, de
+   * pagamentos quitados até o fim do mês de referência
+   * @param {number|string} professorId - ID do professor
+   * @param {string} referencia - Mês (AAAA-MM)
+   * @returns {Promise<Array>} Registros de repasses_itens
    */
-  obterAgendamento: async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { data_inicio, data_fim } = req.query;
-
-      let query = supabase
-        .from('aulas_agendadas')
-        .select('*, aulas_reagendamentos(nova_data, motivo)')
-        .eq('aula_configurada_id', id);
-
-      if (data_inicio && data_fim) {
-        query = query.gte('data_aula', data_inicio).lte('data_aula', data_fim);
+  pendentes: async (professorId, referencia) => {
+    const itens = (await db.findAll('repasses_itens', { where: { professor_id: professorId } }))
+      .filter(i => !i.fechamento_id);
+    const pagos = await db.findAll('pagamentos', {
+      where: {
+        id: [...new Set(itens.map(i => i.pagamento_id))],
+        status: 'pago',
+        data_pagamento: { lte: `${referencia}-31` }
       }
+    });
+    return itens.filter(i => pagos.some(p => p.id === i.pagamento_id));
+  },
+
+  total: (itens) => Math.round(itens.reduce((soma, i) => soma + Number(i.valor), 0) * 100) / 100
+};
 
-      query = query.order('data_aula');
+const FechamentosHandlers = {
+  /**
+   * Lista os fechamentos de repasse de um professor, do mais recente ao mais antigo
+   */
+  listar: async (req, res) => {
+    try {
+      const { professorId } = req.params;
 
-      const { data: agendamentos, error } = await query;
+      const professor = await db.findOne('professores', { id: professorId });
+      if (!professor) {
+        return res.status(404).json({ error: 'Professor não encontrado' });
+      }
 
-      if (error) throw error;
+      const fechamentos = await db.findAll('fechamentos_repasse', {
+        where: { professor_id: professorId },
+        order: [{ column: 'referencia', ascending: false }]
+      });
 
-      res.json({ agendamentos });
+      res.json({ professor_nome: professor.nome, fechamentos });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
-  obterUmAgendamento: async (req, res) => {
+  /**
+   * Obtém o extrato de um fechamento: pagamentos, alunos e aulas que
+   * compõem o repasse
+   */
+  obter: async (req, res) => {
     try {
-      const { id } = req.params;
-
-      const { data: agendamento, error } = await supabase
-        .from('aulas_agendadas')
-        .select(`
-          *,
-          aulas_configuradas(instrumento, professores(nome))
-        `)
-        .eq('id', id)
-        .single();
-
-      if (error) throw error;
-      if (!agendamento) {
-        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      const fechamento = await db.findOne('fechamentos_repasse', { id: req.params.id });
+      if (!fechamento) {
+        return res.status(404).json({ error: 'Fechamento não encontrado' });
       }
 
+      const professor = await db.findOne('professores', { id: fechamento.professor_id });
+      const itens = await db.findAll('repasses_itens', { where: { fechamento_id: fechamento.id } });
+
       res.json({
-        ...agendamento,
-        instrumento: agendamento.aulas_configuradas.instrumento,
-        professor_nome: agendamento.aulas_configuradas.professores.nome
+        ...fechamento,
+        professor_nome: professor ? professor.nome : null,
+        itens: await Fechamentos.extrato(itens)
       });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -922,152 +6323,128 @@ const AulasHandlers = {
   },
 
   /**
-   * Cancela uma aula agendada
+   * Fecha o repasse de um professor no mês, ou mostra a prévia com simular.
+   * Os pagamentos incluídos ficam bloqueados para alteração e estorno.
+   * Body: { referencia (AAAA-MM, padrão: mês anterior), simular }
    */
-  cancelarAula: async (req, res) => {
+  fechar: async (req, res) => {
     try {
-      const { id } = req.params;
-      const { motivo } = req.body;
+      const { professorId } = req.params;
+      const hoje = Utils.formatDate(new Date());
+      // Mês anterior: o dia antes do primeiro dia do mês atual, em UTC
+      const mesAnterior = Utils.addDays(`${hoje.slice(0, 7)}-01`, -1).slice(0, 7);
+      const referencia = req.body.referencia || mesAnterior;
+      const simular = req.body.simular === true;
+
+      if (!Mensalidades.referenciaValida(referencia)) {
+        return res.status(400).json({ error: 'Mês de referência inválido (use AAAA-MM)' });
+      }
+      if (referencia > hoje.slice(0, 7)) {
+        return res.status(400).json({ error: 'Não é possível fechar um mês futuro' });
+      }
 
-      // Verificar se o agendamento existe
-      const { data: agendamento, error: agendamentoError } = await supabase
-        .from('aulas_agendadas')
-        .select('*')
-        .eq('id', id)
-        .single();
+      const professor = await db.findOne('professores', { id: professorId });
+      if (!professor) {
+        return res.status(404).json({ error: 'Professor não encontrado' });
+      }
+      if (await db.findOne('fechamentos_repasse', { professor_id: professor.id, referencia })) {
+        return res.status(409).json({ error: `O repasse de ${referencia} já foi fechado` });
+      }
 
-      if (agendamentoError) throw agendamentoError;
-      if (!agendamento) {
-        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      const itens = await Fechamentos.pendentes(professor.id, referencia);
+      const valor_total = Fechamentos.total(itens);
+
+      if (simular) {
+        return res.json({
+          message: `Prévia: ${itens.length} item(ns) de repasse a fechar em ${referencia}`,
+          simulacao: true,
+          professor_id: professor.id,
+          referencia,
+          valor_total,
+          itens: await Fechamentos.extrato(itens)
+        });
       }
 
-      // Atualizar status para cancelada
-      const { error } = await supabase
-        .from('aulas_agendadas')
-        .update({ status: 'cancelada', updated_at: new Date().toISOString() })
-        .eq('id', id);
+      if (itens.length === 0) {
+        return res.status(400).json({ error: `Nenhum repasse a fechar em ${referencia}` });
+      }
 
-      if (error) throw error;
+      let fechamento;
+      try {
+        fechamento = await db.insert('fechamentos_repasse', {
+          professor_id: professor.id,
+          referencia,
+          valor_total,
+          usuario_id: req.usuario.id
+        });
+      } catch (err) {
+        // Outro fechamento do mesmo mês foi criado nesse meio tempo
+        if (await db.findOne('fechamentos_repasse', { professor_id: professor.id, referencia })) {
+          return res.status(409).json({ error: `O repasse de ${referencia} já foi fechado` });
+        }
+        throw err;
+      }
+      await db.update('repasses_itens', { id: itens.map(i => i.id) }, { fechamento_id: fechamento.id });
 
-      res.json({ message: 'Aula cancelada com sucesso' });
+      res.status(201).json({
+        message: `Repasse de ${referencia} fechado: ${valor_total.toFixed(2)}`,
+        simulacao: false,
+        ...fechamento,
+        itens: await Fechamentos.extrato(itens.map(i => ({ ...i, fechamento_id: fechamento.id })))
+      });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Reagenda uma aula
+   * Marca o repasse fechado como pago ao professor
+   * Body: { data_pagamento (padrão: hoje) }
    */
-  reagendarAula: async (req, res) => {
+  pagar: async (req, res) => {
     try {
-      const { id } = req.params;
-      const { nova_data, motivo } = req.body;
-
-      // Verificar se o agendamento existe
-      const { data: agendamento, error: agendamentoError } = await supabase
-        .from('aulas_agendadas')
-        .select('*')
-        .eq('id', id)
-        .single();
-
-      if (agendamentoError) throw agendamentoError;
-      if (!agendamento) {
-        return res.status(404).json({ error: 'Agendamento não encontrado' });
+      const fechamento = await db.findOne('fechamentos_repasse', { id: req.params.id });
+      if (!fechamento) {
+        return res.status(404).json({ error: 'Fechamento não encontrado' });
       }
-
-      // Verificar se a nova data é válida
-      if (!nova_data || new Date(nova_data) <= new Date()) {
-        return res.status(400).json({ error: 'Nova data inválida' });
+      if (fechamento.status === 'pago') {
+        return res.status(400).json({ error: 'Repasse já pago' });
       }
 
-      // Registrar o reagendamento
-      const { error: reagendamentoError } = await supabase
-        .from('aulas_reagendamentos')
-        .insert({
-          aula_agendada_id: id,
-          nova_data,
-          motivo
-        });
-
-      if (reagendamentoError) throw reagendamentoError;
-
-      // Atualizar status do agendamento original
-      await supabase
-        .from('aulas_agendadas')
-        .update({ status: 'reagendada', updated_at: new Date().toISOString() })
-        .eq('id', id);
-
-      // Criar novo agendamento para a nova data
-      const { data: result, error: insertError } = await supabase
-        .from('aulas_agendadas')
-        .insert({
-          aula_configurada_id: agendamento.aula_configurada_id,
-          data_aula: nova_data,
-          status: 'agendada'
-        })
-        .select()
-        .single();
-
-      if (insertError) throw insertError;
+      const data_pagamento = req.body.data_pagamento || Utils.formatDate(new Date());
+      if (!Utils.isDate(data_pagamento)) {
+        return res.status(400).json({ error: 'Data de pagamento inválida (use AAAA-MM-DD)' });
+      }
 
-      res.json({
-        message: 'Aula reagendada com sucesso',
-        novo_agendamento_id: result.id
+      await db.update('fechamentos_repasse', { id: fechamento.id }, {
+        status: 'pago',
+        data_pagamento,
+        updated_at: new Date().toISOString()
       });
+
+      res.json({ message: 'Repasse marcado como pago', data_pagamento });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Obtém a agenda semanal
+   * Reabre um fechamento ainda não pago, liberando os pagamentos incluídos
    */
-  obterAgendaSemanal: async (req, res) => {
+  reabrir: async (req, res) => {
     try {
-      const { data_inicio } = req.query;
-
-      // Se não fornecer data_início, usa a segunda-feira da semana atual
-      let inicioSemana;
-      if (data_inicio) {
-        inicioSemana = new Date(data_inicio);
-      } else {
-        inicioSemana = new Date();
-        const dia = inicioSemana.getDay();
-        const diff = inicioSemana.getDate() - dia + (dia === 0 ? -6 : 1);
-        inicioSemana.setDate(diff);
+      const fechamento = await db.findOne('fechamentos_repasse', { id: req.params.id });
+      if (!fechamento) {
+        return res.status(404).json({ error: 'Fechamento não encontrado' });
+      }
+      if (fechamento.status === 'pago') {
+        return res.status(400).json({ error: 'Repasse já pago não pode ser reaberto' });
       }
 
-      // Calcular fim da semana (domingo)
-      const fimSemana = new Date(inicioSemana);
-      fimSemana.setDate(inicioSemana.getDate() + 6);
-
-      const { data: agendamentos, error } = await supabase
-        .from('aulas_agendadas')
-        .select(`
-          *,
-          aulas_configuradas(instrumento, turno, professores(nome, especialidade)),
-          aulas_reagendamentos(nova_data, motivo)
-        `)
-        .gte('data_aula', inicioSemana.toISOString().split('T')[0])
-        .lte('data_aula', fimSemana.toISOString().split('T')[0])
-        .order('data_aula')
-        .order('turno', { foreignTable: 'aulas_configuradas' });
-
-      if (error) throw error;
+      await db.update('repasses_itens', { fechamento_id: fechamento.id }, { fechamento_id: null });
+      await db.remove('fechamentos_repasse', { id: fechamento.id });
 
-      res.json({
-        semana_inicio: inicioSemana.toISOString().split('T')[0],
-        semana_fim: fimSemana.toISOString().split('T')[0],
-        agendamentos: agendamentos.map(a => ({
-          ...a,
-          instrumento: a.aulas_configuradas.instrumento,
-          turno: a.aulas_configuradas.turno,
-          professor_nome: a.aulas_configuradas.professores.nome,
-          professor_especialidade: a.aulas_configuradas.professores.especialidade,
-          nova_data: a.aulas_reagendamentos[0]?.nova_data,
-          motivo: a.aulas_reagendamentos[0]?.motivo
-        }))
-      });
+      res.json({ message: `Fechamento de ${fechamento.referencia} reaberto` });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -1075,225 +6452,232 @@ const AulasHandlers = {
 };
 
 // ==============================================================
-// ROTAS PARA AULAS
+// ROTAS PARA FECHAMENTO DE REPASSES
 // ==============================================================
 
-app.post('/api/aulas/configurar', AulasHandlers.configurar);
-app.get('/api/aulas/configuradas', AulasHandlers.listarConfiguradas);
-app.get('/api/aulas/configuradas/:id', AulasHandlers.obterDetalhes);
-app.post('/api/aulas/:aulaId/alunos/:alunoId', AulasHandlers.vincularAluno);
-app.delete('/api/aulas/:aulaId/alunos/:alunoId', AulasHandlers.desvincularAluno);
-app.get('/api/alunos/:alunoId/aulas', AulasHandlers.obterAulasAluno);
-app.get('/api/professores/:professorId/aulas', AulasHandlers.obterAulasProfessor);
-app.put('/api/aulas/configuradas/:id', AulasHandlers.atualizarAula);
-app.delete('/api/aulas/configuradas/:id', AulasHandlers.excluirAula);
-// Rotas para agendamento de aulas
-app.post('/api/aulas/configuradas/:id/gerar-agendamento', AulasHandlers.gerarAgendamento);
-app.get('/api/aulas/configuradas/:id/agendamento', AulasHandlers.obterAgendamento);
-app.put('/api/aulas/agendadas/:id/cancelar', AulasHandlers.cancelarAula);
-app.put('/api/aulas/agendadas/:id/reagendar', AulasHandlers.reagendarAula);
-app.get('/api/aulas/agenda-semanal', AulasHandlers.obterAgendaSemanal);
-app.get('/api/aulas/agendadas/:id', AulasHandlers.obterUmAgendamento);
+app.get('/api/professores/:professorId/fechamentos', AuthMiddleware.autorizar('repasses:ler', { proprio: Permissoes.proprioProfessor('professorId') }), FechamentosHandlers.listar);
+app.post('/api/professores/:professorId/fechamentos', AuthMiddleware.autorizar('financeiro:gerenciar'), FechamentosHandlers.fechar);
+app.get('/api/fechamentos/:id', AuthMiddleware.autorizar('repasses:ler', { proprio: Permissoes.fechamentoProprio }), FechamentosHandlers.obter);
+app.post('/api/fechamentos/:id/pagar', AuthMiddleware.autorizar('financeiro:gerenciar'), FechamentosHandlers.pagar);
+app.delete('/api/fechamentos/:id', AuthMiddleware.autorizar('financeiro:gerenciar'), FechamentosHandlers.reabrir);
 
 // ==============================================================
-// HANDLERS PARA FINANCEIRO
+// ROTAS DE RELATÓRIOS
 // ==============================================================
 
-const FinanceiroHandlers = {
+app.get('/api/relatorios/resumo', AuthMiddleware.autorizar('relatorios:ler'), async (req, res) => {
+  try {
+    // Total de alunos
+    const totalAlunos = await db.count('alunos');
+
+    // Total de professores
+    const totalProfessores = await db.count('professores');
+
+    // Total de aulas configuradas (sem as avulsas)
+    const totalAulasConfiguradas = await db.count('aulas_configuradas', { avulsa: false });
+
+    // Receita mensal: recebimentos do mês (inclusive parciais, multa e juros)
+    // menos os estornos feitos no mês
+    const mes = Utils.formatDate(new Date()).slice(0, 7);
+    const firstDayOfMonth = `${mes}-01`;
+    const lastDayOfMonth = Utils.addDays(Utils.addDays(firstDayOfMonth, 31).slice(0, 7) + '-01', -1);
+
+    const transacoes = await db.findAll('pagamentos_transacoes', {
+      where: { data: { gte: firstDayOfMonth, lte: lastDayOfMonth } }
+    });
+
+    const receitaMensal = Math.round(transacoes.reduce(
+      (total, t) => total + (t.tipo === 'estorno' ? -1 : 1) * Number(t.valor), 0
+    ) * 100) / 100;
+
+    res.json({
+      totalAlunos,
+      totalProfessores,
+      totalAulasConfiguradas,
+      receitaMensal
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==============================================================
+// HANDLERS PARA USUÁRIOS
+// ==============================================================
+
+const UsuariosHandlers = {
+  /**
+   * Valida perfil e vínculos de um usuário
+   * @param {Object} dados - Dados já mesclados do usuário
+   * @returns {Promise<string|null>} Mensagem de erro ou null
+   */
+  validarPerfil: async (dados) => {
+    if (!PERMISSOES[dados.role]) {
+      return `Perfil deve ser um de: ${Object.keys(PERMISSOES).join(', ')}`;
+    }
+
+    if (dados.role === 'professor') {
+      if (!dados.professor_id || !await db.findOne('professores', { id: dados.professor_id })) {
+        return 'Usuários com perfil professor devem estar vinculados a um professor';
+      }
+    }
+
+    if (dados.role === 'aluno') {
+      if (!dados.aluno_id || !await db.findOne('alunos', { id: dados.aluno_id })) {
+        return 'Usuários com perfil aluno devem estar vinculados a um aluno';
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Normaliza os dados recebidos do formulário
+   * @param {Object} body - Corpo da requisição
+   * @returns {Object} Campos permitidos, com vínculos vazios convertidos em null
+   */
+  normalizar: (body) => {
+    const dados = Utils.filterObject(body, ['nome', 'email', 'role', 'professor_id', 'aluno_id', 'ativo']);
+
+    if (dados.email !== undefined) dados.email = String(dados.email).trim().toLowerCase();
+    if (typeof dados.ativo === 'string') dados.ativo = dados.ativo === 'true';
+    ['professor_id', 'aluno_id'].forEach(campo => {
+      if (dados[campo] === '') dados[campo] = null;
+    });
+
+    return dados;
+  },
+
   /**
-   * Lista todos os pagamentos
+   * Lista todos os usuários
    */
   listar: async (req, res) => {
     try {
-      const { data: pagamentos, error } = await supabase
-        .from('pagamentos')
-        .select('*, alunos(nome)')
-        .order('data_vencimento', { ascending: false });
+      const usuarios = await db.findAll('usuarios', { order: [{ column: 'nome' }] });
 
-      if (error) throw error;
-
-      res.json(pagamentos.map(p => ({
-        ...p,
-        aluno_nome: p.alunos.nome
-      })));
+      res.json({
+        usuarios: usuarios.map(u => ({ ...Auth.dadosPublicos(u), ativo: u.ativo }))
+      });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Obtém um pagamento específico
+   * Obtém um usuário específico
    */
   obter: async (req, res) => {
     try {
-      const { id } = req.params;
-      const { data: pagamento, error } = await supabase
-        .from('pagamentos')
-        .select('*, alunos(nome)')
-        .eq('id', id)
-        .single();
-
-      if (error) throw error;
-      if (!pagamento) {
-        return res.status(404).json({ error: 'Pagamento não encontrado' });
+      const usuario = await db.findOne('usuarios', { id: req.params.id });
+      if (!usuario) {
+        return res.status(404).json({ error: 'Usuário não encontrado' });
       }
 
-      res.json({
-        ...pagamento,
-        aluno_nome: pagamento.alunos.nome
-      });
+      res.json({ ...Auth.dadosPublicos(usuario), ativo: usuario.ativo });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Cria um novo pagamento
+   * Cria um novo usuário
    */
   criar: async (req, res) => {
     try {
-      const { aluno_id, valor, data_vencimento } = req.body;
+      const dados = UsuariosHandlers.normalizar(req.body);
+      const { senha } = req.body;
+
+      const validationErrors = Utils.validateData({ ...dados, senha }, {
+        nome: { required: true, type: 'string' },
+        email: { required: true, type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+        senha: { required: true, type: 'string' },
+        role: { required: true, type: 'string' }
+      });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ errors: validationErrors });
+      }
 
-      // Validações
-      if (!aluno_id || !valor || !data_vencimento) {
-        return res.status(400).json({ error: 'Aluno, valor e data de vencimento são obrigatórios' });
+      if (senha.length < 8) {
+        return res.status(400).json({ error: 'A senha deve ter pelo menos 8 caracteres' });
       }
 
-      if (valor <= 0) {
-        return res.status(400).json({ error: 'O valor deve ser maior que zero' });
+      const erroPerfil = await UsuariosHandlers.validarPerfil(dados);
+      if (erroPerfil) {
+        return res.status(400).json({ error: erroPerfil });
       }
 
-      const { data: result, error } = await supabase
-        .from('pagamentos')
-        .insert({
-          aluno_id,
-          valor,
-          data_vencimento
-        })
-        .select();
+      if (await db.findOne('usuarios', { email: dados.email })) {
+        return res.status(400).json({ error: 'Já existe um usuário com este e-mail' });
+      }
 
-      if (error) throw error;
+      const usuario = await db.insert('usuarios', {
+        ...dados,
+        senha_hash: await Auth.hashSenha(senha)
+      });
 
-      res.status(201).json({ id: result[0].id, message: 'Pagamento registrado com sucesso' });
+      res.status(201).json({ id: usuario.id, message: 'Usuário criado com sucesso' });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Atualiza um pagamento
+   * Atualiza um usuário (a senha só é alterada quando informada)
    */
   atualizar: async (req, res) => {
     try {
       const { id } = req.params;
-      const { aluno_id, valor, data_vencimento, status, data_pagamento, valor_repasse } = req.body;
-
-      // Verificar se o pagamento existe
-      const { data: pagamento, error: pagamentoError } = await supabase
-        .from('pagamentos')
-        .select('*')
-        .eq('id', id)
-        .single();
 
-      if (pagamentoError) throw pagamentoError;
-      if (!pagamento) {
-        return res.status(404).json({ error: 'Pagamento não encontrado' });
+      const usuario = await db.findOne('usuarios', { id });
+      if (!usuario) {
+        return res.status(404).json({ error: 'Usuário não encontrado' });
       }
 
-      const updates = {};
-      if (aluno_id !== undefined) updates.aluno_id = aluno_id;
-      if (valor !== undefined) updates.valor = valor;
-      if (data_vencimento !== undefined) updates.data_vencimento = data_vencimento;
-      if (status !== undefined) updates.status = status;
-      if (data_pagamento !== undefined) updates.data_pagamento = data_pagamento;
-      if (valor_repasse !== undefined) updates.valor_repasse = valor_repasse;
+      const dados = UsuariosHandlers.normalizar(req.body);
+      const { senha } = req.body;
 
-      if (Object.keys(updates).length === 0) {
-        return res.status(400).json({ error: 'Nenhum campo válido para atualização' });
+      if (senha) {
+        if (senha.length < 8) {
+          return res.status(400).json({ error: 'A senha deve ter pelo menos 8 caracteres' });
+        }
+        dados.senha_hash = await Auth.hashSenha(senha);
       }
 
-      const { error } = await supabase
-        .from('pagamentos')
-        .update({ ...updates, updated_at: new Date().toISOString() })
-        .eq('id', id);
-
-      if (error) throw error;
+      if (Object.keys(dados).length === 0) {
+        return res.status(400).json({ error: 'Nenhum campo válido para atualização' });
+      }
 
-      res.json({ message: 'Pagamento atualizado com sucesso' });
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
-  },
+      const erroPerfil = await UsuariosHandlers.validarPerfil({ ...usuario, ...dados });
+      if (erroPerfil) {
+        return res.status(400).json({ error: erroPerfil });
+      }
 
-  /**
-   * Exclui um pagamento
-   */
-  excluir: async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { error } = await supabase
-        .from('pagamentos')
-        .delete()
-        .eq('id', id);
+      if (Permissoes.mesmoId(id, req.usuario.id) && (dados.role && dados.role !== usuario.role || dados.ativo === false)) {
+        return res.status(400).json({ error: 'Não é possível alterar o próprio perfil ou desativar a própria conta' });
+      }
 
-      if (error) throw error;
+      await db.update('usuarios', { id }, { ...dados, updated_at: new Date().toISOString() });
 
-      res.json({ message: 'Pagamento excluído com sucesso' });
+      res.json({ message: 'Usuário atualizado com sucesso' });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 
   /**
-   * Processa um pagamento
+   * Exclui um usuário
    */
-  processarPagamento: async (req, res) => {
+  excluir: async (req, res) => {
     try {
       const { id } = req.params;
-      const { data_pagamento } = req.body;
-
-      // Obter informações do pagamento e do aluno
-      const { data: pagamento, error: pagamentoError } = await supabase
-        .from('pagamentos')
-        .select('*, alunos(nome)')
-        .eq('id', id)
-        .single();
 
-      if (pagamentoError) throw pagamentoError;
-      if (!pagamento) {
-        return res.status(404).json({ error: 'Pagamento não encontrado' });
-      }
-
-      // Obter a aula relacionada a este aluno para calcular o repasse
-      const { data: aula, error: aulaError } = await supabase
-        .from('aulas_alunos')
-        .select(`
-          aulas_configuradas(professor_id),
-          professores(porcentagem_repassa)
-        `)
-        .eq('aluno_id', pagamento.aluno_id)
-        .limit(1)
-        .single();
-
-      let valor_repasse = 0;
-      if (aula && aula.professores.porcentagem_repassa) {
-        valor_repasse = pagamento.valor * (aula.professores.porcentagem_repassa / 100);
+      if (Permissoes.mesmoId(id, req.usuario.id)) {
+        return res.status(400).json({ error: 'Não é possível excluir o próprio usuário' });
       }
 
-      // Atualizar o pagamento
-      const { error } = await supabase
-        .from('pagamentos')
-        .update({
-          status: 'pago',
-          data_pagamento: data_pagamento || new Date().toISOString(),
-          valor_repasse,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id);
-
-      if (error) throw error;
+      await db.remove('usuarios', { id });
 
-      res.json({ message: 'Pagamento processado com sucesso', valor_repasse });
+      res.json({ message: 'Usuário excluído com sucesso' });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -1301,69 +6685,14 @@ const FinanceiroHandlers = {
 };
 
 // ==============================================================
-// ROTAS PARA FINANCEIRO
-// ==============================================================
-
-app.get('/api/financeiro', FinanceiroHandlers.listar);
-app.get('/api/financeiro/:id', FinanceiroHandlers.obter);
-app.post('/api/financeiro', FinanceiroHandlers.criar);
-app.put('/api/financeiro/:id', FinanceiroHandlers.atualizar);
-app.delete('/api/financeiro/:id', FinanceiroHandlers.excluir);
-app.post('/api/financeiro/:id/pagar', FinanceiroHandlers.processarPagamento);
-
-// ==============================================================
-// ROTAS DE RELATÓRIOS
+// ROTAS PARA USUÁRIOS
 // ==============================================================
 
-app.get('/api/relatorios/resumo', async (req, res) => {
-  try {
-    // Total de alunos
-    const { count: totalAlunos, error: alunosError } = await supabase
-      .from('alunos')
-      .select('*', { count: 'exact', head: true });
-
-    if (alunosError) throw alunosError;
-
-    // Total de professores
-    const { count: totalProfessores, error: professoresError } = await supabase
-      .from('professores')
-      .select('*', { count: 'exact', head: true });
-
-    if (professoresError) throw professoresError;
-
-    // Total de aulas configuradas
-    const { count: totalAulasConfiguradas, error: aulasError } = await supabase
-      .from('aulas_configuradas')
-      .select('*', { count: 'exact', head: true });
-
-    if (aulasError) throw aulasError;
-
-    // Receita mensal
-    const now = new Date();
-    const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
-    const lastDayOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString().split('T')[0];
-
-    const { data: receita, error: receitaError } = await supabase
-      .from('pagamentos')
-      .select('valor')
-      .eq('status', 'pago')
-      .gte('data_pagamento', firstDayOfMonth)
-      .lte('data_pagamento', lastDayOfMonth);
-
-    if (receitaError) throw receitaError;
-
-    const receitaMensal = receita.reduce((total, p) => total + p.valor, 0);
-
-    res.json({
-      totalAlunos,
-      totalProfessores,
-      totalAulasConfiguradas,
-      receitaMensal
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+app.get('/api/usuarios', AuthMiddleware.autorizar('usuarios:gerenciar'), UsuariosHandlers.listar);
+app.get('/api/usuarios/:id', AuthMiddleware.autorizar('usuarios:gerenciar'), UsuariosHandlers.obter);
+app.post('/api/usuarios', AuthMiddleware.autorizar('usuarios:gerenciar'), UsuariosHandlers.criar);
+app.put('/api/usuarios/:id', AuthMiddleware.autorizar('usuarios:gerenciar'), UsuariosHandlers.atualizar);
+app.delete('/api/usuarios/:id', AuthMiddleware.autorizar('usuarios:gerenciar'), UsuariosHandlers.excluir);
 
 // ==============================================================
 // MIDDLEWARE DE ERRO E ROTAS FINAIS
@@ -1391,10 +6720,15 @@ app.get('/', (req, res) => {
 
 module.exports = app;
 
+// Banco e regras financeiras, expostos para os testes automatizados
+module.exports.internos = { db, Atrasos, Pix, Repasses, Mensalidades };
+
 // Se não estivermos na Vercel, iniciamos o servidor normalmente
 if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`Servidor rodando na porta ${PORT}`);
     console.log(`Acesse: http://localhost:${PORT}`);
   });
+
+  db.connect().then(AgendaScheduler.iniciar).catch(() => {});
 }
\ No newline at end of file
@@ -0,0 +1,3 @@
+-- Vínculo dos usuários com professores e alunos (controle de acesso por perfil)
+ALTER TABLE usuarios ADD COLUMN professor_id BIGINT REFERENCES professores(id) ON DELETE SET NULL;
+ALTER TABLE usuarios ADD COLUMN aluno_id BIGINT REFERENCES alunos(id) ON DELETE SET NULL;
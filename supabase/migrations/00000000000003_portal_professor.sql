@@ -0,0 +1,18 @@
+-- Professor creditado pelo repasse de cada pagamento
+ALTER TABLE pagamentos ADD COLUMN professor_id BIGINT REFERENCES professores(id) ON DELETE SET NULL;
+
+-- Solicitações de cancelamento e reagendamento feitas por professores e alunos
+CREATE TABLE aulas_solicitacoes (
+  id BIGSERIAL PRIMARY KEY,
+  aula_agendada_id BIGINT NOT NULL REFERENCES aulas_agendadas(id) ON DELETE CASCADE,
+  usuario_id BIGINT REFERENCES usuarios(id) ON DELETE SET NULL,
+  tipo TEXT NOT NULL CHECK (tipo IN ('cancelamento', 'reagendamento')),
+  nova_data DATE,
+  motivo TEXT,
+  status TEXT DEFAULT 'pendente' CHECK (status IN ('pendente', 'aprovada', 'rejeitada')),
+  resposta TEXT,
+  resolvido_por BIGINT REFERENCES usuarios(id) ON DELETE SET NULL,
+  resolvido_em TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
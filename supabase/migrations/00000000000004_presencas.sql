@@ -0,0 +1,12 @@
+-- Presença de cada aluno em cada aula agendada
+CREATE TABLE aulas_presencas (
+  id BIGSERIAL PRIMARY KEY,
+  aula_agendada_id BIGINT NOT NULL REFERENCES aulas_agendadas(id) ON DELETE CASCADE,
+  aluno_id BIGINT NOT NULL REFERENCES alunos(id) ON DELETE CASCADE,
+  status TEXT NOT NULL CHECK (status IN ('presente', 'falta', 'falta_justificada')),
+  observacao TEXT,
+  registrado_por BIGINT REFERENCES usuarios(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(aula_agendada_id, aluno_id)
+);
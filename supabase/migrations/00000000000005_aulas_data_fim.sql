@@ -0,0 +1,2 @@
+-- Data de término opcional das aulas configuradas (NULL = sem data para terminar)
+ALTER TABLE aulas_configuradas ADD COLUMN data_fim DATE;
@@ -0,0 +1,4 @@
+-- Horário de início (HH:MM) e duração em minutos das aulas configuradas
+-- O turno continua sendo gravado, derivado do horário de início
+ALTER TABLE aulas_configuradas ADD COLUMN hora_inicio TEXT;
+ALTER TABLE aulas_configuradas ADD COLUMN duracao INTEGER DEFAULT 60;
@@ -0,0 +1,8 @@
+-- Lista de espera de alunos para aulas que atingiram o limite do professor
+CREATE TABLE aulas_lista_espera (
+  id BIGSERIAL PRIMARY KEY,
+  aula_id BIGINT NOT NULL REFERENCES aulas_configuradas(id) ON DELETE CASCADE,
+  aluno_id BIGINT NOT NULL REFERENCES alunos(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(aula_id, aluno_id)
+);
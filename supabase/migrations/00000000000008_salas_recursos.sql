@@ -0,0 +1,31 @@
+-- Salas onde as aulas acontecem
+CREATE TABLE salas (
+  id BIGSERIAL PRIMARY KEY,
+  nome TEXT NOT NULL UNIQUE,
+  capacidade INTEGER NOT NULL DEFAULT 1 CHECK (capacidade > 0),
+  descricao TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Equipamentos compartilhados entre as aulas (baterias, pianos...)
+CREATE TABLE recursos (
+  id BIGSERIAL PRIMARY KEY,
+  nome TEXT NOT NULL UNIQUE,
+  tipo TEXT,
+  quantidade INTEGER NOT NULL DEFAULT 1 CHECK (quantidade > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Sala de cada aula configurada
+ALTER TABLE aulas_configuradas ADD COLUMN sala_id BIGINT REFERENCES salas(id) ON DELETE SET NULL;
+
+-- Recursos reservados por cada aula configurada
+CREATE TABLE aulas_recursos (
+  id BIGSERIAL PRIMARY KEY,
+  aula_id BIGINT NOT NULL REFERENCES aulas_configuradas(id) ON DELETE CASCADE,
+  recurso_id BIGINT NOT NULL REFERENCES recursos(id) ON DELETE CASCADE,
+  quantidade INTEGER NOT NULL DEFAULT 1 CHECK (quantidade > 0),
+  UNIQUE(aula_id, recurso_id)
+);
@@ -0,0 +1,22 @@
+-- Janelas semanais em que o professor pode dar aula
+-- Professor sem janelas cadastradas é considerado sempre disponível
+CREATE TABLE professores_disponibilidade (
+  id BIGSERIAL PRIMARY KEY,
+  professor_id BIGINT NOT NULL REFERENCES professores(id) ON DELETE CASCADE,
+  dia_semana INTEGER NOT NULL CHECK (dia_semana BETWEEN 0 AND 6),
+  hora_inicio TEXT NOT NULL,
+  hora_fim TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Períodos de ausência do professor (férias, licenças)
+CREATE TABLE professores_bloqueios (
+  id BIGSERIAL PRIMARY KEY,
+  professor_id BIGINT NOT NULL REFERENCES professores(id) ON DELETE CASCADE,
+  data_inicio DATE NOT NULL,
+  data_fim DATE NOT NULL,
+  tipo TEXT DEFAULT 'outro' CHECK (tipo IN ('ferias', 'licenca', 'outro')),
+  motivo TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (data_fim >= data_inicio)
+);
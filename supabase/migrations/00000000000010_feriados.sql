@@ -0,0 +1,12 @@
+-- Calendário escolar: feriados e recessos em que não há aulas
+-- Feriados de um dia têm data_inicio igual a data_fim
+CREATE TABLE feriados (
+  id BIGSERIAL PRIMARY KEY,
+  nome TEXT NOT NULL,
+  data_inicio DATE NOT NULL,
+  data_fim DATE NOT NULL,
+  tipo TEXT DEFAULT 'feriado' CHECK (tipo IN ('nacional', 'feriado', 'recesso')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(data_inicio, nome),
+  CHECK (data_fim >= data_inicio)
+);
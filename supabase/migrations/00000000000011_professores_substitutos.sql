@@ -0,0 +1,12 @@
+-- Professor que substitui o titular em uma aula agendada específica
+ALTER TABLE aulas_agendadas ADD COLUMN professor_substituto_id BIGINT REFERENCES professores(id) ON DELETE SET NULL;
+
+-- Parte do repasse de um pagamento creditada ao substituto de cada aula
+CREATE TABLE repasses_substituicoes (
+  id BIGSERIAL PRIMARY KEY,
+  pagamento_id BIGINT NOT NULL REFERENCES pagamentos(id) ON DELETE CASCADE,
+  aula_agendada_id BIGINT NOT NULL REFERENCES aulas_agendadas(id) ON DELETE CASCADE,
+  professor_id BIGINT NOT NULL REFERENCES professores(id) ON DELETE CASCADE,
+  valor DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
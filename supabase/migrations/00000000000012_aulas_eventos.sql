@@ -0,0 +1,19 @@
+-- Histórico de cada aula agendada: quem cancelou, reagendou, realizou ou
+-- substituiu o professor, quando e por quê
+CREATE TABLE aulas_eventos (
+  id BIGSERIAL PRIMARY KEY,
+  aula_agendada_id BIGINT NOT NULL REFERENCES aulas_agendadas(id) ON DELETE CASCADE,
+  tipo TEXT NOT NULL CHECK (tipo IN ('cancelamento', 'reagendamento', 'criacao', 'realizacao', 'substituicao', 'remocao_substituto')),
+  usuario_id BIGINT REFERENCES usuarios(id) ON DELETE SET NULL,
+  motivo TEXT,
+  nova_data DATE,
+  -- Reagendamento: aula criada na nova data; criação: aula de origem
+  relacionado_id BIGINT REFERENCES aulas_agendadas(id) ON DELETE SET NULL,
+  professor_id BIGINT REFERENCES professores(id) ON DELETE SET NULL,
+  solicitacao_id BIGINT REFERENCES aulas_solicitacoes(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Reagendamentos feitos antes do histórico
+INSERT INTO aulas_eventos (aula_agendada_id, tipo, motivo, nova_data, created_at)
+SELECT aula_agendada_id, 'reagendamento', motivo, nova_data, created_at FROM aulas_reagendamentos;
@@ -0,0 +1,16 @@
+-- Créditos de reposição devidos aos alunos por aulas canceladas
+CREATE TABLE creditos_reposicao (
+  id BIGSERIAL PRIMARY KEY,
+  aluno_id BIGINT NOT NULL REFERENCES alunos(id) ON DELETE CASCADE,
+  -- Aula cancelada que gerou o crédito
+  aula_agendada_id BIGINT NOT NULL REFERENCES aulas_agendadas(id) ON DELETE CASCADE,
+  origem TEXT NOT NULL CHECK (origem IN ('escola', 'aluno')),
+  validade DATE NOT NULL,
+  status TEXT DEFAULT 'disponivel' CHECK (status IN ('disponivel', 'utilizado')),
+  -- Aula extra agendada com o crédito
+  reposicao_id BIGINT REFERENCES aulas_agendadas(id) ON DELETE SET NULL,
+  utilizado_em TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(aluno_id, aula_agendada_id)
+);
@@ -0,0 +1,3 @@
+-- Aulas avulsas (aula experimental, workshop, aula particular): configuração
+-- de uma única data, sem dias da semana, que o agendador não repete
+ALTER TABLE aulas_configuradas ADD COLUMN avulsa BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,26 @@
+-- Interessados em estudar na escola (leads), do primeiro contato à matrícula
+CREATE TABLE leads (
+  id BIGSERIAL PRIMARY KEY,
+  nome TEXT NOT NULL,
+  email TEXT,
+  telefone TEXT,
+  instrumento_interesse TEXT,
+  origem TEXT DEFAULT 'outro' CHECK (origem IN ('site', 'indicacao', 'redes_sociais', 'evento', 'outro')),
+  status TEXT DEFAULT 'novo' CHECK (status IN ('novo', 'experimental', 'convertido', 'perdido')),
+  observacoes TEXT,
+  aluno_id BIGINT REFERENCES alunos(id) ON DELETE SET NULL,
+  convertido_em TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Aulas experimentais dos leads (aulas avulsas) e o resultado de cada uma
+CREATE TABLE leads_aulas_experimentais (
+  id BIGSERIAL PRIMARY KEY,
+  lead_id BIGINT NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  aula_agendada_id BIGINT NOT NULL REFERENCES aulas_agendadas(id) ON DELETE CASCADE,
+  resultado TEXT CHECK (resultado IN ('compareceu', 'faltou')),
+  observacoes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,22 @@
+-- Planos de mensalidade: preço por instrumento e frequência semanal
+-- Plano sem instrumento vale para qualquer instrumento
+CREATE TABLE planos_mensalidade (
+  id BIGSERIAL PRIMARY KEY,
+  nome TEXT NOT NULL UNIQUE,
+  instrumento TEXT,
+  aulas_por_semana INTEGER NOT NULL DEFAULT 1 CHECK (aulas_por_semana BETWEEN 1 AND 7),
+  valor DECIMAL(10,2) NOT NULL CHECK (valor > 0),
+  dia_vencimento INTEGER NOT NULL DEFAULT 10 CHECK (dia_vencimento BETWEEN 1 AND 28),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Plano cobrado em cada matrícula
+ALTER TABLE aulas_alunos ADD COLUMN plano_id BIGINT REFERENCES planos_mensalidade(id) ON DELETE SET NULL;
+
+-- Mensalidades geradas pela cobrança mensal: aula cobrada e mês de referência (AAAA-MM)
+ALTER TABLE pagamentos ADD COLUMN aula_id BIGINT REFERENCES aulas_configuradas(id) ON DELETE SET NULL;
+ALTER TABLE pagamentos ADD COLUMN referencia TEXT;
+
+-- Uma mensalidade por matrícula e mês, mesmo que a cobrança seja executada de novo
+CREATE UNIQUE INDEX pagamentos_mensalidade_unica ON pagamentos (aluno_id, aula_id, referencia);
@@ -0,0 +1,31 @@
+-- Itens de repasse: parte de cada pagamento creditada a cada professor,
+-- proporcional às aulas que ele deu no mês cobrado
+CREATE TABLE repasses_itens (
+  id BIGSERIAL PRIMARY KEY,
+  pagamento_id BIGINT NOT NULL REFERENCES pagamentos(id) ON DELETE CASCADE,
+  professor_id BIGINT NOT NULL REFERENCES professores(id) ON DELETE CASCADE,
+  aula_id BIGINT REFERENCES aulas_configuradas(id) ON DELETE SET NULL,
+  -- Aulas do mês cobrado dadas pelo professor, base da divisão
+  aulas INTEGER NOT NULL DEFAULT 0,
+  -- Aulas dadas como substituto do titular
+  substituicao BOOLEAN NOT NULL DEFAULT FALSE,
+  porcentagem DECIMAL(5,2) NOT NULL,
+  valor DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Repasses dos titulares em pagamentos já processados
+INSERT INTO repasses_itens (pagamento_id, professor_id, aula_id, aulas, substituicao, porcentagem, valor)
+SELECT p.id, p.professor_id, p.aula_id, 0, FALSE, COALESCE(pr.porcentagem_repassa, 0), p.valor_repasse
+FROM pagamentos p
+JOIN professores pr ON pr.id = p.professor_id
+WHERE p.status = 'pago' AND p.valor_repasse > 0;
+
+-- Os créditos dos substitutos passam a ser itens de repasse
+INSERT INTO repasses_itens (pagamento_id, professor_id, aula_id, aulas, substituicao, porcentagem, valor)
+SELECT r.pagamento_id, r.professor_id, a.aula_configurada_id, 1, TRUE, COALESCE(pr.porcentagem_repassa, 0), r.valor
+FROM repasses_substituicoes r
+JOIN aulas_agendadas a ON a.id = r.aula_agendada_id
+JOIN professores pr ON pr.id = r.professor_id;
+
+DROP TABLE repasses_substituicoes;
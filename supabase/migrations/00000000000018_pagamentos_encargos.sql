@@ -0,0 +1,4 @@
+-- Multa e juros cobrados quando o pagamento é registrado depois do vencimento
+-- O status "atrasado" não é gravado: é calculado a partir do vencimento
+ALTER TABLE pagamentos ADD COLUMN valor_multa DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE pagamentos ADD COLUMN valor_juros DECIMAL(10,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,41 @@
+-- Famílias: irmãos e parentes matriculados, para os descontos de família
+CREATE TABLE familias (
+  id BIGSERIAL PRIMARY KEY,
+  nome TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE alunos ADD COLUMN familia_id BIGINT REFERENCES familias(id) ON DELETE SET NULL;
+
+-- Regras de desconto aplicadas na geração das mensalidades (bolsas, irmãos, promoções)
+-- Sem aluno nem família, a regra vale para todas as matrículas no período
+CREATE TABLE descontos (
+  id BIGSERIAL PRIMARY KEY,
+  nome TEXT NOT NULL,
+  tipo TEXT NOT NULL CHECK (tipo IN ('percentual', 'fixo')),
+  valor DECIMAL(10,2) NOT NULL CHECK (valor > 0),
+  aluno_id BIGINT REFERENCES alunos(id) ON DELETE CASCADE,
+  familia_id BIGINT REFERENCES familias(id) ON DELETE CASCADE,
+  -- Descontos de família valem quando a família tem ao menos esse número de alunos cobrados no mês
+  minimo_alunos INTEGER NOT NULL DEFAULT 2 CHECK (minimo_alunos >= 1),
+  -- Vigência (sem datas, a regra vale sempre)
+  data_inicio DATE,
+  data_fim DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (aluno_id IS NULL OR familia_id IS NULL),
+  CHECK (data_fim IS NULL OR data_inicio IS NULL OR data_fim >= data_inicio)
+);
+
+-- Itens de cada pagamento: valor do plano e descontos (valores negativos)
+-- O valor do pagamento é a soma dos itens
+CREATE TABLE pagamentos_itens (
+  id BIGSERIAL PRIMARY KEY,
+  pagamento_id BIGINT NOT NULL REFERENCES pagamentos(id) ON DELETE CASCADE,
+  tipo TEXT NOT NULL CHECK (tipo IN ('mensalidade', 'desconto')),
+  descricao TEXT NOT NULL,
+  desconto_id BIGINT REFERENCES descontos(id) ON DELETE SET NULL,
+  valor DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,27 @@
+-- Recebimentos de cada pagamento (uma cobrança pode ser paga em partes) e estornos
+CREATE TABLE pagamentos_transacoes (
+  id BIGSERIAL PRIMARY KEY,
+  pagamento_id BIGINT NOT NULL REFERENCES pagamentos(id) ON DELETE CASCADE,
+  tipo TEXT NOT NULL DEFAULT 'recebimento' CHECK (tipo IN ('recebimento', 'estorno')),
+  -- Sem forma informada apenas nos pagamentos quitados antes dos recebimentos
+  forma_pagamento TEXT CHECK (forma_pagamento IN ('pix', 'cartao', 'dinheiro', 'boleto')),
+  valor DECIMAL(10,2) NOT NULL CHECK (valor > 0),
+  data DATE NOT NULL,
+  -- Recebimento desfeito por um estorno
+  estorno_de BIGINT REFERENCES pagamentos_transacoes(id) ON DELETE CASCADE,
+  observacoes TEXT,
+  usuario_id BIGINT REFERENCES usuarios(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Total recebido, descontados os estornos
+ALTER TABLE pagamentos ADD COLUMN valor_recebido DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Pagamentos já quitados viram um recebimento do valor integral
+INSERT INTO pagamentos_transacoes (pagamento_id, tipo, valor, data)
+SELECT id, 'recebimento', valor + valor_multa + valor_juros, data_pagamento
+FROM pagamentos
+WHERE status = 'pago' AND data_pagamento IS NOT NULL AND valor > 0;
+
+UPDATE pagamentos SET valor_recebido = valor + valor_multa + valor_juros
+WHERE status = 'pago' AND data_pagamento IS NOT NULL AND valor > 0;
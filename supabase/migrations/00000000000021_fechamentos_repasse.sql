@@ -0,0 +1,18 @@
+-- Fechamento mensal do repasse de cada professor: soma os itens de repasse
+-- dos pagamentos quitados até o fim do mês (AAAA-MM) ainda não fechados
+CREATE TABLE fechamentos_repasse (
+  id BIGSERIAL PRIMARY KEY,
+  professor_id BIGINT NOT NULL REFERENCES professores(id) ON DELETE CASCADE,
+  referencia TEXT NOT NULL,
+  valor_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'fechado' CHECK (status IN ('fechado', 'pago')),
+  -- Data em que o repasse foi pago ao professor
+  data_pagamento DATE,
+  usuario_id BIGINT REFERENCES usuarios(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (professor_id, referencia)
+);
+
+-- Fechamento em que cada item entrou; pagamentos com itens fechados ficam bloqueados
+ALTER TABLE repasses_itens ADD COLUMN fechamento_id BIGINT REFERENCES fechamentos_repasse(id) ON DELETE SET NULL;
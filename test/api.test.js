@@ -0,0 +1,54 @@
+// ==============================================================
+// TESTES DA API SOBRE O SQLITE EM MEMÓRIA
+// ==============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar } = require('./servidor');
+
+let servidor;
+let api;
+
+test.before(async () => {
+  servidor = await iniciar();
+  api = servidor.api;
+});
+
+test.after(() => servidor.encerrar());
+
+test('rotas protegidas exigem autenticação', async () => {
+  assert.equal((await api('GET', '/alunos', null, { autenticar: false })).status, 401);
+});
+
+test('cadastra, lista, atualiza e remove alunos', async () => {
+  const criado = await api('POST', '/alunos', { nome: 'Carla', email: 'carla@teste.com' });
+  assert.equal(criado.status, 201);
+  const id = criado.body.id;
+
+  const lista = await api('GET', '/alunos');
+  assert.equal(lista.status, 200);
+  assert.ok(lista.body.alunos.some(a => a.id === id));
+
+  const atualizado = await api('PUT', `/alunos/${id}`, { nome: 'Carla Souza', email: 'carla@teste.com' });
+  assert.equal(atualizado.status, 200);
+  assert.equal((await api('GET', `/alunos/${id}`)).body.nome, 'Carla Souza');
+
+  assert.equal((await api('DELETE', `/alunos/${id}`)).status, 200);
+  assert.equal((await api('GET', `/alunos/${id}`)).status, 404);
+});
+
+test('valida os campos obrigatórios do aluno', async () => {
+  const { status, body } = await api('POST', '/alunos', { nome: 'Sem e-mail' });
+  assert.equal(status, 400);
+  assert.ok(body.errors.length > 0);
+});
+
+test('resumo dos relatórios reflete os cadastros', async () => {
+  await api('POST', '/alunos', { nome: 'Davi', email: 'davi@teste.com' });
+  await api('POST', '/professores', { nome: 'Elisa', email: 'elisa@teste.com' });
+
+  const { status, body } = await api('GET', '/relatorios/resumo');
+  assert.equal(status, 200);
+  assert.equal(body.totalAlunos, 1);
+  assert.equal(body.totalProfessores, 1);
+});
@@ -0,0 +1,77 @@
+// ==============================================================
+// TESTES DE MULTA, JUROS E SITUAÇÃO DOS PAGAMENTOS EM ATRASO
+// ==============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar } = require('./servidor');
+
+let servidor;
+let Atrasos;
+
+const pagamento = { status: 'pendente', valor: 100, data_vencimento: '2026-10-10', valor_recebido: 0 };
+
+test.before(async () => {
+  servidor = await iniciar();
+  ({ Atrasos } = servidor.internos);
+});
+
+test.after(() => servidor.encerrar());
+
+test('sem encargos até o vencimento', () => {
+  for (const data of ['2026-10-01', '2026-10-10']) {
+    assert.deepEqual(Atrasos.encargos(pagamento, data), {
+      dias_atraso: 0, valor_multa: 0, valor_juros: 0, valor_atualizado: 100
+    });
+  }
+});
+
+test('multa a partir do primeiro dia de atraso e juros por dia', () => {
+  assert.deepEqual(Atrasos.encargos(pagamento, '2026-10-11'), {
+    dias_atraso: 1, valor_multa: 2, valor_juros: 0.03, valor_atualizado: 102.03
+  });
+  assert.deepEqual(Atrasos.encargos(pagamento, '2026-10-20'), {
+    dias_atraso: 10, valor_multa: 2, valor_juros: 0.33, valor_atualizado: 102.33
+  });
+  assert.deepEqual(Atrasos.encargos(pagamento, '2026-11-09'), {
+    dias_atraso: 30, valor_multa: 2, valor_juros: 0.99, valor_atualizado: 102.99
+  });
+});
+
+test('situação: pendente, parcial e atrasado com o saldo em aberto', () => {
+  assert.deepEqual(Atrasos.situacao(pagamento, '2026-10-05'), { ...pagamento, status: 'pendente', saldo: 100 });
+
+  const parcial = { ...pagamento, valor_recebido: 40 };
+  assert.deepEqual(Atrasos.situacao(parcial, '2026-10-10'), { ...parcial, status: 'parcial', saldo: 60 });
+
+  const atrasado = Atrasos.situacao(parcial, '2026-10-20');
+  assert.equal(atrasado.status, 'atrasado');
+  assert.equal(atrasado.dias_atraso, 10);
+  assert.equal(atrasado.valor_atualizado, 102.33);
+  assert.equal(atrasado.saldo, 62.33);
+});
+
+test('pagamentos quitados ou cancelados não mudam de situação', () => {
+  for (const status of ['pago', 'cancelado']) {
+    const registro = { ...pagamento, status };
+    assert.equal(Atrasos.situacao(registro, '2026-12-01'), registro);
+  }
+});
+
+test('lista os atrasados dos mais antigos para os mais recentes', async () => {
+  const { api } = servidor;
+  const aluno = await api('POST', '/alunos', { nome: 'Eva', email: 'eva@teste.com' });
+  const hoje = new Date().toISOString().slice(0, 10);
+  const diasAtras = (dias) => new Date(Date.now() - dias * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  for (const data_vencimento of [diasAtras(5), diasAtras(40), hoje, diasAtras(12)]) {
+    await api('POST', '/financeiro', { aluno_id: aluno.body.id, valor: 100, data_vencimento });
+  }
+
+  const { status, body } = await api('GET', '/financeiro/atrasados');
+  assert.equal(status, 200);
+  assert.deepEqual(body.atrasados.map(p => p.data_vencimento), [diasAtras(40), diasAtras(12), diasAtras(5)]);
+  assert.deepEqual(body.atrasados.map(p => p.dias_atraso), [40, 12, 5]);
+  assert.ok(body.atrasados.every(p => p.status === 'atrasado' && p.aluno_nome === 'Eva'));
+  assert.equal(body.total, Math.round(body.atrasados.reduce((total, p) => total + p.saldo, 0) * 100) / 100);
+});
@@ -0,0 +1,66 @@
+// ==============================================================
+// TESTES DA CAMADA DE ACESSO A DADOS
+// ==============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepository } = require('../db');
+
+test('createRepository exige DB_CLIENT em produção', () => {
+  assert.throws(() => createRepository({ NODE_ENV: 'production' }), /DB_CLIENT não definido/);
+  assert.throws(() => createRepository({ VERCEL: '1' }), /DB_CLIENT não definido/);
+});
+
+test('createRepository rejeita backend desconhecido', () => {
+  assert.throws(() => createRepository({ DB_CLIENT: 'mysql' }), /DB_CLIENT inválido/);
+});
+
+test('createRepository exige as credenciais do Supabase', () => {
+  assert.throws(() => createRepository({ DB_CLIENT: 'supabase' }), /SUPABASE_URL ou SUPABASE_KEY/);
+});
+
+test('repositório SQLite aplica as migrações e implementa a interface comum', async () => {
+  const db = createRepository({ NODE_ENV: 'production', DB_CLIENT: 'sqlite', SQLITE_PATH: ':memory:' });
+  await db.connect();
+  assert.equal(db.cliente, 'sqlite');
+
+  const ana = await db.insert('alunos', { nome: 'Ana', email: 'ana@teste.com' });
+  const bruno = await db.insert('alunos', { nome: 'Bruno', email: 'bruno@teste.com' });
+  assert.ok(ana.id);
+  assert.equal(ana.nome, 'Ana');
+
+  assert.equal(await db.count('alunos'), 2);
+  assert.equal((await db.findOne('alunos', { email: 'bruno@teste.com' })).id, bruno.id);
+  assert.equal(await db.findOne('alunos', { id: 9999 }), null);
+
+  // Colunas BOOLEAN voltam como true/false
+  const inativo = await db.insert('usuarios', { nome: 'Inativo', email: 'inativo@teste.com', senha_hash: 'x', ativo: false });
+  assert.equal(inativo.ativo, false);
+  assert.equal((await db.findOne('usuarios', { id: inativo.id })).ativo, false);
+  assert.equal((await db.findAll('usuarios', { where: { ativo: true } })).length, 0);
+
+  // Filtros IN, operadores e ordenação
+  const ordenados = await db.findAll('alunos', {
+    where: { id: [ana.id, bruno.id] },
+    order: [{ column: 'nome', ascending: false }]
+  });
+  assert.deepEqual(ordenados.map(a => a.nome), ['Bruno', 'Ana']);
+  assert.equal((await db.findAll('alunos', { where: { id: { gt: ana.id } } })).length, 1);
+  assert.equal((await db.findAll('alunos', { where: { id: [] } })).length, 0);
+  assert.equal((await db.findAll('alunos', { where: { telefone: null } })).length, 2);
+  assert.equal((await db.findAll('alunos', { where: { nome: 'Ana' }, limit: 1 })).length, 1);
+
+  const [atualizado] = await db.update('alunos', { id: ana.id }, { telefone: '1199999' });
+  assert.equal(atualizado.telefone, '1199999');
+
+  await db.remove('alunos', { id: bruno.id });
+  assert.equal(await db.count('alunos'), 1);
+});
+
+test('repositório SQLite rejeita identificadores e operadores inválidos', async () => {
+  const db = createRepository({ DB_CLIENT: 'sqlite', SQLITE_PATH: ':memory:' });
+  await db.connect();
+
+  await assert.rejects(db.findAll('alunos; DROP TABLE alunos'), /Identificador inválido/);
+  await assert.rejects(db.findAll('alunos', { where: { id: { like: 1 } } }), /Operador de filtro inválido/);
+});
@@ -0,0 +1,125 @@
+// ==============================================================
+// TESTES DA GERAÇÃO DE MENSALIDADES COM DESCONTOS
+// ==============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar } = require('./servidor');
+
+let servidor;
+let api;
+let db;
+const alunos = {};
+
+test.before(async () => {
+  servidor = await iniciar();
+  ({ api, db } = servidor);
+
+  const professor = await api('POST', '/professores', { nome: 'Professora', email: 'prof@teste.com', especialidade: 'Piano' });
+  const aula = await api('POST', '/aulas/configurar', {
+    instrumento: 'Piano',
+    hora_inicio: '14:00',
+    professor_id: professor.body.id,
+    data_inicio: '2026-09-01',
+    dias_semana: [3]
+  });
+  assert.equal(aula.status, 201);
+
+  const plano = await api('POST', '/planos', {
+    nome: 'Piano semanal',
+    instrumento: 'Piano',
+    aulas_por_semana: 1,
+    valor: 200,
+    dia_vencimento: 10
+  });
+  assert.equal(plano.status, 201);
+  const familia = await api('POST', '/familias', { nome: 'Silva' });
+
+  // Dois irmãos, um aluno com desconto fixo, um bolsista integral e um sem plano
+  const cadastros = [
+    ['irma', { familia_id: familia.body.id }],
+    ['irmao', { familia_id: familia.body.id }],
+    ['fixo', {}],
+    ['bolsista', {}],
+    ['semPlano', {}]
+  ];
+  for (const [chave, dados] of cadastros) {
+    const aluno = await api('POST', '/alunos', { nome: chave, email: `${chave.toLowerCase()}@teste.com`, ...dados });
+    alunos[chave] = aluno.body.id;
+    assert.equal((await api('POST', `/aulas/${aula.body.id}/alunos/${aluno.body.id}`)).status, 201);
+    if (chave !== 'semPlano') {
+      const definido = await api('PUT', `/aulas/${aula.body.id}/alunos/${aluno.body.id}/plano`, { plano_id: plano.body.id });
+      assert.equal(definido.status, 200);
+    }
+  }
+
+  const descontos = [
+    { nome: 'Irmãos', tipo: 'percentual', valor: 10, familia_id: familia.body.id, minimo_alunos: 2 },
+    { nome: 'Desconto fixo', tipo: 'fixo', valor: 30, aluno_id: alunos.fixo },
+    { nome: 'Bolsa integral', tipo: 'percentual', valor: 100, aluno_id: alunos.bolsista },
+    { nome: 'Campanha encerrada', tipo: 'fixo', valor: 50, data_fim: '2026-10-31' }
+  ];
+  for (const desconto of descontos) {
+    assert.equal((await api('POST', '/descontos', desconto)).status, 201);
+  }
+});
+
+test.after(() => servidor.encerrar());
+
+test('simulação mostra a prévia sem registrar pagamentos', async () => {
+  const { status, body } = await api('POST', '/financeiro/mensalidades', { referencia: '2026-11', simular: true });
+  assert.equal(status, 200);
+  assert.equal(body.mensalidades.length, 3);
+  assert.equal(await db.count('pagamentos'), 0);
+});
+
+test('gera as mensalidades com os descontos de família, percentual e fixo como itens', async () => {
+  const { status, body } = await api('POST', '/financeiro/mensalidades', { referencia: '2026-11' });
+  assert.equal(status, 201);
+
+  const porAluno = Object.fromEntries(body.mensalidades.map(m => [m.aluno_id, m]));
+  assert.deepEqual(Object.keys(porAluno).map(Number).sort(), [alunos.irma, alunos.irmao, alunos.fixo].sort());
+  assert.equal(porAluno[alunos.irma].valor, 180);
+  assert.equal(porAluno[alunos.irmao].valor, 180);
+  assert.equal(porAluno[alunos.fixo].valor, 170);
+  assert.equal(porAluno[alunos.fixo].data_vencimento, '2026-11-10');
+  assert.equal(body.total, 530);
+
+  // A bolsa integral zera a mensalidade, que não é cobrada
+  assert.deepEqual(body.isentas.map(m => m.aluno_id), [alunos.bolsista]);
+  assert.deepEqual(body.sem_plano.map(m => m.aluno_id), [alunos.semPlano]);
+
+  // O valor da cobrança é a soma dos itens: o plano e um item negativo por desconto
+  const pagamento = await db.findOne('pagamentos', { aluno_id: alunos.irma, referencia: '2026-11' });
+  assert.equal(pagamento.valor, 180);
+  const itens = await db.findAll('pagamentos_itens', { where: { pagamento_id: pagamento.id }, order: [{ column: 'id' }] });
+  assert.deepEqual(itens.map(i => [i.tipo, i.descricao, i.valor]), [
+    ['mensalidade', 'Mensalidade - Piano semanal', 200],
+    ['desconto', 'Irmãos', -20]
+  ]);
+});
+
+test('gerar de novo o mesmo mês não duplica as cobranças', async () => {
+  const { status, body } = await api('POST', '/financeiro/mensalidades', { referencia: '2026-11' });
+  assert.equal(status, 201);
+  assert.equal(body.mensalidades.length, 0);
+  assert.equal(body.existentes.length, 3);
+  assert.equal(await db.count('pagamentos', { referencia: '2026-11' }), 3);
+  assert.equal(await db.count('pagamentos_itens'), 6);
+});
+
+test('descontos vigentes entram no mês e a soma não passa do valor do plano', async () => {
+  // Em outubro, a campanha de R$ 50 vale para todos
+  const { body } = await api('POST', '/financeiro/mensalidades', { referencia: '2026-10', simular: true });
+  const porAluno = Object.fromEntries(body.mensalidades.map(m => [m.aluno_id, m]));
+  assert.equal(porAluno[alunos.irma].valor, 130);
+  assert.equal(porAluno[alunos.fixo].valor, 120);
+  assert.deepEqual(body.isentas.map(m => m.aluno_id), [alunos.bolsista]);
+
+  const { itens } = servidor.internos.Mensalidades;
+  const descontos = itens({ nome: 'Plano', valor: 100 }, [
+    { id: 1, nome: 'Metade', tipo: 'percentual', valor: 50 },
+    { id: 2, nome: 'Fixo', tipo: 'fixo', valor: 80 }
+  ]);
+  assert.deepEqual(descontos.map(i => i.valor), [100, -50, -50]);
+});
@@ -0,0 +1,94 @@
+// ==============================================================
+// TESTES DO PAYLOAD PIX (BR CODE)
+// ==============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar } = require('./servidor');
+
+let servidor;
+let Pix;
+
+// Exemplo de BR Code estático do manual do Banco Central
+const BR_CODE_EXEMPLO = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-426655440000' +
+  '5204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+
+/**
+ * Separa os campos EMV (id, tamanho e valor) de um payload
+ * @param {string} payload - Payload ou valor de um campo composto
+ * @returns {Array} [{ id, tamanho, valor }]
+ */
+function campos(payload) {
+  const resultado = [];
+  for (let i = 0; i < payload.length;) {
+    const id = payload.slice(i, i + 2);
+    const tamanho = Number(payload.slice(i + 2, i + 4));
+    const valor = payload.slice(i + 4, i + 4 + tamanho);
+    assert.equal(valor.length, tamanho, `campo ${id} menor que o tamanho declarado`);
+    resultado.push({ id, tamanho, valor });
+    i += 4 + tamanho;
+  }
+  return resultado;
+}
+
+test.before(async () => {
+  servidor = await iniciar();
+  ({ Pix } = servidor.internos);
+});
+
+test.after(() => servidor.encerrar());
+
+test('CRC16 confere com o BR Code de exemplo e com o valor de verificação do CCITT', () => {
+  assert.equal(Pix.crc16(BR_CODE_EXEMPLO.slice(0, -4)), BR_CODE_EXEMPLO.slice(-4));
+  assert.equal(Pix.crc16('123456789'), '29B1');
+});
+
+test('monta o payload no formato do exemplo, com valor e txid', () => {
+  const payload = Pix.payload({
+    chave: '123e4567-e12b-12d1-a456-426655440000',
+    nome: 'Fulano de Tal',
+    cidade: 'Brasília',
+    valor: 150.5,
+    txid: Pix.txid(42)
+  });
+
+  const semCrc = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-426655440000' +
+    '5204000053039865406150.505802BR5913FULANO DE TAL6008BRASILIA62170513PAG00000000426304';
+  assert.equal(payload, semCrc + Pix.crc16(semCrc));
+
+  const principais = campos(payload);
+  assert.deepEqual(principais.map(c => c.id), ['00', '26', '52', '53', '54', '58', '59', '60', '62', '63']);
+  assert.deepEqual(campos(principais.find(c => c.id === '26').valor).map(c => c.valor), [
+    'br.gov.bcb.pix', '123e4567-e12b-12d1-a456-426655440000'
+  ]);
+  assert.equal(principais.find(c => c.id === '54').valor, '150.50');
+  assert.deepEqual(campos(principais.find(c => c.id === '62').valor), [{ id: '05', tamanho: 13, valor: 'PAG0000000042' }]);
+  assert.equal(principais.at(-1).tamanho, 4);
+});
+
+test('limita nome e cidade e remove acentos e símbolos', () => {
+  const payload = Pix.payload({
+    chave: 'financeiro@escola.com.br',
+    nome: 'Escola de Música São João & Filhos Ltda',
+    cidade: 'São José dos Campos',
+    valor: 10,
+    txid: Pix.txid(1)
+  });
+
+  const principais = campos(payload);
+  assert.equal(principais.find(c => c.id === '59').valor, 'ESCOLA DE MUSICA SAO JOAO');
+  assert.equal(principais.find(c => c.id === '60').valor, 'SAO JOSE DOS CA');
+  assert.equal(payload.slice(-4), Pix.crc16(payload.slice(0, -4)));
+});
+
+test('recusa recebedor com chave, nome ou cidade inválidos', () => {
+  const invalidos = [
+    { chave: '', nome: 'Escola', cidade: 'Recife' },
+    { chave: '123', nome: 'Escola', cidade: 'Recife' },
+    { chave: '+5581999998888', nome: '***', cidade: 'Recife' },
+    { chave: '+5581999998888', nome: 'Escola', cidade: '' }
+  ];
+  for (const recebedor of invalidos) {
+    assert.throws(() => Pix.payload({ ...recebedor, valor: 10, txid: Pix.txid(1) }), err => err.status === 503);
+  }
+});
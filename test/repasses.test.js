@@ -0,0 +1,174 @@
+// ==============================================================
+// TESTES DO REPASSE AOS PROFESSORES E DOS RECEBIMENTOS
+// ==============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar } = require('./servidor');
+
+let servidor;
+let api;
+let db;
+let titular;
+let substituto;
+let aula;
+
+/**
+ * Cadastra um aluno matriculado na aula e uma cobrança dele
+ * @param {string} nome - Nome do aluno
+ * @param {Object} pagamento - { valor, data_vencimento }
+ * @returns {Promise<Object>} Registro de pagamentos
+ */
+async function cobranca(nome, pagamento) {
+  const aluno = await api('POST', '/alunos', { nome, email: `${nome.toLowerCase()}@teste.com` });
+  assert.equal((await api('POST', `/aulas/${aula.id}/alunos/${aluno.body.id}`)).status, 201);
+
+  const criado = await api('POST', '/financeiro', { aluno_id: aluno.body.id, aula_id: aula.id, ...pagamento });
+  assert.equal(criado.status, 201);
+  return db.findOne('pagamentos', { id: criado.body.id });
+}
+
+/**
+ * Registra aulas já dadas em um mês, pelo titular ou por um substituto
+ * @param {Array} aulas - [{ data_aula, substituto }]
+ */
+async function aulasDadas(aulas) {
+  for (const { data_aula, substituto: professorSubstituto } of aulas) {
+    await db.insert('aulas_agendadas', {
+      aula_configurada_id: aula.id,
+      data_aula,
+      status: 'realizada',
+      professor_substituto_id: professorSubstituto || null
+    });
+  }
+}
+
+test.before(async () => {
+  servidor = await iniciar();
+  ({ api, db } = servidor);
+
+  const professores = [
+    { nome: 'Titular', email: 'titular@teste.com', especialidade: 'Piano', porcentagem_repassa: 70 },
+    { nome: 'Substituto', email: 'substituto@teste.com', especialidade: 'Piano', porcentagem_repassa: 50 }
+  ];
+  [titular, substituto] = await Promise.all(professores.map(async p => (await api('POST', '/professores', p)).body.id));
+
+  const configurada = await api('POST', '/aulas/configurar', {
+    instrumento: 'Piano',
+    hora_inicio: '10:00',
+    professor_id: titular,
+    data_inicio: '2026-08-01',
+    dias_semana: [2]
+  });
+  assert.equal(configurada.status, 201);
+  aula = await db.findOne('aulas_configuradas', { id: configurada.body.id });
+});
+
+test.after(() => servidor.encerrar());
+
+test('divide o repasse pelas aulas dadas no mês, com a porcentagem de quem deu cada aula', async () => {
+  await aulasDadas([
+    { data_aula: '2026-09-01' },
+    { data_aula: '2026-09-08' },
+    { data_aula: '2026-09-15', substituto },
+    { data_aula: '2026-09-22' }
+  ]);
+  const pagamento = await cobranca('Ana', { valor: 100, data_vencimento: '2026-09-10' });
+
+  const itens = await servidor.internos.Repasses.dividir(pagamento);
+  assert.deepEqual(
+    itens.map(({ professor_id, aulas, substituicao, porcentagem, valor }) => ({ professor_id, aulas, substituicao, porcentagem, valor })),
+    [
+      { professor_id: titular, aulas: 3, substituicao: false, porcentagem: 70, valor: 52.5 },
+      { professor_id: substituto, aulas: 1, substituicao: true, porcentagem: 50, valor: 12.5 }
+    ]
+  );
+
+  const { valor_repasse, professor_id } = await servidor.internos.Repasses.registrar(pagamento);
+  assert.equal(valor_repasse, 65);
+  assert.equal(professor_id, titular);
+  assert.equal(await db.count('repasses_itens', { pagamento_id: pagamento.id }), 2);
+
+  // Registrar de novo substitui os itens anteriores
+  await servidor.internos.Repasses.registrar(pagamento);
+  assert.equal(await db.count('repasses_itens', { pagamento_id: pagamento.id }), 2);
+});
+
+test('arredonda cada item do repasse para centavos', async () => {
+  await db.update('professores', { id: substituto }, { porcentagem_repassa: 70 });
+  await aulasDadas([
+    { data_aula: '2026-07-07' },
+    { data_aula: '2026-07-14' },
+    { data_aula: '2026-07-21', substituto }
+  ]);
+  const pagamento = await cobranca('Bruno', { valor: 100, data_vencimento: '2026-07-10' });
+
+  const itens = await servidor.internos.Repasses.dividir(pagamento);
+  assert.deepEqual(itens.map(i => i.valor), [46.67, 23.33]);
+  assert.equal(Math.round(itens.reduce((total, i) => total + i.valor, 0) * 100) / 100, 70);
+
+  await db.update('professores', { id: substituto }, { porcentagem_repassa: 50 });
+});
+
+test('sem aulas no mês, o repasse inteiro fica com o titular', async () => {
+  const pagamento = await cobranca('Caio', { valor: 200, data_vencimento: '2026-06-10' });
+
+  const itens = await servidor.internos.Repasses.dividir(pagamento);
+  assert.equal(itens.length, 1);
+  assert.equal(itens[0].professor_id, titular);
+  assert.equal(itens[0].aulas, 0);
+  assert.equal(itens[0].valor, 140);
+});
+
+test('recebimento parcial, quitação e estorno desfazem o repasse', async () => {
+  const pagamento = await cobranca('Duda', { valor: 100, data_vencimento: '2026-09-10' });
+  const receber = (body) => api('POST', `/financeiro/${pagamento.id}/pagar`, {
+    forma_pagamento: 'pix',
+    data_pagamento: '2026-09-05',
+    ...body
+  });
+
+  // Parcial: segue pendente, sem repasse
+  const parcial = await receber({ valor: 40 });
+  assert.equal(parcial.status, 200);
+  assert.equal(parcial.body.quitado, false);
+  assert.equal(parcial.body.saldo, 60);
+  assert.equal((await db.findOne('pagamentos', { id: pagamento.id })).status, 'pendente');
+  assert.equal(await db.count('repasses_itens', { pagamento_id: pagamento.id }), 0);
+
+  // Valores acima do saldo são recusados
+  assert.equal((await receber({ valor: 60.01 })).status, 400);
+
+  // Quitação: o saldo é recebido e o repasse registrado
+  const quitacao = await receber({});
+  assert.equal(quitacao.body.quitado, true);
+  assert.equal(quitacao.body.valor_recebido, 100);
+  assert.equal(quitacao.body.valor_repasse, 65);
+  const quitado = await db.findOne('pagamentos', { id: pagamento.id });
+  assert.equal(quitado.status, 'pago');
+  assert.equal(quitado.data_pagamento, '2026-09-05');
+  assert.equal(await db.count('repasses_itens', { pagamento_id: pagamento.id }), 2);
+
+  // Estorno da quitação: reabre o pagamento e desfaz o repasse
+  const transacoes = await db.findAll('pagamentos_transacoes', {
+    where: { pagamento_id: pagamento.id },
+    order: [{ column: 'id' }]
+  });
+  const estorno = await api('POST', `/financeiro/${pagamento.id}/transacoes/${transacoes[1].id}/estorno`, {});
+  assert.equal(estorno.status, 200);
+  assert.equal(estorno.body.valor_recebido, 40);
+
+  const reaberto = await db.findOne('pagamentos', { id: pagamento.id });
+  assert.equal(reaberto.status, 'pendente');
+  assert.equal(reaberto.data_pagamento, null);
+  assert.equal(reaberto.valor_repasse, null);
+  assert.equal(await db.count('repasses_itens', { pagamento_id: pagamento.id }), 0);
+
+  // O estorno entra no histórico e não pode ser repetido
+  assert.equal(await db.count('pagamentos_transacoes', { pagamento_id: pagamento.id, tipo: 'estorno' }), 1);
+  assert.equal((await api('POST', `/financeiro/${pagamento.id}/transacoes/${transacoes[1].id}/estorno`, {})).status, 400);
+
+  // Com recebimentos, o pagamento não pode ser excluído nem ter o valor alterado
+  assert.equal((await api('DELETE', `/financeiro/${pagamento.id}`)).status, 409);
+  assert.equal((await api('PUT', `/financeiro/${pagamento.id}`, { valor: 30 })).status, 400);
+});
@@ -0,0 +1,80 @@
+// ==============================================================
+// SERVIDOR DE TESTES (SQLITE EM MEMÓRIA)
+// ==============================================================
+
+Object.assign(process.env, {
+  DB_CLIENT: 'sqlite',
+  SQLITE_PATH: ':memory:',
+  JWT_SECRET: 'segredo-de-teste',
+  ADMIN_EMAIL: 'admin@teste.com',
+  ADMIN_PASSWORD: 'senha-de-teste',
+  MULTA_ATRASO_PERCENTUAL: '2',
+  JUROS_DIA_PERCENTUAL: '0.033'
+});
+
+const app = require('../server');
+
+/**
+ * Sobe a API em uma porta livre e autentica o administrador inicial
+ * @returns {Promise<Object>} { api, entrar, db, internos, encerrar }
+ */
+async function iniciar() {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let token = null;
+
+  /**
+   * Faz uma requisição JSON à API
+   * @param {string} method - Método HTTP
+   * @param {string} rota - Caminho a partir de /api
+   * @param {Object} body - Corpo da requisição
+   * @param {Object} opcoes - { autenticar (padrão: true), token: de outro
+   *   usuário (padrão: o do administrador) }
+   * @returns {Promise<Object>} { status, body }
+   */
+  const api = async (method, rota, body, { autenticar = true, token: tokenUsuario = token } = {}) => {
+    const res = await fetch(`${base}/api${rota}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(autenticar && tokenUsuario ? { Authorization: `Bearer ${tokenUsuario}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  // O administrador inicial é criado logo após a conexão com o banco
+  for (let tentativa = 0; tentativa < 20 && !token; tentativa++) {
+    const { status, body } = await api('POST', '/auth/login', {
+      email: process.env.ADMIN_EMAIL,
+      senha: process.env.ADMIN_PASSWORD
+    });
+    if (status === 200) token = body.token;
+    else await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  if (!token) throw new Error('Login do administrador inicial falhou');
+
+  /**
+   * Autentica outro usuário
+   * @param {string} email - E-mail do usuário
+   * @param {string} senha - Senha do usuário
+   * @returns {Promise<string>} Token de acesso
+   */
+  const entrar = async (email, senha) => {
+    const { status, body } = await api('POST', '/auth/login', { email, senha }, { autenticar: false });
+    if (status !== 200) throw new Error(`Login de ${email} falhou: ${body.error}`);
+    return body.token;
+  };
+
+  return {
+    api,
+    entrar,
+    db: app.internos.db,
+    internos: app.internos,
+    encerrar: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { iniciar };
@@ -0,0 +1,183 @@
+// ==============================================================
+// TESTES DAS SOLICITAÇÕES DE REAGENDAMENTO E CANCELAMENTO
+// ==============================================================
+
+// Horário da escola: o início das aulas é local, e os timestamps do banco, UTC
+process.env.TZ = 'America/Sao_Paulo';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar } = require('./servidor');
+
+let servidor;
+let api;
+let db;
+let professor;
+
+/**
+ * Data daqui a alguns dias, em UTC
+ * @param {number} dias - Dias a partir de hoje
+ * @returns {string} Data (AAAA-MM-DD)
+ */
+const daquiA = (dias) => new Date(Date.now() + dias * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Cadastra uma turma com os alunos informados e um usuário de portal para o
+ * primeiro aluno
+ * @param {string} nome - Prefixo dos nomes e e-mails
+ * @param {number} quantidade - Número de alunos
+ * @param {string} data_aula - Data de um agendamento da turma
+ * @param {string} hora_inicio - Horário da turma (HH:MM)
+ * @returns {Promise<Object>} { aula, alunos, agendamento, token }
+ */
+async function turma(nome, quantidade, data_aula, hora_inicio) {
+  const configurada = await api('POST', '/aulas/configurar', {
+    instrumento: 'Violão',
+    hora_inicio,
+    professor_id: professor,
+    data_inicio: daquiA(0),
+    dias_semana: [new Date(`${data_aula}T00:00:00Z`).getUTCDay()]
+  });
+  assert.equal(configurada.status, 201);
+  const aula = configurada.body.id;
+
+  const alunos = [];
+  for (let i = 1; i <= quantidade; i++) {
+    const aluno = await api('POST', '/alunos', { nome: `${nome} ${i}`, email: `${nome}${i}@teste.com` });
+    assert.equal((await api('POST', `/aulas/${aula}/alunos/${aluno.body.id}`)).status, 201);
+    alunos.push(aluno.body.id);
+  }
+
+  // A configuração já gera os agendamentos das próximas semanas
+  const agendamento = await db.findOne('aulas_agendadas', { aula_configurada_id: aula, data_aula });
+
+  const usuario = await api('POST', '/usuarios', {
+    nome: `${nome} 1`,
+    email: `portal.${nome}@teste.com`,
+    senha: 'senha-do-aluno',
+    role: 'aluno',
+    aluno_id: alunos[0]
+  });
+  assert.equal(usuario.status, 201);
+  const token = await servidor.entrar(`portal.${nome}@teste.com`, 'senha-do-aluno');
+
+  return { aula, alunos, agendamento, token };
+}
+
+/**
+ * Registra quando uma solicitação foi feita, no formato do CURRENT_TIMESTAMP
+ * do SQLite (UTC, sem fuso)
+ * @param {number} id - ID da solicitação
+ * @param {string} data_aula - Data da aula
+ * @param {string} hora_inicio - Horário da aula (HH:MM)
+ * @param {number} horas - Antecedência do pedido em relação ao início da aula
+ */
+async function pedidoFeito(id, data_aula, hora_inicio, horas) {
+  const pedido = new Date(new Date(`${data_aula}T${hora_inicio}:00`) - horas * 60 * 60 * 1000);
+  await db.update('aulas_solicitacoes', { id }, { created_at: pedido.toISOString().replace('T', ' ').slice(0, 19) });
+}
+
+test.before(async () => {
+  servidor = await iniciar();
+  ({ api, db } = servidor);
+
+  professor = (await api('POST', '/professores', { nome: 'Professor', email: 'professor@teste.com', especialidade: 'Violão' })).body.id;
+});
+
+test.after(() => servidor.encerrar());
+
+test('recusa nova data inválida ou que não seja futura', async () => {
+  const { agendamento, token } = await turma('datas', 1, daquiA(10), '08:00');
+  const solicitar = (nova_data) => api('POST', `/aulas/agendadas/${agendamento.id}/solicitacoes`, {
+    tipo: 'reagendamento',
+    nova_data,
+    motivo: 'Viagem'
+  }, { token });
+
+  for (const nova_data of [undefined, 'amanhã', '2026-02-30x', daquiA(0), daquiA(-3)]) {
+    const { status, body } = await solicitar(nova_data);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Nova data inválida');
+  }
+  assert.equal((await solicitar(daquiA(12))).status, 201);
+});
+
+test('em aula individual, o reagendamento pedido pelo aluno move a aula', async () => {
+  const { aula, agendamento, token } = await turma('individual', 1, daquiA(10), '10:00');
+  const solicitacao = await api('POST', `/aulas/agendadas/${agendamento.id}/solicitacoes`, {
+    tipo: 'reagendamento',
+    nova_data: daquiA(12),
+    motivo: 'Prova na escola'
+  }, { token });
+  assert.equal(solicitacao.status, 201);
+
+  const aprovada = await api('PUT', `/aulas/solicitacoes/${solicitacao.body.id}/aprovar`, {});
+  assert.equal(aprovada.status, 200);
+
+  assert.equal((await db.findOne('aulas_agendadas', { id: agendamento.id })).status, 'reagendada');
+  const novo = await db.findOne('aulas_agendadas', { id: aprovada.body.novo_agendamento_id });
+  assert.equal(novo.aula_configurada_id, aula);
+  assert.equal(novo.data_aula, daquiA(12));
+});
+
+test('em aula em grupo, o reagendamento pedido pelo aluno vale só para ele', async () => {
+  const { aula, alunos, agendamento, token } = await turma('grupo', 2, daquiA(17), '14:00');
+  const solicitacao = await api('POST', `/aulas/agendadas/${agendamento.id}/solicitacoes`, {
+    tipo: 'reagendamento',
+    nova_data: daquiA(19),
+    motivo: 'Consulta médica'
+  }, { token });
+  assert.equal(solicitacao.status, 201);
+
+  const aprovada = await api('PUT', `/aulas/solicitacoes/${solicitacao.body.id}/aprovar`, {});
+  assert.equal(aprovada.status, 200);
+
+  // A aula segue na data original para a turma, com falta justificada do aluno
+  assert.equal((await db.findOne('aulas_agendadas', { id: agendamento.id })).status, 'agendada');
+  const presenca = await db.findOne('aulas_presencas', { aula_agendada_id: agendamento.id, aluno_id: alunos[0] });
+  assert.equal(presenca.status, 'falta_justificada');
+  assert.equal(await db.count('aulas_presencas', { aula_agendada_id: agendamento.id, aluno_id: alunos[1] }), 0);
+
+  // O aluno ganha uma aula avulsa só dele na nova data, com o mesmo professor
+  const novo = await db.findOne('aulas_agendadas', { id: aprovada.body.novo_agendamento_id });
+  assert.equal(novo.data_aula, daquiA(19));
+  assert.notEqual(novo.aula_configurada_id, aula);
+  const avulsa = await db.findOne('aulas_configuradas', { id: novo.aula_configurada_id });
+  assert.equal(avulsa.avulsa, true);
+  assert.equal(avulsa.professor_id, professor);
+  const matriculados = await db.findAll('aulas_alunos', { where: { aula_id: avulsa.id } });
+  assert.deepEqual(matriculados.map(m => m.aluno_id), [alunos[0]]);
+});
+
+test('em aula em grupo, o cancelamento pedido com antecedência gera crédito só para o aluno', async () => {
+  const { alunos, agendamento, token } = await turma('cancelagrupo', 2, daquiA(24), '16:00');
+  const solicitacao = await api('POST', `/aulas/agendadas/${agendamento.id}/solicitacoes`, {
+    tipo: 'cancelamento',
+    motivo: 'Viagem da família'
+  }, { token });
+  assert.equal(solicitacao.status, 201);
+  await pedidoFeito(solicitacao.body.id, daquiA(24), '16:00', 25);
+
+  assert.equal((await api('PUT', `/aulas/solicitacoes/${solicitacao.body.id}/aprovar`, {})).status, 200);
+
+  assert.equal((await db.findOne('aulas_agendadas', { id: agendamento.id })).status, 'agendada');
+  const presenca = await db.findOne('aulas_presencas', { aula_agendada_id: agendamento.id, aluno_id: alunos[0] });
+  assert.equal(presenca.status, 'falta_justificada');
+  const creditos = await db.findAll('creditos_reposicao', { where: { aula_agendada_id: agendamento.id } });
+  assert.deepEqual(creditos.map(c => c.aluno_id), [alunos[0]]);
+});
+
+test('em aula individual, o cancelamento pedido em cima da hora cancela a aula sem crédito', async () => {
+  const { agendamento, token } = await turma('cancelaindividual', 1, daquiA(24), '18:00');
+  const solicitacao = await api('POST', `/aulas/agendadas/${agendamento.id}/solicitacoes`, {
+    tipo: 'cancelamento',
+    motivo: 'Imprevisto'
+  }, { token });
+  assert.equal(solicitacao.status, 201);
+  await pedidoFeito(solicitacao.body.id, daquiA(24), '18:00', 23);
+
+  assert.equal((await api('PUT', `/aulas/solicitacoes/${solicitacao.body.id}/aprovar`, {})).status, 200);
+
+  assert.equal((await db.findOne('aulas_agendadas', { id: agendamento.id })).status, 'cancelada');
+  assert.equal(await db.count('creditos_reposicao', { aula_agendada_id: agendamento.id }), 0);
+});